@@ -0,0 +1,171 @@
+import { useState } from 'react';
+import { useAuth } from './AuthProvider';
+import { useNotifications } from './NotificationProvider';
+import { useI18n } from './I18nProvider';
+import PasswordRequirements from './PasswordRequirements';
+import TwoFactorSettings from './TwoFactorSettings';
+import FormField, { getInputClass } from './FormField';
+import { useForm } from '../hooks/useForm';
+import { required, strongPassword, matchesField } from '../lib/validation';
+
+const EMPTY_PASSWORDS = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+const PASSWORD_FIELD_MAP = {
+  current_password: 'currentPassword',
+  new_password: 'newPassword'
+};
+
+const differsFromCurrent = () => (value, values) =>
+  value && value === values.currentPassword ? { key: 'account.samePassword' } : null;
+
+// Sends another verification link to the signed-in user's address
+const useResendVerification = () => {
+  const { api, user } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const [sending, setSending] = useState(false);
+
+  const resend = async () => {
+    setSending(true);
+    try {
+      await api.post('/auth/resend-verification');
+      addNotification(t('verify.resent', { email: user.email }), 'success');
+    } catch (error) {
+      addNotification(formatError(error), 'error');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return { resend, sending };
+};
+
+// Email Verification Banner
+// Reminds users who have not yet followed the link sent when they registered
+export const EmailVerificationBanner = () => {
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const { resend, sending } = useResendVerification();
+
+  // Accounts from before verification existed have no flag and count as verified
+  if (user?.email_verified !== false) return null;
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200 px-4 py-2 text-sm text-yellow-800 flex items-center justify-center gap-4">
+      <span>{t('verify.banner', { email: user.email })}</span>
+      <button
+        onClick={resend}
+        disabled={sending}
+        className="font-medium underline hover:text-yellow-900 disabled:opacity-50"
+      >
+        {sending ? t('verify.resending') : t('verify.resend')}
+      </button>
+    </div>
+  );
+};
+
+// Account Settings
+// The signed-in user's own email status, password and two-factor sign-in
+const AccountSettings = () => {
+  const { api, user } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const { resend, sending } = useResendVerification();
+  const context = { name: user?.name, email: user?.email };
+
+  const form = useForm({
+    initialValues: EMPTY_PASSWORDS,
+    schema: {
+      currentPassword: [required()],
+      newPassword: [required(), strongPassword(() => context), differsFromCurrent()],
+      confirmPassword: [required(), matchesField('newPassword')]
+    },
+    fieldMap: PASSWORD_FIELD_MAP,
+    idPrefix: 'account',
+    onSubmit: async (values) => {
+      await api.put('/auth/password', {
+        current_password: values.currentPassword,
+        new_password: values.newPassword
+      }, { retries: 0 });
+      form.setValues(EMPTY_PASSWORDS);
+      addNotification(t('account.passwordChanged'), 'success');
+    },
+    onError: (error) => addNotification(formatError(error), 'error')
+  });
+  const { values, errors } = form;
+
+  return (
+    <div className="max-w-xl space-y-6">
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">{t('account.title')}</h2>
+        <dl className="text-sm space-y-2">
+          <div className="flex gap-2">
+            <dt className="text-gray-500">{t('account.email')}</dt>
+            <dd className="text-gray-900">{user?.email}</dd>
+            <dd>
+              {user?.email_verified === false ? (
+                <span className="px-2 py-0.5 bg-yellow-100 text-yellow-800 text-xs rounded-full">{t('account.unverified')}</span>
+              ) : (
+                <span className="px-2 py-0.5 bg-green-100 text-green-800 text-xs rounded-full">{t('account.verified')}</span>
+              )}
+            </dd>
+          </div>
+        </dl>
+        {user?.email_verified === false && (
+          <button
+            onClick={resend}
+            disabled={sending}
+            className="mt-3 text-blue-600 hover:text-blue-800 text-sm disabled:opacity-50"
+          >
+            {sending ? t('verify.resending') : t('verify.resend')}
+          </button>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">{t('account.changePassword')}</h2>
+        <form onSubmit={form.handleSubmit} noValidate className="space-y-4">
+          <FormField id={form.fieldId('currentPassword')} label={t('account.currentPassword')} error={errors.currentPassword}>
+            <input
+              type="password"
+              autoComplete="current-password"
+              {...form.getFieldProps('currentPassword')}
+              className={getInputClass(errors.currentPassword)}
+            />
+          </FormField>
+
+          <FormField id={form.fieldId('newPassword')} label={t('password.new')} error={errors.newPassword}>
+            <input
+              type="password"
+              autoComplete="new-password"
+              {...form.getFieldProps('newPassword', { describedBy: 'account-password-rules' })}
+              className={getInputClass(errors.newPassword)}
+            />
+            <PasswordRequirements id="account-password-rules" password={values.newPassword} context={context} />
+          </FormField>
+
+          <FormField id={form.fieldId('confirmPassword')} label={t('password.confirm')} error={errors.confirmPassword}>
+            <input
+              type="password"
+              autoComplete="new-password"
+              {...form.getFieldProps('confirmPassword')}
+              className={getInputClass(errors.confirmPassword)}
+            />
+          </FormField>
+
+          <button
+            type="submit"
+            disabled={form.submitting}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+          >
+            {form.submitting ? t('account.saving') : t('account.save')}
+          </button>
+        </form>
+      </div>
+
+      <TwoFactorSettings />
+    </div>
+  );
+};
+
+export default AccountSettings;
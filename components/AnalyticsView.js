@@ -0,0 +1,342 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useAuth } from './AuthProvider';
+import { useNotifications } from './NotificationProvider';
+import { useI18n } from './I18nProvider';
+import { RequirePermission } from './Permissions';
+import { PERMISSIONS, getDeniedReason } from '../lib/permissions';
+import {
+  getHourlyThroughput,
+  getShiftThroughput,
+  getCycleTimesByPriority,
+  getHandoffRates,
+  getOverdueRates,
+  toAnalyticsRows,
+  toCsv,
+  CSV_COLUMNS
+} from '../lib/analytics';
+import { useShifts } from '../hooks/useShifts';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// date inputs want YYYY-MM-DD in local time
+const toDateInput = (time) => {
+  const date = new Date(time);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+// `label` is a message catalog key
+const PRESETS = [
+  { label: 'analytics.today', days: 1 },
+  { label: 'analytics.days', days: 7 },
+  { label: 'analytics.days', days: 30 }
+];
+
+const presetRange = (days) => ({
+  from: toDateInput(Date.now() - (days - 1) * DAY),
+  to: toDateInput(Date.now())
+});
+
+const formatPercent = (locale, rate) =>
+  new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 0 }).format(rate);
+
+// Analytics View
+// Task history for managers: throughput, cycle times, handoffs and overdue
+// rates over a date range, with the underlying rows exportable as CSV
+const AnalyticsView = () => {
+  const { t } = useI18n();
+  return (
+    <RequirePermission
+      permission={PERMISSIONS.VIEW_ANALYTICS}
+      fallback={
+        <div className="bg-white rounded-lg shadow-sm p-6 text-center text-gray-600">
+          {t(getDeniedReason(PERMISSIONS.VIEW_ANALYTICS))}
+        </div>
+      }
+    >
+      <AnalyticsPanel />
+    </RequirePermission>
+  );
+};
+
+const AnalyticsPanel = () => {
+  const { api } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t, locale, formatDuration, formatError } = useI18n();
+  const { shifts } = useShifts();
+  const [range, setRange] = useState(() => presetRange(7));
+  const [tasks, setTasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Whole local days, end date inclusive
+  const from = new Date(`${range.from}T00:00:00`).getTime();
+  const to = new Date(`${range.to}T00:00:00`).getTime() + DAY;
+  const isValidRange = Number.isFinite(from) && Number.isFinite(to) && from < to;
+
+  const loadTasks = useCallback(async () => {
+    if (!isValidRange) return;
+    setLoading(true);
+    try {
+      const query = new URLSearchParams({ from: new Date(from).toISOString(), to: new Date(to).toISOString() });
+      const data = await api.get(`/analytics/tasks?${query}`);
+      setTasks(data.tasks || []);
+    } catch (error) {
+      addNotification(formatError(error, 'analytics.loadFailed'), 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, addNotification, formatError, from, to, isValidRange]);
+
+  useEffect(() => {
+    loadTasks();
+  }, [loadTasks]);
+
+  const metrics = useMemo(() => {
+    const now = Date.now();
+    return {
+      hourly: getHourlyThroughput(tasks, from, to),
+      byShift: getShiftThroughput(tasks, shifts, locale),
+      cycleTimes: getCycleTimesByPriority(tasks),
+      handoffs: getHandoffRates(tasks),
+      overdue: getOverdueRates(tasks, now)
+    };
+  }, [tasks, shifts, locale, from, to]);
+
+  const exportCsv = () => {
+    const columns = CSV_COLUMNS.map(column => ({ ...column, label: t(column.label) }));
+    const csv = toCsv(toAnalyticsRows(tasks), columns);
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `shiftflow-tasks-${range.from}-to-${range.to}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const completed = tasks.filter(task => task.status === 'completed').length;
+  const formatMinutes = (minutes) => minutes === null ? '—' : formatDuration(minutes * 60000);
+  const percent = (rate) => formatPercent(locale, rate);
+
+  return (
+    <div className="space-y-6">
+      {/* Range */}
+      <div className="bg-white rounded-lg shadow-sm p-6 flex flex-col md:flex-row md:items-end gap-4">
+        <div>
+          <label htmlFor="analytics-from" className="block text-sm font-medium text-gray-700 mb-1">{t('analytics.from')}</label>
+          <input
+            id="analytics-from"
+            type="date"
+            value={range.from}
+            max={range.to}
+            onChange={(e) => setRange({ ...range, from: e.target.value })}
+            className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <div>
+          <label htmlFor="analytics-to" className="block text-sm font-medium text-gray-700 mb-1">{t('analytics.to')}</label>
+          <input
+            id="analytics-to"
+            type="date"
+            value={range.to}
+            min={range.from}
+            onChange={(e) => setRange({ ...range, to: e.target.value })}
+            className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <div className="flex gap-2">
+          {PRESETS.map(preset => (
+            <button
+              key={preset.days}
+              type="button"
+              onClick={() => setRange(presetRange(preset.days))}
+              className="px-3 py-2 border border-gray-300 text-gray-700 rounded-lg text-sm hover:bg-gray-50"
+            >
+              {t(preset.label, { count: preset.days })}
+            </button>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={exportCsv}
+          disabled={loading || tasks.length === 0}
+          className="md:ms-auto bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+        >
+          {t('analytics.export')}
+        </button>
+      </div>
+
+      {!isValidRange ? (
+        <p className="text-center text-gray-600">{t('analytics.badRange')}</p>
+      ) : loading ? (
+        <div className="text-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto mb-2"></div>
+          <p className="text-gray-600">{t('analytics.loading')}</p>
+        </div>
+      ) : (
+        <>
+          {/* Summary */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <SummaryCard label={t('analytics.tasks')} value={tasks.length} />
+            <SummaryCard label={t('analytics.completed')} value={completed} />
+            <SummaryCard label={t('analytics.ranOverdue')} value={percent(metrics.overdue.overall.rate)} />
+          </div>
+
+          {/* Throughput */}
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">{t('analytics.byHour')}</h2>
+            <ColumnChart
+              data={metrics.hourly.map(h => ({ label: String(h.hour).padStart(2, '0'), created: h.created, completed: h.completed }))}
+            />
+          </div>
+
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">{t('analytics.byShift')}</h2>
+            {metrics.byShift.length === 0 ? (
+              <p className="text-sm text-gray-400">{t('analytics.noTasks')}</p>
+            ) : (
+              <ColumnChart data={metrics.byShift.map(s => ({ label: s.label ?? t('analytics.noShift'), created: s.created, completed: s.completed }))} />
+            )}
+          </div>
+
+          {/* Cycle Times */}
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">{t('analytics.cycleTimes')}</h2>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-start text-gray-500 border-b">
+                  <th className="py-2">{t('create.priority')}</th>
+                  <th className="py-2">{t('analytics.tasks')}</th>
+                  <th className="py-2">{t('analytics.wait')}</th>
+                  <th className="py-2">{t('analytics.work')}</th>
+                  <th className="py-2">{t('analytics.total')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {metrics.cycleTimes.map(row => (
+                  <tr key={row.priority} className="border-b last:border-0">
+                    <td className="py-2">{t(`priority.${row.priority}`)}</td>
+                    <td className="py-2 text-gray-600">{row.count}</td>
+                    <td className="py-2 text-gray-600">{formatMinutes(row.wait)}</td>
+                    <td className="py-2 text-gray-600">{formatMinutes(row.work)}</td>
+                    <td className="py-2 text-gray-600">{formatMinutes(row.total)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {/* Handoff Rates */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-1">{t('analytics.handoffRate')}</h2>
+              <p className="text-xs text-gray-500 mb-4">{t('analytics.handoffRateHint')}</p>
+              {metrics.handoffs.length === 0 ? (
+                <p className="text-sm text-gray-400">{t('analytics.noAssigned')}</p>
+              ) : (
+                <RateBars
+                  rows={metrics.handoffs.map(p => ({
+                    key: p.id,
+                    label: p.name || t('analytics.unknown'),
+                    rate: p.rate,
+                    detail: p.rejected
+                      ? t('analytics.handoffDetailRejected', { count: p.sent, total: p.worked, rejected: p.rejected })
+                      : t('analytics.handoffDetail', { count: p.sent, total: p.worked })
+                  }))}
+                  color="bg-purple-500"
+                  formatRate={percent}
+                />
+              )}
+            </div>
+
+            {/* Overdue Rates */}
+            <div className="bg-white rounded-lg shadow-sm p-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-1">{t('analytics.overdueRate')}</h2>
+              <p className="text-xs text-gray-500 mb-4">{t('analytics.overdueRateHint')}</p>
+              <RateBars
+                rows={metrics.overdue.byPriority.map(p => ({
+                  key: p.priority,
+                  label: t(`priority.${p.priority}`),
+                  rate: p.rate,
+                  detail: t('analytics.overdueDetail', { count: p.overdue, total: p.count })
+                }))}
+                color="bg-red-500"
+                formatRate={percent}
+              />
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const SummaryCard = ({ label, value }) => (
+  <div className="bg-white rounded-lg shadow-sm p-6">
+    <p className="text-sm font-medium text-gray-600">{label}</p>
+    <p className="text-2xl font-bold text-gray-900">{value}</p>
+  </div>
+);
+
+// Paired created/completed columns; counts are in each column's title and
+// the table beneath is for screen readers
+const ColumnChart = ({ data }) => {
+  const { t } = useI18n();
+  const max = Math.max(1, ...data.flatMap(d => [d.created, d.completed]));
+
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-40 border-b border-gray-200" aria-hidden="true">
+        {data.map(d => (
+          <div key={d.label} className="flex-1 flex items-end justify-center gap-px h-full">
+            <div
+              className="w-1/2 bg-blue-400 rounded-t"
+              style={{ height: `${(d.created / max) * 100}%` }}
+              title={t('analytics.createdIn', { label: d.label, count: d.created })}
+            />
+            <div
+              className="w-1/2 bg-green-500 rounded-t"
+              style={{ height: `${(d.completed / max) * 100}%` }}
+              title={t('analytics.completedIn', { label: d.label, count: d.completed })}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 mt-1" aria-hidden="true">
+        {data.map(d => (
+          <span key={d.label} className="flex-1 text-center text-[10px] text-gray-500 truncate">{d.label}</span>
+        ))}
+      </div>
+      <div className="flex gap-4 mt-2 text-xs text-gray-600" aria-hidden="true">
+        <span><span className="inline-block w-3 h-3 bg-blue-400 rounded-sm me-1 align-middle"></span>{t('analytics.created')}</span>
+        <span><span className="inline-block w-3 h-3 bg-green-500 rounded-sm me-1 align-middle"></span>{t('analytics.completed')}</span>
+      </div>
+      <table className="sr-only">
+        <thead>
+          <tr><th>{t('analytics.period')}</th><th>{t('analytics.created')}</th><th>{t('analytics.completed')}</th></tr>
+        </thead>
+        <tbody>
+          {data.map(d => (
+            <tr key={d.label}><td>{d.label}</td><td>{d.created}</td><td>{d.completed}</td></tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+const RateBars = ({ rows, color, formatRate }) => (
+  <ul className="space-y-2">
+    {rows.map(row => (
+      <li key={row.key} className="text-sm">
+        <div className="flex justify-between text-gray-700">
+          <span>{row.label}</span>
+          <span>{formatRate(row.rate)} <span className="text-xs text-gray-500">({row.detail})</span></span>
+        </div>
+        <div className="h-2 bg-gray-100 rounded">
+          <div className={`h-2 rounded ${color}`} style={{ width: `${Math.min(100, row.rate * 100)}%` }} />
+        </div>
+      </li>
+    ))}
+  </ul>
+);
+
+export default AnalyticsView;
@@ -0,0 +1,238 @@
+import { useState, useEffect, useContext, createContext, useCallback, useMemo } from 'react';
+import { createApiClient, API_BASE } from '../lib/api';
+import { isNetworkError, clearOfflineData } from '../lib/offlineStore';
+import { clearHistory } from '../lib/notifications';
+import { IDLE_LOCK_MINUTES, LOCK_SIGNAL_KEY, signalLock } from '../lib/idleLock';
+import { useIdleTimer } from '../hooks/useIdleTimer';
+import { INITIAL_ONBOARDING, storeOnboarding } from '../lib/onboarding';
+
+// The session itself is an httpOnly cookie set by the API routes. The
+// profile is kept for this tab only so the cached board still opens offline.
+const USER_KEY = 'shiftflow_user';
+// Survives a reload, so an offline lock cannot be undone by refreshing
+const LOCKED_KEY = 'shiftflow_locked';
+
+const getCachedUser = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(USER_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Authentication Context
+const AuthContext = createContext();
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [sessionExpired, setSessionExpired] = useState(false);
+  const [locked, setLocked] = useState(false);
+
+  const clearSession = useCallback(() => {
+    sessionStorage.removeItem(USER_KEY);
+    sessionStorage.removeItem(LOCKED_KEY);
+    setUser(null);
+    setLocked(false);
+  }, []);
+
+  // Signing out or expiring also wipes the cached board, the offline queue
+  // and the notification history, so the next person at a shared
+  // workstation sees none of it
+  const endSession = useCallback(() => {
+    const cachedUser = getCachedUser();
+    if (cachedUser) clearHistory(cachedUser.id);
+    clearOfflineData().catch(error => console.error('Error clearing offline data:', error));
+    clearSession();
+  }, [clearSession]);
+
+  // Any 401 mid-session signs the user out and asks them to sign in again
+  const api = useMemo(() => createApiClient({
+    onUnauthorized: () => {
+      endSession();
+      setSessionExpired(true);
+    }
+  }), [endSession]);
+
+  const startSession = (data) => {
+    sessionStorage.setItem(USER_KEY, JSON.stringify(data.user));
+    sessionStorage.removeItem(LOCKED_KEY);
+    setUser(data.user);
+    setLocked(false);
+    setSessionExpired(false);
+  };
+
+  // Merge fresh profile fields (a new PIN, a verified email) into the
+  // signed-in user and the cached copy
+  const updateUser = useCallback((changes) => {
+    setUser(prev => {
+      if (!prev) return prev;
+      const next = { ...prev, ...changes };
+      sessionStorage.setItem(USER_KEY, JSON.stringify(next));
+      return next;
+    });
+  }, []);
+
+  useEffect(() => {
+    // Tokens from before sessions moved server-side
+    localStorage.removeItem('shiftflow_token');
+    localStorage.removeItem('shiftflow_user');
+
+    // Ask the API routes who the cookie belongs to. Without a session this
+    // is a plain 401, not an expiry, so it skips the sign-out handler.
+    const cachedUser = getCachedUser();
+    api.get('/auth/me', { auth: false })
+      .then(data => {
+        const currentUser = data.user || data;
+        sessionStorage.setItem(USER_KEY, JSON.stringify(currentUser));
+        if (data.locked) sessionStorage.setItem(LOCKED_KEY, '1');
+        setUser(currentUser);
+        setLocked(Boolean(data.locked) || sessionStorage.getItem(LOCKED_KEY) === '1');
+      })
+      .catch(error => {
+        // Stay signed in while offline so the cached board is usable
+        if (isNetworkError(error) && cachedUser) {
+          setUser(cachedUser);
+          setLocked(sessionStorage.getItem(LOCKED_KEY) === '1');
+        } else if (error.status === 401) {
+          endSession();
+          if (cachedUser) setSessionExpired(true);
+        } else {
+          clearSession();
+        }
+      })
+      .finally(() => setLoading(false));
+  }, [api, clearSession, endSession]);
+
+  // Resolves to { mfa_required: true, remember_device_days } when the
+  // account has two-factor on; finish with verifyMfa()
+  const login = async (email, password) => {
+    const data = await api.post('/auth/login', { email, password }, { auth: false });
+    if (data.mfa_required) return data;
+    startSession(data);
+    return data;
+  };
+
+  // `code` is from the authenticator app or one of the recovery codes
+  const verifyMfa = async (code, rememberDevice) => {
+    const data = await api.post('/auth/mfa/verify', { code, remember_device: rememberDevice }, { auth: false, retries: 0 });
+    startSession(data);
+    return data;
+  };
+
+  const register = async (organizationData) => {
+    const data = await api.post('/auth/register-organization', organizationData, { auth: false });
+    // New facilities open on the setup wizard; stored before the session
+    // starts so the dashboard finds it on its first render
+    storeOnboarding(data.user.id, INITIAL_ONBOARDING);
+    startSession(data);
+    return data;
+  };
+
+  // Invited staff join an existing organization and are signed straight in
+  const acceptInvite = async (inviteToken, details) => {
+    const data = await api.post(`/invites/${encodeURIComponent(inviteToken)}/accept`, details, { auth: false });
+    startSession(data);
+    return data;
+  };
+
+  // Blank the app straight away; the API routes then park the token so
+  // nothing can use it until the PIN is entered
+  const lock = useCallback(async () => {
+    sessionStorage.setItem(LOCKED_KEY, '1');
+    setLocked(true);
+    signalLock();
+    try {
+      await api.post('/auth/lock', undefined, { auth: false, retries: 0 });
+    } catch (error) {
+      console.error('Error locking session:', error);
+    }
+  }, [api]);
+
+  // `credentials` is { pin } or, for users without a PIN yet, { password }.
+  // `newPin` sets a PIN for next time once the password has been accepted.
+  const unlock = async (credentials, newPin) => {
+    try {
+      await api.post('/auth/unlock', credentials, { auth: false, retries: 0 });
+    } catch (error) {
+      // The session itself is gone, not just a wrong PIN
+      if (error.status === 401) {
+        endSession();
+        // Signed out for too many wrong PINs; the lock screen says so
+        if (error.data?.attempts_left === 0) throw error;
+        setSessionExpired(true);
+        return;
+      }
+      throw error;
+    }
+
+    if (newPin) {
+      try {
+        await api.put('/auth/pin', { pin: newPin });
+        updateUser({ has_pin: true });
+      } catch (error) {
+        // Still unlocked; the lock screen offers the PIN again next time
+        console.error('Error saving PIN:', error);
+      }
+    }
+    sessionStorage.removeItem(LOCKED_KEY);
+    setLocked(false);
+  };
+
+  // A lock in another tab locks this one too
+  useEffect(() => {
+    const handleStorage = (e) => {
+      if (e.key === LOCK_SIGNAL_KEY && e.newValue) {
+        sessionStorage.setItem(LOCKED_KEY, '1');
+        setLocked(true);
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  useIdleTimer(user && !locked ? IDLE_LOCK_MINUTES * 60000 : 0, lock);
+
+  // The API routes revoke the token and clear the cookie. Also used to
+  // switch user from the lock screen without reloading the page.
+  const logout = async () => {
+    try {
+      await api.post('/auth/logout', undefined, { auth: false, retries: 0 });
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+    endSession();
+    setSessionExpired(false);
+  };
+
+  const value = {
+    user,
+    loading,
+    login,
+    verifyMfa,
+    register,
+    acceptInvite,
+    logout,
+    updateUser,
+    locked,
+    lock,
+    unlock,
+    api,
+    sessionExpired,
+    API_BASE
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within AuthProvider');
+  }
+  return context;
+};
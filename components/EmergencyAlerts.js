@@ -0,0 +1,240 @@
+import { useState, useEffect, useRef } from 'react';
+import { useAuth } from './AuthProvider';
+import { useNotifications } from './NotificationProvider';
+import { useI18n } from './I18nProvider';
+import { usePermissions } from './Permissions';
+import { useNow } from '../hooks/useNow';
+import { PERMISSIONS } from '../lib/permissions';
+import { isNetworkError } from '../lib/offlineStore';
+import {
+  isAlarmTask,
+  isAcknowledgedBy,
+  getEscalationMinutes,
+  getEscalationRemaining,
+  formatCountdown
+} from '../lib/escalation';
+
+const SOUND_PREFERENCE_KEY = 'shiftflow_alarm_sound';
+const ALARM_REPEAT_MS = 4000;
+
+// Two short tones; the AudioContext is created from a click or key press so
+// browsers allow it to play
+const playAlarm = (context) => {
+  [0, 0.4].forEach(offset => {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.frequency.value = 880;
+    gain.gain.value = 0.2;
+    oscillator.connect(gain);
+    gain.connect(context.destination);
+    oscillator.start(context.currentTime + offset);
+    oscillator.stop(context.currentTime + offset + 0.25);
+  });
+};
+
+// Emergency Alerts
+// Persistent banner for unacknowledged emergency/urgent tasks with optional
+// sound and desktop notifications, counting down to each escalation.
+// `onUpdateTask(taskId, update)` applies `update` to the task on the board.
+const EmergencyAlerts = ({ tasks, units, onUpdateTask }) => {
+  const { user, api } = useAuth();
+  const { can } = usePermissions();
+  const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const now = useNow(1000);
+  const [soundEnabled, setSoundEnabled] = useState(false);
+  const [audioReady, setAudioReady] = useState(false);
+  const [desktopPermission, setDesktopPermission] = useState('unsupported');
+  const audioContextRef = useRef(null);
+  const notifiedRef = useRef(new Set());
+
+  const receivesEscalations = can(PERMISSIONS.RECEIVE_ESCALATIONS);
+
+  const alarms = tasks.filter(task => {
+    if (isAlarmTask(task) && !isAcknowledgedBy(task, user?.id)) return true;
+    // Charge nurses see escalations even if they acknowledged the task earlier
+    return receivesEscalations &&
+      task.escalated_at &&
+      task.status === 'todo' &&
+      !(task.escalation_acknowledged_by || []).some(id => String(id) === String(user?.id));
+  });
+
+  useEffect(() => {
+    setSoundEnabled(localStorage.getItem(SOUND_PREFERENCE_KEY) === 'on');
+    if (typeof Notification !== 'undefined') {
+      setDesktopPermission(Notification.permission);
+    }
+  }, []);
+
+  // Desktop notification the first time each alarm appears
+  useEffect(() => {
+    alarms.forEach(task => {
+      const key = `${task.id}:${task.escalated_at ? 'escalated' : 'new'}`;
+      if (notifiedRef.current.has(key)) return;
+      notifiedRef.current.add(key);
+
+      if (desktopPermission === 'granted') {
+        const title = task.escalated_at ? t('alarm.desktopEscalated') : t(`alarm.desktop.${task.priority}`);
+        new Notification(title, {
+          body: task.room_number ? t('alarm.taskInRoom', { title: task.title, room: task.room_number }) : task.title,
+          tag: key,
+          requireInteraction: true
+        });
+      }
+    });
+  }, [alarms, desktopPermission, t]);
+
+  // Create or wake the AudioContext; only works during a user gesture.
+  // Returns whether audio can play.
+  const startAudio = () => {
+    if (!audioContextRef.current) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return false;
+      audioContextRef.current = new AudioContextClass();
+    }
+    if (audioContextRef.current.state === 'suspended') {
+      audioContextRef.current.resume().catch(() => {});
+    }
+    return true;
+  };
+
+  // Sound left on from an earlier visit starts with the first click or key
+  // press, since browsers block audio until then
+  useEffect(() => {
+    if (!soundEnabled || audioReady) return;
+    const unlock = () => {
+      if (startAudio()) setAudioReady(true);
+    };
+    window.addEventListener('pointerdown', unlock);
+    window.addEventListener('keydown', unlock);
+    return () => {
+      window.removeEventListener('pointerdown', unlock);
+      window.removeEventListener('keydown', unlock);
+    };
+  }, [soundEnabled, audioReady]);
+
+  // Repeat the audible alarm while anything is unacknowledged
+  const hasAlarms = alarms.length > 0;
+  useEffect(() => {
+    if (!soundEnabled || !hasAlarms || !audioReady) return;
+    playAlarm(audioContextRef.current);
+    const timer = setInterval(() => playAlarm(audioContextRef.current), ALARM_REPEAT_MS);
+    return () => clearInterval(timer);
+  }, [soundEnabled, hasAlarms, audioReady]);
+
+  const toggleSound = () => {
+    const enabled = !soundEnabled;
+    if (enabled && startAudio()) setAudioReady(true);
+    localStorage.setItem(SOUND_PREFERENCE_KEY, enabled ? 'on' : 'off');
+    setSoundEnabled(enabled);
+  };
+
+  // Record that the current user has seen the alarm, showing it straight away
+  const acknowledge = async (task) => {
+    const escalation = Boolean(task.escalated_at) && receivesEscalations;
+    onUpdateTask(task.id, (current) => ({
+      ...current,
+      acknowledged_by: [...(current.acknowledged_by || []), user?.id],
+      escalation_acknowledged_by: escalation
+        ? [...(current.escalation_acknowledged_by || []), user?.id]
+        : current.escalation_acknowledged_by
+    }));
+
+    try {
+      const updatedTask = await api.post(`/tasks/${task.id}/acknowledge`, { escalation });
+      onUpdateTask(task.id, () => updatedTask);
+    } catch (error) {
+      // Keep the local acknowledgement offline; anything else brings the alarm back
+      if (!isNetworkError(error)) {
+        onUpdateTask(task.id, () => task);
+        addNotification(formatError(error, 'notify.acknowledgeFailed'), 'error');
+      }
+    }
+  };
+
+  const enableDesktopAlerts = async () => {
+    const permission = await Notification.requestPermission();
+    setDesktopPermission(permission);
+  };
+
+  if (!hasAlarms) return null;
+
+  return (
+    <div className="bg-red-600 text-white px-4 sm:px-6 lg:px-8 py-3 space-y-2">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        {/* Only the count is announced; the countdowns below tick every second */}
+        <p role="alert" className="font-semibold">
+          🚨 {t('alarm.count', { count: alarms.length })}
+        </p>
+        <div className="flex items-center gap-3 text-sm">
+          <button onClick={toggleSound} className="underline hover:no-underline" aria-pressed={soundEnabled}>
+            {soundEnabled ? t('alarm.mute') : t('alarm.unmute')}
+          </button>
+          {soundEnabled && !audioReady && (
+            <span className="text-red-100">{t('alarm.soundPending')}</span>
+          )}
+          {desktopPermission === 'default' && (
+            <button onClick={enableDesktopAlerts} className="underline hover:no-underline">
+              {t('alarm.enableDesktop')}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <ul className="space-y-1">
+        {alarms.map(task => {
+          const remaining = getEscalationRemaining(task, units, now);
+          return (
+            <li key={task.id} className="flex flex-wrap items-center justify-between gap-2 bg-red-700 rounded px-3 py-2 text-sm">
+              <span>
+                <span className="font-bold uppercase me-2">
+                  {task.escalated_at ? t('alarm.escalated') : t(`priority.${task.priority}`)}
+                </span>
+                {task.room_number ? t('alarm.taskInRoom', { title: task.title, room: task.room_number }) : task.title}
+                {remaining !== null && (
+                  <span className="ms-2 font-mono" aria-live="off">
+                    {t('alarm.escalatesIn', { time: formatCountdown(remaining) })}
+                  </span>
+                )}
+              </span>
+              <button
+                onClick={() => acknowledge(task)}
+                className="bg-white text-red-700 font-medium px-3 py-1 rounded hover:bg-red-50"
+              >
+                {t('alarm.acknowledge')}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+// Countdown shown on an emergency card until it is started or escalated
+export const EscalationCountdown = ({ task, units }) => {
+  const now = useNow(1000);
+  const { t, formatDuration } = useI18n();
+  const remaining = getEscalationRemaining(task, units, now);
+
+  if (task.escalated_at && task.status === 'todo') {
+    return (
+      <p className="text-xs font-semibold text-red-700 mb-2">
+        ⚠ {t('alarm.escalatedToCharge')}
+      </p>
+    );
+  }
+
+  if (remaining === null) return null;
+
+  return (
+    <p className={`text-xs font-mono mb-2 ${remaining < 60000 ? 'text-red-700 font-bold' : 'text-red-600'}`}>
+      {t('alarm.startWithin', {
+        time: formatCountdown(remaining),
+        limit: formatDuration(getEscalationMinutes(task, units) * 60 * 1000)
+      })}
+    </p>
+  );
+};
+
+export default EmergencyAlerts;
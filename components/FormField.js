@@ -0,0 +1,35 @@
+import { useI18n } from './I18nProvider';
+
+const INPUT_CLASS = 'w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Input classes with a red border while the field has an error
+export const getInputClass = (error) => `${INPUT_CLASS} ${error ? 'border-red-500' : 'border-gray-300'}`;
+
+// Error text for a validation error from lib/validation.js
+const useErrorMessage = () => {
+  const { t } = useI18n();
+  return (error) => error && (error.message || t(error.key, error.values));
+};
+
+// Form Field
+// Label, input and the field's inline error. The input comes from
+// useForm's getFieldProps so its id and aria-describedby line up.
+const FormField = ({ id, label, error, className, children }) => {
+  const errorMessage = useErrorMessage();
+
+  return (
+    <div className={className}>
+      <label htmlFor={id} className="block text-sm font-medium text-gray-700 mb-1">
+        {label}
+      </label>
+      {children}
+      {error && (
+        <p id={`${id}-error`} className="mt-1 text-sm text-red-600">
+          {errorMessage(error)}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default FormField;
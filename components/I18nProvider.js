@@ -0,0 +1,98 @@
+import { useState, useEffect, useContext, createContext, useCallback, useMemo } from 'react';
+import { useAuth } from './AuthProvider';
+import {
+  DEFAULT_LOCALE,
+  LOCALES,
+  getDirection,
+  resolveLocale,
+  translate,
+  formatDateTime,
+  formatTime,
+  formatDuration,
+  loadLocale,
+  storeLocale
+} from '../lib/i18n';
+
+// I18n Context
+const I18nContext = createContext();
+
+// The profile locale wins so a choice follows the user between devices, then
+// the choice saved on this device, then the browser language
+const pickLocale = (userId, profileLocale) =>
+  resolveLocale(profileLocale) ||
+  loadLocale(userId) ||
+  resolveLocale(typeof navigator !== 'undefined' ? navigator.language : null) ||
+  DEFAULT_LOCALE;
+
+export const I18nProvider = ({ children }) => {
+  const { user, api, updateUser } = useAuth();
+  const [locale, setLocaleState] = useState(DEFAULT_LOCALE);
+  const userId = user?.id;
+  const profileLocale = user?.locale;
+
+  useEffect(() => {
+    setLocaleState(pickLocale(userId, profileLocale));
+  }, [userId, profileLocale]);
+
+  const dir = getDirection(locale);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = dir;
+  }, [locale, dir]);
+
+  const setLocale = useCallback((next) => {
+    const resolved = resolveLocale(next) || DEFAULT_LOCALE;
+    storeLocale(userId, resolved);
+    setLocaleState(resolved);
+
+    if (userId && resolved !== profileLocale) {
+      updateUser({ locale: resolved });
+      api.put('/auth/locale', { locale: resolved })
+        .catch(error => console.error('Error saving language:', error));
+    }
+  }, [userId, profileLocale, api, updateUser]);
+
+  const value = useMemo(() => ({
+    locale,
+    dir,
+    setLocale,
+    t: (key, params) => translate(locale, key, params),
+    // Text for a caught error: its catalog key if the client worded it, the
+    // server's message otherwise, then `fallbackKey`
+    formatError: (error, fallbackKey) => error?.key
+      ? translate(locale, error.key, error.values)
+      : error?.message || (fallbackKey ? translate(locale, fallbackKey) : ''),
+    formatDateTime: (value, options) => formatDateTime(locale, value, options),
+    formatTime: (value) => formatTime(locale, value),
+    formatDuration: (ms) => formatDuration(locale, ms)
+  }), [locale, dir, setLocale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error('useI18n must be used within I18nProvider');
+  }
+  return context;
+};
+
+// Language Switcher Component
+export const LanguageSwitcher = ({ className = '' }) => {
+  const { locale, setLocale, t } = useI18n();
+
+  return (
+    <select
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      aria-label={t('language.label')}
+      className={`text-sm border border-gray-300 rounded-lg px-2 py-1 bg-white ${className}`}
+    >
+      {LOCALES.map(option => (
+        <option key={option.code} value={option.code} lang={option.code}>{option.label}</option>
+      ))}
+    </select>
+  );
+};
@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import { useAuth } from './AuthProvider';
+import { useNotifications } from './NotificationProvider';
+import { useI18n, LanguageSwitcher } from './I18nProvider';
+import { PIN_PATTERN } from '../lib/idleLock';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Lock Screen
+// Replaces the whole app while locked so nothing from the board stays on
+// screen. The same user unlocks with their PIN (or password until they set
+// one); anyone else uses Switch User.
+const LockScreen = () => {
+  const { user, unlock, logout } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const hasPin = Boolean(user?.has_pin);
+  const [secret, setSecret] = useState('');
+  const [newPin, setNewPin] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!secret || submitting) return;
+    if (newPin && !PIN_PATTERN.test(newPin)) {
+      setError(t('lock.pinInvalid'));
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await unlock(hasPin ? { pin: secret } : { password: secret }, newPin || undefined);
+    } catch (err) {
+      setSecret('');
+      setSubmitting(false);
+      // The unlock route counts wrong entries and signs out at the limit
+      if (err.status === 401) {
+        addNotification(t('lock.tooMany'), 'error');
+        return;
+      }
+      const left = err.data?.attempts_left;
+      setError(left === undefined ? formatError(err) : t('lock.failed', { count: left }));
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-800 flex items-center justify-center p-4">
+      <main className="bg-white rounded-lg shadow-xl p-8 w-full max-w-sm">
+        <div className="flex justify-end mb-4">
+          <LanguageSwitcher />
+        </div>
+
+        <div className="text-center mb-6">
+          <p className="text-4xl mb-2" aria-hidden="true">🔒</p>
+          <h1 className="text-2xl font-bold text-gray-900">{t('lock.title')}</h1>
+          <p className="text-gray-600">{t('lock.signedInAs', { name: user?.name })}</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="unlock-secret" className="block text-sm font-medium text-gray-700 mb-1">
+              {hasPin ? t('lock.pin') : t('lock.password')}
+            </label>
+            <input
+              id="unlock-secret"
+              type="password"
+              inputMode={hasPin ? 'numeric' : undefined}
+              autoComplete={hasPin ? 'off' : 'current-password'}
+              autoFocus
+              required
+              value={secret}
+              onChange={(e) => {
+                setSecret(e.target.value);
+                setError('');
+              }}
+              aria-describedby={error ? 'unlock-error' : undefined}
+              aria-invalid={Boolean(error)}
+              className={inputClass}
+            />
+          </div>
+
+          {!hasPin && (
+            <div>
+              <label htmlFor="unlock-new-pin" className="block text-sm font-medium text-gray-700 mb-1">
+                {t('lock.newPin')}
+              </label>
+              <input
+                id="unlock-new-pin"
+                type="password"
+                inputMode="numeric"
+                autoComplete="off"
+                maxLength={6}
+                value={newPin}
+                onChange={(e) => {
+                  setNewPin(e.target.value.replace(/\D/g, ''));
+                  setError('');
+                }}
+                className={inputClass}
+              />
+            </div>
+          )}
+
+          {error && (
+            <p id="unlock-error" role="alert" className="text-sm text-red-700">{error}</p>
+          )}
+
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+          >
+            {submitting ? t('lock.unlocking') : t('lock.unlock')}
+          </button>
+        </form>
+
+        <div className="mt-6 text-center">
+          <button onClick={logout} className="text-blue-600 hover:text-blue-800 text-sm">
+            {t('lock.switchUser')}
+          </button>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default LockScreen;
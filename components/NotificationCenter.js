@@ -0,0 +1,183 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNotifications } from './NotificationProvider';
+import { useI18n } from './I18nProvider';
+import { NOTIFICATION_CATEGORIES } from '../lib/notifications';
+
+const CATEGORY_ICONS = {
+  assignment: '📋',
+  handoff: '🤝',
+  escalation: '🚨',
+  system: '⚠️'
+};
+
+// Notification Center
+// Bell menu in the header with the stored history, read state, entry
+// actions and per-category preferences
+const NotificationCenter = () => {
+  const {
+    history,
+    unreadCount,
+    markRead,
+    markAllRead,
+    clearHistory,
+    preferences,
+    setPreference,
+    runAction
+  } = useNotifications();
+  const { t, formatDateTime } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close on outside click or Escape
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    const handleKey = (e) => {
+      if (e.key === 'Escape') setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    document.addEventListener('keydown', handleKey);
+    return () => {
+      document.removeEventListener('mousedown', handleClick);
+      document.removeEventListener('keydown', handleKey);
+    };
+  }, [open]);
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        aria-label={unreadCount ? t('notifications.unreadLabel', { count: unreadCount }) : t('notifications.title')}
+        className="relative p-2 text-gray-500 hover:text-gray-700 rounded-full"
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -end-0.5 min-w-[1.25rem] h-5 px-1 bg-red-600 text-white text-xs rounded-full flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute end-0 mt-2 w-96 bg-white rounded-lg shadow-lg border border-gray-200 z-40">
+          <div className="flex items-center justify-between px-4 py-3 border-b">
+            <h2 className="font-semibold text-gray-900">{t('notifications.title')}</h2>
+            <div className="flex gap-3 text-xs">
+              {unreadCount > 0 && (
+                <button onClick={markAllRead} className="text-blue-600 hover:text-blue-800">
+                  {t('notifications.markAllRead')}
+                </button>
+              )}
+              <button onClick={() => setShowSettings(!showSettings)} className="text-gray-600 hover:text-gray-800">
+                {showSettings ? t('notifications.back') : t('notifications.settings')}
+              </button>
+            </div>
+          </div>
+
+          {showSettings ? (
+            <NotificationSettings preferences={preferences} onChange={setPreference} />
+          ) : history.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-gray-400">{t('notifications.empty')}</p>
+          ) : (
+            <>
+              <ul className="max-h-96 overflow-y-auto divide-y">
+                {history.map(entry => (
+                  <li
+                    key={entry.id}
+                    className={`px-4 py-3 text-sm ${entry.read ? 'bg-white' : 'bg-blue-50'}`}
+                  >
+                    <div className="flex items-start gap-2">
+                      <span aria-hidden="true">{CATEGORY_ICONS[entry.category] || '🔔'}</span>
+                      <div className="flex-1">
+                        <p className={entry.read ? 'text-gray-700' : 'text-gray-900 font-medium'}>
+                          {!entry.read && <span className="sr-only">{t('notifications.unread')} </span>}
+                          {entry.message}
+                        </p>
+                        <p className="text-xs text-gray-500">{formatDateTime(entry.created_at)}</p>
+                        {entry.actions?.length > 0 && (
+                          <div className="mt-1 flex gap-3 text-xs">
+                            {entry.actions.map(action => (
+                              <button
+                                key={action.type}
+                                onClick={() => {
+                                  runAction(entry, action);
+                                  setOpen(false);
+                                }}
+                                className="text-blue-600 hover:text-blue-800 font-medium"
+                              >
+                                {action.label}
+                              </button>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                      {!entry.read && (
+                        <button
+                          onClick={() => markRead(entry.id)}
+                          className="text-xs text-gray-500 hover:text-gray-700"
+                        >
+                          {t('notifications.markRead')}
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+              <div className="px-4 py-2 border-t text-end">
+                <button onClick={clearHistory} className="text-xs text-gray-500 hover:text-gray-700">
+                  {t('notifications.clearHistory')}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const NotificationSettings = ({ preferences, onChange }) => {
+  const { t } = useI18n();
+
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-start text-gray-500 border-b">
+          <th className="px-4 py-2">{t('notifications.type')}</th>
+          <th className="px-4 py-2 text-center">{t('notifications.popup')}</th>
+          <th className="px-4 py-2 text-center">{t('notifications.keep')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {NOTIFICATION_CATEGORIES.map(category => (
+          <tr key={category.value} className="border-b last:border-0">
+            <td className="px-4 py-2">{t(category.label)}</td>
+            <td className="px-4 py-2 text-center">
+              <input
+                type="checkbox"
+                checked={preferences[category.value].toast}
+                onChange={(e) => onChange(category.value, { toast: e.target.checked })}
+                aria-label={t('notifications.popupFor', { category: t(category.label) })}
+              />
+            </td>
+            <td className="px-4 py-2 text-center">
+              <input
+                type="checkbox"
+                checked={preferences[category.value].history}
+                onChange={(e) => onChange(category.value, { history: e.target.checked })}
+                aria-label={t('notifications.keepFor', { category: t(category.label) })}
+              />
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default NotificationCenter;
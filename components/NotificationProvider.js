@@ -0,0 +1,221 @@
+import { useState, useContext, createContext, useCallback, useEffect, useRef } from 'react';
+import { useAuth } from './AuthProvider';
+import { useI18n } from './I18nProvider';
+import {
+  DEFAULT_PREFERENCES,
+  MAX_HISTORY,
+  loadHistory,
+  storeHistory,
+  loadPreferences,
+  storePreferences
+} from '../lib/notifications';
+
+// How long a toast stays up while the pointer is elsewhere
+const TOAST_DURATION = 5000;
+// Older toasts are dropped once this many are showing
+const MAX_TOASTS = 3;
+
+// Notification Context
+const NotificationContext = createContext();
+
+// Toasts for immediate feedback, plus a per-user history of the categorized
+// ones (assignments, handoffs, escalations, system errors) for the bell menu.
+// `options.actions` are plain data such as { type: 'open_task', taskId } so
+// they survive a reload; the dashboard registers what each type does.
+export const NotificationProvider = ({ children }) => {
+  const { user, locked } = useAuth();
+  const [notifications, setNotifications] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
+  const nextIdRef = useRef(0);
+  const actionHandlersRef = useRef({});
+  // Read through a ref so addNotification keeps one identity for callers'
+  // effect dependencies
+  const preferencesRef = useRef(preferences);
+  preferencesRef.current = preferences;
+
+  const userId = user?.id;
+
+  useEffect(() => {
+    if (!userId) {
+      setHistory([]);
+      setPreferences(DEFAULT_PREFERENCES);
+      return;
+    }
+    setHistory(loadHistory(userId));
+    setPreferences(loadPreferences(userId));
+  }, [userId]);
+
+  // Toasts can name patients and rooms, so none outlive a lock
+  useEffect(() => {
+    if (locked) setNotifications([]);
+  }, [locked]);
+
+  const updateHistory = useCallback((update) => {
+    setHistory(prev => {
+      const next = update(prev).slice(0, MAX_HISTORY);
+      if (userId) storeHistory(userId, next);
+      return next;
+    });
+  }, [userId]);
+
+  const addNotification = useCallback((message, type = 'info', options = {}) => {
+    // A counter keeps ids unique when several arrive in the same millisecond
+    const id = `${Date.now()}-${nextIdRef.current++}`;
+    const { category, taskId, actions = [] } = options;
+    const notification = { id, message, type, category, taskId, actions, created_at: new Date().toISOString() };
+    const prefs = category ? preferencesRef.current[category] || DEFAULT_PREFERENCES[category] : null;
+
+    if (prefs?.history) {
+      updateHistory(prev => [{ ...notification, read: false }, ...prev]);
+    }
+
+    if (!prefs || prefs.toast) {
+      setNotifications(prev => [...prev, notification].slice(-MAX_TOASTS));
+    }
+  }, [updateHistory]);
+
+  const removeNotification = useCallback((id) => {
+    setNotifications(prev => prev.filter(n => n.id !== id));
+  }, []);
+
+  const markRead = useCallback((id) => {
+    updateHistory(prev => prev.map(n => n.id === id ? { ...n, read: true } : n));
+  }, [updateHistory]);
+
+  const markAllRead = useCallback(() => {
+    updateHistory(prev => prev.map(n => n.read ? n : { ...n, read: true }));
+  }, [updateHistory]);
+
+  const clearHistory = useCallback(() => {
+    updateHistory(() => []);
+  }, [updateHistory]);
+
+  const setPreference = useCallback((category, changes) => {
+    setPreferences(prev => {
+      const next = { ...prev, [category]: { ...prev[category], ...changes } };
+      if (userId) storePreferences(userId, next);
+      return next;
+    });
+  }, [userId]);
+
+  const setActionHandlers = useCallback((handlers) => {
+    actionHandlersRef.current = handlers;
+  }, []);
+
+  // Run an entry's action, marking it read and closing its toast
+  const runAction = useCallback((notification, action) => {
+    const handler = actionHandlersRef.current[action.type];
+    if (handler) handler(action);
+    markRead(notification.id);
+    removeNotification(notification.id);
+  }, [markRead, removeNotification]);
+
+  return (
+    <NotificationContext.Provider
+      value={{
+        addNotification,
+        removeNotification,
+        history,
+        unreadCount: history.filter(n => !n.read).length,
+        markRead,
+        markAllRead,
+        clearHistory,
+        preferences,
+        setPreference,
+        setActionHandlers,
+        runAction
+      }}
+    >
+      {children}
+      <NotificationPanel notifications={notifications} onRemove={removeNotification} onAction={runAction} />
+    </NotificationContext.Provider>
+  );
+};
+
+export const useNotifications = () => {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within NotificationProvider');
+  }
+  return context;
+};
+
+const NOTIFICATION_STYLES = {
+  error: 'bg-red-50 border-red-500 text-red-800',
+  success: 'bg-green-50 border-green-500 text-green-800',
+  info: 'bg-blue-50 border-blue-500 text-blue-800'
+};
+
+// Notification Panel Component
+// Always rendered so screen readers are already watching the live region
+// when the first toast arrives; errors interrupt as alerts
+const NotificationPanel = ({ notifications, onRemove, onAction }) => {
+  const { t } = useI18n();
+  return (
+    <div
+      aria-live="polite"
+      aria-relevant="additions"
+      aria-label={t('notifications.title')}
+      role="region"
+      className="fixed top-4 end-4 z-50 space-y-2"
+    >
+      {notifications.map(notification => (
+        <Toast key={notification.id} notification={notification} onRemove={onRemove} onAction={onAction} />
+      ))}
+    </div>
+  );
+};
+
+// Hovering or focusing a toast pauses its timer; the remaining time
+// resumes when the pointer or focus leaves
+const Toast = ({ notification, onRemove, onAction }) => {
+  const { t } = useI18n();
+  const [paused, setPaused] = useState(false);
+  const remainingRef = useRef(TOAST_DURATION);
+
+  useEffect(() => {
+    if (paused) return;
+    const started = Date.now();
+    const timer = setTimeout(() => onRemove(notification.id), remainingRef.current);
+    return () => {
+      clearTimeout(timer);
+      remainingRef.current -= Date.now() - started;
+    };
+  }, [paused, notification.id, onRemove]);
+
+  return (
+    <div
+      role={notification.type === 'error' ? 'alert' : 'status'}
+      onMouseEnter={() => setPaused(true)}
+      onMouseLeave={() => setPaused(false)}
+      onFocus={() => setPaused(true)}
+      onBlur={() => setPaused(false)}
+      className={`max-w-sm p-4 rounded-lg shadow-lg border-s-4 ${NOTIFICATION_STYLES[notification.type] || NOTIFICATION_STYLES.info}`}
+    >
+      <div className="flex items-center justify-between">
+        <p className="text-sm font-medium">{notification.message}</p>
+        <button
+          onClick={() => onRemove(notification.id)}
+          className="ms-2 text-gray-400 hover:text-gray-600"
+          aria-label={t('notifications.dismiss')}
+        >
+          ×
+        </button>
+      </div>
+      {notification.actions.length > 0 && (
+        <div className="mt-2 flex gap-3 text-xs">
+          {notification.actions.map(action => (
+            <button
+              key={action.type}
+              onClick={() => onAction(notification, action)}
+              className="font-semibold underline hover:no-underline"
+            >
+              {action.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,477 @@
+import { useState } from 'react';
+import { useAuth } from './AuthProvider';
+import { useNotifications } from './NotificationProvider';
+import { useI18n } from './I18nProvider';
+import { ROLES } from '../lib/permissions';
+import { expandRoomPattern, MAX_PATTERN_ROOMS } from '../lib/templates';
+import { validateShifts } from '../lib/shifts';
+import {
+  ONBOARDING_STEPS,
+  STEP_STATUS,
+  SHIFT_PRESETS,
+  STARTER_TEMPLATES,
+  getRemainingSteps,
+  parseEmailList,
+  isValidEmail
+} from '../lib/onboarding';
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Back, Skip and Save & Continue, shared by every step's form
+const StepActions = ({ saving, onBack, onSkip }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="flex items-center justify-between pt-4 mt-6 border-t border-gray-200">
+      <div>
+        {onBack && (
+          <button type="button" onClick={onBack} className="text-gray-600 hover:text-gray-800 text-sm">
+            {t('onboarding.back')}
+          </button>
+        )}
+      </div>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={onSkip}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+        >
+          {t('onboarding.skip')}
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+        >
+          {saving ? t('onboarding.saving') : t('onboarding.saveContinue')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Units and rooms, with ranges such as "201-230" for the rooms
+const UnitsStep = ({ draft, onDraftChange, units, saveUnits, onComplete, actions }) => {
+  const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const [saving, setSaving] = useState(false);
+
+  const updateRow = (index, changes) => {
+    onDraftChange(draft.map((row, i) => i === index ? { ...row, ...changes } : row));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const rows = draft.filter(row => row.name.trim() || row.roomsText.trim());
+    if (rows.length === 0) {
+      addNotification(t('onboarding.units.empty'), 'error');
+      return;
+    }
+
+    const entered = [];
+    for (const row of rows) {
+      const rooms = expandRoomPattern(row.roomsText);
+      if (!row.name.trim()) {
+        addNotification(t('onboarding.units.missingName'), 'error');
+        return;
+      }
+      if (!rooms || rooms.length === 0) {
+        addNotification(t('onboarding.units.badRooms', { unit: row.name.trim(), max: MAX_PATTERN_ROOMS }), 'error');
+        return;
+      }
+      entered.push({ name: row.name.trim(), rooms });
+    }
+
+    // Units set up elsewhere are kept; ones entered again here are updated
+    const names = entered.map(unit => unit.name.toLowerCase());
+    const next = [
+      ...units.filter(unit => !names.includes(unit.name.toLowerCase())),
+      ...entered.map(unit => {
+        const existing = units.find(u => u.name.toLowerCase() === unit.name.toLowerCase());
+        return { ...existing, ...unit, columns: existing?.columns || 6 };
+      })
+    ];
+
+    setSaving(true);
+    try {
+      await saveUnits(next);
+      onComplete();
+    } catch (error) {
+      addNotification(formatError(error), 'error');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <p className="text-sm text-gray-600 mb-4">{t('onboarding.units.intro', { max: MAX_PATTERN_ROOMS })}</p>
+      <div className="space-y-3">
+        {draft.map((row, index) => {
+          const rooms = row.roomsText.trim() ? expandRoomPattern(row.roomsText) : [];
+          return (
+            <div key={index} className="flex flex-col md:flex-row md:items-center gap-3">
+              <input
+                type="text"
+                value={row.name}
+                onChange={(e) => updateRow(index, { name: e.target.value })}
+                className={`md:w-48 ${inputClass}`}
+                placeholder="2 West"
+                aria-label={t('onboarding.units.name')}
+              />
+              <input
+                type="text"
+                value={row.roomsText}
+                onChange={(e) => updateRow(index, { roomsText: e.target.value })}
+                className={`flex-1 ${inputClass}`}
+                placeholder="201-230"
+                aria-label={t('onboarding.units.rooms', { unit: row.name || t('onboarding.units.name') })}
+              />
+              <span className={`text-xs w-24 ${rooms ? 'text-gray-500' : 'text-red-600'}`} aria-live="polite">
+                {rooms ? t('onboarding.units.roomCount', { count: rooms.length }) : t('onboarding.units.unreadable')}
+              </span>
+              <button
+                type="button"
+                onClick={() => onDraftChange(draft.filter((_, i) => i !== index))}
+                disabled={draft.length === 1}
+                className="text-red-600 hover:text-red-800 text-sm disabled:opacity-40"
+              >
+                {t('onboarding.remove')}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+      <button
+        type="button"
+        onClick={() => onDraftChange([...draft, { name: '', roomsText: '' }])}
+        className="mt-3 text-blue-600 hover:text-blue-800 text-sm"
+      >
+        {t('onboarding.units.add')}
+      </button>
+
+      <StepActions saving={saving} {...actions} />
+    </form>
+  );
+};
+
+// Shift pattern from a preset, with editable names and times
+const ShiftsStep = ({ draft, onDraftChange, saveShifts, onComplete, actions }) => {
+  const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const [saving, setSaving] = useState(false);
+
+  const updateShift = (index, changes) => {
+    onDraftChange(draft.map((shift, i) => i === index ? { ...shift, ...changes } : shift));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const error = validateShifts(draft);
+    if (error) {
+      addNotification(t(error.key, error.values), 'error');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await saveShifts(draft.map(shift => ({ ...shift, name: shift.name.trim() })));
+      onComplete();
+    } catch (error) {
+      addNotification(formatError(error), 'error');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <p className="text-sm text-gray-600 mb-4">{t('onboarding.shifts.intro')}</p>
+      <div className="flex gap-2 mb-4" role="group" aria-label={t('onboarding.shifts.presets')}>
+        {Object.keys(SHIFT_PRESETS).map(preset => (
+          <button
+            key={preset}
+            type="button"
+            onClick={() => onDraftChange(SHIFT_PRESETS[preset])}
+            className="px-3 py-1.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+          >
+            {t(`onboarding.shifts.preset.${preset}`)}
+          </button>
+        ))}
+      </div>
+      <div className="space-y-3">
+        {draft.map((shift, index) => (
+          <div key={shift.id} className="flex flex-col md:flex-row md:items-center gap-3">
+            <input
+              type="text"
+              value={shift.name}
+              onChange={(e) => updateShift(index, { name: e.target.value })}
+              className={`flex-1 ${inputClass}`}
+              aria-label={t('onboarding.shifts.name')}
+            />
+            <input
+              type="time"
+              value={shift.start}
+              onChange={(e) => updateShift(index, { start: e.target.value })}
+              className={inputClass}
+              aria-label={t('onboarding.shifts.start', { shift: shift.name })}
+            />
+            <span className="text-gray-400">–</span>
+            <input
+              type="time"
+              value={shift.end}
+              onChange={(e) => updateShift(index, { end: e.target.value })}
+              className={inputClass}
+              aria-label={t('onboarding.shifts.end', { shift: shift.name })}
+            />
+          </div>
+        ))}
+      </div>
+
+      <StepActions saving={saving} {...actions} />
+    </form>
+  );
+};
+
+// Starter templates the facility can edit later in the template library
+const TemplatesStep = ({ draft, created, onDraftChange, onCreated, onComplete, actions }) => {
+  const { api } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const [saving, setSaving] = useState(false);
+
+  const toggle = (id) => {
+    onDraftChange(draft.includes(id) ? draft.filter(x => x !== id) : [...draft, id]);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      for (const template of STARTER_TEMPLATES) {
+        if (!draft.includes(template.id) || created.includes(template.id)) continue;
+        const { id, ...fields } = template;
+        await api.post('/templates', { ...fields, room_pattern: '' });
+        onCreated(id);
+      }
+      onComplete();
+    } catch (error) {
+      addNotification(formatError(error), 'error');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <p className="text-sm text-gray-600 mb-4">{t('onboarding.templates.intro')}</p>
+      <ul className="space-y-2">
+        {STARTER_TEMPLATES.map(template => (
+          <li key={template.id}>
+            <label className="flex items-start gap-3 p-3 border border-gray-200 rounded-lg hover:bg-gray-50">
+              <input
+                type="checkbox"
+                className="mt-1"
+                checked={draft.includes(template.id)}
+                disabled={created.includes(template.id)}
+                onChange={() => toggle(template.id)}
+              />
+              <span>
+                <span className="block font-medium text-gray-900">
+                  {template.title}
+                  {created.includes(template.id) && (
+                    <span className="ms-2 text-xs text-green-700">{t('onboarding.templates.added')}</span>
+                  )}
+                </span>
+                <span className="block text-sm text-gray-500">
+                  {template.description} · {t(`priority.${template.priority}`)}
+                </span>
+              </span>
+            </label>
+          </li>
+        ))}
+      </ul>
+
+      <StepActions saving={saving} {...actions} />
+    </form>
+  );
+};
+
+// First staff invitations; addresses that fail stay in the box to retry
+const StaffStep = ({ draft, onDraftChange, onComplete, actions }) => {
+  const { api } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const [saving, setSaving] = useState(false);
+  const emails = parseEmailList(draft.emails);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (emails.length === 0) {
+      addNotification(t('onboarding.staff.empty'), 'error');
+      return;
+    }
+    const invalid = emails.filter(email => !isValidEmail(email));
+    if (invalid.length > 0) {
+      addNotification(t('onboarding.staff.invalid', { emails: invalid.join(', ') }), 'error');
+      return;
+    }
+
+    setSaving(true);
+    const failed = [];
+    for (const email of emails) {
+      try {
+        await api.post('/invites', { email, role: draft.role });
+      } catch (error) {
+        failed.push(email);
+        addNotification(`${email}: ${formatError(error)}`, 'error');
+      }
+    }
+
+    const sent = emails.length - failed.length;
+    if (sent > 0) addNotification(t('onboarding.staff.sent', { count: sent }), 'success');
+    onDraftChange({ ...draft, emails: failed.join('\n') });
+    if (failed.length === 0) {
+      onComplete();
+    } else {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <p className="text-sm text-gray-600 mb-4">{t('onboarding.staff.intro')}</p>
+      <label htmlFor="onboarding-invites" className="block text-sm font-medium text-gray-700 mb-1">
+        {t('onboarding.staff.emails')}
+      </label>
+      <textarea
+        id="onboarding-invites"
+        rows={5}
+        value={draft.emails}
+        onChange={(e) => onDraftChange({ ...draft, emails: e.target.value })}
+        className={`w-full ${inputClass}`}
+        placeholder={'nurse1@yourhospital.com\nnurse2@yourhospital.com'}
+      />
+      <div className="flex items-center justify-between mt-3">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          {t('onboarding.staff.role')}
+          <select
+            value={draft.role}
+            onChange={(e) => onDraftChange({ ...draft, role: e.target.value })}
+            className={inputClass}
+          >
+            {Object.values(ROLES).map(role => (
+              <option key={role} value={role}>{t(`role.${role}`)}</option>
+            ))}
+          </select>
+        </label>
+        <span className="text-sm text-gray-500">{t('onboarding.staff.count', { count: emails.length })}</span>
+      </div>
+
+      <StepActions saving={saving} {...actions} />
+    </form>
+  );
+};
+
+// Onboarding Wizard
+// Guided facility setup after registration. Every step saves straight to
+// the API, can be skipped, and is remembered so setup can resume later.
+const OnboardingWizard = ({ onboarding, onUpdate, onPause, onFinish, units, saveUnits, saveShifts }) => {
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const { step, steps, drafts } = onboarding;
+  const stepId = ONBOARDING_STEPS[step];
+
+  const setDraft = (key) => (value) => {
+    onUpdate(prev => ({ drafts: { ...prev.drafts, [key]: value } }));
+  };
+
+  const completeStep = (status) => {
+    onUpdate(prev => ({
+      steps: { ...prev.steps, [stepId]: status },
+      step: prev.step + 1
+    }));
+  };
+
+  const actions = {
+    onBack: step > 0 ? () => onUpdate({ step: step - 1 }) : null,
+    onSkip: () => completeStep(steps[stepId] === STEP_STATUS.DONE ? STEP_STATUS.DONE : STEP_STATUS.SKIPPED)
+  };
+  const stepProps = { onComplete: () => completeStep(STEP_STATUS.DONE), actions };
+  const remaining = getRemainingSteps(onboarding);
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <div className="flex items-start justify-between mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">
+            {t('onboarding.title', { organization: user?.organizationName || 'ShiftFlow' })}
+          </h2>
+          <p className="text-gray-600">{t('onboarding.subtitle')}</p>
+        </div>
+        {stepId && (
+          <button onClick={onPause} className="text-blue-600 hover:text-blue-800 text-sm whitespace-nowrap">
+            {t('onboarding.later')}
+          </button>
+        )}
+      </div>
+
+      <ol className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-6">
+        {ONBOARDING_STEPS.map((id, index) => (
+          <li key={id}>
+            <button
+              onClick={() => onUpdate({ step: index })}
+              aria-current={index === step ? 'step' : undefined}
+              className={`w-full text-start px-3 py-2 rounded-lg border text-sm ${
+                index === step ? 'border-blue-500 bg-blue-50 text-blue-800' : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              <span className="block text-xs">
+                {steps[id] === STEP_STATUS.DONE ? '✓ ' : ''}
+                {steps[id] ? t(`onboarding.status.${steps[id]}`) : t('onboarding.stepNumber', { number: index + 1 })}
+              </span>
+              <span className="block font-medium">{t(`onboarding.step.${id}`)}</span>
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        {stepId === 'units' && (
+          <UnitsStep draft={drafts.units} onDraftChange={setDraft('units')} units={units} saveUnits={saveUnits} {...stepProps} />
+        )}
+        {stepId === 'shifts' && (
+          <ShiftsStep draft={drafts.shifts} onDraftChange={setDraft('shifts')} saveShifts={saveShifts} {...stepProps} />
+        )}
+        {stepId === 'templates' && (
+          <TemplatesStep
+            draft={drafts.templates}
+            created={drafts.createdTemplates}
+            onDraftChange={setDraft('templates')}
+            onCreated={(id) => onUpdate(prev => ({
+              drafts: { ...prev.drafts, createdTemplates: [...prev.drafts.createdTemplates, id] }
+            }))}
+            {...stepProps}
+          />
+        )}
+        {stepId === 'staff' && (
+          <StaffStep draft={drafts.invites} onDraftChange={setDraft('invites')} {...stepProps} />
+        )}
+        {!stepId && (
+          <div className="text-center py-6">
+            <p className="text-4xl mb-2" aria-hidden="true">{remaining.length === 0 ? '🎉' : '👍'}</p>
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">
+              {remaining.length === 0 ? t('onboarding.done') : t('onboarding.doneWithSkipped', { count: remaining.length })}
+            </h3>
+            {remaining.length > 0 && <p className="text-sm text-gray-600 mb-4">{t('onboarding.resumeHint')}</p>}
+            <button
+              onClick={remaining.length === 0 ? onFinish : onPause}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              {t('onboarding.toBoard')}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OnboardingWizard;
@@ -0,0 +1,27 @@
+import { useI18n } from './I18nProvider';
+import { PASSWORD_RULES, PASSWORD_MIN_LENGTH, getPasswordIssues } from '../lib/passwords';
+
+// Password Requirements
+// Live checklist under a new-password field. Point the field's
+// aria-describedby at `id` so screen readers hear the rules too.
+const PasswordRequirements = ({ id, password, context }) => {
+  const { t } = useI18n();
+  const issues = getPasswordIssues(password, context);
+
+  return (
+    <ul id={id} className="mt-2 space-y-1 text-xs">
+      {PASSWORD_RULES.map(rule => {
+        const met = Boolean(password) && !issues.includes(rule.id);
+        return (
+          <li key={rule.id} className={met ? 'text-green-700' : 'text-gray-500'}>
+            <span aria-hidden="true">{met ? '✓' : '○'}</span>{' '}
+            <span className="sr-only">{met ? t('password.met') : t('password.notMet')}</span>
+            {t(`password.rule.${rule.id}`, { min: PASSWORD_MIN_LENGTH })}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default PasswordRequirements;
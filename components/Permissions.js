@@ -0,0 +1,24 @@
+import { useMemo } from 'react';
+import { useAuth } from './AuthProvider';
+import { useI18n } from './I18nProvider';
+import { getUserRole, hasPermission, getDeniedReason } from '../lib/permissions';
+
+// Permissions Hook
+// The one place components ask what the signed-in user may do
+export const usePermissions = () => {
+  const { user } = useAuth();
+  const { t } = useI18n();
+
+  return useMemo(() => ({
+    role: getUserRole(user),
+    can: (permission) => hasPermission(user, permission),
+    reasonFor: (permission) => hasPermission(user, permission) ? null : t(getDeniedReason(permission))
+  }), [user, t]);
+};
+
+// Renders children only when the user holds `permission`, otherwise the
+// optional fallback (e.g. a disabled control with an explanation)
+export const RequirePermission = ({ permission, fallback = null, children }) => {
+  const { can } = usePermissions();
+  return can(permission) ? children : fallback;
+};
@@ -0,0 +1,71 @@
+import { useMemo } from 'react';
+import { useI18n } from './I18nProvider';
+import { buildRoomMap, OTHER_UNIT_ID } from '../lib/rooms';
+
+// Tile colours by the highest open priority; the label repeats it in text
+const TILE_STYLES = {
+  emergency: 'bg-red-600 text-white border-red-700',
+  urgent: 'bg-red-100 text-red-900 border-red-400',
+  normal: 'bg-blue-50 text-blue-900 border-blue-300',
+  low: 'bg-gray-50 text-gray-800 border-gray-300',
+  none: 'bg-white text-gray-400 border-gray-200'
+};
+
+// Room Map
+// Units laid out as grids of room tiles; choosing a tile drills into that room
+const RoomMap = ({ units, tasks, onSelectRoom }) => {
+  const { t } = useI18n();
+  const layout = useMemo(() => buildRoomMap(units, tasks), [units, tasks]);
+
+  if (layout.length === 0) {
+    return (
+      <p className="text-center text-gray-500 py-8">
+        {t('rooms.empty')}
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {layout.map(unit => {
+        const name = unit.id === OTHER_UNIT_ID ? t(unit.name) : unit.name;
+        return (
+          <section key={unit.id || unit.name} aria-label={name}>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">{name}</h3>
+            <div
+              className="grid gap-2"
+              style={{ gridTemplateColumns: `repeat(${unit.columns || 6}, minmax(0, 1fr))` }}
+            >
+              {unit.rooms.map(tile => (
+                <RoomTile key={tile.room} tile={tile} onSelect={() => onSelectRoom(tile.room)} />
+              ))}
+            </div>
+          </section>
+        );
+      })}
+    </div>
+  );
+};
+
+const RoomTile = ({ tile, onSelect }) => {
+  const { t } = useI18n();
+  const style = TILE_STYLES[tile.highestPriority || 'none'];
+  const label = tile.open === 0
+    ? t('rooms.tileClear', { room: tile.room })
+    : t('rooms.tile', { room: tile.room, count: tile.open, priority: t(`priority.${tile.highestPriority}`) });
+
+  return (
+    <button
+      type="button"
+      onClick={onSelect}
+      aria-label={label}
+      className={`border-2 rounded-lg p-2 text-start hover:shadow-md focus:outline-none focus:ring-2 focus:ring-blue-500 transition-shadow ${style}`}
+    >
+      <span className="block font-semibold text-sm">{tile.room}</span>
+      <span className="block text-2xl font-bold leading-tight">{tile.open}</span>
+      <span className="block text-xs">{tile.highestPriority ? t(`priority.${tile.highestPriority}`) : t('rooms.clear')}</span>
+    </button>
+  );
+};
+
+export default RoomMap;
@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from './AuthProvider';
+import { useNotifications } from './NotificationProvider';
+import { useI18n } from './I18nProvider';
+import { RequirePermission } from './Permissions';
+import { PERMISSIONS } from '../lib/permissions';
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Longest a remembered device may skip the code
+const MAX_REMEMBER_DAYS = 90;
+
+// Security Settings
+// Admin-only organization policy for two-factor sign-in
+const SecuritySettings = () => {
+  return (
+    <RequirePermission permission={PERMISSIONS.MANAGE_SECURITY}>
+      <SecuritySettingsPanel />
+    </RequirePermission>
+  );
+};
+
+const SecuritySettingsPanel = () => {
+  const { api } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    api.get('/organization/security')
+      .then(data => {
+        if (cancelled) return;
+        setDraft({
+          mfaRequired: Boolean(data.mfa_required),
+          rememberDays: String(data.remember_device_days ?? 0)
+        });
+      })
+      .catch(error => addNotification(formatError(error), 'error'));
+    return () => { cancelled = true; };
+  }, [api, addNotification, formatError]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const rememberDays = Number(draft.rememberDays);
+    if (!Number.isInteger(rememberDays) || rememberDays < 0 || rememberDays > MAX_REMEMBER_DAYS) {
+      addNotification(t('security.invalidDays', { max: MAX_REMEMBER_DAYS }), 'error');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await api.put('/organization/security', {
+        mfa_required: draft.mfaRequired,
+        remember_device_days: rememberDays
+      });
+      addNotification(t('security.saved'), 'success');
+    } catch (error) {
+      addNotification(formatError(error), 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4">{t('security.title')}</h2>
+
+      {!draft ? (
+        <p className="text-sm text-gray-600">{t('security.loading')}</p>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+              <input
+                type="checkbox"
+                checked={draft.mfaRequired}
+                onChange={(e) => setDraft({ ...draft, mfaRequired: e.target.checked })}
+              />
+              {t('security.requireMfa')}
+            </label>
+            <p className="text-xs text-gray-500 mt-1 ms-6">{t('security.requireMfaHint')}</p>
+          </div>
+
+          <div>
+            <label htmlFor="security-remember-days" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('security.rememberDays')}
+            </label>
+            <input
+              id="security-remember-days"
+              type="number"
+              min="0"
+              max={MAX_REMEMBER_DAYS}
+              value={draft.rememberDays}
+              onChange={(e) => setDraft({ ...draft, rememberDays: e.target.value })}
+              aria-describedby="security-remember-hint"
+              className={`w-24 ${inputClass}`}
+            />
+            <p id="security-remember-hint" className="text-xs text-gray-500 mt-1">
+              {t('security.rememberHint', { max: MAX_REMEMBER_DAYS })}
+            </p>
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={saving}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+            >
+              {saving ? t('security.saving') : t('security.save')}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default SecuritySettings;
@@ -0,0 +1,351 @@
+import { useState, useMemo } from 'react';
+import { useAuth } from './AuthProvider';
+import { useNotifications } from './NotificationProvider';
+import { useI18n } from './I18nProvider';
+import { RequirePermission } from './Permissions';
+import { PRIORITIES } from '../lib/taskFilters';
+import { isOverdue } from '../lib/overdue';
+import { isLocalId, isNetworkError } from '../lib/offlineStore';
+import { PERMISSIONS } from '../lib/permissions';
+import { useDialog } from '../hooks/useDialog';
+import {
+  getShiftInstance,
+  getNextShiftInstance,
+  getRecentShiftInstances,
+  isTaskInShift,
+  isTaskDueForRollover,
+  formatShiftInstance,
+  buildRolloverSummary,
+  formatRolloverSummary
+} from '../lib/shifts';
+
+// Shift Selector
+// Narrows the board to tasks stamped with one shift instance
+export const ShiftSelector = ({ shifts, value, onChange, now }) => {
+  const { t, locale } = useI18n();
+  const instances = useMemo(() => getRecentShiftInstances(shifts, 6, now), [shifts, now]);
+  const current = getShiftInstance(shifts, now);
+  const isKnown = !value || instances.some(i => i.key === value);
+
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      aria-label={t('rollover.shift')}
+    >
+      <option value="">{t('rollover.allShifts')}</option>
+      {instances.map(instance => (
+        <option key={instance.key} value={instance.key}>
+          {instance.key === current?.key
+            ? t('rollover.current', { shift: formatShiftInstance(instance, locale) })
+            : formatShiftInstance(instance, locale)}
+        </option>
+      ))}
+      {/* Older shifts opened from a bookmarked link */}
+      {!isKnown && <option value={value}>{t('rollover.earlier')}</option>}
+    </select>
+  );
+};
+
+const hasPendingHandoff = (task) =>
+  task.status === 'handoff' || (task.handoffs || []).some(h => h.status === 'pending');
+
+// Shift Rollover Modal
+// Guided end of shift: review the unfinished work, send all of it to
+// Handoff for the incoming shift, then show what carried over.
+// `onRolledOver` gets the tasks as the server left them.
+const ShiftRolloverModal = ({ shifts, tasks, onClose, onRolledOver }) => {
+  const { api } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t, locale, formatError } = useI18n();
+  const dialogRef = useDialog(onClose);
+  const [instances] = useState(() => getRecentShiftInstances(shifts, 3));
+  const [fromKey, setFromKey] = useState(() => instances[0]?.key || '');
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [summary, setSummary] = useState(null);
+
+  const from = instances.find(i => i.key === fromKey);
+  const to = from ? getNextShiftInstance(shifts, from) : null;
+
+  // The ending shift's unfinished work moves, along with open tasks left
+  // unstamped or on an earlier shift, except tasks already waiting on a
+  // handoff and tasks the server has not seen yet
+  const { carry, unsynced, handingOff, completed } = useMemo(() => {
+    const open = from ? tasks.filter(t => isTaskDueForRollover(t, from)) : [];
+    const pending = open.filter(hasPendingHandoff);
+    const rest = open.filter(t => !hasPendingHandoff(t));
+    return {
+      carry: rest.filter(t => !isLocalId(t.id)),
+      unsynced: rest.filter(t => isLocalId(t.id)),
+      handingOff: pending,
+      completed: from ? tasks.filter(t => t.status === 'completed' && isTaskInShift(t, from.key)) : []
+    };
+  }, [tasks, from]);
+
+  // Resolves to whether the server accepted the rollover
+  const rollover = async (taskIds) => {
+    try {
+      const data = await api.post('/shifts/rollover', {
+        from_shift_id: from.shift.id,
+        from_shift_start: from.start.toISOString(),
+        to_shift_id: to.shift.id,
+        to_shift_start: to.start.toISOString(),
+        task_ids: taskIds,
+        note: note.trim()
+      });
+      onRolledOver(data.tasks || []);
+      addNotification(t('notify.rolloverDone', { count: taskIds.length, shift: to.shift.name }), 'success');
+      return true;
+    } catch (error) {
+      addNotification(isNetworkError(error)
+        ? t('notify.rolloverOffline')
+        : formatError(error, 'notify.rolloverFailed'), 'error');
+      return false;
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!from || !to) {
+      addNotification(t('rollover.chooseShift'), 'error');
+      return;
+    }
+
+    // Capture the summary first; the carried tasks all change status
+    const nextSummary = buildRolloverSummary([...carry, ...completed], { from, to, isOverdue });
+
+    setSubmitting(true);
+    const done = await rollover(carry.map(t => t.id));
+    setSubmitting(false);
+    if (done) setSummary(nextSummary);
+  };
+
+  const copySummary = async () => {
+    try {
+      await navigator.clipboard.writeText(formatRolloverSummary(summary, { t, locale }));
+      addNotification(t('rollover.copied'), 'success');
+    } catch (error) {
+      addNotification(t('rollover.copyFailed'), 'error');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="rollover-modal-title"
+        tabIndex={-1}
+        className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto"
+      >
+        <div className="flex items-center justify-between p-6 border-b">
+          <div>
+            <h2 id="rollover-modal-title" className="text-xl font-semibold">{summary ? t('rollover.summaryTitle') : t('rollover.title')}</h2>
+            {to && (
+              <p className="text-sm text-gray-500">
+                {formatShiftInstance(from, locale)} → {formatShiftInstance(to, locale)}
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label={t('create.close')}>
+            ×
+          </button>
+        </div>
+
+        {summary ? (
+          <RolloverSummary summary={summary} onCopy={copySummary} onClose={onClose} />
+        ) : (
+          <form onSubmit={handleSubmit} className="p-6 space-y-4">
+            <div>
+              <label htmlFor="rollover-from" className="block text-sm font-medium text-gray-700 mb-1">{t('rollover.from')}</label>
+              <select
+                id="rollover-from"
+                value={fromKey}
+                onChange={(e) => setFromKey(e.target.value)}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {instances.map(instance => (
+                  <option key={instance.key} value={instance.key}>{formatShiftInstance(instance, locale)}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <h3 className="text-sm font-medium text-gray-700 mb-2">
+                {t('rollover.carry', { count: carry.length })}
+              </h3>
+              {carry.length === 0 ? (
+                <p className="text-sm text-gray-400">{t('rollover.nothing')}</p>
+              ) : (
+                <ul className="border rounded-lg divide-y max-h-60 overflow-y-auto text-sm">
+                  {carry.map(task => (
+                    <li key={task.id} className="px-3 py-2 flex items-center justify-between">
+                      <span className="text-gray-900">{task.title}</span>
+                      <span className="text-xs text-gray-500">
+                        {t(`status.${task.status}`)}
+                        {task.room_number && ` · ${t('card.room', { room: task.room_number })}`}
+                        {task.assigned_user && ` · ${task.assigned_user.name}`}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {handingOff.length > 0 && (
+                <p className="text-xs text-gray-500 mt-2">
+                  {t('rollover.handingOff', { count: handingOff.length })}
+                </p>
+              )}
+              {unsynced.length > 0 && (
+                <p className="text-xs text-amber-700 mt-2">
+                  {t('rollover.unsynced', { count: unsynced.length })}
+                </p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="rollover-note" className="block text-sm font-medium text-gray-700 mb-1">{t('rollover.note')}</label>
+              <textarea
+                id="rollover-note"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                rows="3"
+                placeholder={t('rollover.notePlaceholder')}
+              />
+            </div>
+
+            <div className="flex gap-3 pt-4">
+              <button
+                type="button"
+                onClick={onClose}
+                className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                {t('create.cancel')}
+              </button>
+              <button
+                type="submit"
+                disabled={submitting || !to || carry.length === 0}
+                className="flex-1 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:bg-purple-300 transition-colors"
+              >
+                {submitting ? t('rollover.submitting') : t('rollover.submit', { count: carry.length })}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// What carried over, grouped the way a charge nurse reads a shift report
+const RolloverSummary = ({ summary, onCopy, onClose }) => {
+  const { t } = useI18n();
+  const overdue = summary.carried.filter(t => t.overdue).length;
+
+  return (
+    <div className="p-6 space-y-4">
+      <div className="grid grid-cols-3 gap-3 text-center">
+        <div className="bg-purple-50 rounded-lg p-3">
+          <p className="text-2xl font-bold text-purple-700">{summary.carried.length}</p>
+          <p className="text-xs text-gray-600">{t('rollover.carried')}</p>
+        </div>
+        <div className="bg-green-50 rounded-lg p-3">
+          <p className="text-2xl font-bold text-green-700">{summary.completed}</p>
+          <p className="text-xs text-gray-600">{t('rollover.completed')}</p>
+        </div>
+        <div className="bg-red-50 rounded-lg p-3">
+          <p className="text-2xl font-bold text-red-700">{overdue}</p>
+          <p className="text-xs text-gray-600">{t('rollover.overdue')}</p>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 text-xs">
+        {PRIORITIES.filter(p => summary.byPriority[p]).map(priority => (
+          <span key={priority} className="px-2 py-1 bg-gray-100 text-gray-700 rounded-full">
+            {t('rollover.byPriority', { count: summary.byPriority[priority], priority: t(`priority.${priority}`) })}
+          </span>
+        ))}
+        {Object.entries(summary.byStatus).map(([status, count]) => (
+          <span key={status} className="px-2 py-1 bg-gray-100 text-gray-700 rounded-full">
+            {t('rollover.byStatus', { count, status: t(`status.${status}`) })}
+          </span>
+        ))}
+      </div>
+
+      {summary.carried.length > 0 && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-start text-gray-500 border-b">
+              <th className="py-2">{t('rollover.task')}</th>
+              <th className="py-2">{t('rollover.was')}</th>
+              <th className="py-2">{t('create.priority')}</th>
+              <th className="py-2">{t('rollover.assignee')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {summary.carried.map(task => (
+              <tr key={task.id} className="border-b last:border-0">
+                <td className="py-2">
+                  {task.title}
+                  {task.room_number && <span className="text-gray-500"> · {t('card.room', { room: task.room_number })}</span>}
+                  {task.overdue && <span className="ms-2 text-xs text-red-600">{t('rollover.overdue')}</span>}
+                </td>
+                <td className="py-2 text-gray-600">{t(`status.${task.status}`)}</td>
+                <td className="py-2 text-gray-600">{t(`priority.${task.priority}`)}</td>
+                <td className="py-2 text-gray-600">{task.assignee || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="flex gap-3 pt-4">
+        <button
+          type="button"
+          onClick={onCopy}
+          className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+        >
+          {t('rollover.copy')}
+        </button>
+        <button
+          type="button"
+          onClick={onClose}
+          className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          {t('rollover.done')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// End Shift Button
+// Header button that opens the rollover for those allowed to run it
+export const EndShiftButton = ({ shifts, tasks, onRolledOver }) => {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+
+  return (
+    <RequirePermission permission={PERMISSIONS.ROLLOVER_SHIFT}>
+      <button
+        onClick={() => setOpen(true)}
+        className="px-4 py-2 border border-purple-300 text-purple-700 rounded-lg hover:bg-purple-50 transition-colors"
+      >
+        {t('nav.endShift')}
+      </button>
+      {open && (
+        <ShiftRolloverModal
+          shifts={shifts}
+          tasks={tasks}
+          onClose={() => setOpen(false)}
+          onRolledOver={onRolledOver}
+        />
+      )}
+    </RequirePermission>
+  );
+};
+
+export default ShiftRolloverModal;
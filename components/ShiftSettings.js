@@ -0,0 +1,144 @@
+import { useState, useEffect } from 'react';
+import { useNotifications } from './NotificationProvider';
+import { useI18n } from './I18nProvider';
+import { RequirePermission } from './Permissions';
+import { PERMISSIONS } from '../lib/permissions';
+import { validateShifts, getShiftLength } from '../lib/shifts';
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// New shifts get an id from their name; the server keeps existing ids
+const toShiftId = (name, taken) => {
+  const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'shift';
+  let id = base;
+  for (let n = 2; taken.includes(id); n++) id = `${base}-${n}`;
+  return id;
+};
+
+// Shift Settings
+// Admin-only editor for the facility's daily shift pattern
+const ShiftSettings = ({ shifts, configured, onSave }) => {
+  return (
+    <RequirePermission permission={PERMISSIONS.MANAGE_SHIFTS}>
+      <ShiftSettingsPanel shifts={shifts} configured={configured} onSave={onSave} />
+    </RequirePermission>
+  );
+};
+
+const ShiftSettingsPanel = ({ shifts, configured, onSave }) => {
+  const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const [draft, setDraft] = useState(shifts);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setDraft(shifts);
+  }, [shifts]);
+
+  const updateShift = (index, changes) => {
+    setDraft(prev => prev.map((shift, i) => i === index ? { ...shift, ...changes } : shift));
+  };
+
+  const addShift = () => {
+    setDraft(prev => [...prev, { name: '', start: '', end: '' }]);
+  };
+
+  const removeShift = (index) => {
+    setDraft(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const error = validateShifts(draft);
+    if (error) {
+      addNotification(t(error.key, error.values), 'error');
+      return;
+    }
+
+    const taken = draft.map(s => s.id).filter(Boolean);
+    const next = draft.map(shift => {
+      if (shift.id) return { ...shift, name: shift.name.trim() };
+      const id = toShiftId(shift.name, taken);
+      taken.push(id);
+      return { ...shift, id, name: shift.name.trim() };
+    });
+
+    setSaving(true);
+    try {
+      await onSave(next);
+      addNotification(t('shifts.saved'), 'success');
+    } catch (error) {
+      addNotification(formatError(error, 'shifts.saveFailed'), 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-1">{t('shifts.title')}</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        {configured
+          ? t('shifts.configured')
+          : t('shifts.defaults')}
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-3">
+        {draft.map((shift, index) => (
+          <div key={shift.id || `new-${index}`} className="flex flex-col md:flex-row md:items-center gap-3">
+            <input
+              type="text"
+              value={shift.name}
+              onChange={(e) => updateShift(index, { name: e.target.value })}
+              className={`flex-1 ${inputClass}`}
+              placeholder={t('shifts.namePlaceholder')}
+              aria-label={t('shifts.name')}
+            />
+            <input
+              type="time"
+              value={shift.start}
+              onChange={(e) => updateShift(index, { start: e.target.value })}
+              className={inputClass}
+              aria-label={t('shifts.start', { shift: shift.name || t('shifts.shift') })}
+            />
+            <span className="text-gray-400">{t('shifts.to')}</span>
+            <input
+              type="time"
+              value={shift.end}
+              onChange={(e) => updateShift(index, { end: e.target.value })}
+              className={inputClass}
+              aria-label={t('shifts.end', { shift: shift.name || t('shifts.shift') })}
+            />
+            <span className="text-xs text-gray-500 w-20">
+              {shift.start && shift.end && shift.start !== shift.end
+                ? t('shifts.hours', { count: Math.round(getShiftLength(shift) / 6) / 10 })
+                : ''}
+            </span>
+            <button
+              type="button"
+              onClick={() => removeShift(index)}
+              className="text-red-600 hover:text-red-800 text-sm"
+            >
+              {t('shifts.remove')}
+            </button>
+          </div>
+        ))}
+
+        <div className="flex items-center justify-between pt-2">
+          <button type="button" onClick={addShift} className="text-blue-600 hover:text-blue-800 text-sm">
+            {t('shifts.add')}
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+          >
+            {saving ? t('shifts.saving') : t('shifts.save')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ShiftSettings;
@@ -0,0 +1,235 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthProvider';
+import { useNotifications } from './NotificationProvider';
+import { useI18n } from './I18nProvider';
+import { RequirePermission } from './Permissions';
+import { PERMISSIONS, ROLES, getUserRole, getDeniedReason } from '../lib/permissions';
+
+// Staff Management
+// Admin-only area for listing staff, inviting new members and
+// deactivating people who have left the facility
+const StaffManagement = () => {
+  const { t } = useI18n();
+  return (
+    <RequirePermission
+      permission={PERMISSIONS.MANAGE_USERS}
+      fallback={
+        <div className="bg-white rounded-lg shadow-sm p-6 text-center text-gray-600">
+          {t(getDeniedReason(PERMISSIONS.MANAGE_USERS))}
+        </div>
+      }
+    >
+      <StaffManagementPanel />
+    </RequirePermission>
+  );
+};
+
+const StaffManagementPanel = () => {
+  const { user, api } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t, formatDateTime, formatError } = useI18n();
+  const [users, setUsers] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [inviteForm, setInviteForm] = useState({ email: '', role: ROLES.STAFF });
+  const [sending, setSending] = useState(false);
+
+  const loadStaff = useCallback(async () => {
+    try {
+      const [userData, inviteData] = await Promise.all([
+        api.get('/users'),
+        api.get('/invites')
+      ]);
+      setUsers(userData.users || []);
+      setInvites((inviteData.invites || []).filter(i => i.status !== 'accepted'));
+    } catch (error) {
+      addNotification(formatError(error, 'staff.loadFailed'), 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, addNotification, formatError]);
+
+  useEffect(() => {
+    loadStaff();
+  }, [loadStaff]);
+
+  const sendInvite = async (e) => {
+    e.preventDefault();
+    if (!inviteForm.email) {
+      addNotification(t('staff.emailRequired'), 'error');
+      return;
+    }
+
+    setSending(true);
+    try {
+      const invite = await api.post('/invites', inviteForm);
+      setInvites(prev => [invite, ...prev]);
+      setInviteForm({ email: '', role: inviteForm.role });
+      addNotification(t('staff.inviteSent', { email: invite.email || inviteForm.email }), 'success');
+    } catch (error) {
+      addNotification(formatError(error, 'staff.inviteFailed'), 'error');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const resendInvite = async (invite) => {
+    try {
+      const updated = await api.post(`/invites/${invite.id}/resend`);
+      setInvites(prev => prev.map(i => i.id === invite.id ? { ...i, ...updated } : i));
+      addNotification(t('staff.inviteResent', { email: invite.email }), 'success');
+    } catch (error) {
+      addNotification(formatError(error, 'staff.resendFailed'), 'error');
+    }
+  };
+
+  const revokeInvite = async (invite) => {
+    if (!window.confirm(t('staff.revokeConfirm', { email: invite.email }))) return;
+    try {
+      await api.delete(`/invites/${invite.id}`);
+      setInvites(prev => prev.filter(i => i.id !== invite.id));
+      addNotification(t('staff.inviteRevoked', { email: invite.email }), 'success');
+    } catch (error) {
+      addNotification(formatError(error, 'staff.revokeFailed'), 'error');
+    }
+  };
+
+  const setUserActive = async (member, active) => {
+    if (!active && !window.confirm(t('staff.deactivateConfirm', { name: member.name }))) return;
+    try {
+      const updated = await api.post(`/users/${member.id}/${active ? 'reactivate' : 'deactivate'}`);
+      setUsers(prev => prev.map(u => u.id === member.id ? { ...u, ...updated, active } : u));
+      addNotification(t(active ? 'staff.reactivated' : 'staff.deactivated', { name: member.name }), 'success');
+    } catch (error) {
+      addNotification(formatError(error, 'staff.updateFailed'), 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto mb-2"></div>
+        <p className="text-gray-600">{t('staff.loading')}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Invite Form */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">{t('staff.invite')}</h2>
+        <form onSubmit={sendInvite} className="flex flex-col md:flex-row gap-3">
+          <input
+            type="email"
+            required
+            value={inviteForm.email}
+            onChange={(e) => setInviteForm({...inviteForm, email: e.target.value})}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            placeholder="nurse@yourhospital.com"
+            aria-label={t('staff.email')}
+          />
+          <select
+            value={inviteForm.role}
+            onChange={(e) => setInviteForm({...inviteForm, role: e.target.value})}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            aria-label={t('staff.role')}
+          >
+            {Object.values(ROLES).map(role => (
+              <option key={role} value={role}>{t(`role.${role}`)}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={sending}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+          >
+            {sending ? t('staff.sending') : t('staff.send')}
+          </button>
+        </form>
+      </div>
+
+      {/* Pending Invites */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">{t('staff.pending')}</h2>
+        {invites.length === 0 ? (
+          <p className="text-sm text-gray-400">{t('staff.noPending')}</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-start text-gray-500 border-b">
+                <th className="py-2">{t('staff.email')}</th>
+                <th className="py-2">{t('staff.role')}</th>
+                <th className="py-2">{t('staff.sent')}</th>
+                <th className="py-2 sr-only">{t('staff.actions')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {invites.map(invite => (
+                <tr key={invite.id} className="border-b last:border-0">
+                  <td className="py-2">{invite.email}</td>
+                  <td className="py-2">{t(`role.${getUserRole(invite)}`)}</td>
+                  <td className="py-2 text-gray-500">
+                    {invite.sent_at ? formatDateTime(invite.sent_at, { dateStyle: 'medium' }) : '—'}
+                    {invite.status === 'expired' && <span className="ms-2 text-red-600">{t('staff.expired')}</span>}
+                  </td>
+                  <td className="py-2 text-end">
+                    <div className="inline-flex gap-3">
+                      <button onClick={() => resendInvite(invite)} className="text-blue-600 hover:text-blue-800">
+                        {t('staff.resend')}
+                      </button>
+                      <button onClick={() => revokeInvite(invite)} className="text-red-600 hover:text-red-800">
+                        {t('staff.revoke')}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Staff List */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-4">{t('staff.title', { count: users.length })}</h2>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-start text-gray-500 border-b">
+              <th className="py-2">{t('staff.name')}</th>
+              <th className="py-2">{t('staff.email')}</th>
+              <th className="py-2">{t('staff.role')}</th>
+              <th className="py-2">{t('staff.status')}</th>
+              <th className="py-2 sr-only">{t('staff.actions')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map(member => {
+              const active = member.active !== false;
+              return (
+                <tr key={member.id} className={`border-b last:border-0 ${active ? '' : 'text-gray-400'}`}>
+                  <td className="py-2">{member.name}</td>
+                  <td className="py-2">{member.email}</td>
+                  <td className="py-2">{t(`role.${getUserRole(member)}`)}</td>
+                  <td className="py-2">{active ? t('staff.active') : t('staff.inactive')}</td>
+                  <td className="py-2 text-end">
+                    {member.id !== user?.id && (
+                      <button
+                        onClick={() => setUserActive(member, !active)}
+                        className={active ? 'text-red-600 hover:text-red-800' : 'text-blue-600 hover:text-blue-800'}
+                      >
+                        {active ? t('staff.deactivate') : t('staff.reactivate')}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default StaffManagement;
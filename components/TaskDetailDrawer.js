@@ -0,0 +1,452 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthProvider';
+import { useNotifications } from './NotificationProvider';
+import { useI18n } from './I18nProvider';
+import { usePermissions } from './Permissions';
+import { PERMISSIONS } from '../lib/permissions';
+import { isLocalId } from '../lib/offlineStore';
+import { useDialog } from '../hooks/useDialog';
+
+// datetime-local inputs want local time without seconds or zone
+const toDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// Labels for the fields an "edited" entry can list
+const EDITED_FIELD_KEYS = {
+  title: 'drawer.field.title',
+  description: 'drawer.field.description',
+  priority: 'drawer.field.priority',
+  room_number: 'drawer.field.room',
+  estimated_duration: 'drawer.field.duration',
+  due_at: 'drawer.field.dueBy'
+};
+
+// One line per timeline entry; the server records these and they are never
+// edited from the client
+const describeActivity = (entry, t) => {
+  const details = entry.details || {};
+  switch (entry.type) {
+    case 'created':
+      return t('activity.created');
+    case 'status_changed':
+      return t('activity.moved', { from: t(`status.${details.from}`), to: t(`status.${details.to}`) });
+    case 'assigned':
+      if (!details.to_user) return t('activity.unassigned');
+      return details.from_user
+        ? t('activity.reassigned', { name: details.to_user.name, previous: details.from_user.name })
+        : t('activity.assigned', { name: details.to_user.name });
+    case 'handoff_requested':
+      return t('activity.handoffRequested', { name: details.to_user?.name || t('activity.anotherNurse') });
+    case 'handoff_accepted':
+      return t('activity.handoffAccepted');
+    case 'handoff_rejected':
+      return details.reason
+        ? t('activity.handoffRejectedReason', { reason: details.reason })
+        : t('activity.handoffRejected');
+    case 'handoff_cancelled':
+      return t('activity.handoffCancelled');
+    case 'shift_rollover':
+      return details.to_shift?.name
+        ? t('activity.rollover', { shift: details.to_shift.name })
+        : t('activity.rolloverNext');
+    case 'edited': {
+      const fields = (details.fields || []).map(field => EDITED_FIELD_KEYS[field] ? t(EDITED_FIELD_KEYS[field]) : field);
+      return fields.length ? t('activity.edited', { fields: fields.join(', ') }) : t('activity.editedTask');
+    }
+    case 'commented':
+      return t('activity.commented');
+    default:
+      return entry.type.replace(/_/g, ' ');
+  }
+};
+
+// Task Detail Drawer
+// Every field of a task, inline editing, a threaded comment feed and the
+// activity timeline clinical teams use for incident review
+const TaskDetailDrawer = ({ task, onClose, onSave }) => {
+  const { api } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t, formatDateTime, formatError } = useI18n();
+  const dialogRef = useDialog(onClose);
+  const [editing, setEditing] = useState(false);
+  const [comments, setComments] = useState([]);
+  const [activity, setActivity] = useState([]);
+  const [loadingHistory, setLoadingHistory] = useState(true);
+
+  // Tasks created offline have no server history yet
+  const isSynced = !isLocalId(task.id);
+
+  const loadHistory = useCallback(async () => {
+    if (!isSynced) {
+      setLoadingHistory(false);
+      return;
+    }
+
+    try {
+      const [commentData, activityData] = await Promise.all([
+        api.get(`/tasks/${task.id}/comments`),
+        api.get(`/tasks/${task.id}/activity`)
+      ]);
+      setComments(commentData.comments || []);
+      setActivity(activityData.activity || []);
+    } catch (error) {
+      addNotification(formatError(error, 'drawer.historyFailed'), 'error');
+    } finally {
+      setLoadingHistory(false);
+    }
+  }, [api, task.id, isSynced, addNotification, formatError]);
+
+  // Reload when the task changes underneath us (live update or local edit)
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory, task.updated_at, task.status]);
+
+  const addComment = async (body, parentId) => {
+    try {
+      const comment = await api.post(`/tasks/${task.id}/comments`, { body, parent_id: parentId || undefined });
+      setComments(prev => [...prev, comment]);
+      return true;
+    } catch (error) {
+      addNotification(formatError(error, 'drawer.commentFailed'), 'error');
+      return false;
+    }
+  };
+
+  const handleSave = async (changes) => {
+    if (await onSave(task.id, changes)) {
+      setEditing(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      <div className="absolute inset-0 bg-black bg-opacity-30" onClick={onClose}></div>
+
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-label={t('drawer.label', { title: task.title })}
+        tabIndex={-1}
+        className="relative bg-white w-full max-w-xl h-full overflow-y-auto shadow-xl animate-slide-in-right"
+      >
+        <div className="flex items-center justify-between p-6 border-b sticky top-0 bg-white">
+          <h2 className="text-xl font-semibold text-gray-900">{task.title}</h2>
+          <div className="flex items-center gap-3">
+            {!editing && (
+              <button onClick={() => setEditing(true)} className="text-sm text-blue-600 hover:text-blue-800">
+                {t('drawer.edit')}
+              </button>
+            )}
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label={t('drawer.close')}>
+              ×
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-8">
+          {editing ? (
+            <TaskEditForm task={task} onCancel={() => setEditing(false)} onSave={handleSave} />
+          ) : (
+            <TaskFields task={task} />
+          )}
+
+          <section>
+            <h3 className="font-semibold text-gray-900 mb-3">{t('drawer.comments')}</h3>
+            {!isSynced ? (
+              <p className="text-sm text-gray-400">{t('drawer.commentsUnsynced')}</p>
+            ) : loadingHistory ? (
+              <p className="text-sm text-gray-400">{t('drawer.loadingComments')}</p>
+            ) : (
+              <CommentThread comments={comments} onAdd={addComment} />
+            )}
+          </section>
+
+          <section>
+            <h3 className="font-semibold text-gray-900 mb-3">{t('drawer.activity')}</h3>
+            {loadingHistory ? (
+              <p className="text-sm text-gray-400">{t('drawer.loadingActivity')}</p>
+            ) : activity.length === 0 ? (
+              <p className="text-sm text-gray-400">{t('drawer.noActivity')}</p>
+            ) : (
+              <ol className="border-s-2 border-gray-200 ps-4 space-y-3">
+                {activity.map(entry => (
+                  <li key={entry.id} className="text-sm">
+                    <p className="text-gray-800">
+                      <span className="font-medium">{entry.actor?.name || t('drawer.system')}</span> {describeActivity(entry, t)}
+                    </p>
+                    <p className="text-xs text-gray-500">{formatDateTime(entry.created_at)}</p>
+                  </li>
+                ))}
+              </ol>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const TaskFields = ({ task }) => {
+  const { t, formatDateTime } = useI18n();
+  const fields = [
+    [t('drawer.field.status'), t(`status.${task.status}`)],
+    [t('drawer.field.priority'), t(`priority.${task.priority || 'normal'}`)],
+    [t('drawer.field.room'), task.room_number || '—'],
+    [t('drawer.field.duration'), task.estimated_duration ? t('drawer.minutes', { count: task.estimated_duration }) : '—'],
+    [t('drawer.field.dueBy'), formatDateTime(task.due_at)],
+    [t('drawer.field.assignedTo'), task.assigned_user?.name || t('card.unassigned')],
+    [t('drawer.field.createdBy'), task.created_by_user?.name || '—'],
+    [t('drawer.field.created'), formatDateTime(task.created_at)],
+    [t('drawer.field.started'), formatDateTime(task.started_at)],
+    [t('drawer.field.completed'), formatDateTime(task.completed_at)],
+    [t('drawer.field.updated'), formatDateTime(task.updated_at)]
+  ];
+
+  return (
+    <section>
+      {task.description ? (
+        <p className="text-sm text-gray-700 whitespace-pre-wrap mb-4">{task.description}</p>
+      ) : (
+        <p className="text-sm text-gray-400 mb-4">{t('drawer.noDescription')}</p>
+      )}
+      <dl className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">
+        {fields.map(([label, value]) => (
+          <div key={label}>
+            <dt className="text-gray-500">{label}</dt>
+            <dd className="text-gray-900">{value}</dd>
+          </div>
+        ))}
+      </dl>
+    </section>
+  );
+};
+
+const TaskEditForm = ({ task, onCancel, onSave }) => {
+  const { can } = usePermissions();
+  const { t } = useI18n();
+  const [saving, setSaving] = useState(false);
+  const [formData, setFormData] = useState({
+    title: task.title || '',
+    description: task.description || '',
+    priority: task.priority || 'normal',
+    room_number: task.room_number || '',
+    estimated_duration: task.estimated_duration || '',
+    due_at: toDateTimeInput(task.due_at)
+  });
+
+  // Keep an existing emergency selectable even for users who cannot create one
+  const canChooseEmergency = can(PERMISSIONS.CREATE_EMERGENCY_TASK) || task.priority === 'emergency';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.title.trim()) return;
+
+    setSaving(true);
+    await onSave({
+      ...formData,
+      estimated_duration: formData.estimated_duration ? parseInt(formData.estimated_duration) : null,
+      due_at: formData.due_at ? new Date(formData.due_at).toISOString() : null
+    });
+    setSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label htmlFor="task-edit-title" className="block text-sm font-medium text-gray-700 mb-1">{t('create.taskTitle')}</label>
+        <input
+          id="task-edit-title"
+          type="text"
+          required
+          value={formData.title}
+          onChange={(e) => setFormData({...formData, title: e.target.value})}
+          className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </div>
+
+      <div>
+        <label htmlFor="task-edit-description" className="block text-sm font-medium text-gray-700 mb-1">{t('create.description')}</label>
+        <textarea
+          id="task-edit-description"
+          value={formData.description}
+          onChange={(e) => setFormData({...formData, description: e.target.value})}
+          className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          rows="3"
+        />
+      </div>
+
+      <div className="grid grid-cols-3 gap-4">
+        <div>
+          <label htmlFor="task-edit-room" className="block text-sm font-medium text-gray-700 mb-1">{t('create.room')}</label>
+          <input
+            id="task-edit-room"
+            type="text"
+            value={formData.room_number}
+            onChange={(e) => setFormData({...formData, room_number: e.target.value})}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+
+        <div>
+          <label htmlFor="task-edit-priority" className="block text-sm font-medium text-gray-700 mb-1">{t('create.priority')}</label>
+          <select
+            id="task-edit-priority"
+            value={formData.priority}
+            onChange={(e) => setFormData({...formData, priority: e.target.value})}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="low">{t('priority.low')}</option>
+            <option value="normal">{t('priority.normal')}</option>
+            <option value="urgent">{t('priority.urgent')}</option>
+            <option value="emergency" disabled={!canChooseEmergency}>{t('priority.emergency')}</option>
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="task-edit-duration" className="block text-sm font-medium text-gray-700 mb-1">{t('drawer.durationMinutes')}</label>
+          <input
+            id="task-edit-duration"
+            type="number"
+            min="1"
+            value={formData.estimated_duration}
+            onChange={(e) => setFormData({...formData, estimated_duration: e.target.value})}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="task-edit-due" className="block text-sm font-medium text-gray-700 mb-1">{t('create.dueBy')}</label>
+        <input
+          id="task-edit-due"
+          type="datetime-local"
+          value={formData.due_at}
+          onChange={(e) => setFormData({...formData, due_at: e.target.value})}
+          className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </div>
+
+      <div className="flex gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+        >
+          {t('create.cancel')}
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+        >
+          {saving ? t('drawer.saving') : t('drawer.save')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Comments are threaded by parent_id; replies nest under their parent
+const CommentThread = ({ comments, onAdd }) => {
+  const { t } = useI18n();
+  const repliesTo = (parentId) => comments.filter(c => (c.parent_id || null) === parentId);
+
+  return (
+    <div className="space-y-4">
+      {repliesTo(null).length === 0 && (
+        <p className="text-sm text-gray-400">{t('drawer.noComments')}</p>
+      )}
+      <ul className="space-y-3">
+        {repliesTo(null).map(comment => (
+          <CommentItem key={comment.id} comment={comment} repliesTo={repliesTo} onAdd={onAdd} />
+        ))}
+      </ul>
+      <CommentForm onSubmit={(body) => onAdd(body)} />
+    </div>
+  );
+};
+
+const CommentItem = ({ comment, repliesTo, onAdd }) => {
+  const { t, formatDateTime } = useI18n();
+  const [replying, setReplying] = useState(false);
+  const replies = repliesTo(comment.id);
+
+  return (
+    <li>
+      <div className="bg-gray-50 rounded-lg p-3">
+        <p className="text-xs text-gray-500 mb-1">
+          <span className="font-medium text-gray-800">{comment.author?.name || t('drawer.unknownAuthor')}</span>
+          {' · '}{formatDateTime(comment.created_at)}
+        </p>
+        <p className="text-sm text-gray-800 whitespace-pre-wrap">{comment.body}</p>
+        <button onClick={() => setReplying(!replying)} className="mt-1 text-xs text-blue-600 hover:text-blue-800">
+          {replying ? t('create.cancel') : t('drawer.reply')}
+        </button>
+      </div>
+
+      {(replies.length > 0 || replying) && (
+        <ul className="ms-6 mt-2 space-y-2">
+          {replies.map(reply => (
+            <CommentItem key={reply.id} comment={reply} repliesTo={repliesTo} onAdd={onAdd} />
+          ))}
+          {replying && (
+            <li>
+              <CommentForm
+                placeholder={t('drawer.replyPlaceholder')}
+                onSubmit={async (body) => {
+                  const added = await onAdd(body, comment.id);
+                  if (added) setReplying(false);
+                  return added;
+                }}
+              />
+            </li>
+          )}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+const CommentForm = ({ onSubmit, placeholder }) => {
+  const { t } = useI18n();
+  const [body, setBody] = useState('');
+  const [sending, setSending] = useState(false);
+  const label = placeholder || t('drawer.commentPlaceholder');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    setSending(true);
+    if (await onSubmit(body.trim())) {
+      setBody('');
+    }
+    setSending(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex gap-2">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        rows="2"
+        placeholder={label}
+        aria-label={label}
+      />
+      <button
+        type="submit"
+        disabled={sending || !body.trim()}
+        className="self-end px-3 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+      >
+        {sending ? t('drawer.posting') : t('drawer.post')}
+      </button>
+    </form>
+  );
+};
+
+export default TaskDetailDrawer;
@@ -0,0 +1,343 @@
+import { useState, useEffect, useRef } from 'react';
+import { useI18n } from './I18nProvider';
+import { useDialog } from '../hooks/useDialog';
+import {
+  PRIORITIES,
+  SORT_OPTIONS,
+  UNASSIGNED,
+  DEFAULT_FILTERS,
+  serializeFilters,
+  parseFilters,
+  hasActiveFilters,
+  loadSavedViews,
+  storeSavedViews
+} from '../lib/taskFilters';
+
+const inputClass = 'px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Shell shared by the save and delete view dialogs
+const ViewDialog = ({ id, title, onClose, onSubmit, submitLabel, danger = false, disabled = false, children }) => {
+  const { t } = useI18n();
+  const dialogRef = useDialog(onClose);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={`${id}-title`}
+        tabIndex={-1}
+        className="bg-white rounded-lg max-w-md w-full">
+        <div className="flex items-center justify-between p-6 border-b">
+          <h2 id={`${id}-title`} className="text-xl font-semibold">{title}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label={t('create.close')}>
+            ×
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          {children}
+
+          <div className="flex gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              {t('create.cancel')}
+            </button>
+            <button
+              type="submit"
+              disabled={disabled}
+              className={`flex-1 px-4 py-2 text-white rounded-lg transition-colors disabled:opacity-50 ${
+                danger ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'
+              }`}
+            >
+              {submitLabel}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+const SaveViewModal = ({ savedViews, onClose, onSave }) => {
+  const { t } = useI18n();
+  const [name, setName] = useState('');
+  const trimmed = name.trim();
+  const replaces = savedViews.some(v => v.name === trimmed);
+
+  return (
+    <ViewDialog
+      id="save-view"
+      title={t('filters.viewName')}
+      onClose={onClose}
+      onSubmit={() => onSave(trimmed)}
+      submitLabel={t('filters.save')}
+      disabled={!trimmed}
+    >
+      <div>
+        <label htmlFor="save-view-name" className="block text-sm font-medium text-gray-700 mb-1">
+          {t('filters.viewNameLabel')}
+        </label>
+        <input
+          id="save-view-name"
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className={`${inputClass} w-full`}
+          maxLength={60}
+          required
+        />
+        {replaces && <p className="mt-1 text-sm text-gray-500">{t('filters.viewReplaces', { name: trimmed })}</p>}
+      </div>
+    </ViewDialog>
+  );
+};
+
+// Task Filter Bar
+// Search, priority/assignee/room filters, sorting and named saved views
+const TaskFilterBar = ({ filters, onChange, staff, userId }) => {
+  const { t } = useI18n();
+  const [savedViews, setSavedViews] = useState([]);
+  // null, { type: 'save' } or { type: 'delete', name }
+  const [viewDialog, setViewDialog] = useState(null);
+  const [search, setSearch] = useState(filters.q);
+  // The search this input last wrote to the URL. When the URL catches up to
+  // it, keys typed while the route change was in flight are kept.
+  const sentSearchRef = useRef(filters.q);
+
+  useEffect(() => {
+    if (!userId) {
+      setSavedViews([]);
+      return;
+    }
+    setSavedViews(loadSavedViews(userId));
+  }, [userId]);
+
+  // Follow the URL only when the search was changed somewhere else, such as
+  // a saved view, Clear or the back button
+  useEffect(() => {
+    if (filters.q === sentSearchRef.current) return;
+    sentSearchRef.current = filters.q;
+    setSearch(filters.q);
+  }, [filters.q]);
+
+  // Debounce typing so the URL is not rewritten on every keystroke
+  useEffect(() => {
+    if (search === filters.q) return;
+    const timer = setTimeout(() => {
+      sentSearchRef.current = search;
+      onChange({ ...filters, q: search });
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [search, filters, onChange]);
+
+  const toggle = (key, value) => {
+    const values = filters[key].includes(value)
+      ? filters[key].filter(v => v !== value)
+      : [...filters[key], value];
+    onChange({ ...filters, [key]: values });
+  };
+
+  const updateViews = (views) => {
+    setSavedViews(views);
+    if (userId) storeSavedViews(userId, views);
+  };
+
+  const saveView = (name) => {
+    // The shift is picked in the header and is not part of a saved view
+    const view = { name, query: serializeFilters({ ...filters, shift: DEFAULT_FILTERS.shift }) };
+    updateViews([...savedViews.filter(v => v.name !== view.name), view]);
+    setViewDialog(null);
+  };
+
+  const applyView = (name) => {
+    const view = savedViews.find(v => v.name === name);
+    if (view) onChange({ ...parseFilters(view.query), shift: filters.shift });
+  };
+
+  const deleteView = (name) => {
+    updateViews(savedViews.filter(v => v.name !== name));
+    setViewDialog(null);
+  };
+
+  const assigneeOptions = [{ id: UNASSIGNED, name: t('card.unassigned') }, ...staff];
+  const selectedAssignees = assigneeOptions.filter(o => filters.assignee.includes(String(o.id)));
+
+  return (
+    <div className="mb-6 space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className={`${inputClass} flex-1 min-w-48`}
+          placeholder={t('filters.searchPlaceholder')}
+          aria-label={t('filters.search')}
+        />
+
+        <div className="flex items-center gap-1" role="group" aria-label={t('create.priority')}>
+          {PRIORITIES.map(priority => (
+            <button
+              key={priority}
+              type="button"
+              onClick={() => toggle('priority', priority)}
+              aria-pressed={filters.priority.includes(priority)}
+              className={`px-2 py-1 text-xs rounded-full border ${
+                filters.priority.includes(priority)
+                  ? 'bg-blue-600 border-blue-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {filters.priority.includes(priority) && <span aria-hidden="true">✓ </span>}
+              {t(`priority.${priority}`)}
+            </button>
+          ))}
+        </div>
+
+        <details className="relative">
+          <summary className={`${inputClass} cursor-pointer list-none bg-white`}>
+            {selectedAssignees.length > 0
+              ? t('filters.assigneeCount', { count: selectedAssignees.length })
+              : t('filters.assignee')}
+          </summary>
+          <div className="absolute z-10 mt-1 w-56 max-h-60 overflow-y-auto bg-white border border-gray-200 rounded-lg shadow-lg p-2">
+            {assigneeOptions.map(option => (
+              <label key={option.id} className="flex items-center gap-2 px-2 py-1 text-sm hover:bg-gray-50 rounded">
+                <input
+                  type="checkbox"
+                  checked={filters.assignee.includes(String(option.id))}
+                  onChange={() => toggle('assignee', String(option.id))}
+                />
+                <span>{option.name}</span>
+              </label>
+            ))}
+          </div>
+        </details>
+
+        <div className="flex items-center gap-1 text-sm text-gray-600">
+          <span>{t('filters.rooms')}</span>
+          <input
+            type="text"
+            inputMode="numeric"
+            value={filters.roomFrom}
+            onChange={(e) => onChange({ ...filters, roomFrom: e.target.value })}
+            className={`${inputClass} w-20`}
+            placeholder={t('filters.roomFrom')}
+            aria-label={t('filters.roomFromLabel')}
+          />
+          <span>–</span>
+          <input
+            type="text"
+            inputMode="numeric"
+            value={filters.roomTo}
+            onChange={(e) => onChange({ ...filters, roomTo: e.target.value })}
+            className={`${inputClass} w-20`}
+            placeholder={t('filters.roomTo')}
+            aria-label={t('filters.roomToLabel')}
+          />
+        </div>
+
+        <select
+          value={filters.sort}
+          onChange={(e) => onChange({ ...filters, sort: e.target.value })}
+          className={inputClass}
+          aria-label={t('filters.sort')}
+        >
+          {SORT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{t(option.label)}</option>
+          ))}
+        </select>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={filters.mine}
+            onChange={(e) => onChange({ ...filters, mine: e.target.checked })}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <span>{t('filters.mine')}</span>
+        </label>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={filters.overdue}
+            onChange={(e) => onChange({ ...filters, overdue: e.target.checked })}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          <span>{t('filters.overdue')}</span>
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <select
+          value=""
+          onChange={(e) => applyView(e.target.value)}
+          className={inputClass}
+          aria-label={t('filters.savedViews')}
+        >
+          <option value="">
+            {savedViews.length ? t('filters.savedViewsCount', { count: savedViews.length }) : t('filters.savedViews')}
+          </option>
+          {savedViews.map(view => (
+            <option key={view.name} value={view.name}>{view.name}</option>
+          ))}
+        </select>
+        <button type="button" onClick={() => setViewDialog({ type: 'save' })} className="text-blue-600 hover:text-blue-800">
+          {t('filters.saveView')}
+        </button>
+        {savedViews.length > 0 && (
+          <details className="relative">
+            <summary className="cursor-pointer list-none text-gray-500 hover:text-gray-700">{t('filters.manageViews')}</summary>
+            <ul className="absolute z-10 mt-1 w-56 bg-white border border-gray-200 rounded-lg shadow-lg p-2">
+              {savedViews.map(view => (
+                <li key={view.name} className="flex items-center justify-between px-2 py-1">
+                  <span className="truncate">{view.name}</span>
+                  <button type="button" onClick={() => setViewDialog({ type: 'delete', name: view.name })} className="text-red-600 hover:text-red-800 text-xs">
+                    {t('filters.deleteView')}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+        {hasActiveFilters(filters) && (
+          <button
+            type="button"
+            onClick={() => onChange({ ...DEFAULT_FILTERS, sort: filters.sort, shift: filters.shift })}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            {t('filters.clear')}
+          </button>
+        )}
+      </div>
+
+      {viewDialog?.type === 'save' && (
+        <SaveViewModal savedViews={savedViews} onClose={() => setViewDialog(null)} onSave={saveView} />
+      )}
+      {viewDialog?.type === 'delete' && (
+        <ViewDialog
+          id="delete-view"
+          title={t('filters.deleteViewTitle')}
+          onClose={() => setViewDialog(null)}
+          onSubmit={() => deleteView(viewDialog.name)}
+          submitLabel={t('filters.deleteView')}
+          danger
+        >
+          <p className="text-sm text-gray-700">{t('filters.deleteViewConfirm', { name: viewDialog.name })}</p>
+        </ViewDialog>
+      )}
+    </div>
+  );
+};
+
+export default TaskFilterBar;
@@ -0,0 +1,506 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from './AuthProvider';
+import { useNotifications } from './NotificationProvider';
+import { useI18n } from './I18nProvider';
+import { RequirePermission } from './Permissions';
+import { PERMISSIONS, getDeniedReason } from '../lib/permissions';
+import { PRIORITIES } from '../lib/taskFilters';
+import {
+  RULE_TYPES,
+  MAX_PATTERN_ROOMS,
+  expandRoomPattern,
+  validateRule,
+  describeRule,
+  getNextOccurrences
+} from '../lib/templates';
+import { useTemplates } from '../hooks/useTemplates';
+
+const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const EMPTY_TEMPLATE = {
+  title: '',
+  description: '',
+  priority: 'normal',
+  estimated_duration: '',
+  room_pattern: ''
+};
+
+const EMPTY_SERIES = {
+  template_id: '',
+  room_pattern: '',
+  rule: { type: RULE_TYPES.INTERVAL, every_hours: 4, start_time: '08:00', times: [] }
+};
+
+const OCCURRENCE_FORMAT = { weekday: 'short', hour: '2-digit', minute: '2-digit' };
+
+// Template Library
+// Reusable task templates and the recurring schedules built from them.
+// The server creates the scheduled tasks; this screen only edits the rules.
+const TemplateLibrary = () => {
+  const { t } = useI18n();
+  return (
+    <RequirePermission
+      permission={PERMISSIONS.MANAGE_TEMPLATES}
+      fallback={
+        <div className="bg-white rounded-lg shadow-sm p-6 text-center text-gray-600">
+          {t(getDeniedReason(PERMISSIONS.MANAGE_TEMPLATES))}
+        </div>
+      }
+    >
+      <TemplateLibraryPanel />
+    </RequirePermission>
+  );
+};
+
+const TemplateLibraryPanel = () => {
+  const { api } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t, formatDateTime, formatError } = useI18n();
+  const { templates, setTemplates, loading } = useTemplates();
+  const [series, setSeries] = useState([]);
+  const [editingTemplate, setEditingTemplate] = useState(null);
+  const [editingSeries, setEditingSeries] = useState(null);
+
+  const loadSeries = useCallback(async () => {
+    try {
+      const data = await api.get('/recurrences');
+      setSeries(data.recurrences || []);
+    } catch (error) {
+      addNotification(formatError(error, 'templates.loadSeriesFailed'), 'error');
+    }
+  }, [api, addNotification, formatError]);
+
+  useEffect(() => {
+    loadSeries();
+  }, [loadSeries]);
+
+  const saveTemplate = async (template) => {
+    try {
+      const saved = template.id
+        ? await api.put(`/templates/${template.id}`, template)
+        : await api.post('/templates', template);
+      setTemplates(prev => template.id ? prev.map(item => item.id === saved.id ? saved : item) : [...prev, saved]);
+      setEditingTemplate(null);
+      addNotification(t('templates.saved', { title: saved.title }), 'success');
+    } catch (error) {
+      addNotification(formatError(error, 'templates.saveFailed'), 'error');
+    }
+  };
+
+  const deleteTemplate = async (template) => {
+    if (!window.confirm(t('templates.deleteConfirm', { title: template.title }))) return;
+    try {
+      await api.delete(`/templates/${template.id}`);
+      setTemplates(prev => prev.filter(item => item.id !== template.id));
+      addNotification(t('templates.deleted'), 'success');
+    } catch (error) {
+      addNotification(formatError(error, 'templates.deleteFailed'), 'error');
+    }
+  };
+
+  // Edits apply to the whole series: every task it creates from now on
+  const saveSeries = async (recurrence) => {
+    try {
+      const saved = recurrence.id
+        ? await api.put(`/recurrences/${recurrence.id}`, recurrence)
+        : await api.post('/recurrences', recurrence);
+      setSeries(prev => recurrence.id ? prev.map(s => s.id === saved.id ? saved : s) : [...prev, saved]);
+      setEditingSeries(null);
+      addNotification(t('series.saved'), 'success');
+    } catch (error) {
+      addNotification(formatError(error, 'series.saveFailed'), 'error');
+    }
+  };
+
+  const setSeriesPaused = async (recurrence, paused) => {
+    try {
+      const saved = await api.post(`/recurrences/${recurrence.id}/${paused ? 'pause' : 'resume'}`);
+      setSeries(prev => prev.map(s => s.id === recurrence.id ? { ...s, ...saved } : s));
+      addNotification(paused ? t('series.paused') : t('series.resumed'), 'success');
+    } catch (error) {
+      addNotification(formatError(error, 'series.updateFailed'), 'error');
+    }
+  };
+
+  const deleteSeries = async (recurrence) => {
+    if (!window.confirm(t('series.deleteConfirm'))) return;
+    try {
+      await api.delete(`/recurrences/${recurrence.id}`);
+      setSeries(prev => prev.filter(s => s.id !== recurrence.id));
+      addNotification(t('series.deleted'), 'success');
+    } catch (error) {
+      addNotification(formatError(error, 'series.deleteFailed'), 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto mb-2"></div>
+        <p className="text-gray-600">{t('templates.loading')}</p>
+      </div>
+    );
+  }
+
+  const templateTitle = (id) => templates.find(item => String(item.id) === String(id))?.title || t('templates.deletedTemplate');
+  const formatOccurrence = (date) => formatDateTime(date, OCCURRENCE_FORMAT);
+
+  return (
+    <div className="space-y-6">
+      {/* Templates */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">{t('templates.title')}</h2>
+          {!editingTemplate && (
+            <button onClick={() => setEditingTemplate(EMPTY_TEMPLATE)} className="text-blue-600 hover:text-blue-800 text-sm">
+              {t('templates.new')}
+            </button>
+          )}
+        </div>
+
+        {editingTemplate && (
+          <TemplateForm
+            template={editingTemplate}
+            onCancel={() => setEditingTemplate(null)}
+            onSubmit={saveTemplate}
+          />
+        )}
+
+        {templates.length === 0 ? (
+          <p className="text-sm text-gray-400">{t('templates.empty')}</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-start text-gray-500 border-b">
+                <th className="py-2">{t('templates.titleColumn')}</th>
+                <th className="py-2">{t('create.priority')}</th>
+                <th className="py-2">{t('templates.duration')}</th>
+                <th className="py-2">{t('templates.rooms')}</th>
+                <th className="py-2 sr-only">{t('staff.actions')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {templates.map(template => (
+                <tr key={template.id} className="border-b last:border-0">
+                  <td className="py-2">{template.title}</td>
+                  <td className="py-2 text-gray-600">{t(`priority.${template.priority || 'normal'}`)}</td>
+                  <td className="py-2 text-gray-600">
+                    {template.estimated_duration ? t('templates.minutes', { count: template.estimated_duration }) : '—'}
+                  </td>
+                  <td className="py-2 text-gray-600">{template.room_pattern || '—'}</td>
+                  <td className="py-2 text-end">
+                    <div className="inline-flex gap-3">
+                      <button onClick={() => setEditingTemplate(template)} className="text-blue-600 hover:text-blue-800">
+                        {t('templates.edit')}
+                      </button>
+                      <button onClick={() => deleteTemplate(template)} className="text-red-600 hover:text-red-800">
+                        {t('templates.delete')}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Recurring Tasks */}
+      <div className="bg-white rounded-lg shadow-sm p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-semibold text-gray-900">{t('series.title')}</h2>
+          {!editingSeries && templates.length > 0 && (
+            <button onClick={() => setEditingSeries(EMPTY_SERIES)} className="text-blue-600 hover:text-blue-800 text-sm">
+              {t('series.new')}
+            </button>
+          )}
+        </div>
+
+        {editingSeries && (
+          <SeriesForm
+            series={editingSeries}
+            templates={templates}
+            onCancel={() => setEditingSeries(null)}
+            onSubmit={saveSeries}
+          />
+        )}
+
+        {series.length === 0 ? (
+          <p className="text-sm text-gray-400">
+            {templates.length === 0 ? t('series.needTemplate') : t('series.empty')}
+          </p>
+        ) : (
+          <ul className="divide-y">
+            {series.map(recurrence => {
+              const next = recurrence.paused ? [] : getNextOccurrences(recurrence.rule, new Date(), 1);
+              return (
+                <li key={recurrence.id} className="py-3 flex flex-col md:flex-row md:items-center md:justify-between gap-2">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {recurrence.template?.title || templateTitle(recurrence.template_id)}
+                      {recurrence.paused && (
+                        <span className="ms-2 px-2 py-0.5 bg-gray-100 text-gray-600 text-xs rounded-full">{t('series.pausedBadge')}</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {describeRule(recurrence.rule, t)}
+                      {recurrence.room_pattern && ` · ${t('series.rooms', { rooms: recurrence.room_pattern })}`}
+                      {next[0] && ` · ${t('series.next', { time: formatOccurrence(next[0]) })}`}
+                    </p>
+                  </div>
+                  <div className="text-sm flex gap-3">
+                    <button onClick={() => setEditingSeries(recurrence)} className="text-blue-600 hover:text-blue-800">
+                      {t('templates.edit')}
+                    </button>
+                    <button
+                      onClick={() => setSeriesPaused(recurrence, !recurrence.paused)}
+                      className="text-gray-600 hover:text-gray-800"
+                    >
+                      {recurrence.paused ? t('series.resume') : t('series.pause')}
+                    </button>
+                    <button onClick={() => deleteSeries(recurrence)} className="text-red-600 hover:text-red-800">
+                      {t('templates.delete')}
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Template Form
+const TemplateForm = ({ template, onCancel, onSubmit }) => {
+  const { addNotification } = useNotifications();
+  const { t } = useI18n();
+  const [formData, setFormData] = useState({
+    ...template,
+    estimated_duration: template.estimated_duration ? String(template.estimated_duration) : ''
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!formData.title.trim()) {
+      addNotification(t('templates.titleRequired'), 'error');
+      return;
+    }
+    if (formData.room_pattern && !expandRoomPattern(formData.room_pattern)) {
+      addNotification(t('templates.badRooms', { max: MAX_PATTERN_ROOMS }), 'error');
+      return;
+    }
+
+    onSubmit({
+      ...formData,
+      title: formData.title.trim(),
+      estimated_duration: formData.estimated_duration ? parseInt(formData.estimated_duration) : null
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 mb-4 space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <input
+          type="text"
+          value={formData.title}
+          onChange={(e) => setFormData({...formData, title: e.target.value})}
+          className={inputClass}
+          placeholder={t('templates.titlePlaceholder')}
+          aria-label={t('templates.templateTitle')}
+        />
+        <input
+          type="text"
+          value={formData.room_pattern}
+          onChange={(e) => setFormData({...formData, room_pattern: e.target.value})}
+          className={inputClass}
+          placeholder={t('templates.roomsPlaceholder')}
+          aria-label={t('templates.defaultRooms')}
+        />
+      </div>
+      <textarea
+        value={formData.description}
+        onChange={(e) => setFormData({...formData, description: e.target.value})}
+        className={inputClass}
+        rows="2"
+        placeholder={t('create.description')}
+        aria-label={t('create.description')}
+      />
+      <div className="grid grid-cols-2 gap-3">
+        <select
+          value={formData.priority}
+          onChange={(e) => setFormData({...formData, priority: e.target.value})}
+          className={inputClass}
+          aria-label={t('create.priority')}
+        >
+          {PRIORITIES.map(priority => (
+            <option key={priority} value={priority}>{t(`priority.${priority}`)}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="1"
+          value={formData.estimated_duration}
+          onChange={(e) => setFormData({...formData, estimated_duration: e.target.value})}
+          className={inputClass}
+          placeholder={t('templates.durationPlaceholder')}
+          aria-label={t('templates.durationLabel')}
+        />
+      </div>
+      <div className="flex justify-end gap-3">
+        <button type="button" onClick={onCancel} className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50">
+          {t('create.cancel')}
+        </button>
+        <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+          {t('templates.save')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Recurring Series Form
+const SeriesForm = ({ series, templates, onCancel, onSubmit }) => {
+  const { addNotification } = useNotifications();
+  const { t, formatDateTime } = useI18n();
+  const [formData, setFormData] = useState({
+    ...series,
+    template_id: series.template_id || templates[0]?.id || ''
+  });
+  const [timesText, setTimesText] = useState((series.rule.times || []).join(', '));
+
+  const template = templates.find(item => String(item.id) === String(formData.template_id));
+  const roomPattern = formData.room_pattern || template?.room_pattern || '';
+  const rooms = roomPattern ? expandRoomPattern(roomPattern) : [];
+  const rule = {
+    ...formData.rule,
+    every_hours: Number(formData.rule.every_hours),
+    times: timesText.split(',').map(time => time.trim()).filter(Boolean)
+  };
+  const ruleError = validateRule(rule);
+  const ruleErrorText = ruleError && t(ruleError.key, ruleError.values);
+
+  const setRule = (changes) => setFormData({ ...formData, rule: { ...formData.rule, ...changes } });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!template) {
+      addNotification(t('series.chooseTemplate'), 'error');
+      return;
+    }
+    if (!rooms) {
+      addNotification(t('templates.badRooms', { max: MAX_PATTERN_ROOMS }), 'error');
+      return;
+    }
+    if (ruleError) {
+      addNotification(ruleErrorText, 'error');
+      return;
+    }
+
+    const { type, every_hours, start_time, times } = rule;
+    onSubmit({
+      ...formData,
+      room_pattern: formData.room_pattern.trim(),
+      rule: type === RULE_TYPES.INTERVAL ? { type, every_hours, start_time } : { type, times }
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 mb-4 space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <select
+          value={formData.template_id}
+          onChange={(e) => setFormData({...formData, template_id: e.target.value})}
+          className={inputClass}
+          aria-label={t('series.template')}
+        >
+          {templates.map(item => (
+            <option key={item.id} value={item.id}>{item.title}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={formData.room_pattern}
+          onChange={(e) => setFormData({...formData, room_pattern: e.target.value})}
+          className={inputClass}
+          placeholder={template?.room_pattern
+            ? t('series.templateRooms', { rooms: template.room_pattern })
+            : t('series.roomsPlaceholder')}
+          aria-label={t('templates.rooms')}
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <label className="flex items-center gap-1">
+          <input
+            type="radio"
+            checked={formData.rule.type === RULE_TYPES.INTERVAL}
+            onChange={() => setRule({ type: RULE_TYPES.INTERVAL })}
+          />
+          {t('series.every')}
+        </label>
+        <input
+          type="number"
+          min="1"
+          max="24"
+          value={formData.rule.every_hours ?? ''}
+          onChange={(e) => setRule({ every_hours: e.target.value })}
+          disabled={formData.rule.type !== RULE_TYPES.INTERVAL}
+          className="w-20 border border-gray-300 rounded-lg px-2 py-1"
+          aria-label={t('series.hoursBetween')}
+        />
+        <span>{t('series.hoursFrom')}</span>
+        <input
+          type="time"
+          value={formData.rule.start_time || ''}
+          onChange={(e) => setRule({ start_time: e.target.value })}
+          disabled={formData.rule.type !== RULE_TYPES.INTERVAL}
+          className="border border-gray-300 rounded-lg px-2 py-1"
+          aria-label={t('series.firstTime')}
+        />
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <label className="flex items-center gap-1">
+          <input
+            type="radio"
+            checked={formData.rule.type === RULE_TYPES.TIMES}
+            onChange={() => setRule({ type: RULE_TYPES.TIMES })}
+          />
+          {t('series.dailyAt')}
+        </label>
+        <input
+          type="text"
+          value={timesText}
+          onChange={(e) => setTimesText(e.target.value)}
+          disabled={formData.rule.type !== RULE_TYPES.TIMES}
+          className="flex-1 border border-gray-300 rounded-lg px-2 py-1"
+          placeholder="08:00, 12:00, 18:00"
+          aria-label={t('series.timesOfDay')}
+        />
+      </div>
+
+      <p className="text-xs text-gray-500">
+        {ruleError || rooms === null
+          ? (ruleErrorText || t('series.checkRooms'))
+          : t('series.preview', {
+            rule: describeRule(rule, t),
+            count: rooms.length || 1,
+            next: getNextOccurrences(rule, new Date(), 3).map(date => formatDateTime(date, OCCURRENCE_FORMAT)).join(', ')
+          })}
+      </p>
+
+      <div className="flex justify-end gap-3">
+        <button type="button" onClick={onCancel} className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50">
+          {t('create.cancel')}
+        </button>
+        <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+          {series.id ? t('series.save') : t('series.schedule')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TemplateLibrary;
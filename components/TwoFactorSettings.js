@@ -0,0 +1,326 @@
+import { useState, useEffect } from 'react';
+import Image from 'next/image';
+import { useAuth } from './AuthProvider';
+import { useNotifications } from './NotificationProvider';
+import { useI18n, LanguageSwitcher } from './I18nProvider';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Authenticator codes are six digits; spaces from copy-paste are dropped
+const cleanCode = (value) => value.replace(/\s/g, '');
+
+// Recovery Codes
+// Shown once, straight after they are generated
+const RecoveryCodes = ({ codes, onDone }) => {
+  const { addNotification } = useNotifications();
+  const { t } = useI18n();
+
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      addNotification(t('mfa.copied'), 'success');
+    } catch (error) {
+      addNotification(t('mfa.copyFailed'), 'error');
+    }
+  };
+
+  const downloadCodes = () => {
+    const url = URL.createObjectURL(new Blob([`${codes.join('\n')}\n`], { type: 'text/plain;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'shiftflow-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h3 className="font-medium text-gray-900">{t('mfa.recoveryTitle')}</h3>
+        <p className="text-sm text-gray-600">{t('mfa.recoveryIntro')}</p>
+      </div>
+      <ul className="grid grid-cols-2 gap-2 p-4 bg-gray-50 rounded-lg font-mono text-sm">
+        {codes.map(code => <li key={code}>{code}</li>)}
+      </ul>
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={copyCodes}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+        >
+          {t('mfa.copy')}
+        </button>
+        <button
+          type="button"
+          onClick={downloadCodes}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+        >
+          {t('mfa.download')}
+        </button>
+        <button
+          type="button"
+          onClick={onDone}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          {t('mfa.saved')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Two-Factor Enrollment
+// Scan the QR code, confirm one code, then save the recovery codes. The
+// account only counts as enrolled once the codes have been acknowledged.
+export const TwoFactorEnrollment = ({ onCancel, onDone }) => {
+  const { api, updateUser } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // A fresh secret each time; the API discards any unconfirmed one
+  useEffect(() => {
+    let cancelled = false;
+    api.post('/auth/mfa/setup')
+      .then(data => {
+        if (!cancelled) setSetup(data);
+      })
+      .catch(error => addNotification(formatError(error), 'error'));
+    return () => { cancelled = true; };
+  }, [api, addNotification, formatError]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!code) {
+      addNotification(t('mfa.codeRequired'), 'error');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const data = await api.post('/auth/mfa/enable', { code });
+      setRecoveryCodes(data.recovery_codes || []);
+    } catch (error) {
+      addNotification(formatError(error), 'error');
+      setCode('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const finish = () => {
+    updateUser({ mfa_enabled: true });
+    addNotification(t('mfa.enabled'), 'success');
+    if (onDone) onDone();
+  };
+
+  if (recoveryCodes) return <RecoveryCodes codes={recoveryCodes} onDone={finish} />;
+
+  if (!setup) {
+    return <p className="text-sm text-gray-600">{t('mfa.loadingSetup')}</p>;
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-gray-600">{t('mfa.scan')}</p>
+      <div className="flex flex-col sm:flex-row gap-4 items-start">
+        {/* The API renders the QR code as a data URL */}
+        <Image src={setup.qr_code} alt={t('mfa.qrAlt')} width={192} height={192} unoptimized />
+        <div className="text-sm space-y-2">
+          <p className="text-gray-600">{t('mfa.manualKey')}</p>
+          <code className="block p-2 bg-gray-50 rounded break-all">{setup.secret}</code>
+          {setup.otpauth_url && (
+            <a href={setup.otpauth_url} className="text-blue-600 hover:text-blue-800">
+              {t('mfa.openApp')}
+            </a>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="mfa-enroll-code" className="block text-sm font-medium text-gray-700 mb-1">
+          {t('mfa.code')}
+        </label>
+        <input
+          id="mfa-enroll-code"
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength={7}
+          required
+          value={code}
+          onChange={(e) => setCode(cleanCode(e.target.value))}
+          className={`${inputClass} max-w-xs`}
+        />
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={submitting}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+        >
+          {submitting ? t('mfa.confirming') : t('mfa.confirm')}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            {t('mfa.cancel')}
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+// Changing two-factor settings that are already on takes a current code,
+// so a walk-up at an unlocked workstation cannot turn it off
+const ManageTwoFactor = () => {
+  const { api, user, updateUser } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const run = async (action) => {
+    if (!code) {
+      addNotification(t('mfa.codeRequired'), 'error');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await action();
+    } catch (error) {
+      addNotification(formatError(error), 'error');
+    } finally {
+      setCode('');
+      setSubmitting(false);
+    }
+  };
+
+  const regenerateCodes = () => run(async () => {
+    const data = await api.post('/auth/mfa/recovery-codes', { code });
+    setRecoveryCodes(data.recovery_codes || []);
+  });
+
+  const disable = () => run(async () => {
+    await api.post('/auth/mfa/disable', { code });
+    updateUser({ mfa_enabled: false });
+    addNotification(t('mfa.disabled'), 'success');
+  });
+
+  if (recoveryCodes) return <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+
+  return (
+    <div className="space-y-3">
+      <label htmlFor="mfa-manage-code" className="block text-sm text-gray-600">
+        {t('mfa.manageIntro')}
+      </label>
+      <div className="flex flex-wrap gap-2">
+        <input
+          id="mfa-manage-code"
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          maxLength={7}
+          value={code}
+          onChange={(e) => setCode(cleanCode(e.target.value))}
+          className={`${inputClass} max-w-[10rem]`}
+        />
+        <button
+          onClick={regenerateCodes}
+          disabled={submitting}
+          className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors"
+        >
+          {t('mfa.newCodes')}
+        </button>
+        {!user?.mfa_required && (
+          <button
+            onClick={disable}
+            disabled={submitting}
+            className="px-4 py-2 border border-red-300 text-red-700 rounded-lg hover:bg-red-50 disabled:opacity-50 transition-colors"
+          >
+            {t('mfa.disable')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Two-Factor Settings
+// The account settings section for the signed-in user's own two-factor
+const TwoFactorSettings = () => {
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const [enrolling, setEnrolling] = useState(false);
+  const enabled = Boolean(user?.mfa_enabled);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <div className="flex items-center gap-2 mb-1">
+        <h2 className="text-lg font-semibold text-gray-900">{t('mfa.title')}</h2>
+        <span className={`px-2 py-0.5 text-xs rounded-full ${enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'}`}>
+          {enabled ? t('mfa.on') : t('mfa.off')}
+        </span>
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        {user?.mfa_required ? t('mfa.required') : t('mfa.intro')}
+      </p>
+
+      {enabled ? (
+        <ManageTwoFactor />
+      ) : enrolling ? (
+        <TwoFactorEnrollment onCancel={() => setEnrolling(false)} onDone={() => setEnrolling(false)} />
+      ) : (
+        <button
+          onClick={() => setEnrolling(true)}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          {t('mfa.setUp')}
+        </button>
+      )}
+    </div>
+  );
+};
+
+// Two-Factor Required
+// Stands in for the whole app when the organization requires two-factor and
+// this user has not set it up yet
+export const TwoFactorRequired = () => {
+  const { user, logout } = useAuth();
+  const { t } = useI18n();
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <main className="bg-white rounded-lg shadow-xl p-8 w-full max-w-xl">
+        <div className="flex justify-end mb-4">
+          <LanguageSwitcher />
+        </div>
+
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold text-gray-900 mb-2">{t('mfa.requiredTitle')}</h1>
+          <p className="text-gray-600">{t('mfa.requiredIntro', { organization: user?.organizationName || 'ShiftFlow' })}</p>
+        </div>
+
+        <TwoFactorEnrollment />
+
+        <div className="mt-6 text-center">
+          <button onClick={logout} className="text-blue-600 hover:text-blue-800 text-sm">
+            {t('mfa.signOut')}
+          </button>
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
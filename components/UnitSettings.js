@@ -0,0 +1,163 @@
+import { useState, useEffect } from 'react';
+import { useNotifications } from './NotificationProvider';
+import { useI18n } from './I18nProvider';
+import { RequirePermission } from './Permissions';
+import { PERMISSIONS } from '../lib/permissions';
+import { expandRoomPattern, MAX_PATTERN_ROOMS } from '../lib/templates';
+import { DEFAULT_ESCALATION_MINUTES } from '../lib/escalation';
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Longest an unstarted emergency may wait before escalating
+const MAX_ESCALATION_MINUTES = 60;
+
+const toDraft = (units) => units.map(unit => ({
+  ...unit,
+  roomsText: (unit.rooms || []).join(', '),
+  columns: String(unit.columns || 6),
+  // Blank uses the facility default
+  escalationText: unit.escalation_minutes ? String(unit.escalation_minutes) : ''
+}));
+
+// Unit Settings
+// Admin-only editor for the units and room grid shown on the room map
+const UnitSettings = ({ units, onSave }) => {
+  return (
+    <RequirePermission permission={PERMISSIONS.MANAGE_UNITS}>
+      <UnitSettingsPanel units={units} onSave={onSave} />
+    </RequirePermission>
+  );
+};
+
+const UnitSettingsPanel = ({ units, onSave }) => {
+  const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const [draft, setDraft] = useState(() => toDraft(units));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setDraft(toDraft(units));
+  }, [units]);
+
+  const updateUnit = (index, changes) => {
+    setDraft(prev => prev.map((unit, i) => i === index ? { ...unit, ...changes } : unit));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const next = [];
+    for (const unit of draft) {
+      const rooms = expandRoomPattern(unit.roomsText);
+      if (!unit.name.trim()) {
+        addNotification(t('onboarding.units.missingName'), 'error');
+        return;
+      }
+      if (!rooms || rooms.length === 0) {
+        addNotification(t('onboarding.units.badRooms', { unit: unit.name.trim(), max: MAX_PATTERN_ROOMS }), 'error');
+        return;
+      }
+      const escalation = unit.escalationText.trim() === '' ? null : Number(unit.escalationText);
+      if (escalation !== null && (!Number.isInteger(escalation) || escalation < 1 || escalation > MAX_ESCALATION_MINUTES)) {
+        addNotification(t('units.badEscalation', { unit: unit.name.trim(), max: MAX_ESCALATION_MINUTES }), 'error');
+        return;
+      }
+      const { roomsText, escalationText, ...rest } = unit;
+      next.push({
+        ...rest,
+        name: unit.name.trim(),
+        rooms,
+        columns: Math.min(12, Math.max(1, parseInt(unit.columns) || 6)),
+        escalation_minutes: escalation
+      });
+    }
+
+    setSaving(true);
+    try {
+      await onSave(next);
+      addNotification(t('units.saved'), 'success');
+    } catch (error) {
+      addNotification(formatError(error, 'units.saveFailed'), 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-1">{t('units.title')}</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        {t('units.intro')}
+      </p>
+
+      <form onSubmit={handleSubmit} className="space-y-3">
+        {draft.map((unit, index) => (
+          <div key={unit.id || `new-${index}`} className="flex flex-col md:flex-row md:items-center gap-3">
+            <input
+              type="text"
+              value={unit.name}
+              onChange={(e) => updateUnit(index, { name: e.target.value })}
+              className={`md:w-48 ${inputClass}`}
+              placeholder={t('units.namePlaceholder')}
+              aria-label={t('onboarding.units.name')}
+            />
+            <input
+              type="text"
+              value={unit.roomsText}
+              onChange={(e) => updateUnit(index, { roomsText: e.target.value })}
+              className={`flex-1 ${inputClass}`}
+              placeholder="201-230"
+              aria-label={t('onboarding.units.rooms', { unit: unit.name || t('onboarding.units.name') })}
+            />
+            <input
+              type="number"
+              min="1"
+              max="12"
+              value={unit.columns}
+              onChange={(e) => updateUnit(index, { columns: e.target.value })}
+              className={`w-24 ${inputClass}`}
+              aria-label={t('units.columnsFor', { unit: unit.name || t('onboarding.units.name') })}
+              title={t('units.columns')}
+            />
+            <input
+              type="number"
+              min="1"
+              max={MAX_ESCALATION_MINUTES}
+              value={unit.escalationText}
+              onChange={(e) => updateUnit(index, { escalationText: e.target.value })}
+              className={`w-24 ${inputClass}`}
+              placeholder={String(DEFAULT_ESCALATION_MINUTES)}
+              aria-label={t('units.escalationFor', { unit: unit.name || t('onboarding.units.name') })}
+              title={t('units.escalation', { default: DEFAULT_ESCALATION_MINUTES })}
+            />
+            <button
+              type="button"
+              onClick={() => setDraft(prev => prev.filter((_, i) => i !== index))}
+              className="text-red-600 hover:text-red-800 text-sm"
+            >
+              {t('units.remove')}
+            </button>
+          </div>
+        ))}
+
+        <div className="flex items-center justify-between pt-2">
+          <button
+            type="button"
+            onClick={() => setDraft(prev => [...prev, { name: '', roomsText: '', columns: '6', escalationText: '' }])}
+            className="text-blue-600 hover:text-blue-800 text-sm"
+          >
+            {t('onboarding.units.add')}
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+          >
+            {saving ? t('units.saving') : t('units.save')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default UnitSettings;
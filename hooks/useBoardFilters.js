@@ -0,0 +1,69 @@
+import { useMemo, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import { TASK_COLUMNS } from '../lib/taskTransitions';
+import { parseFilters, serializeFilters, filterTasks, sortTasks } from '../lib/taskFilters';
+import { isOverdue } from '../lib/overdue';
+import { isTaskInRoom } from '../lib/rooms';
+import { useNow } from './useNow';
+
+// The board's filters, layout and selected room, and the tasks they leave
+// on screen. All three live in the query string so views can be bookmarked
+// and shared, and switching between Kanban and rooms keeps the filters.
+export const useBoardFilters = (tasks, userId) => {
+  const router = useRouter();
+
+  const filters = useMemo(() => parseFilters(router.query), [router.query]);
+  const layout = router.query.layout === 'rooms' ? 'rooms' : 'kanban';
+  const selectedRoom = layout === 'rooms' && router.query.room ? String(router.query.room) : null;
+
+  const updateQuery = useCallback((nextFilters, nextLayout, room) => {
+    const query = serializeFilters(nextFilters);
+    if (nextLayout === 'rooms') {
+      query.layout = 'rooms';
+      if (room) query.room = room;
+    }
+    router.replace({ pathname: router.pathname, query }, undefined, { shallow: true });
+  }, [router]);
+
+  const setFilters = useCallback((next) => {
+    updateQuery(next, layout, selectedRoom);
+  }, [updateQuery, layout, selectedRoom]);
+
+  // Kanban, the room map, or one room when `room` is given
+  const setLayout = useCallback((nextLayout, room) => {
+    updateQuery(filters, nextLayout, room);
+  }, [updateQuery, filters]);
+
+  // Overdue filtering, sorting and counts refresh every 30 seconds
+  const now = useNow(30000);
+
+  const visibleTasks = useMemo(() => {
+    const filtered = filterTasks(tasks, filters, userId, now);
+    return selectedRoom ? filtered.filter(t => isTaskInRoom(t, selectedRoom)) : filtered;
+  }, [tasks, filters, userId, now, selectedRoom]);
+
+  const overdueCount = useMemo(() => {
+    return visibleTasks.filter(t => isOverdue(t, now)).length;
+  }, [visibleTasks, now]);
+
+  const tasksByStatus = useMemo(() => {
+    return TASK_COLUMNS.reduce((groups, column) => ({
+      ...groups,
+      [column.status]: sortTasks(visibleTasks.filter(t => t.status === column.status), filters.sort, now)
+    }), {});
+  }, [visibleTasks, filters.sort, now]);
+
+  return {
+    filters,
+    setFilters,
+    layout,
+    selectedRoom,
+    setLayout,
+    now,
+    visibleTasks,
+    overdueCount,
+    tasksByStatus
+  };
+};
+
+export default useBoardFilters;
@@ -0,0 +1,70 @@
+import { useEffect, useRef } from 'react';
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'summary',
+  '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+// Modal dialog behaviour: moves focus into the dialog when it opens, keeps
+// Tab and Shift+Tab inside it, closes on Escape and gives focus back to
+// whatever opened it. Attach the returned ref to the dialog element.
+export const useDialog = (onClose) => {
+  const dialogRef = useRef(null);
+  // Read through a ref so an inline onClose does not re-run the effect and
+  // steal focus back to the first field on every render
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    if (!dialog) return;
+    const opener = document.activeElement;
+
+    const focusable = () => Array.from(dialog.querySelectorAll(FOCUSABLE))
+      .filter(el => el.offsetParent !== null || el === document.activeElement);
+
+    const initial = dialog.querySelector('[autofocus]') || focusable()[0] || dialog;
+    initial.focus();
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        onCloseRef.current();
+        return;
+      }
+      if (e.key !== 'Tab') return;
+
+      const elements = focusable();
+      if (elements.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = elements[0];
+      const last = elements[elements.length - 1];
+      if (e.shiftKey && (document.activeElement === first || !dialog.contains(document.activeElement))) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (document.activeElement === last || !dialog.contains(document.activeElement))) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+
+    dialog.addEventListener('keydown', handleKeyDown);
+    return () => {
+      dialog.removeEventListener('keydown', handleKeyDown);
+      if (opener && typeof opener.focus === 'function' && document.contains(opener)) {
+        opener.focus();
+      }
+    };
+  }, []);
+
+  return dialogRef;
+};
+
+export default useDialog;
@@ -0,0 +1,92 @@
+import { useState, useRef } from 'react';
+import { validateField, validateForm, mapFieldErrors } from '../lib/validation';
+
+// Form state with schema validation (see lib/validation.js). Fields are
+// checked on blur and all together on submit; a field showing an error is
+// re-checked as it is edited. Field errors in an API error land on their
+// inputs, anything else goes to `onError`. `fieldMap` renames API fields to
+// form fields, and `idPrefix` keeps input ids unique on the page.
+export const useForm = ({ initialValues, schema, onSubmit, onError, fieldMap, idPrefix = 'field' }) => {
+  const [values, setValues] = useState(initialValues);
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+  // A ref as well as state so a second click before the re-render is refused
+  const submittingRef = useRef(false);
+
+  const fieldId = (name) => `${idPrefix}-${name}`;
+
+  const focusField = (name) => {
+    const input = document.getElementById(fieldId(name));
+    if (input) input.focus();
+  };
+
+  // Built from the previous state so edits made in the same event (one
+  // field filling another, say) all land. React runs the values update
+  // before the errors one, so the re-check sees this edit.
+  const setValue = (name, value) => {
+    let next;
+    setValues(prev => (next = { ...prev, [name]: value }));
+    setErrors(prev => (prev[name] ? { ...prev, [name]: validateField(schema, name, next) } : prev));
+  };
+
+  // Replace several values at once, e.g. when a template fills the form
+  const setFields = (changes) => {
+    setValues(prev => ({ ...prev, ...changes }));
+    setErrors(prev => Object.keys(changes).reduce((next, name) => ({ ...next, [name]: null }), prev));
+  };
+
+  const handleBlur = (name) => {
+    setErrors(prev => ({ ...prev, [name]: validateField(schema, name, values) }));
+  };
+
+  const handleSubmit = async (e) => {
+    if (e) e.preventDefault();
+    if (submittingRef.current) return;
+
+    const found = validateForm(schema, values);
+    const invalid = Object.keys(found);
+    if (invalid.length > 0) {
+      setErrors(found);
+      focusField(invalid[0]);
+      return;
+    }
+
+    submittingRef.current = true;
+    setSubmitting(true);
+    try {
+      await onSubmit(values);
+    } catch (error) {
+      const fieldErrors = error.fieldErrors ? mapFieldErrors(error.fieldErrors, Object.keys(values), fieldMap) : {};
+      const mapped = Object.keys(fieldErrors);
+      if (mapped.length > 0) {
+        setErrors(fieldErrors);
+        focusField(mapped[0]);
+      } else if (onError) {
+        onError(error);
+      }
+    } finally {
+      submittingRef.current = false;
+      setSubmitting(false);
+    }
+  };
+
+  // Props for an input bound to `name`. `describedBy` adds ids of hints
+  // that should be read along with the error.
+  const getFieldProps = (name, { describedBy } = {}) => {
+    const id = fieldId(name);
+    const describers = [errors[name] ? `${id}-error` : null, describedBy].filter(Boolean);
+    return {
+      id,
+      name,
+      value: values[name],
+      onChange: (e) => setValue(name, e.target.value),
+      onBlur: () => handleBlur(name),
+      'aria-invalid': Boolean(errors[name]),
+      'aria-describedby': describers.length > 0 ? describers.join(' ') : undefined
+    };
+  };
+
+  return { values, errors, submitting, setValue, setFields, setValues, handleSubmit, getFieldProps, fieldId };
+};
+
+export default useForm;
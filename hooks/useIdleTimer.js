@@ -0,0 +1,42 @@
+import { useEffect, useRef } from 'react';
+import { getSharedActivity, storeSharedActivity } from '../lib/idleLock';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart', 'scroll'];
+const CHECK_INTERVAL = 5000;
+// Writing on every pointer move would thrash storage
+const SHARE_INTERVAL = 5000;
+
+// Calls onIdle once there has been no input in any tab for `timeout` ms.
+// A timeout of 0 turns it off.
+export const useIdleTimer = (timeout, onIdle) => {
+  const onIdleRef = useRef(onIdle);
+  onIdleRef.current = onIdle;
+
+  useEffect(() => {
+    if (!timeout) return;
+    let lastActivity = Date.now();
+    let lastShared = 0;
+
+    const recordActivity = () => {
+      lastActivity = Date.now();
+      if (lastActivity - lastShared > SHARE_INTERVAL) {
+        lastShared = lastActivity;
+        storeSharedActivity(lastActivity);
+      }
+    };
+    recordActivity();
+
+    const timer = setInterval(() => {
+      const latest = Math.max(lastActivity, getSharedActivity());
+      if (Date.now() - latest >= timeout) onIdleRef.current();
+    }, CHECK_INTERVAL);
+
+    ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, recordActivity, { passive: true, capture: true }));
+    return () => {
+      clearInterval(timer);
+      ACTIVITY_EVENTS.forEach(type => window.removeEventListener(type, recordActivity, { capture: true }));
+    };
+  }, [timeout]);
+};
+
+export default useIdleTimer;
@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react';
+
+// One timer per interval, shared by every component that asks for it, so a
+// board full of cards ticks together instead of running a timer per card
+const clocks = new Map();
+
+const subscribe = (interval, listener) => {
+  let clock = clocks.get(interval);
+  if (!clock) {
+    clock = { listeners: new Set() };
+    clock.timer = setInterval(() => {
+      const now = Date.now();
+      clock.listeners.forEach(notify => notify(now));
+    }, interval);
+    clocks.set(interval, clock);
+  }
+  clock.listeners.add(listener);
+
+  return () => {
+    clock.listeners.delete(listener);
+    if (clock.listeners.size === 0) {
+      clearInterval(clock.timer);
+      clocks.delete(interval);
+    }
+  };
+};
+
+// Current time, refreshed every `interval` ms for timers and countdowns
+export const useNow = (interval = 1000) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => subscribe(interval, setNow), [interval]);
+
+  return now;
+};
+
+export default useNow;
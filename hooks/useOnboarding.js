@@ -0,0 +1,31 @@
+import { useState, useEffect, useCallback } from 'react';
+import { loadOnboarding, storeOnboarding, clearOnboarding } from '../lib/onboarding';
+
+// The signed-in user's facility setup progress, saved on every change.
+// `onboarding` is null when there is no setup in progress.
+export const useOnboarding = (userId) => {
+  const [onboarding, setOnboarding] = useState(() => userId ? loadOnboarding(userId) : null);
+
+  useEffect(() => {
+    setOnboarding(userId ? loadOnboarding(userId) : null);
+  }, [userId]);
+
+  // `changes` is an object or a function of the current state
+  const updateOnboarding = useCallback((changes) => {
+    setOnboarding(prev => {
+      if (!prev) return prev;
+      const next = { ...prev, ...(typeof changes === 'function' ? changes(prev) : changes) };
+      storeOnboarding(userId, next);
+      return next;
+    });
+  }, [userId]);
+
+  const finishOnboarding = useCallback(() => {
+    clearOnboarding(userId);
+    setOnboarding(null);
+  }, [userId]);
+
+  return { onboarding, updateOnboarding, finishOnboarding };
+};
+
+export default useOnboarding;
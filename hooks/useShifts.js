@@ -0,0 +1,36 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../components/AuthProvider';
+import { DEFAULT_SHIFTS } from '../lib/shifts';
+
+// Facility shift definitions. Falls back to a 12-hour day/night pattern
+// until an admin has configured shifts or while the API is unreachable.
+export const useShifts = () => {
+  const { api } = useAuth();
+  const [shifts, setShifts] = useState(DEFAULT_SHIFTS);
+  const [configured, setConfigured] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    api.get('/shifts')
+      .then(data => {
+        if (cancelled || !data.shifts?.length) return;
+        setShifts(data.shifts);
+        setConfigured(true);
+      })
+      .catch(error => console.error('Error loading shifts:', error));
+    return () => { cancelled = true; };
+  }, [api]);
+
+  // Resolves to the saved definitions; errors are left to the caller
+  const saveShifts = useCallback(async (next) => {
+    const data = await api.put('/shifts', { shifts: next });
+    const saved = data.shifts || next;
+    setShifts(saved);
+    setConfigured(true);
+    return saved;
+  }, [api]);
+
+  return { shifts, configured, saveShifts };
+};
+
+export default useShifts;
@@ -0,0 +1,28 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../components/AuthProvider';
+
+// The facility's task template library
+export const useTemplates = () => {
+  const { api } = useAuth();
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      const data = await api.get('/templates');
+      setTemplates(data.templates || []);
+    } catch (error) {
+      console.error('Error loading templates:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  return { templates, setTemplates, loading, loadTemplates };
+};
+
+export default useTemplates;
@@ -0,0 +1,30 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../components/AuthProvider';
+
+// The facility's unit and room layout for the room map
+export const useUnits = () => {
+  const { api } = useAuth();
+  const [units, setUnits] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    api.get('/units')
+      .then(data => {
+        if (!cancelled) setUnits(data.units || []);
+      })
+      .catch(error => console.error('Error loading units:', error));
+    return () => { cancelled = true; };
+  }, [api]);
+
+  // Resolves to the saved layout; errors are left to the caller
+  const saveUnits = useCallback(async (next) => {
+    const data = await api.put('/units', { units: next });
+    const saved = data.units || next;
+    setUnits(saved);
+    return saved;
+  }, [api]);
+
+  return { units, saveUnits };
+};
+
+export default useUnits;
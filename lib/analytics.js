@@ -0,0 +1,202 @@
+// Task history metrics for the analytics view.
+// Everything is computed on the client from the task rows returned by
+// /analytics/tasks so the charts and the CSV export always agree.
+
+import { PRIORITIES } from './taskFilters';
+import { isOverdue } from './overdue';
+
+const MINUTE = 60 * 1000;
+
+const timeOf = (value) => value ? new Date(value).getTime() : null;
+
+export const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Minutes spent waiting (created → started), working (started → completed)
+// and in total (created → completed); null where a step has not happened
+export const getCycleTimes = (task) => {
+  const created = timeOf(task.created_at);
+  const started = timeOf(task.started_at);
+  const completed = timeOf(task.completed_at);
+  const minutesBetween = (from, to) => from !== null && to !== null && to >= from ? (to - from) / MINUTE : null;
+
+  return {
+    wait: minutesBetween(created, started),
+    work: minutesBetween(started, completed),
+    total: minutesBetween(created, completed)
+  };
+};
+
+// Finished after its due time or estimate, or still open and overdue now
+export const wasOverdue = (task, now = Date.now()) => {
+  const completed = timeOf(task.completed_at);
+  if (task.status !== 'completed' || completed === null) return isOverdue(task, now);
+
+  const due = timeOf(task.due_at);
+  if (due !== null && completed > due) return true;
+
+  const { work } = getCycleTimes(task);
+  return Boolean(task.estimated_duration && work !== null && work > task.estimated_duration);
+};
+
+// Created and completed counts for each hour of the day (0–23)
+export const getHourlyThroughput = (tasks, from, to) => {
+  const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, created: 0, completed: 0 }));
+  const inRange = (time) => time !== null && time >= from && time < to;
+
+  tasks.forEach(task => {
+    const created = timeOf(task.created_at);
+    const completed = timeOf(task.completed_at);
+    if (inRange(created)) hours[new Date(created).getHours()].created++;
+    if (inRange(completed)) hours[new Date(completed).getHours()].completed++;
+  });
+  return hours;
+};
+
+// Created and completed counts per shift instance, oldest first. Tasks
+// without a shift stamp are grouped together under a null label.
+export const getShiftThroughput = (tasks, shifts, locale) => {
+  const groups = new Map();
+
+  tasks.forEach(task => {
+    const key = task.shift_id && task.shift_start ? `${task.shift_id}@${task.shift_start}` : 'none';
+    if (!groups.has(key)) {
+      const shift = shifts.find(s => String(s.id) === String(task.shift_id));
+      groups.set(key, {
+        key,
+        start: timeOf(task.shift_start) ?? Infinity,
+        label: key === 'none'
+          ? null
+          : `${shift?.name || task.shift_id} · ${new Date(task.shift_start).toLocaleDateString(locale, { month: 'short', day: 'numeric' })}`,
+        created: 0,
+        completed: 0
+      });
+    }
+    const group = groups.get(key);
+    group.created++;
+    if (task.status === 'completed') group.completed++;
+  });
+
+  return [...groups.values()].sort((a, b) => a.start - b.start);
+};
+
+// Median wait, work and total minutes for each priority
+export const getCycleTimesByPriority = (tasks) => PRIORITIES.map(priority => {
+  const times = tasks.filter(t => (t.priority || 'normal') === priority).map(getCycleTimes);
+  const valuesOf = (key) => times.map(t => t[key]).filter(v => v !== null);
+  return {
+    priority,
+    count: times.length,
+    wait: median(valuesOf('wait')),
+    work: median(valuesOf('work')),
+    total: median(valuesOf('total'))
+  };
+});
+
+// Handoffs sent against tasks worked, per staff member. A task counts as
+// worked by its assignee and by everyone who handed it off.
+export const getHandoffRates = (tasks) => {
+  const people = new Map();
+  const personFor = (user) => {
+    if (!people.has(user.id)) {
+      people.set(user.id, { id: user.id, name: user.name || null, worked: new Set(), sent: 0, rejected: 0 });
+    }
+    return people.get(user.id);
+  };
+
+  tasks.forEach(task => {
+    if (task.assigned_user) personFor(task.assigned_user).worked.add(task.id);
+    (task.handoffs || []).forEach(handoff => {
+      if (!handoff.from_user) return;
+      const sender = personFor(handoff.from_user);
+      sender.worked.add(task.id);
+      sender.sent++;
+      if (handoff.status === 'rejected') sender.rejected++;
+    });
+  });
+
+  return [...people.values()]
+    .map(({ worked, ...person }) => ({
+      ...person,
+      worked: worked.size,
+      rate: worked.size ? person.sent / worked.size : 0
+    }))
+    .sort((a, b) => b.rate - a.rate || (a.name || '').localeCompare(b.name || ''));
+};
+
+// Share of tasks that ran overdue, overall and for each priority
+export const getOverdueRates = (tasks, now = Date.now()) => {
+  const rateOf = (list) => {
+    const overdue = list.filter(t => wasOverdue(t, now)).length;
+    return { count: list.length, overdue, rate: list.length ? overdue / list.length : 0 };
+  };
+
+  return {
+    overall: rateOf(tasks),
+    byPriority: PRIORITIES.map(priority => ({
+      priority,
+      ...rateOf(tasks.filter(t => (t.priority || 'normal') === priority))
+    }))
+  };
+};
+
+// One row per task for the CSV export; `label` is a message catalog key
+export const CSV_COLUMNS = [
+  { key: 'id', label: 'analytics.csv.id' },
+  { key: 'title', label: 'analytics.csv.title' },
+  { key: 'priority', label: 'analytics.csv.priority' },
+  { key: 'status', label: 'analytics.csv.status' },
+  { key: 'room_number', label: 'analytics.csv.room' },
+  { key: 'assignee', label: 'analytics.csv.assignee' },
+  { key: 'shift', label: 'analytics.csv.shift' },
+  { key: 'created_at', label: 'analytics.csv.created' },
+  { key: 'started_at', label: 'analytics.csv.started' },
+  { key: 'completed_at', label: 'analytics.csv.completed' },
+  { key: 'wait_minutes', label: 'analytics.csv.wait' },
+  { key: 'work_minutes', label: 'analytics.csv.work' },
+  { key: 'total_minutes', label: 'analytics.csv.total' },
+  { key: 'handoffs', label: 'analytics.csv.handoffs' },
+  { key: 'overdue', label: 'analytics.csv.overdue' }
+];
+
+const roundMinutes = (value) => value === null ? '' : Math.round(value);
+
+export const toAnalyticsRows = (tasks, now = Date.now()) => tasks.map(task => {
+  const { wait, work, total } = getCycleTimes(task);
+  return {
+    id: task.id,
+    title: task.title,
+    priority: task.priority || 'normal',
+    status: task.status,
+    room_number: task.room_number || '',
+    assignee: task.assigned_user?.name || '',
+    shift: task.shift_id ? `${task.shift_id} ${task.shift_start || ''}`.trim() : '',
+    created_at: task.created_at || '',
+    started_at: task.started_at || '',
+    completed_at: task.completed_at || '',
+    wait_minutes: roundMinutes(wait),
+    work_minutes: roundMinutes(work),
+    total_minutes: roundMinutes(total),
+    handoffs: (task.handoffs || []).length,
+    overdue: wasOverdue(task, now) ? 'yes' : 'no'
+  };
+});
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsv = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Numbers are safe; text such as a task titled =HYPERLINK(...) is kept as text
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows, columns = CSV_COLUMNS) => [
+  columns.map(c => escapeCsv(c.label)).join(','),
+  ...rows.map(row => columns.map(c => escapeCsv(row[c.key])).join(','))
+].join('\r\n');
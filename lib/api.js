@@ -0,0 +1,140 @@
+// ShiftFlow API client.
+// One place for the base URL, timeouts, retries and error parsing so
+// components never talk to fetch directly.
+
+// The browser talks to this app's own API routes, which hold the session
+// cookie and forward to the ShiftFlow API (see lib/proxy.js)
+export const API_BASE = '/api';
+
+const DEFAULT_TIMEOUT = 15000;
+const DEFAULT_RETRIES = 2;
+const RETRY_DELAY = 500;
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+const RETRYABLE_STATUSES = [408, 429, 502, 503, 504];
+
+// Errors this client words itself carry `key` and `values` for the message
+// catalog (see formatError in useI18n); `message` stays English for logs.
+// Messages the server sent have no key and are shown as they are.
+
+// Server answered with a non-2xx status
+export class ApiError extends Error {
+  constructor(message, { status, data, key, values } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.key = key;
+    this.values = values;
+    // Per-field validation messages, e.g. { email: 'Already registered' }
+    this.fieldErrors = (data && (data.fields || data.errors)) || null;
+  }
+}
+
+// Session is missing or expired
+export class UnauthorizedError extends ApiError {
+  constructor(message = 'Your session has expired. Please sign in again.', options) {
+    super(message, { status: 401, key: 'auth.sessionExpired', ...options });
+    this.name = 'UnauthorizedError';
+  }
+}
+
+// Request never reached the server (offline, DNS, CORS)
+export class NetworkError extends Error {
+  constructor(message = 'Unable to reach ShiftFlow. Check your connection.', key = 'error.network') {
+    super(message);
+    this.name = 'NetworkError';
+    this.key = key;
+  }
+}
+
+// Server did not answer in time
+export class TimeoutError extends NetworkError {
+  constructor(message = 'The request timed out. Please try again.') {
+    super(message, 'error.timeout');
+    this.name = 'TimeoutError';
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const parseBody = async (response) => {
+  if (response.status === 204) return null;
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return { error: text };
+  }
+};
+
+const isRetryable = (error) =>
+  error instanceof NetworkError || (error instanceof ApiError && RETRYABLE_STATUSES.includes(error.status));
+
+export const createApiClient = ({
+  baseUrl = API_BASE,
+  onUnauthorized,
+  timeout = DEFAULT_TIMEOUT,
+  retries = DEFAULT_RETRIES
+} = {}) => {
+  const send = async (method, path, body, options) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), options.timeout || timeout);
+    const headers = { 'Content-Type': 'application/json', ...options.headers };
+
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw new TimeoutError();
+      throw new NetworkError();
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const data = await parseBody(response);
+    if (response.ok) return data;
+
+    const serverMessage = data && (data.error || data.message);
+    if (response.status === 401 && options.auth !== false) {
+      throw new UnauthorizedError(undefined, { data });
+    }
+    throw new ApiError(serverMessage || `Request failed (${response.status})`, {
+      status: response.status,
+      data,
+      key: serverMessage ? undefined : 'error.requestFailed',
+      values: { status: response.status }
+    });
+  };
+
+  const request = async (method, path, body, options = {}) => {
+    const maxRetries = options.retries ?? (IDEMPOTENT_METHODS.includes(method) ? retries : 0);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send(method, path, body, options);
+      } catch (error) {
+        if (error instanceof UnauthorizedError) {
+          if (onUnauthorized) onUnauthorized(error);
+          throw error;
+        }
+        if (attempt >= maxRetries || !isRetryable(error)) throw error;
+        await sleep(RETRY_DELAY * 2 ** attempt);
+      }
+    }
+  };
+
+  return {
+    request,
+    get: (path, options) => request('GET', path, undefined, options),
+    post: (path, body, options) => request('POST', path, body, options),
+    put: (path, body, options) => request('PUT', path, body, options),
+    patch: (path, body, options) => request('PATCH', path, body, options),
+    delete: (path, options) => request('DELETE', path, undefined, options)
+  };
+};
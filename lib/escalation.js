@@ -0,0 +1,45 @@
+// Emergency and urgent task alarms.
+// Unstarted alarm tasks stay on screen until acknowledged, and emergencies
+// that are not started in time escalate to the charge nurse. The API owns
+// the escalation itself; boards only show the countdown and the result.
+
+import { normalizeRoom } from './rooms';
+import { isLocalId } from './offlineStore';
+
+export const ALARM_PRIORITIES = ['emergency', 'urgent'];
+
+// Facility default for rooms outside any unit and units without their own limit
+export const DEFAULT_ESCALATION_MINUTES = 5;
+
+export const isAlarmTask = (task) =>
+  ALARM_PRIORITIES.includes(task.priority) && task.status === 'todo';
+
+export const isAcknowledgedBy = (task, userId) =>
+  (task.acknowledged_by || []).some(id => String(id) === String(userId));
+
+// Minutes an emergency in this task's room may stay unstarted, from the
+// unit settings
+export const getEscalationMinutes = (task, units = []) => {
+  const room = normalizeRoom(task.room_number);
+  const unit = room && units.find(u => (u.rooms || []).some(r => normalizeRoom(r) === room));
+  return unit?.escalation_minutes || DEFAULT_ESCALATION_MINUTES;
+};
+
+// Milliseconds until an unstarted emergency escalates, or null when it
+// cannot escalate (not an emergency, already started or escalated, or
+// created offline and not yet known to the server)
+export const getEscalationRemaining = (task, units, now = Date.now()) => {
+  if (task.priority !== 'emergency' || task.status !== 'todo' || task.escalated_at || !task.created_at) {
+    return null;
+  }
+  if (isLocalId(task.id)) return null;
+  const deadline = new Date(task.created_at).getTime() + getEscalationMinutes(task, units) * 60 * 1000;
+  return deadline - now;
+};
+
+export const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
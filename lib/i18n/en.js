@@ -0,0 +1,778 @@
+// English messages. This is the fallback catalog: every key used in the UI
+// must exist here.
+
+const en = {
+  'app.loading': 'Loading ShiftFlow...',
+  'language.label': 'Language',
+
+  'auth.sessionExpired': 'Your session has expired. Please sign in again.',
+  'auth.toRegister': "Don't have an account? Register your healthcare facility",
+  'auth.toLogin': 'Already have an account? Sign In',
+
+  'login.tagline': 'Healthcare Communication Platform',
+  'login.email': 'Email Address',
+  'login.emailPlaceholder': 'Enter your email',
+  'login.password': 'Password',
+  'login.passwordPlaceholder': 'Enter your password',
+  'login.submit': 'Sign In',
+  'login.submitting': 'Signing in...',
+  'login.success': 'Login successful!',
+  'login.forgot': 'Forgot password?',
+  'login.mfaTitle': 'Two-step verification',
+  'login.mfaIntro': 'Enter the six-digit code from your authenticator app.',
+  'login.recoveryIntro': 'Enter one of your recovery codes.',
+  'login.mfaCode': 'Authentication code',
+  'login.recoveryCode': 'Recovery code',
+  'login.useRecovery': 'Use a recovery code',
+  'login.useApp': 'Use the authenticator app',
+  'login.rememberDevice': { one: "Don't ask again on this device for {count} day", other: "Don't ask again on this device for {count} days" },
+  'login.verify': 'Verify',
+  'login.verifying': 'Verifying...',
+  'login.back': '← Back',
+
+  'register.title': 'Join ShiftFlow',
+  'register.subtitle': 'Register Your Healthcare Facility',
+  'register.facilityName': 'Healthcare Facility Name',
+  'register.facilityPlaceholder': 'e.g., Metro General Hospital',
+  'register.adminName': 'Administrator Name',
+  'register.adminNamePlaceholder': 'Your full name',
+  'register.adminEmail': 'Administrator Email',
+  'register.password': 'Password',
+  'register.passwordPlaceholder': 'Choose a strong password',
+  'register.submit': 'Create Account',
+  'register.submitting': 'Creating Account...',
+  'register.success': 'Registration successful! Welcome to ShiftFlow!',
+
+  'nav.endShift': 'End Shift',
+  'nav.analytics': 'Analytics',
+  'nav.templates': 'Templates',
+  'nav.facility': 'Facility',
+  'nav.account': 'Account',
+  'nav.taskBoard': 'Task Board',
+  'nav.newTask': '+ New Task',
+  'nav.welcome': 'Welcome, {name}',
+  'nav.logout': 'Logout',
+  'nav.lock': 'Lock screen',
+
+  'role.facility_admin': 'Facility Admin',
+  'role.charge_nurse': 'Charge Nurse',
+  'role.staff': 'Staff',
+
+  'lock.title': 'Screen locked',
+  'lock.signedInAs': 'Signed in as {name}',
+  'lock.pin': 'PIN',
+  'lock.password': 'Password',
+  'lock.newPin': 'New PIN for faster unlocking (4–6 digits, optional)',
+  'lock.pinInvalid': 'A PIN is 4 to 6 digits',
+  'lock.unlock': 'Unlock',
+  'lock.unlocking': 'Unlocking...',
+  'lock.failed': {
+    one: 'That did not match. {count} attempt left.',
+    other: 'That did not match. {count} attempts left.'
+  },
+  'lock.tooMany': 'Too many unlock attempts. Please sign in again.',
+  'lock.switchUser': 'Not you? Switch user',
+
+  'password.new': 'New password',
+  'password.confirm': 'Confirm password',
+  'password.rule.length': 'At least {min} characters',
+  'password.rule.case': 'Upper and lower case letters',
+  'password.rule.number': 'At least one number',
+  'password.rule.personal': 'Does not contain your name or email',
+  'password.met': 'Done:',
+  'password.notMet': 'Still needed:',
+  'password.tooWeak': 'Choose a stronger password that meets every requirement',
+  'password.mismatch': 'Passwords do not match',
+
+  'forgot.title': 'Reset your password',
+  'forgot.intro': "Enter your account email and we'll send you a link to choose a new password.",
+  'forgot.missingEmail': 'Please enter your email',
+  'forgot.submit': 'Send reset link',
+  'forgot.submitting': 'Sending...',
+  'forgot.sent': 'If {email} belongs to a ShiftFlow account, a reset link is on its way. It expires soon, so use it today.',
+  'forgot.backToLogin': '← Back to sign in',
+
+  'reset.title': 'Choose a new password',
+  'reset.submit': 'Set password',
+  'reset.submitting': 'Saving...',
+  'reset.success': 'Password changed. Sign in with your new password.',
+  'reset.invalid': 'This reset link has expired or was already used.',
+  'reset.requestNew': 'Request a new link',
+
+  'verify.verifying': 'Verifying your email...',
+  'verify.success': 'Your email address is verified.',
+  'verify.invalid': 'This verification link has expired or was already used. Sign in to send a new one.',
+  'verify.continue': 'Continue to ShiftFlow',
+  'verify.banner': 'Please verify {email} using the link we emailed you.',
+  'verify.resend': 'Resend email',
+  'verify.resending': 'Sending...',
+  'verify.resent': 'Verification email sent to {email}',
+
+  'invite.title': 'Join ShiftFlow',
+  'invite.intro': "You've been invited to {organization}",
+  'invite.introWithRole': "You've been invited to {organization} as {role}",
+  'invite.yourFacility': 'your facility',
+  'invite.loading': 'Loading invitation...',
+  'invite.invalid': 'This invitation is no longer valid. Ask your facility administrator to send a new one.',
+  'invite.email': 'Email Address',
+  'invite.name': 'Full Name',
+  'invite.namePlaceholder': 'Your full name',
+  'invite.password': 'Password',
+  'invite.passwordPlaceholder': 'Choose a strong password',
+  'invite.confirm': 'Confirm Password',
+  'invite.confirmPlaceholder': 'Re-enter your password',
+  'invite.submit': 'Join Organization',
+  'invite.submitting': 'Joining...',
+  'invite.welcome': 'Welcome to {organization}!',
+
+  'account.title': 'Account',
+  'account.email': 'Email',
+  'account.verified': 'Verified',
+  'account.unverified': 'Not verified',
+  'account.changePassword': 'Change password',
+  'account.currentPassword': 'Current password',
+  'account.save': 'Update password',
+  'account.saving': 'Updating...',
+  'account.passwordChanged': 'Password updated',
+  'account.samePassword': 'The new password must be different from the current one',
+
+  'mfa.title': 'Two-factor authentication',
+  'mfa.on': 'On',
+  'mfa.off': 'Off',
+  'mfa.intro': 'Sign in with a code from an authenticator app as well as your password.',
+  'mfa.required': 'Your organization requires two-factor authentication.',
+  'mfa.setUp': 'Set up',
+  'mfa.loadingSetup': 'Preparing...',
+  'mfa.scan': 'Scan this QR code with an authenticator app such as Google Authenticator, Microsoft Authenticator or 1Password, then enter the code it shows.',
+  'mfa.qrAlt': 'QR code for your authenticator app',
+  'mfa.manualKey': "Can't scan it? Enter this key instead:",
+  'mfa.openApp': 'Open in authenticator app',
+  'mfa.code': 'Six-digit code',
+  'mfa.codeRequired': 'Enter the code from your authenticator app',
+  'mfa.confirm': 'Turn on',
+  'mfa.confirming': 'Checking...',
+  'mfa.cancel': 'Cancel',
+  'mfa.recoveryTitle': 'Save your recovery codes',
+  'mfa.recoveryIntro': 'Each code signs you in once if you lose your phone. Keep them somewhere safe; they will not be shown again.',
+  'mfa.copy': 'Copy',
+  'mfa.download': 'Download',
+  'mfa.copied': 'Recovery codes copied',
+  'mfa.copyFailed': 'Could not copy the codes',
+  'mfa.saved': "I've saved these codes",
+  'mfa.enabled': 'Two-factor authentication is on',
+  'mfa.disabled': 'Two-factor authentication is off',
+  'mfa.manageIntro': 'Enter a code from your authenticator app to get new recovery codes or turn two-factor off.',
+  'mfa.newCodes': 'New recovery codes',
+  'mfa.disable': 'Turn off',
+  'mfa.requiredTitle': 'Set up two-factor authentication',
+  'mfa.requiredIntro': '{organization} requires two-factor authentication. Set it up to continue.',
+  'mfa.signOut': 'Sign out',
+
+  'security.title': 'Sign-in security',
+  'security.loading': 'Loading...',
+  'security.requireMfa': 'Require two-factor authentication for all staff',
+  'security.requireMfaHint': 'Staff who have not set it up are asked to the next time they open ShiftFlow.',
+  'security.rememberDays': 'Remember trusted devices for (days)',
+  'security.rememberHint': 'Staff can skip the code on a device they trust for this long. 0 asks at every sign-in; at most {max}.',
+  'security.invalidDays': 'Enter between 0 and {max} days',
+  'security.save': 'Save',
+  'security.saving': 'Saving...',
+  'security.saved': 'Sign-in security saved',
+
+  'onboarding.title': 'Set up {organization}',
+  'onboarding.subtitle': 'A few steps to get your board ready. Skip anything and come back to it later.',
+  'onboarding.later': 'Finish later',
+  'onboarding.stepNumber': 'Step {number}',
+  'onboarding.status.done': 'Done',
+  'onboarding.status.skipped': 'Skipped',
+  'onboarding.step.units': 'Units and rooms',
+  'onboarding.step.shifts': 'Shift times',
+  'onboarding.step.templates': 'Task templates',
+  'onboarding.step.staff': 'Invite staff',
+  'onboarding.back': '← Back',
+  'onboarding.skip': 'Skip',
+  'onboarding.saveContinue': 'Save and continue',
+  'onboarding.saving': 'Saving...',
+  'onboarding.remove': 'Remove',
+  'onboarding.done': "You're all set",
+  'onboarding.doneWithSkipped': { one: 'Setup saved, with {count} step still to do', other: 'Setup saved, with {count} steps still to do' },
+  'onboarding.resumeHint': 'Pick up where you left off from the banner above the board.',
+  'onboarding.toBoard': 'Go to the task board',
+  'onboarding.banner': { one: 'Facility setup has {count} step left.', other: 'Facility setup has {count} steps left.' },
+  'onboarding.resume': 'Resume setup',
+  'onboarding.dismiss': 'Dismiss',
+  'onboarding.units.intro': 'Add each unit with its rooms. Use ranges such as 201-230 and commas for extras, up to {max} rooms per unit.',
+  'onboarding.units.name': 'Unit name',
+  'onboarding.units.rooms': '{unit} rooms',
+  'onboarding.units.roomCount': { one: '{count} room', other: '{count} rooms' },
+  'onboarding.units.unreadable': 'Check the rooms',
+  'onboarding.units.add': '+ Add unit',
+  'onboarding.units.empty': 'Add at least one unit, or skip this step',
+  'onboarding.units.missingName': 'Every unit needs a name',
+  'onboarding.units.badRooms': '{unit}: rooms must look like "201-230, 240" (at most {max} rooms)',
+  'onboarding.shifts.intro': 'Pick the pattern closest to yours, then adjust names and times.',
+  'onboarding.shifts.presets': 'Shift patterns',
+  'onboarding.shifts.preset.twelve': 'Two 12-hour shifts',
+  'onboarding.shifts.preset.eight': 'Three 8-hour shifts',
+  'onboarding.shifts.name': 'Shift name',
+  'onboarding.shifts.start': '{shift} start time',
+  'onboarding.shifts.end': '{shift} end time',
+  'onboarding.templates.intro': 'Choose starter templates for everyday tasks. You can edit them or add your own under Templates.',
+  'onboarding.templates.added': 'Added',
+  'onboarding.staff.intro': 'Invite your first nurses and charge nurses. Each address gets an email to join.',
+  'onboarding.staff.emails': 'Email addresses, one per line or separated by commas',
+  'onboarding.staff.role': 'Role',
+  'onboarding.staff.count': { one: '{count} address', other: '{count} addresses' },
+  'onboarding.staff.empty': 'Enter at least one email address, or skip this step',
+  'onboarding.staff.invalid': 'These addresses do not look right: {emails}',
+  'onboarding.staff.sent': { one: '{count} invitation sent', other: '{count} invitations sent' },
+
+  'error.network': 'Unable to reach ShiftFlow. Check your connection.',
+  'error.timeout': 'The request timed out. Please try again.',
+  'error.requestFailed': 'Request failed ({status})',
+
+  'validation.required': 'This field is required',
+  'validation.email': 'Enter a valid email address',
+  'validation.maxLength': 'Use {max} characters or fewer',
+  'validation.integerBetween': 'Enter a whole number from {min} to {max}',
+  'validation.inPast': 'Choose a time that has not passed',
+  'create.titleRequired': 'Give the task a title',
+  'create.submitting': 'Creating...',
+  'reject.title': 'Reject Handoff',
+  'reject.submit': 'Reject Handoff',
+  'reject.sending': 'Rejecting...',
+  'connection.title': 'Live update connection',
+  'connection.connecting': 'Connecting...',
+  'connection.live': 'Live',
+  'connection.reconnecting': 'Reconnecting...',
+  'connection.offline': 'Offline',
+
+  'status.todo': 'To Do',
+  'status.in_progress': 'In Progress',
+  'status.completed': 'Completed',
+  'status.handoff': 'Handoff',
+  'stats.overdue': 'Overdue',
+
+  'priority.emergency': 'Emergency',
+  'priority.urgent': 'Urgent',
+  'priority.normal': 'Normal',
+  'priority.low': 'Low',
+
+  'board.title': 'Task Management',
+  'board.showing': { one: 'Showing {shown} of {count} task', other: 'Showing {shown} of {count} tasks' },
+  'board.layout': 'Board layout',
+  'board.kanban': 'Kanban',
+  'board.rooms': 'Rooms',
+  'board.allRooms': '← All rooms',
+  'board.room': 'Room {room}',
+  'board.loading': 'Loading tasks...',
+  'board.empty': 'No tasks',
+
+  'move.instructions': 'Press Space or Enter to pick up this task, then use the arrow keys to move it.',
+  'move.handle': 'Move task: {title}',
+  'move.pickedUp': 'Picked up {title} in {column}, position {position}. Use left and right arrows to choose a column, up and down to choose a position, Space to drop or Escape to cancel.',
+  'move.target': '{column}, position {position} of {total}.',
+  'move.notAllowedFrom': 'Not allowed from {column}.',
+  'move.dropped': 'Dropped {title} in {column}, position {position}.',
+  'move.cannotMove': '{title} cannot move there and stays in {column}.',
+  'move.cancelled': 'Move cancelled. {title} stays in {column}.',
+
+  'card.pendingSync': '⏳ Pending sync',
+  'card.pendingSyncTitle': 'Saved on this device and waiting for the network',
+  'card.room': 'Room {room}',
+  'card.recurring': '🔁 Recurring',
+  'card.recurringTitle': 'Created by a recurring schedule',
+  'card.assigned': 'Assigned: {name}',
+  'card.unassigned': 'Unassigned',
+  'card.assignToMe': 'Assign to me',
+  'card.assign': 'Assign',
+  'card.reassign': 'Reassign',
+  'card.accept': 'Accept',
+  'card.reject': 'Reject',
+  'card.rejectPrompt': 'Reason for rejecting this handoff (optional)',
+  'card.awaiting': 'Awaiting {name}',
+  'card.receiver': 'receiver',
+
+  'action.start': 'Start',
+  'action.complete': 'Complete',
+  'action.handoff': 'Handoff',
+  'action.backToTodo': 'Back to To Do',
+  'action.recall': 'Recall',
+  'action.openTask': 'Open task',
+  'action.acceptHandoff': 'Accept handoff',
+
+  'timer.overdueBy': 'overdue by {duration}',
+  'timer.due': 'Due {time}',
+
+  'create.title': 'Create New Task',
+  'create.template': 'Start from Template',
+  'create.blankTask': 'Blank task',
+  'create.taskTitle': 'Task Title *',
+  'create.taskTitlePlaceholder': 'Enter task title',
+  'create.description': 'Description',
+  'create.descriptionPlaceholder': 'Enter task description',
+  'create.room': 'Room Number',
+  'create.roomPlaceholder': 'e.g., 205A',
+  'create.priority': 'Priority',
+  'create.emergencyRestricted': 'Emergency (restricted)',
+  'create.duration': 'Estimated Duration (minutes)',
+  'create.dueBy': 'Due By',
+  'create.assignee': 'Assignee',
+  'create.close': 'Close',
+  'create.cancel': 'Cancel',
+  'create.submit': 'Create Task',
+
+  'notify.offlineRejected': 'Offline change to "{title}" was rejected: {error}',
+  'notify.queuedOffline': 'You are offline. The change will sync when the connection returns.',
+  'notify.queueFailed': 'Failed to save change for offline sync',
+  'notify.assigned': 'You were assigned "{title}"',
+  'notify.assignedBy': 'You were assigned "{title}" by {name}',
+  'notify.handoffIncoming': '{name} is handing off "{title}" to you',
+  'notify.colleague': 'A colleague',
+  'notify.handoffRejected': 'Your handoff of "{title}" was rejected',
+  'notify.handoffRejectedReason': 'Your handoff of "{title}" was rejected: "{reason}"',
+  'notify.escalationIncoming': '"{title}" was escalated: not started in time',
+  'notify.taskCreated': 'Task created successfully!',
+  'notify.createFailed': 'Failed to create task',
+  'notify.taskUpdated': 'Task updated successfully!',
+  'notify.updateFailed': 'Failed to update task',
+  'notify.assignedTo': 'Task assigned to {name}',
+  'notify.assignedToYou': 'Task assigned to you',
+  'notify.unassigned': 'Task unassigned',
+  'notify.handoffSent': 'Handoff sent for acceptance',
+  'notify.handoffFailed': 'Failed to hand off task',
+  'notify.handoffAccepted': 'Handoff accepted',
+  'notify.handoffDeclined': 'Handoff rejected',
+  'notify.acceptFailed': 'Failed to accept handoff',
+  'notify.rejectFailed': 'Failed to reject handoff',
+  'notify.acknowledgeFailed': 'Failed to acknowledge task',
+  'notify.escalated': '"{title}" was not started in time and has been escalated to the charge nurse',
+  'notify.handoffRecalled': 'Handoff recalled',
+  'notify.recallFailed': 'Failed to recall handoff',
+  'notify.rolloverDone': {
+    one: '{count} task handed off to the {shift} shift',
+    other: '{count} tasks handed off to the {shift} shift'
+  },
+  'notify.rolloverOffline': 'You are offline. Shift rollover needs a connection.',
+  'notify.rolloverFailed': 'Failed to roll over shift',
+  'notify.taskGone': 'That task is no longer on the board',
+  'notify.orderFailed': 'Failed to save task order',
+  'notify.manualSortRequired': 'Switch sorting to "Manual order" to reorder tasks',
+  'notify.transitionNotAllowed': 'Tasks cannot move from {from} to {to}',
+  'notify.syncBeforeHandoff': 'This task must sync before it can be handed off',
+  'notify.handoffMoveNotAllowed': 'Only the nurse receiving or handing off this task can move it out of Handoff',
+
+  'drawer.label': 'Task details: {title}',
+  'drawer.edit': 'Edit',
+  'drawer.close': 'Close task details',
+  'drawer.comments': 'Comments',
+  'drawer.commentsUnsynced': 'Comments are available once this task has synced.',
+  'drawer.loadingComments': 'Loading comments...',
+  'drawer.activity': 'Activity',
+  'drawer.loadingActivity': 'Loading activity...',
+  'drawer.noActivity': 'No activity recorded yet.',
+  'drawer.system': 'System',
+  'drawer.historyFailed': 'Failed to load task history',
+  'drawer.commentFailed': 'Failed to add comment',
+  'drawer.noDescription': 'No description',
+  'drawer.field.title': 'Title',
+  'drawer.field.description': 'Description',
+  'drawer.field.status': 'Status',
+  'drawer.field.priority': 'Priority',
+  'drawer.field.room': 'Room',
+  'drawer.field.duration': 'Estimated duration',
+  'drawer.field.dueBy': 'Due by',
+  'drawer.field.assignedTo': 'Assigned to',
+  'drawer.field.createdBy': 'Created by',
+  'drawer.field.created': 'Created',
+  'drawer.field.started': 'Started',
+  'drawer.field.completed': 'Completed',
+  'drawer.field.updated': 'Last updated',
+  'drawer.minutes': { one: '{count} min', other: '{count} min' },
+  'drawer.durationMinutes': 'Duration (min)',
+  'drawer.save': 'Save Changes',
+  'drawer.saving': 'Saving...',
+  'drawer.noComments': 'No comments yet. Leave a note for the next nurse.',
+  'drawer.unknownAuthor': 'Unknown',
+  'drawer.reply': 'Reply',
+  'drawer.replyPlaceholder': 'Write a reply',
+  'drawer.commentPlaceholder': 'Add a comment',
+  'drawer.post': 'Post',
+  'drawer.posting': 'Posting...',
+
+  'activity.created': 'created the task',
+  'activity.moved': 'moved it from {from} to {to}',
+  'activity.assigned': 'assigned it to {name}',
+  'activity.reassigned': 'assigned it to {name} (was {previous})',
+  'activity.unassigned': 'unassigned it',
+  'activity.handoffRequested': 'handed it off to {name}',
+  'activity.anotherNurse': 'another nurse',
+  'activity.handoffAccepted': 'accepted the handoff',
+  'activity.handoffRejected': 'rejected the handoff',
+  'activity.handoffRejectedReason': 'rejected the handoff: "{reason}"',
+  'activity.handoffCancelled': 'recalled the handoff',
+  'activity.rollover': 'carried it over to the {shift} shift',
+  'activity.rolloverNext': 'carried it over to the next shift',
+  'activity.edited': 'edited {fields}',
+  'activity.editedTask': 'edited the task',
+  'activity.commented': 'added a comment',
+
+  'filters.search': 'Search tasks',
+  'filters.searchPlaceholder': 'Search title or description',
+  'filters.assignee': 'Assignee',
+  'filters.assigneeCount': { one: 'Assignee ({count})', other: 'Assignee ({count})' },
+  'filters.rooms': 'Rooms',
+  'filters.roomFrom': 'from',
+  'filters.roomTo': 'to',
+  'filters.roomFromLabel': 'Room range start',
+  'filters.roomToLabel': 'Room range end',
+  'filters.sort': 'Sort tasks by',
+  'filters.mine': 'My tasks',
+  'filters.overdue': 'Overdue only',
+  'filters.savedViews': 'Saved views',
+  'filters.savedViewsCount': { one: 'Saved views ({count})', other: 'Saved views ({count})' },
+  'filters.saveView': 'Save current view',
+  'filters.viewName': 'Name this view',
+  'filters.manageViews': 'Manage views',
+  'filters.deleteView': 'Delete',
+  'filters.deleteViewConfirm': 'Delete the saved view "{name}"?',
+  'filters.viewNameLabel': 'View name',
+  'filters.viewReplaces': 'Saving replaces the view "{name}".',
+  'filters.save': 'Save view',
+  'filters.deleteViewTitle': 'Delete saved view',
+  'filters.clear': 'Clear filters',
+
+  'sort.manual': 'Manual order',
+  'sort.priority': 'Priority',
+  'sort.age': 'Oldest first',
+  'sort.duration': 'Estimated duration',
+  'sort.overdue': 'Most overdue',
+
+  'alarm.count': { one: '{count} task needs attention', other: '{count} tasks need attention' },
+  'alarm.mute': 'Mute alarm sound',
+  'alarm.unmute': 'Enable alarm sound',
+  'alarm.soundPending': 'Sound starts with your next click or key press',
+  'alarm.enableDesktop': 'Enable desktop alerts',
+  'alarm.escalated': 'Escalated',
+  'alarm.taskInRoom': '{title} — Room {room}',
+  'alarm.escalatesIn': 'escalates in {time}',
+  'alarm.acknowledge': 'Acknowledge',
+  'alarm.desktopEscalated': 'Escalated emergency task',
+  'alarm.desktop.emergency': 'Emergency task',
+  'alarm.desktop.urgent': 'Urgent task',
+  'alarm.escalatedToCharge': 'Escalated to charge nurse',
+  'alarm.startWithin': 'Start within {time} (escalates after {limit})',
+
+  'notifications.title': 'Notifications',
+  'notifications.unreadLabel': {
+    one: 'Notifications, {count} unread',
+    other: 'Notifications, {count} unread'
+  },
+  'notifications.markAllRead': 'Mark all read',
+  'notifications.markRead': 'Mark read',
+  'notifications.settings': 'Settings',
+  'notifications.back': 'Back',
+  'notifications.empty': 'No notifications yet',
+  'notifications.unread': 'Unread:',
+  'notifications.clearHistory': 'Clear history',
+  'notifications.type': 'Type',
+  'notifications.popup': 'Pop-up',
+  'notifications.keep': 'Keep in history',
+  'notifications.popupFor': 'Show pop-ups for {category}',
+  'notifications.keepFor': 'Keep {category} in history',
+  'notifications.dismiss': 'Dismiss notification',
+  'notifications.category.assignment': 'Assignments',
+  'notifications.category.handoff': 'Handoffs',
+  'notifications.category.escalation': 'Escalations',
+  'notifications.category.system': 'System errors',
+
+  'permission.denied.createEmergency': 'Only charge nurses and facility admins can create emergency tasks',
+  'permission.denied.reassignOthers': "Only charge nurses and facility admins can reassign other staff members' tasks",
+  'permission.denied.receiveEscalations': 'Escalations go to charge nurses and facility admins',
+  'permission.denied.manageUsers': 'Only facility admins can manage staff',
+  'permission.denied.manageShifts': 'Only facility admins can change shift times',
+  'permission.denied.manageUnits': 'Only facility admins can change the room layout',
+  'permission.denied.manageSecurity': 'Only facility admins can change sign-in security',
+  'permission.denied.rolloverShift': 'Only charge nurses and facility admins can end a shift',
+  'permission.denied.manageTemplates': 'Only charge nurses and facility admins can manage templates and recurring tasks',
+  'permission.denied.viewAnalytics': 'Analytics are available to charge nurses and facility admins',
+  'permission.denied.default': 'You do not have permission to do this',
+
+  'staff.loadFailed': 'Failed to load staff',
+  'staff.emailRequired': 'Please enter an email address',
+  'staff.inviteSent': 'Invitation sent to {email}',
+  'staff.inviteFailed': 'Failed to send invitation',
+  'staff.inviteResent': 'Invitation resent to {email}',
+  'staff.resendFailed': 'Failed to resend invitation',
+  'staff.revokeConfirm': 'Revoke the invitation for {email}?',
+  'staff.inviteRevoked': 'Invitation for {email} revoked',
+  'staff.revokeFailed': 'Failed to revoke invitation',
+  'staff.deactivateConfirm': 'Deactivate {name}? They will no longer be able to sign in.',
+  'staff.reactivated': '{name} reactivated',
+  'staff.deactivated': '{name} deactivated',
+  'staff.updateFailed': 'Failed to update staff member',
+  'staff.loading': 'Loading staff...',
+  'staff.invite': 'Invite Staff',
+  'staff.email': 'Email address',
+  'staff.role': 'Role',
+  'staff.send': 'Send Invite',
+  'staff.sending': 'Sending...',
+  'staff.pending': 'Pending Invitations',
+  'staff.noPending': 'No pending invitations',
+  'staff.sent': 'Sent',
+  'staff.actions': 'Actions',
+  'staff.expired': 'Expired',
+  'staff.resend': 'Resend',
+  'staff.revoke': 'Revoke',
+  'staff.title': 'Staff ({count})',
+  'staff.name': 'Name',
+  'staff.status': 'Status',
+  'staff.active': 'Active',
+  'staff.inactive': 'Deactivated',
+  'staff.deactivate': 'Deactivate',
+  'staff.reactivate': 'Reactivate',
+
+  'shifts.title': 'Shifts',
+  'shifts.configured': 'New tasks are stamped with the shift they are created in.',
+  'shifts.defaults': 'Using the default 12-hour day and night shifts until you save your own.',
+  'shifts.shift': 'Shift',
+  'shifts.name': 'Shift name',
+  'shifts.namePlaceholder': 'Day',
+  'shifts.start': '{shift} start time',
+  'shifts.end': '{shift} end time',
+  'shifts.to': 'to',
+  'shifts.hours': { one: '{count} hour', other: '{count} hours' },
+  'shifts.remove': 'Remove',
+  'shifts.add': '+ Add shift',
+  'shifts.save': 'Save Shifts',
+  'shifts.saving': 'Saving...',
+  'shifts.saved': 'Shift times saved',
+  'shifts.saveFailed': 'Failed to save shift times',
+  'shifts.error.none': 'Add at least one shift',
+  'shifts.error.name': 'Every shift needs a name',
+  'shifts.error.format': '{shift}: times must be in 24-hour HH:MM format',
+  'shifts.error.same': '{shift}: start and end cannot be the same',
+  'shifts.error.overlap': '{first} and {second} overlap',
+
+  'rollover.shift': 'Shift',
+  'rollover.allShifts': 'All shifts',
+  'rollover.current': '{shift} (current)',
+  'rollover.earlier': 'Earlier shift',
+  'rollover.chooseShift': 'Choose the shift that is ending',
+  'rollover.copied': 'Summary copied to clipboard',
+  'rollover.copyFailed': 'Could not copy the summary',
+  'rollover.title': 'End Shift',
+  'rollover.summaryTitle': 'Shift Rollover Summary',
+  'rollover.from': 'Shift that is ending',
+  'rollover.carry': {
+    one: '{count} unfinished task moves to Handoff',
+    other: '{count} unfinished tasks move to Handoff'
+  },
+  'rollover.nothing': 'Nothing to carry over',
+  'rollover.handingOff': {
+    one: '{count} task is already waiting on a handoff and will stay with it.',
+    other: '{count} tasks are already waiting on a handoff and will stay with them.'
+  },
+  'rollover.unsynced': {
+    one: '{count} task is waiting to sync and will stay where it is.',
+    other: '{count} tasks are waiting to sync and will stay where they are.'
+  },
+  'rollover.note': 'Notes for the incoming shift',
+  'rollover.notePlaceholder': 'Anything the whole incoming shift should know',
+  'rollover.submitting': 'Rolling over...',
+  'rollover.submit': { one: 'Roll Over {count} Task', other: 'Roll Over {count} Tasks' },
+  'rollover.carried': 'Carried over',
+  'rollover.completed': 'Completed this shift',
+  'rollover.overdue': 'Overdue',
+  'rollover.byPriority': '{count} {priority}',
+  'rollover.byStatus': '{count} from {status}',
+  'rollover.task': 'Task',
+  'rollover.was': 'Was',
+  'rollover.assignee': 'Assignee',
+  'rollover.copy': 'Copy Summary',
+  'rollover.done': 'Done',
+  'rollover.report.title': 'Shift rollover: {from} → {to}',
+  'rollover.report.counts': 'Carried over: {carried} · Completed this shift: {completed}',
+  'rollover.report.overdue': 'OVERDUE',
+
+  'analytics.today': 'Today',
+  'analytics.days': { one: '{count} day', other: '{count} days' },
+  'analytics.loadFailed': 'Failed to load analytics',
+  'analytics.from': 'From',
+  'analytics.to': 'To',
+  'analytics.export': 'Export CSV',
+  'analytics.badRange': 'Choose a start date before the end date',
+  'analytics.loading': 'Loading analytics...',
+  'analytics.tasks': 'Tasks',
+  'analytics.completed': 'Completed',
+  'analytics.created': 'Created',
+  'analytics.ranOverdue': 'Ran overdue',
+  'analytics.byHour': 'Throughput by Hour of Day',
+  'analytics.byShift': 'Throughput by Shift',
+  'analytics.noTasks': 'No tasks in this range',
+  'analytics.noShift': 'No shift',
+  'analytics.cycleTimes': 'Median Cycle Times by Priority',
+  'analytics.wait': 'To Do → In Progress',
+  'analytics.work': 'In Progress → Completed',
+  'analytics.total': 'Total',
+  'analytics.handoffRate': 'Handoff Rate by Staff',
+  'analytics.handoffRateHint': 'Handoffs sent per task worked',
+  'analytics.noAssigned': 'No assigned tasks in this range',
+  'analytics.unknown': 'Unknown',
+  'analytics.handoffDetail': '{count} of {total}',
+  'analytics.handoffDetailRejected': '{count} of {total} · {rejected} rejected',
+  'analytics.overdueRate': 'Overdue Rate by Priority',
+  'analytics.overdueRateHint': 'Finished after the due time or estimate, or still overdue',
+  'analytics.overdueDetail': '{count} of {total}',
+  'analytics.createdIn': '{label}: {count} created',
+  'analytics.completedIn': '{label}: {count} completed',
+  'analytics.period': 'Period',
+  'analytics.csv.id': 'Task ID',
+  'analytics.csv.title': 'Title',
+  'analytics.csv.priority': 'Priority',
+  'analytics.csv.status': 'Status',
+  'analytics.csv.room': 'Room',
+  'analytics.csv.assignee': 'Assignee',
+  'analytics.csv.shift': 'Shift',
+  'analytics.csv.created': 'Created',
+  'analytics.csv.started': 'Started',
+  'analytics.csv.completed': 'Completed',
+  'analytics.csv.wait': 'Wait (min)',
+  'analytics.csv.work': 'Work (min)',
+  'analytics.csv.total': 'Total (min)',
+  'analytics.csv.handoffs': 'Handoffs',
+  'analytics.csv.overdue': 'Overdue',
+
+  'rooms.other': 'Other rooms',
+  'rooms.all': 'All rooms',
+  'rooms.empty': 'No rooms to show. A facility admin can lay out units and rooms under Facility.',
+  'rooms.tileClear': 'Room {room}: no open tasks',
+  'rooms.tile': {
+    one: 'Room {room}: {count} open task, highest priority {priority}',
+    other: 'Room {room}: {count} open tasks, highest priority {priority}'
+  },
+  'rooms.clear': 'Clear',
+
+  'units.title': 'Units and Rooms',
+  'units.intro': 'Rooms are laid out left to right in the order listed, wrapping after the number of columns.',
+  'units.namePlaceholder': '2 West',
+  'units.columns': 'Columns',
+  'units.columnsFor': '{unit} columns',
+  'units.escalation': 'Minutes an emergency may stay unstarted before it escalates to the charge nurse (default {default})',
+  'units.escalationFor': '{unit} escalation minutes',
+  'units.badEscalation': 'Escalation minutes for {unit} must be a whole number from 1 to {max}',
+  'units.remove': 'Remove',
+  'units.save': 'Save Layout',
+  'units.saving': 'Saving...',
+  'units.saved': 'Room layout saved',
+  'units.saveFailed': 'Failed to save room layout',
+
+  'templates.loadSeriesFailed': 'Failed to load recurring tasks',
+  'templates.saved': 'Template "{title}" saved',
+  'templates.saveFailed': 'Failed to save template',
+  'templates.deleteConfirm': 'Delete the template "{title}"?',
+  'templates.deleted': 'Template deleted',
+  'templates.deleteFailed': 'Failed to delete template',
+  'templates.loading': 'Loading templates...',
+  'templates.deletedTemplate': 'Deleted template',
+  'templates.title': 'Task Templates',
+  'templates.new': '+ New template',
+  'templates.empty': 'No templates yet',
+  'templates.titleColumn': 'Title',
+  'templates.duration': 'Duration',
+  'templates.minutes': { one: '{count} min', other: '{count} min' },
+  'templates.rooms': 'Rooms',
+  'templates.edit': 'Edit',
+  'templates.delete': 'Delete',
+  'templates.titleRequired': 'Please enter a title',
+  'templates.badRooms': 'Rooms must look like "201-210, 215" (at most {max} rooms)',
+  'templates.titlePlaceholder': 'Vital signs check',
+  'templates.templateTitle': 'Template title',
+  'templates.roomsPlaceholder': 'Default rooms, e.g. 201-210',
+  'templates.defaultRooms': 'Default rooms',
+  'templates.durationPlaceholder': 'Duration (minutes)',
+  'templates.durationLabel': 'Estimated duration in minutes',
+  'templates.save': 'Save Template',
+
+  'series.saved': 'Recurring task saved',
+  'series.saveFailed': 'Failed to save recurring task',
+  'series.paused': 'Recurring task paused',
+  'series.resumed': 'Recurring task resumed',
+  'series.updateFailed': 'Failed to update recurring task',
+  'series.deleteConfirm': 'Stop this recurring task? Tasks it already created are kept.',
+  'series.deleted': 'Recurring task deleted',
+  'series.deleteFailed': 'Failed to delete recurring task',
+  'series.title': 'Recurring Tasks',
+  'series.new': '+ New recurring task',
+  'series.needTemplate': 'Create a template first, then schedule it here',
+  'series.empty': 'Nothing is scheduled',
+  'series.pausedBadge': 'Paused',
+  'series.rooms': 'Rooms {rooms}',
+  'series.next': 'Next {time}',
+  'series.resume': 'Resume',
+  'series.pause': 'Pause',
+  'series.chooseTemplate': 'Choose a template',
+  'series.template': 'Template',
+  'series.templateRooms': 'Template rooms: {rooms}',
+  'series.roomsPlaceholder': 'Rooms, e.g. 201-210',
+  'series.every': 'Every',
+  'series.hoursBetween': 'Hours between tasks',
+  'series.hoursFrom': 'hours from',
+  'series.firstTime': 'First task time',
+  'series.dailyAt': 'Daily at',
+  'series.timesOfDay': 'Times of day',
+  'series.checkRooms': 'Check the room list',
+  'series.preview': {
+    one: '{rule} · {count} task each time · Next: {next}',
+    other: '{rule} · {count} tasks each time · Next: {next}'
+  },
+  'series.save': 'Save Series',
+  'series.schedule': 'Schedule',
+
+  'rule.error.hours': 'Repeat every 1 to 24 hours',
+  'rule.error.start': 'Enter a start time as HH:MM',
+  'rule.error.noTimes': 'Add at least one time of day',
+  'rule.error.badTime': '"{time}" is not a valid HH:MM time',
+  'rule.error.type': 'Choose how often the task repeats',
+  'rule.interval': { one: 'Every {count} hour from {start}', other: 'Every {count} hours from {start}' },
+  'rule.times': 'Daily at {times}',
+  'rule.none': 'No schedule',
+
+  'handoff.staffFailed': 'Failed to load staff list',
+  'handoff.unknown': 'Unknown',
+  'handoff.shift': '{shift} shift',
+  'handoff.hideHistory': 'Hide handoff history',
+  'handoff.showHistory': 'Show handoff history ({count})',
+  'handoff.status.accepted': 'accepted',
+  'handoff.status.rejected': 'rejected',
+  'handoff.status.cancelled': 'cancelled',
+  'handoff.receiverRequired': 'Please choose who is receiving this task',
+  'handoff.situationRequired': 'Please describe the situation',
+  'handoff.title': 'Hand Off Task',
+  'handoff.receiver': 'Receiving Staff Member',
+  'handoff.loadingStaff': 'Loading staff...',
+  'handoff.selectStaff': 'Select staff member',
+  'handoff.sending': 'Sending...',
+  'handoff.send': 'Send Handoff',
+
+  'sbar.situation': 'Situation',
+  'sbar.situation.short': 'S',
+  'sbar.situation.placeholder': 'What is happening right now?',
+  'sbar.background': 'Background',
+  'sbar.background.short': 'B',
+  'sbar.background.placeholder': 'Relevant history and context',
+  'sbar.assessment': 'Assessment',
+  'sbar.assessment.short': 'A',
+  'sbar.assessment.placeholder': 'What do you think the problem is?',
+  'sbar.recommendation': 'Recommendation',
+  'sbar.recommendation.short': 'R',
+  'sbar.recommendation.placeholder': 'What needs to happen next?',
+
+  'assign.title': 'Assign Task',
+  'assign.search': 'Search staff',
+  'assign.me': '{name} (me)',
+  'assign.noMatch': 'No staff match "{search}"',
+  'assign.save': 'Save'
+};
+
+export default en;
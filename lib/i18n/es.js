@@ -0,0 +1,777 @@
+// Spanish messages
+
+const es = {
+  'app.loading': 'Cargando ShiftFlow...',
+  'language.label': 'Idioma',
+
+  'auth.sessionExpired': 'Tu sesión ha caducado. Vuelve a iniciar sesión.',
+  'auth.toRegister': '¿No tienes cuenta? Registra tu centro de salud',
+  'auth.toLogin': '¿Ya tienes cuenta? Inicia sesión',
+
+  'login.tagline': 'Plataforma de comunicación sanitaria',
+  'login.email': 'Correo electrónico',
+  'login.emailPlaceholder': 'Introduce tu correo electrónico',
+  'login.password': 'Contraseña',
+  'login.passwordPlaceholder': 'Introduce tu contraseña',
+  'login.submit': 'Iniciar sesión',
+  'login.submitting': 'Iniciando sesión...',
+  'login.success': '¡Sesión iniciada!',
+  'login.forgot': '¿Olvidaste tu contraseña?',
+  'login.mfaTitle': 'Verificación en dos pasos',
+  'login.mfaIntro': 'Introduce el código de seis dígitos de tu aplicación de autenticación.',
+  'login.recoveryIntro': 'Introduce uno de tus códigos de recuperación.',
+  'login.mfaCode': 'Código de autenticación',
+  'login.recoveryCode': 'Código de recuperación',
+  'login.useRecovery': 'Usar un código de recuperación',
+  'login.useApp': 'Usar la aplicación de autenticación',
+  'login.rememberDevice': { one: 'No volver a pedirlo en este dispositivo durante {count} día', other: 'No volver a pedirlo en este dispositivo durante {count} días' },
+  'login.verify': 'Verificar',
+  'login.verifying': 'Verificando...',
+  'login.back': '← Atrás',
+
+  'register.title': 'Únete a ShiftFlow',
+  'register.subtitle': 'Registra tu centro de salud',
+  'register.facilityName': 'Nombre del centro de salud',
+  'register.facilityPlaceholder': 'p. ej., Hospital General Metropolitano',
+  'register.adminName': 'Nombre del administrador',
+  'register.adminNamePlaceholder': 'Tu nombre completo',
+  'register.adminEmail': 'Correo del administrador',
+  'register.password': 'Contraseña',
+  'register.passwordPlaceholder': 'Elige una contraseña segura',
+  'register.submit': 'Crear cuenta',
+  'register.submitting': 'Creando cuenta...',
+  'register.success': '¡Registro completado! Te damos la bienvenida a ShiftFlow.',
+
+  'nav.endShift': 'Terminar turno',
+  'nav.analytics': 'Análisis',
+  'nav.templates': 'Plantillas',
+  'nav.facility': 'Centro',
+  'nav.account': 'Cuenta',
+  'nav.taskBoard': 'Tablero de tareas',
+  'nav.newTask': '+ Nueva tarea',
+  'nav.welcome': 'Hola, {name}',
+  'nav.logout': 'Cerrar sesión',
+  'nav.lock': 'Bloquear pantalla',
+
+  'role.facility_admin': 'Administrador del centro',
+  'role.charge_nurse': 'Enfermera jefe',
+  'role.staff': 'Personal',
+
+  'lock.title': 'Pantalla bloqueada',
+  'lock.signedInAs': 'Sesión de {name}',
+  'lock.pin': 'PIN',
+  'lock.password': 'Contraseña',
+  'lock.newPin': 'Nuevo PIN para desbloquear más rápido (4–6 dígitos, opcional)',
+  'lock.pinInvalid': 'El PIN debe tener de 4 a 6 dígitos',
+  'lock.unlock': 'Desbloquear',
+  'lock.unlocking': 'Desbloqueando...',
+  'lock.failed': {
+    one: 'No coincide. Queda {count} intento.',
+    other: 'No coincide. Quedan {count} intentos.'
+  },
+  'lock.tooMany': 'Demasiados intentos de desbloqueo. Vuelve a iniciar sesión.',
+  'lock.switchUser': '¿No eres tú? Cambiar de usuario',
+
+  'password.new': 'Nueva contraseña',
+  'password.confirm': 'Confirmar contraseña',
+  'password.rule.length': 'Al menos {min} caracteres',
+  'password.rule.case': 'Mayúsculas y minúsculas',
+  'password.rule.number': 'Al menos un número',
+  'password.rule.personal': 'No contiene tu nombre ni tu correo',
+  'password.met': 'Cumplido:',
+  'password.notMet': 'Pendiente:',
+  'password.tooWeak': 'Elige una contraseña más segura que cumpla todos los requisitos',
+  'password.mismatch': 'Las contraseñas no coinciden',
+
+  'forgot.title': 'Restablecer la contraseña',
+  'forgot.intro': 'Introduce el correo de tu cuenta y te enviaremos un enlace para elegir una nueva contraseña.',
+  'forgot.missingEmail': 'Introduce tu correo',
+  'forgot.submit': 'Enviar enlace',
+  'forgot.submitting': 'Enviando...',
+  'forgot.sent': 'Si {email} pertenece a una cuenta de ShiftFlow, recibirás un enlace para restablecerla. Caduca pronto, así que úsalo hoy.',
+  'forgot.backToLogin': '← Volver a iniciar sesión',
+
+  'reset.title': 'Elige una nueva contraseña',
+  'reset.submit': 'Guardar contraseña',
+  'reset.submitting': 'Guardando...',
+  'reset.success': 'Contraseña cambiada. Inicia sesión con tu nueva contraseña.',
+  'reset.invalid': 'Este enlace ha caducado o ya se ha usado.',
+  'reset.requestNew': 'Solicitar un nuevo enlace',
+
+  'verify.verifying': 'Verificando tu correo...',
+  'verify.success': 'Tu dirección de correo está verificada.',
+  'verify.invalid': 'Este enlace de verificación ha caducado o ya se ha usado. Inicia sesión para enviar uno nuevo.',
+  'verify.continue': 'Continuar a ShiftFlow',
+  'verify.banner': 'Verifica {email} con el enlace que te enviamos.',
+  'verify.resend': 'Reenviar correo',
+  'verify.resending': 'Enviando...',
+  'verify.resent': 'Correo de verificación enviado a {email}',
+
+  'invite.title': 'Únete a ShiftFlow',
+  'invite.intro': 'Te han invitado a {organization}',
+  'invite.introWithRole': 'Te han invitado a {organization} como {role}',
+  'invite.yourFacility': 'tu centro',
+  'invite.loading': 'Cargando invitación...',
+  'invite.invalid': 'Esta invitación ya no es válida. Pide al administrador de tu centro que te envíe otra.',
+  'invite.email': 'Correo electrónico',
+  'invite.name': 'Nombre completo',
+  'invite.namePlaceholder': 'Tu nombre completo',
+  'invite.password': 'Contraseña',
+  'invite.passwordPlaceholder': 'Elige una contraseña segura',
+  'invite.confirm': 'Confirmar contraseña',
+  'invite.confirmPlaceholder': 'Vuelve a escribir tu contraseña',
+  'invite.submit': 'Unirme a la organización',
+  'invite.submitting': 'Uniéndote...',
+  'invite.welcome': '¡Te damos la bienvenida a {organization}!',
+
+  'account.title': 'Cuenta',
+  'account.email': 'Correo',
+  'account.verified': 'Verificado',
+  'account.unverified': 'Sin verificar',
+  'account.changePassword': 'Cambiar contraseña',
+  'account.currentPassword': 'Contraseña actual',
+  'account.save': 'Actualizar contraseña',
+  'account.saving': 'Actualizando...',
+  'account.passwordChanged': 'Contraseña actualizada',
+  'account.samePassword': 'La nueva contraseña debe ser distinta de la actual',
+
+  'mfa.title': 'Autenticación en dos pasos',
+  'mfa.on': 'Activada',
+  'mfa.off': 'Desactivada',
+  'mfa.intro': 'Inicia sesión con un código de una aplicación de autenticación además de tu contraseña.',
+  'mfa.required': 'Tu organización exige la autenticación en dos pasos.',
+  'mfa.setUp': 'Configurar',
+  'mfa.loadingSetup': 'Preparando...',
+  'mfa.scan': 'Escanea este código QR con una aplicación de autenticación como Google Authenticator, Microsoft Authenticator o 1Password e introduce el código que muestre.',
+  'mfa.qrAlt': 'Código QR para tu aplicación de autenticación',
+  'mfa.manualKey': '¿No puedes escanearlo? Introduce esta clave:',
+  'mfa.openApp': 'Abrir en la aplicación de autenticación',
+  'mfa.code': 'Código de seis dígitos',
+  'mfa.codeRequired': 'Introduce el código de tu aplicación de autenticación',
+  'mfa.confirm': 'Activar',
+  'mfa.confirming': 'Comprobando...',
+  'mfa.cancel': 'Cancelar',
+  'mfa.recoveryTitle': 'Guarda tus códigos de recuperación',
+  'mfa.recoveryIntro': 'Cada código permite iniciar sesión una vez si pierdes el teléfono. Guárdalos en un lugar seguro; no se volverán a mostrar.',
+  'mfa.copy': 'Copiar',
+  'mfa.download': 'Descargar',
+  'mfa.copied': 'Códigos de recuperación copiados',
+  'mfa.copyFailed': 'No se pudieron copiar los códigos',
+  'mfa.saved': 'He guardado estos códigos',
+  'mfa.enabled': 'La autenticación en dos pasos está activada',
+  'mfa.disabled': 'La autenticación en dos pasos está desactivada',
+  'mfa.manageIntro': 'Introduce un código de tu aplicación de autenticación para obtener nuevos códigos de recuperación o desactivar la verificación.',
+  'mfa.newCodes': 'Nuevos códigos de recuperación',
+  'mfa.disable': 'Desactivar',
+  'mfa.requiredTitle': 'Configura la autenticación en dos pasos',
+  'mfa.requiredIntro': '{organization} exige la autenticación en dos pasos. Configúrala para continuar.',
+  'mfa.signOut': 'Cerrar sesión',
+
+  'security.title': 'Seguridad de inicio de sesión',
+  'security.loading': 'Cargando...',
+  'security.requireMfa': 'Exigir la autenticación en dos pasos a todo el personal',
+  'security.requireMfaHint': 'Quien no la tenga configurada deberá hacerlo la próxima vez que abra ShiftFlow.',
+  'security.rememberDays': 'Recordar dispositivos de confianza durante (días)',
+  'security.rememberHint': 'El personal puede omitir el código en un dispositivo de confianza durante este tiempo. 0 lo pide siempre; como máximo {max}.',
+  'security.invalidDays': 'Introduce entre 0 y {max} días',
+  'security.save': 'Guardar',
+  'security.saving': 'Guardando...',
+  'security.saved': 'Seguridad de inicio de sesión guardada',
+
+  'onboarding.title': 'Configura {organization}',
+  'onboarding.subtitle': 'Unos pasos para preparar tu tablero. Omite lo que quieras y vuelve más tarde.',
+  'onboarding.later': 'Terminar más tarde',
+  'onboarding.stepNumber': 'Paso {number}',
+  'onboarding.status.done': 'Hecho',
+  'onboarding.status.skipped': 'Omitido',
+  'onboarding.step.units': 'Unidades y habitaciones',
+  'onboarding.step.shifts': 'Horarios de turno',
+  'onboarding.step.templates': 'Plantillas de tareas',
+  'onboarding.step.staff': 'Invitar al personal',
+  'onboarding.back': '← Atrás',
+  'onboarding.skip': 'Omitir',
+  'onboarding.saveContinue': 'Guardar y continuar',
+  'onboarding.saving': 'Guardando...',
+  'onboarding.remove': 'Quitar',
+  'onboarding.done': 'Todo listo',
+  'onboarding.doneWithSkipped': { one: 'Configuración guardada; queda {count} paso pendiente', other: 'Configuración guardada; quedan {count} pasos pendientes' },
+  'onboarding.resumeHint': 'Continúa donde lo dejaste desde el aviso sobre el tablero.',
+  'onboarding.toBoard': 'Ir al tablero de tareas',
+  'onboarding.banner': { one: 'Queda {count} paso para configurar el centro.', other: 'Quedan {count} pasos para configurar el centro.' },
+  'onboarding.resume': 'Continuar configuración',
+  'onboarding.dismiss': 'Descartar',
+  'onboarding.units.intro': 'Añade cada unidad con sus habitaciones. Usa rangos como 201-230 y comas para las demás, hasta {max} habitaciones por unidad.',
+  'onboarding.units.name': 'Nombre de la unidad',
+  'onboarding.units.rooms': 'Habitaciones de {unit}',
+  'onboarding.units.roomCount': { one: '{count} habitación', other: '{count} habitaciones' },
+  'onboarding.units.unreadable': 'Revisa las habitaciones',
+  'onboarding.units.add': '+ Añadir unidad',
+  'onboarding.units.empty': 'Añade al menos una unidad u omite este paso',
+  'onboarding.units.missingName': 'Cada unidad necesita un nombre',
+  'onboarding.units.badRooms': '{unit}: las habitaciones deben tener la forma "201-230, 240" (como máximo {max})',
+  'onboarding.shifts.intro': 'Elige el patrón más parecido al tuyo y ajusta nombres y horas.',
+  'onboarding.shifts.presets': 'Patrones de turno',
+  'onboarding.shifts.preset.twelve': 'Dos turnos de 12 horas',
+  'onboarding.shifts.preset.eight': 'Tres turnos de 8 horas',
+  'onboarding.shifts.name': 'Nombre del turno',
+  'onboarding.shifts.start': 'Hora de inicio de {shift}',
+  'onboarding.shifts.end': 'Hora de fin de {shift}',
+  'onboarding.templates.intro': 'Elige plantillas iniciales para las tareas habituales. Puedes editarlas o crear otras en Plantillas.',
+  'onboarding.templates.added': 'Añadida',
+  'onboarding.staff.intro': 'Invita a tus primeras enfermeras y supervisoras. Cada dirección recibe un correo para unirse.',
+  'onboarding.staff.emails': 'Direcciones de correo, una por línea o separadas por comas',
+  'onboarding.staff.role': 'Rol',
+  'onboarding.staff.count': { one: '{count} dirección', other: '{count} direcciones' },
+  'onboarding.staff.empty': 'Introduce al menos una dirección u omite este paso',
+  'onboarding.staff.invalid': 'Estas direcciones no parecen correctas: {emails}',
+  'onboarding.staff.sent': { one: '{count} invitación enviada', other: '{count} invitaciones enviadas' },
+
+  'error.network': 'No se puede conectar con ShiftFlow. Revisa tu conexión.',
+  'error.timeout': 'La solicitud ha tardado demasiado. Inténtalo de nuevo.',
+  'error.requestFailed': 'La solicitud ha fallado ({status})',
+
+  'validation.required': 'Este campo es obligatorio',
+  'validation.email': 'Introduce un correo electrónico válido',
+  'validation.maxLength': 'Usa {max} caracteres o menos',
+  'validation.integerBetween': 'Introduce un número entero entre {min} y {max}',
+  'validation.inPast': 'Elige una hora que no haya pasado',
+  'create.titleRequired': 'Ponle un título a la tarea',
+  'create.submitting': 'Creando...',
+  'reject.title': 'Rechazar traspaso',
+  'reject.submit': 'Rechazar traspaso',
+  'reject.sending': 'Rechazando...',
+  'connection.title': 'Conexión de actualizaciones en directo',
+  'connection.connecting': 'Conectando...',
+  'connection.live': 'En directo',
+  'connection.reconnecting': 'Reconectando...',
+  'connection.offline': 'Sin conexión',
+
+  'status.todo': 'Pendiente',
+  'status.in_progress': 'En curso',
+  'status.completed': 'Completada',
+  'status.handoff': 'Traspaso',
+  'stats.overdue': 'Atrasadas',
+
+  'priority.emergency': 'Emergencia',
+  'priority.urgent': 'Urgente',
+  'priority.normal': 'Normal',
+  'priority.low': 'Baja',
+
+  'board.title': 'Gestión de tareas',
+  'board.showing': { one: 'Mostrando {shown} de {count} tarea', other: 'Mostrando {shown} de {count} tareas' },
+  'board.layout': 'Vista del tablero',
+  'board.kanban': 'Kanban',
+  'board.rooms': 'Habitaciones',
+  'board.allRooms': '← Todas las habitaciones',
+  'board.room': 'Habitación {room}',
+  'board.loading': 'Cargando tareas...',
+  'board.empty': 'Sin tareas',
+
+  'move.instructions': 'Pulsa Espacio o Intro para coger esta tarea y usa las flechas para moverla.',
+  'move.handle': 'Mover tarea: {title}',
+  'move.pickedUp': 'Has cogido {title} en {column}, posición {position}. Usa las flechas izquierda y derecha para elegir columna, arriba y abajo para elegir posición, Espacio para soltar o Escape para cancelar.',
+  'move.target': '{column}, posición {position} de {total}.',
+  'move.notAllowedFrom': 'No se permite desde {column}.',
+  'move.dropped': '{title} soltada en {column}, posición {position}.',
+  'move.cannotMove': '{title} no se puede mover ahí y se queda en {column}.',
+  'move.cancelled': 'Movimiento cancelado. {title} se queda en {column}.',
+
+  'card.pendingSync': '⏳ Pendiente de sincronizar',
+  'card.pendingSyncTitle': 'Guardada en este dispositivo a la espera de conexión',
+  'card.room': 'Habitación {room}',
+  'card.recurring': '🔁 Periódica',
+  'card.recurringTitle': 'Creada por una programación periódica',
+  'card.assigned': 'Asignada a: {name}',
+  'card.unassigned': 'Sin asignar',
+  'card.assignToMe': 'Asignármela',
+  'card.assign': 'Asignar',
+  'card.reassign': 'Reasignar',
+  'card.accept': 'Aceptar',
+  'card.reject': 'Rechazar',
+  'card.rejectPrompt': 'Motivo del rechazo del traspaso (opcional)',
+  'card.awaiting': 'Esperando a {name}',
+  'card.receiver': 'la persona receptora',
+
+  'action.start': 'Empezar',
+  'action.complete': 'Completar',
+  'action.handoff': 'Traspasar',
+  'action.backToTodo': 'Volver a Pendiente',
+  'action.recall': 'Retirar',
+  'action.openTask': 'Abrir tarea',
+  'action.acceptHandoff': 'Aceptar traspaso',
+
+  'timer.overdueBy': 'atrasada {duration}',
+  'timer.due': 'Vence a las {time}',
+
+  'create.title': 'Crear nueva tarea',
+  'create.template': 'Partir de una plantilla',
+  'create.blankTask': 'Tarea en blanco',
+  'create.taskTitle': 'Título de la tarea *',
+  'create.taskTitlePlaceholder': 'Introduce el título de la tarea',
+  'create.description': 'Descripción',
+  'create.descriptionPlaceholder': 'Introduce la descripción de la tarea',
+  'create.room': 'Número de habitación',
+  'create.roomPlaceholder': 'p. ej., 205A',
+  'create.priority': 'Prioridad',
+  'create.emergencyRestricted': 'Emergencia (restringida)',
+  'create.duration': 'Duración estimada (minutos)',
+  'create.dueBy': 'Fecha límite',
+  'create.assignee': 'Responsable',
+  'create.close': 'Cerrar',
+  'create.cancel': 'Cancelar',
+  'create.submit': 'Crear tarea',
+
+  'notify.offlineRejected': 'Se rechazó el cambio sin conexión en "{title}": {error}',
+  'notify.queuedOffline': 'Estás sin conexión. El cambio se sincronizará cuando vuelva la conexión.',
+  'notify.queueFailed': 'No se pudo guardar el cambio para sincronizarlo más tarde',
+  'notify.assigned': 'Se te ha asignado "{title}"',
+  'notify.assignedBy': '{name} te ha asignado "{title}"',
+  'notify.handoffIncoming': '{name} te está traspasando "{title}"',
+  'notify.colleague': 'Un compañero',
+  'notify.handoffRejected': 'Se rechazó tu traspaso de "{title}"',
+  'notify.handoffRejectedReason': 'Se rechazó tu traspaso de "{title}": "{reason}"',
+  'notify.escalationIncoming': '"{title}" se ha escalado: no se empezó a tiempo',
+  'notify.taskCreated': '¡Tarea creada!',
+  'notify.createFailed': 'No se pudo crear la tarea',
+  'notify.taskUpdated': '¡Tarea actualizada!',
+  'notify.updateFailed': 'No se pudo actualizar la tarea',
+  'notify.assignedTo': 'Tarea asignada a {name}',
+  'notify.assignedToYou': 'Tarea asignada a ti',
+  'notify.unassigned': 'Tarea sin asignar',
+  'notify.handoffSent': 'Traspaso enviado para su aceptación',
+  'notify.handoffFailed': 'No se pudo traspasar la tarea',
+  'notify.handoffAccepted': 'Traspaso aceptado',
+  'notify.handoffDeclined': 'Traspaso rechazado',
+  'notify.acceptFailed': 'No se pudo aceptar el traspaso',
+  'notify.rejectFailed': 'No se pudo rechazar el traspaso',
+  'notify.acknowledgeFailed': 'No se pudo confirmar la tarea',
+  'notify.escalated': '"{title}" no se empezó a tiempo y se ha escalado a la enfermera jefe',
+  'notify.handoffRecalled': 'Traspaso retirado',
+  'notify.recallFailed': 'No se pudo retirar el traspaso',
+  'notify.rolloverDone': {
+    one: '{count} tarea traspasada al turno de {shift}',
+    other: '{count} tareas traspasadas al turno de {shift}'
+  },
+  'notify.rolloverOffline': 'Estás sin conexión. El cambio de turno necesita conexión.',
+  'notify.rolloverFailed': 'No se pudo hacer el cambio de turno',
+  'notify.taskGone': 'Esa tarea ya no está en el tablero',
+  'notify.orderFailed': 'No se pudo guardar el orden de las tareas',
+  'notify.manualSortRequired': 'Cambia la ordenación a "Orden manual" para reordenar tareas',
+  'notify.transitionNotAllowed': 'Las tareas no pueden pasar de {from} a {to}',
+  'notify.syncBeforeHandoff': 'Esta tarea debe sincronizarse antes de poder traspasarla',
+  'notify.handoffMoveNotAllowed': 'Solo quien recibe o traspasa esta tarea puede sacarla de Traspaso',
+
+  'drawer.label': 'Detalles de la tarea: {title}',
+  'drawer.edit': 'Editar',
+  'drawer.close': 'Cerrar detalles de la tarea',
+  'drawer.comments': 'Comentarios',
+  'drawer.commentsUnsynced': 'Los comentarios estarán disponibles cuando la tarea se sincronice.',
+  'drawer.loadingComments': 'Cargando comentarios...',
+  'drawer.activity': 'Actividad',
+  'drawer.loadingActivity': 'Cargando actividad...',
+  'drawer.noActivity': 'Aún no hay actividad registrada.',
+  'drawer.system': 'Sistema',
+  'drawer.historyFailed': 'No se pudo cargar el historial de la tarea',
+  'drawer.commentFailed': 'No se pudo añadir el comentario',
+  'drawer.noDescription': 'Sin descripción',
+  'drawer.field.title': 'Título',
+  'drawer.field.description': 'Descripción',
+  'drawer.field.status': 'Estado',
+  'drawer.field.priority': 'Prioridad',
+  'drawer.field.room': 'Habitación',
+  'drawer.field.duration': 'Duración estimada',
+  'drawer.field.dueBy': 'Vence',
+  'drawer.field.assignedTo': 'Asignada a',
+  'drawer.field.createdBy': 'Creada por',
+  'drawer.field.created': 'Creada',
+  'drawer.field.started': 'Iniciada',
+  'drawer.field.completed': 'Completada',
+  'drawer.field.updated': 'Última actualización',
+  'drawer.minutes': { one: '{count} min', other: '{count} min' },
+  'drawer.durationMinutes': 'Duración (min)',
+  'drawer.save': 'Guardar cambios',
+  'drawer.saving': 'Guardando...',
+  'drawer.noComments': 'Aún no hay comentarios. Deja una nota para la siguiente enfermera.',
+  'drawer.unknownAuthor': 'Desconocido',
+  'drawer.reply': 'Responder',
+  'drawer.replyPlaceholder': 'Escribe una respuesta',
+  'drawer.commentPlaceholder': 'Añade un comentario',
+  'drawer.post': 'Publicar',
+  'drawer.posting': 'Publicando...',
+
+  'activity.created': 'creó la tarea',
+  'activity.moved': 'la movió de {from} a {to}',
+  'activity.assigned': 'la asignó a {name}',
+  'activity.reassigned': 'la asignó a {name} (antes {previous})',
+  'activity.unassigned': 'quitó la asignación',
+  'activity.handoffRequested': 'la traspasó a {name}',
+  'activity.anotherNurse': 'otra enfermera',
+  'activity.handoffAccepted': 'aceptó el traspaso',
+  'activity.handoffRejected': 'rechazó el traspaso',
+  'activity.handoffRejectedReason': 'rechazó el traspaso: "{reason}"',
+  'activity.handoffCancelled': 'retiró el traspaso',
+  'activity.rollover': 'la pasó al turno {shift}',
+  'activity.rolloverNext': 'la pasó al siguiente turno',
+  'activity.edited': 'editó {fields}',
+  'activity.editedTask': 'editó la tarea',
+  'activity.commented': 'añadió un comentario',
+
+  'filters.search': 'Buscar tareas',
+  'filters.searchPlaceholder': 'Buscar en título o descripción',
+  'filters.assignee': 'Responsable',
+  'filters.assigneeCount': { one: 'Responsable ({count})', other: 'Responsable ({count})' },
+  'filters.rooms': 'Habitaciones',
+  'filters.roomFrom': 'desde',
+  'filters.roomTo': 'hasta',
+  'filters.roomFromLabel': 'Inicio del rango de habitaciones',
+  'filters.roomToLabel': 'Fin del rango de habitaciones',
+  'filters.sort': 'Ordenar tareas por',
+  'filters.mine': 'Mis tareas',
+  'filters.overdue': 'Solo vencidas',
+  'filters.savedViews': 'Vistas guardadas',
+  'filters.savedViewsCount': { one: 'Vistas guardadas ({count})', other: 'Vistas guardadas ({count})' },
+  'filters.saveView': 'Guardar vista actual',
+  'filters.viewName': 'Nombre de la vista',
+  'filters.manageViews': 'Gestionar vistas',
+  'filters.deleteView': 'Eliminar',
+  'filters.deleteViewConfirm': '¿Eliminar la vista guardada "{name}"?',
+  'filters.viewNameLabel': 'Nombre',
+  'filters.viewReplaces': 'Al guardar se reemplaza la vista "{name}".',
+  'filters.save': 'Guardar vista',
+  'filters.deleteViewTitle': 'Eliminar vista guardada',
+  'filters.clear': 'Quitar filtros',
+
+  'sort.manual': 'Orden manual',
+  'sort.priority': 'Prioridad',
+  'sort.age': 'Más antiguas primero',
+  'sort.duration': 'Duración estimada',
+  'sort.overdue': 'Más vencidas',
+
+  'alarm.count': { one: '{count} tarea requiere atención', other: '{count} tareas requieren atención' },
+  'alarm.mute': 'Silenciar la alarma',
+  'alarm.unmute': 'Activar el sonido de la alarma',
+  'alarm.soundPending': 'El sonido empieza con tu próximo clic o pulsación de tecla',
+  'alarm.enableDesktop': 'Activar alertas de escritorio',
+  'alarm.escalated': 'Escalada',
+  'alarm.taskInRoom': '{title} — Habitación {room}',
+  'alarm.escalatesIn': 'se escala en {time}',
+  'alarm.acknowledge': 'Confirmar',
+  'alarm.desktopEscalated': 'Tarea de emergencia escalada',
+  'alarm.desktop.emergency': 'Tarea de emergencia',
+  'alarm.desktop.urgent': 'Tarea urgente',
+  'alarm.escalatedToCharge': 'Escalada a la enfermera jefe',
+  'alarm.startWithin': 'Iniciar en {time} (se escala tras {limit})',
+
+  'notifications.title': 'Notificaciones',
+  'notifications.unreadLabel': {
+    one: 'Notificaciones, {count} sin leer',
+    other: 'Notificaciones, {count} sin leer'
+  },
+  'notifications.markAllRead': 'Marcar todo como leído',
+  'notifications.markRead': 'Marcar como leída',
+  'notifications.settings': 'Ajustes',
+  'notifications.back': 'Volver',
+  'notifications.empty': 'Aún no hay notificaciones',
+  'notifications.unread': 'Sin leer:',
+  'notifications.clearHistory': 'Borrar historial',
+  'notifications.type': 'Tipo',
+  'notifications.popup': 'Aviso emergente',
+  'notifications.keep': 'Guardar en el historial',
+  'notifications.popupFor': 'Mostrar avisos de {category}',
+  'notifications.keepFor': 'Guardar {category} en el historial',
+  'notifications.dismiss': 'Descartar notificación',
+  'notifications.category.assignment': 'Asignaciones',
+  'notifications.category.handoff': 'Traspasos',
+  'notifications.category.escalation': 'Escaladas',
+  'notifications.category.system': 'Errores del sistema',
+
+  'permission.denied.createEmergency': 'Solo las enfermeras jefe y los administradores del centro pueden crear tareas de emergencia',
+  'permission.denied.reassignOthers': 'Solo las enfermeras jefe y los administradores del centro pueden reasignar tareas de otros miembros del personal',
+  'permission.denied.receiveEscalations': 'Las escaladas llegan a las enfermeras jefe y a los administradores del centro',
+  'permission.denied.manageUsers': 'Solo los administradores del centro pueden gestionar el personal',
+  'permission.denied.manageShifts': 'Solo los administradores del centro pueden cambiar los horarios de turno',
+  'permission.denied.manageUnits': 'Solo los administradores del centro pueden cambiar la distribución de habitaciones',
+  'permission.denied.manageSecurity': 'Solo los administradores del centro pueden cambiar la seguridad de inicio de sesión',
+  'permission.denied.rolloverShift': 'Solo las enfermeras jefe y los administradores del centro pueden cerrar un turno',
+  'permission.denied.manageTemplates': 'Solo las enfermeras jefe y los administradores del centro pueden gestionar plantillas y tareas recurrentes',
+  'permission.denied.viewAnalytics': 'Las estadísticas están disponibles para las enfermeras jefe y los administradores del centro',
+  'permission.denied.default': 'No tienes permiso para hacer esto',
+
+  'staff.loadFailed': 'No se pudo cargar el personal',
+  'staff.emailRequired': 'Introduce una dirección de correo electrónico',
+  'staff.inviteSent': 'Invitación enviada a {email}',
+  'staff.inviteFailed': 'No se pudo enviar la invitación',
+  'staff.inviteResent': 'Invitación reenviada a {email}',
+  'staff.resendFailed': 'No se pudo reenviar la invitación',
+  'staff.revokeConfirm': '¿Revocar la invitación de {email}?',
+  'staff.inviteRevoked': 'Invitación de {email} revocada',
+  'staff.revokeFailed': 'No se pudo revocar la invitación',
+  'staff.deactivateConfirm': '¿Desactivar a {name}? Ya no podrá iniciar sesión.',
+  'staff.reactivated': '{name} reactivado',
+  'staff.deactivated': '{name} desactivado',
+  'staff.updateFailed': 'No se pudo actualizar al miembro del personal',
+  'staff.loading': 'Cargando personal...',
+  'staff.invite': 'Invitar personal',
+  'staff.email': 'Correo electrónico',
+  'staff.role': 'Rol',
+  'staff.send': 'Enviar invitación',
+  'staff.sending': 'Enviando...',
+  'staff.pending': 'Invitaciones pendientes',
+  'staff.noPending': 'No hay invitaciones pendientes',
+  'staff.sent': 'Enviada',
+  'staff.actions': 'Acciones',
+  'staff.expired': 'Caducada',
+  'staff.resend': 'Reenviar',
+  'staff.revoke': 'Revocar',
+  'staff.title': 'Personal ({count})',
+  'staff.name': 'Nombre',
+  'staff.status': 'Estado',
+  'staff.active': 'Activo',
+  'staff.inactive': 'Desactivado',
+  'staff.deactivate': 'Desactivar',
+  'staff.reactivate': 'Reactivar',
+
+  'shifts.title': 'Turnos',
+  'shifts.configured': 'Las tareas nuevas se marcan con el turno en que se crean.',
+  'shifts.defaults': 'Se usan los turnos predeterminados de día y noche de 12 horas hasta que guardes los tuyos.',
+  'shifts.shift': 'Turno',
+  'shifts.name': 'Nombre del turno',
+  'shifts.namePlaceholder': 'Día',
+  'shifts.start': 'Hora de inicio de {shift}',
+  'shifts.end': 'Hora de fin de {shift}',
+  'shifts.to': 'a',
+  'shifts.hours': { one: '{count} hora', other: '{count} horas' },
+  'shifts.remove': 'Quitar',
+  'shifts.add': '+ Añadir turno',
+  'shifts.save': 'Guardar turnos',
+  'shifts.saving': 'Guardando...',
+  'shifts.saved': 'Horarios de turno guardados',
+  'shifts.saveFailed': 'No se pudieron guardar los horarios de turno',
+  'shifts.error.none': 'Añade al menos un turno',
+  'shifts.error.name': 'Cada turno necesita un nombre',
+  'shifts.error.format': '{shift}: las horas deben tener el formato de 24 horas HH:MM',
+  'shifts.error.same': '{shift}: el inicio y el fin no pueden coincidir',
+  'shifts.error.overlap': '{first} y {second} se solapan',
+
+  'rollover.shift': 'Turno',
+  'rollover.allShifts': 'Todos los turnos',
+  'rollover.current': '{shift} (actual)',
+  'rollover.earlier': 'Turno anterior',
+  'rollover.chooseShift': 'Elige el turno que termina',
+  'rollover.copied': 'Resumen copiado al portapapeles',
+  'rollover.copyFailed': 'No se pudo copiar el resumen',
+  'rollover.title': 'Terminar turno',
+  'rollover.summaryTitle': 'Resumen del cierre de turno',
+  'rollover.from': 'Turno que termina',
+  'rollover.carry': {
+    one: '{count} tarea sin terminar pasa a Traspaso',
+    other: '{count} tareas sin terminar pasan a Traspaso'
+  },
+  'rollover.nothing': 'Nada que traspasar',
+  'rollover.handingOff': {
+    one: '{count} tarea ya espera un traspaso y se quedará con él.',
+    other: '{count} tareas ya esperan un traspaso y se quedarán con él.'
+  },
+  'rollover.unsynced': {
+    one: '{count} tarea está pendiente de sincronizar y se quedará donde está.',
+    other: '{count} tareas están pendientes de sincronizar y se quedarán donde están.'
+  },
+  'rollover.note': 'Notas para el turno entrante',
+  'rollover.notePlaceholder': 'Todo lo que el turno entrante debe saber',
+  'rollover.submitting': 'Cerrando turno...',
+  'rollover.submit': { one: 'Traspasar {count} tarea', other: 'Traspasar {count} tareas' },
+  'rollover.carried': 'Traspasadas',
+  'rollover.completed': 'Completadas en este turno',
+  'rollover.overdue': 'Atrasada',
+  'rollover.byPriority': '{count} {priority}',
+  'rollover.byStatus': '{count} desde {status}',
+  'rollover.task': 'Tarea',
+  'rollover.was': 'Estaba en',
+  'rollover.assignee': 'Asignada a',
+  'rollover.copy': 'Copiar resumen',
+  'rollover.done': 'Listo',
+  'rollover.report.title': 'Cierre de turno: {from} → {to}',
+  'rollover.report.counts': 'Traspasadas: {carried} · Completadas en este turno: {completed}',
+  'rollover.report.overdue': 'ATRASADA',
+
+  'analytics.today': 'Hoy',
+  'analytics.days': { one: '{count} día', other: '{count} días' },
+  'analytics.loadFailed': 'No se pudieron cargar las estadísticas',
+  'analytics.from': 'Desde',
+  'analytics.to': 'Hasta',
+  'analytics.export': 'Exportar CSV',
+  'analytics.badRange': 'Elige una fecha de inicio anterior a la de fin',
+  'analytics.loading': 'Cargando estadísticas...',
+  'analytics.tasks': 'Tareas',
+  'analytics.completed': 'Completadas',
+  'analytics.created': 'Creadas',
+  'analytics.ranOverdue': 'Se atrasaron',
+  'analytics.byHour': 'Rendimiento por hora del día',
+  'analytics.byShift': 'Rendimiento por turno',
+  'analytics.noTasks': 'No hay tareas en este periodo',
+  'analytics.noShift': 'Sin turno',
+  'analytics.cycleTimes': 'Tiempos medianos de ciclo por prioridad',
+  'analytics.wait': 'Por hacer → En curso',
+  'analytics.work': 'En curso → Completada',
+  'analytics.total': 'Total',
+  'analytics.handoffRate': 'Tasa de traspasos por persona',
+  'analytics.handoffRateHint': 'Traspasos enviados por tarea atendida',
+  'analytics.noAssigned': 'No hay tareas asignadas en este periodo',
+  'analytics.unknown': 'Desconocido',
+  'analytics.handoffDetail': '{count} de {total}',
+  'analytics.handoffDetailRejected': '{count} de {total} · {rejected} rechazados',
+  'analytics.overdueRate': 'Tasa de atraso por prioridad',
+  'analytics.overdueRateHint': 'Terminadas después de la hora límite o la estimación, o aún atrasadas',
+  'analytics.overdueDetail': '{count} de {total}',
+  'analytics.createdIn': '{label}: {count} creadas',
+  'analytics.completedIn': '{label}: {count} completadas',
+  'analytics.period': 'Periodo',
+  'analytics.csv.id': 'ID de tarea',
+  'analytics.csv.title': 'Título',
+  'analytics.csv.priority': 'Prioridad',
+  'analytics.csv.status': 'Estado',
+  'analytics.csv.room': 'Habitación',
+  'analytics.csv.assignee': 'Asignada a',
+  'analytics.csv.shift': 'Turno',
+  'analytics.csv.created': 'Creada',
+  'analytics.csv.started': 'Iniciada',
+  'analytics.csv.completed': 'Completada',
+  'analytics.csv.wait': 'Espera (min)',
+  'analytics.csv.work': 'Trabajo (min)',
+  'analytics.csv.total': 'Total (min)',
+  'analytics.csv.handoffs': 'Traspasos',
+  'analytics.csv.overdue': 'Atrasada',
+
+  'rooms.other': 'Otras habitaciones',
+  'rooms.all': 'Todas las habitaciones',
+  'rooms.empty': 'No hay habitaciones que mostrar. Un administrador del centro puede organizar unidades y habitaciones en Centro.',
+  'rooms.tileClear': 'Habitación {room}: sin tareas abiertas',
+  'rooms.tile': {
+    one: 'Habitación {room}: {count} tarea abierta, prioridad más alta {priority}',
+    other: 'Habitación {room}: {count} tareas abiertas, prioridad más alta {priority}'
+  },
+  'rooms.clear': 'Libre',
+
+  'units.title': 'Unidades y habitaciones',
+  'units.intro': 'Las habitaciones se colocan de izquierda a derecha en el orden indicado y pasan a la fila siguiente tras el número de columnas.',
+  'units.namePlaceholder': '2 Oeste',
+  'units.columns': 'Columnas',
+  'units.columnsFor': 'Columnas de {unit}',
+  'units.escalation': 'Minutos que una emergencia puede seguir sin empezar antes de escalarse a la enfermera jefe (por defecto {default})',
+  'units.escalationFor': 'Minutos de escalado de {unit}',
+  'units.badEscalation': 'Los minutos de escalado de {unit} deben ser un número entero entre 1 y {max}',
+  'units.remove': 'Quitar',
+  'units.save': 'Guardar distribución',
+  'units.saving': 'Guardando...',
+  'units.saved': 'Distribución de habitaciones guardada',
+  'units.saveFailed': 'No se pudo guardar la distribución de habitaciones',
+
+  'templates.loadSeriesFailed': 'No se pudieron cargar las tareas recurrentes',
+  'templates.saved': 'Plantilla «{title}» guardada',
+  'templates.saveFailed': 'No se pudo guardar la plantilla',
+  'templates.deleteConfirm': '¿Eliminar la plantilla «{title}»?',
+  'templates.deleted': 'Plantilla eliminada',
+  'templates.deleteFailed': 'No se pudo eliminar la plantilla',
+  'templates.loading': 'Cargando plantillas...',
+  'templates.deletedTemplate': 'Plantilla eliminada',
+  'templates.title': 'Plantillas de tareas',
+  'templates.new': '+ Nueva plantilla',
+  'templates.empty': 'Aún no hay plantillas',
+  'templates.titleColumn': 'Título',
+  'templates.duration': 'Duración',
+  'templates.minutes': { one: '{count} min', other: '{count} min' },
+  'templates.rooms': 'Habitaciones',
+  'templates.edit': 'Editar',
+  'templates.delete': 'Eliminar',
+  'templates.titleRequired': 'Introduce un título',
+  'templates.badRooms': 'Las habitaciones deben tener el formato "201-210, 215" (como máximo {max})',
+  'templates.titlePlaceholder': 'Control de constantes vitales',
+  'templates.templateTitle': 'Título de la plantilla',
+  'templates.roomsPlaceholder': 'Habitaciones predeterminadas, p. ej. 201-210',
+  'templates.defaultRooms': 'Habitaciones predeterminadas',
+  'templates.durationPlaceholder': 'Duración (minutos)',
+  'templates.durationLabel': 'Duración estimada en minutos',
+  'templates.save': 'Guardar plantilla',
+
+  'series.saved': 'Tarea recurrente guardada',
+  'series.saveFailed': 'No se pudo guardar la tarea recurrente',
+  'series.paused': 'Tarea recurrente en pausa',
+  'series.resumed': 'Tarea recurrente reanudada',
+  'series.updateFailed': 'No se pudo actualizar la tarea recurrente',
+  'series.deleteConfirm': '¿Detener esta tarea recurrente? Las tareas que ya creó se conservan.',
+  'series.deleted': 'Tarea recurrente eliminada',
+  'series.deleteFailed': 'No se pudo eliminar la tarea recurrente',
+  'series.title': 'Tareas recurrentes',
+  'series.new': '+ Nueva tarea recurrente',
+  'series.needTemplate': 'Crea primero una plantilla y prográmala aquí',
+  'series.empty': 'No hay nada programado',
+  'series.pausedBadge': 'En pausa',
+  'series.rooms': 'Habitaciones {rooms}',
+  'series.next': 'Próxima {time}',
+  'series.resume': 'Reanudar',
+  'series.pause': 'Pausar',
+  'series.chooseTemplate': 'Elige una plantilla',
+  'series.template': 'Plantilla',
+  'series.templateRooms': 'Habitaciones de la plantilla: {rooms}',
+  'series.roomsPlaceholder': 'Habitaciones, p. ej. 201-210',
+  'series.every': 'Cada',
+  'series.hoursBetween': 'Horas entre tareas',
+  'series.hoursFrom': 'horas desde las',
+  'series.firstTime': 'Hora de la primera tarea',
+  'series.dailyAt': 'A diario a las',
+  'series.timesOfDay': 'Horas del día',
+  'series.checkRooms': 'Revisa la lista de habitaciones',
+  'series.preview': {
+    one: '{rule} · {count} tarea cada vez · Próximas: {next}',
+    other: '{rule} · {count} tareas cada vez · Próximas: {next}'
+  },
+  'series.save': 'Guardar serie',
+  'series.schedule': 'Programar',
+
+  'rule.error.hours': 'Repite cada 1 a 24 horas',
+  'rule.error.start': 'Introduce una hora de inicio con el formato HH:MM',
+  'rule.error.noTimes': 'Añade al menos una hora del día',
+  'rule.error.badTime': '"{time}" no es una hora HH:MM válida',
+  'rule.error.type': 'Elige cada cuánto se repite la tarea',
+  'rule.interval': { one: 'Cada hora desde las {start}', other: 'Cada {count} horas desde las {start}' },
+  'rule.times': 'A diario a las {times}',
+  'rule.none': 'Sin programación',
+
+  'handoff.staffFailed': 'No se pudo cargar la lista de personal',
+  'handoff.unknown': 'Desconocido',
+  'handoff.shift': 'turno de {shift}',
+  'handoff.hideHistory': 'Ocultar historial de traspasos',
+  'handoff.showHistory': 'Mostrar historial de traspasos ({count})',
+  'handoff.status.accepted': 'aceptado',
+  'handoff.status.rejected': 'rechazado',
+  'handoff.status.cancelled': 'cancelado',
+  'handoff.receiverRequired': 'Elige quién recibe esta tarea',
+  'handoff.situationRequired': 'Describe la situación',
+  'handoff.title': 'Traspasar tarea',
+  'handoff.receiver': 'Persona que recibe',
+  'handoff.loadingStaff': 'Cargando personal...',
+  'handoff.selectStaff': 'Selecciona a un miembro del personal',
+  'handoff.sending': 'Enviando...',
+  'handoff.send': 'Enviar traspaso',
+
+  'sbar.situation': 'Situación',
+  'sbar.situation.short': 'S',
+  'sbar.situation.placeholder': '¿Qué está pasando ahora mismo?',
+  'sbar.background': 'Antecedentes',
+  'sbar.background.short': 'A',
+  'sbar.background.placeholder': 'Historia y contexto relevantes',
+  'sbar.assessment': 'Evaluación',
+  'sbar.assessment.short': 'E',
+  'sbar.assessment.placeholder': '¿Cuál crees que es el problema?',
+  'sbar.recommendation': 'Recomendación',
+  'sbar.recommendation.short': 'R',
+  'sbar.recommendation.placeholder': '¿Qué debe pasar a continuación?',
+
+  'assign.title': 'Asignar tarea',
+  'assign.search': 'Buscar personal',
+  'assign.me': '{name} (yo)',
+  'assign.noMatch': 'Nadie coincide con «{search}»',
+  'assign.save': 'Guardar'
+};
+
+export default es;
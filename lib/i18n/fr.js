@@ -0,0 +1,783 @@
+// French messages
+
+const fr = {
+  'app.loading': 'Chargement de ShiftFlow...',
+  'language.label': 'Langue',
+
+  'auth.sessionExpired': 'Votre session a expiré. Veuillez vous reconnecter.',
+  'auth.toRegister': 'Pas encore de compte ? Inscrivez votre établissement de santé',
+  'auth.toLogin': 'Vous avez déjà un compte ? Connectez-vous',
+
+  'login.tagline': 'Plateforme de communication pour les soins',
+  'login.email': 'Adresse e-mail',
+  'login.emailPlaceholder': 'Saisissez votre e-mail',
+  'login.password': 'Mot de passe',
+  'login.passwordPlaceholder': 'Saisissez votre mot de passe',
+  'login.submit': 'Se connecter',
+  'login.submitting': 'Connexion...',
+  'login.success': 'Connexion réussie !',
+  'login.forgot': 'Mot de passe oublié ?',
+  'login.mfaTitle': 'Validation en deux étapes',
+  'login.mfaIntro': "Saisissez le code à six chiffres de votre application d'authentification.",
+  'login.recoveryIntro': 'Saisissez un de vos codes de récupération.',
+  'login.mfaCode': "Code d'authentification",
+  'login.recoveryCode': 'Code de récupération',
+  'login.useRecovery': 'Utiliser un code de récupération',
+  'login.useApp': "Utiliser l'application d'authentification",
+  'login.rememberDevice': { one: 'Ne plus demander sur cet appareil pendant {count} jour', other: 'Ne plus demander sur cet appareil pendant {count} jours' },
+  'login.verify': 'Vérifier',
+  'login.verifying': 'Vérification...',
+  'login.back': '← Retour',
+
+  'register.title': 'Rejoindre ShiftFlow',
+  'register.subtitle': 'Inscrivez votre établissement de santé',
+  'register.facilityName': "Nom de l'établissement",
+  'register.facilityPlaceholder': 'ex. : Hôpital général Métropole',
+  'register.adminName': "Nom de l'administrateur",
+  'register.adminNamePlaceholder': 'Votre nom complet',
+  'register.adminEmail': "E-mail de l'administrateur",
+  'register.password': 'Mot de passe',
+  'register.passwordPlaceholder': 'Choisissez un mot de passe robuste',
+  'register.submit': 'Créer le compte',
+  'register.submitting': 'Création du compte...',
+  'register.success': 'Inscription réussie ! Bienvenue sur ShiftFlow !',
+
+  'nav.endShift': 'Fin de garde',
+  'nav.analytics': 'Statistiques',
+  'nav.templates': 'Modèles',
+  'nav.facility': 'Établissement',
+  'nav.account': 'Compte',
+  'nav.taskBoard': 'Tableau des tâches',
+  'nav.newTask': '+ Nouvelle tâche',
+  'nav.welcome': 'Bonjour, {name}',
+  'nav.logout': 'Se déconnecter',
+  'nav.lock': "Verrouiller l'écran",
+
+  'role.facility_admin': "Administrateur de l'établissement",
+  'role.charge_nurse': 'Infirmière cheffe',
+  'role.staff': 'Personnel',
+
+  'lock.title': 'Écran verrouillé',
+  'lock.signedInAs': 'Session de {name}',
+  'lock.pin': 'Code PIN',
+  'lock.password': 'Mot de passe',
+  'lock.newPin': 'Nouveau code PIN pour déverrouiller plus vite (4 à 6 chiffres, facultatif)',
+  'lock.pinInvalid': 'Le code PIN comporte 4 à 6 chiffres',
+  'lock.unlock': 'Déverrouiller',
+  'lock.unlocking': 'Déverrouillage...',
+  'lock.failed': {
+    one: 'Code incorrect. Il reste {count} essai.',
+    other: 'Code incorrect. Il reste {count} essais.'
+  },
+  'lock.tooMany': 'Trop de tentatives de déverrouillage. Veuillez vous reconnecter.',
+  'lock.switchUser': "Ce n'est pas vous ? Changer d'utilisateur",
+
+  'password.new': 'Nouveau mot de passe',
+  'password.confirm': 'Confirmer le mot de passe',
+  'password.rule.length': 'Au moins {min} caractères',
+  'password.rule.case': 'Majuscules et minuscules',
+  'password.rule.number': 'Au moins un chiffre',
+  'password.rule.personal': 'Ne contient ni votre nom ni votre e-mail',
+  'password.met': 'Respecté :',
+  'password.notMet': 'À compléter :',
+  'password.tooWeak': 'Choisissez un mot de passe plus robuste qui respecte toutes les règles',
+  'password.mismatch': 'Les mots de passe ne correspondent pas',
+
+  'forgot.title': 'Réinitialiser le mot de passe',
+  'forgot.intro': "Saisissez l'e-mail de votre compte et nous vous enverrons un lien pour choisir un nouveau mot de passe.",
+  'forgot.missingEmail': 'Veuillez saisir votre e-mail',
+  'forgot.submit': 'Envoyer le lien',
+  'forgot.submitting': 'Envoi...',
+  'forgot.sent': 'Si {email} correspond à un compte ShiftFlow, un lien de réinitialisation arrive. Il expire rapidement, utilisez-le aujourd’hui.',
+  'forgot.backToLogin': '← Retour à la connexion',
+
+  'reset.title': 'Choisissez un nouveau mot de passe',
+  'reset.submit': 'Enregistrer le mot de passe',
+  'reset.submitting': 'Enregistrement...',
+  'reset.success': 'Mot de passe modifié. Connectez-vous avec votre nouveau mot de passe.',
+  'reset.invalid': 'Ce lien a expiré ou a déjà été utilisé.',
+  'reset.requestNew': 'Demander un nouveau lien',
+
+  'verify.verifying': 'Vérification de votre e-mail...',
+  'verify.success': 'Votre adresse e-mail est vérifiée.',
+  'verify.invalid': 'Ce lien de vérification a expiré ou a déjà été utilisé. Connectez-vous pour en recevoir un nouveau.',
+  'verify.continue': 'Continuer vers ShiftFlow',
+  'verify.banner': 'Veuillez vérifier {email} avec le lien que nous vous avons envoyé.',
+  'verify.resend': "Renvoyer l'e-mail",
+  'verify.resending': 'Envoi...',
+  'verify.resent': 'E-mail de vérification envoyé à {email}',
+
+  'invite.title': 'Rejoindre ShiftFlow',
+  'invite.intro': 'Vous êtes invité(e) à rejoindre {organization}',
+  'invite.introWithRole': 'Vous êtes invité(e) à rejoindre {organization} en tant que {role}',
+  'invite.yourFacility': 'votre établissement',
+  'invite.loading': "Chargement de l'invitation...",
+  'invite.invalid': "Cette invitation n'est plus valide. Demandez à l'administrateur de votre établissement de vous en envoyer une nouvelle.",
+  'invite.email': 'Adresse e-mail',
+  'invite.name': 'Nom complet',
+  'invite.namePlaceholder': 'Votre nom complet',
+  'invite.password': 'Mot de passe',
+  'invite.passwordPlaceholder': 'Choisissez un mot de passe robuste',
+  'invite.confirm': 'Confirmer le mot de passe',
+  'invite.confirmPlaceholder': 'Saisissez à nouveau votre mot de passe',
+  'invite.submit': "Rejoindre l'organisation",
+  'invite.submitting': 'Inscription en cours...',
+  'invite.welcome': 'Bienvenue chez {organization} !',
+
+  'account.title': 'Compte',
+  'account.email': 'E-mail',
+  'account.verified': 'Vérifié',
+  'account.unverified': 'Non vérifié',
+  'account.changePassword': 'Changer le mot de passe',
+  'account.currentPassword': 'Mot de passe actuel',
+  'account.save': 'Mettre à jour le mot de passe',
+  'account.saving': 'Mise à jour...',
+  'account.passwordChanged': 'Mot de passe mis à jour',
+  'account.samePassword': 'Le nouveau mot de passe doit être différent de l’actuel',
+
+  'mfa.title': 'Authentification à deux facteurs',
+  'mfa.on': 'Activée',
+  'mfa.off': 'Désactivée',
+  'mfa.intro': "Connectez-vous avec un code d'une application d'authentification en plus de votre mot de passe.",
+  'mfa.required': "Votre organisation exige l'authentification à deux facteurs.",
+  'mfa.setUp': 'Configurer',
+  'mfa.loadingSetup': 'Préparation...',
+  'mfa.scan': "Scannez ce code QR avec une application d'authentification comme Google Authenticator, Microsoft Authenticator ou 1Password, puis saisissez le code affiché.",
+  'mfa.qrAlt': "Code QR pour votre application d'authentification",
+  'mfa.manualKey': 'Impossible de le scanner ? Saisissez plutôt cette clé :',
+  'mfa.openApp': "Ouvrir dans l'application d'authentification",
+  'mfa.code': 'Code à six chiffres',
+  'mfa.codeRequired': "Saisissez le code de votre application d'authentification",
+  'mfa.confirm': 'Activer',
+  'mfa.confirming': 'Vérification...',
+  'mfa.cancel': 'Annuler',
+  'mfa.recoveryTitle': 'Conservez vos codes de récupération',
+  'mfa.recoveryIntro': 'Chaque code permet de vous connecter une fois si vous perdez votre téléphone. Gardez-les en lieu sûr ; ils ne seront plus affichés.',
+  'mfa.copy': 'Copier',
+  'mfa.download': 'Télécharger',
+  'mfa.copied': 'Codes de récupération copiés',
+  'mfa.copyFailed': 'Impossible de copier les codes',
+  'mfa.saved': "J'ai conservé ces codes",
+  'mfa.enabled': "L'authentification à deux facteurs est activée",
+  'mfa.disabled': "L'authentification à deux facteurs est désactivée",
+  'mfa.manageIntro': "Saisissez un code de votre application d'authentification pour obtenir de nouveaux codes de récupération ou désactiver la double authentification.",
+  'mfa.newCodes': 'Nouveaux codes de récupération',
+  'mfa.disable': 'Désactiver',
+  'mfa.requiredTitle': "Configurer l'authentification à deux facteurs",
+  'mfa.requiredIntro': "{organization} exige l'authentification à deux facteurs. Configurez-la pour continuer.",
+  'mfa.signOut': 'Se déconnecter',
+
+  'security.title': 'Sécurité de connexion',
+  'security.loading': 'Chargement...',
+  'security.requireMfa': "Exiger l'authentification à deux facteurs pour tout le personnel",
+  'security.requireMfaHint': "Le personnel qui ne l'a pas configurée devra le faire à sa prochaine ouverture de ShiftFlow.",
+  'security.rememberDays': 'Mémoriser les appareils de confiance pendant (jours)',
+  'security.rememberHint': 'Le personnel peut ignorer le code sur un appareil de confiance pendant cette durée. 0 le demande à chaque connexion ; {max} au maximum.',
+  'security.invalidDays': 'Saisissez entre 0 et {max} jours',
+  'security.save': 'Enregistrer',
+  'security.saving': 'Enregistrement...',
+  'security.saved': 'Sécurité de connexion enregistrée',
+
+  'onboarding.title': 'Configurer {organization}',
+  'onboarding.subtitle': 'Quelques étapes pour préparer votre tableau. Passez ce que vous voulez et revenez-y plus tard.',
+  'onboarding.later': 'Terminer plus tard',
+  'onboarding.stepNumber': 'Étape {number}',
+  'onboarding.status.done': 'Terminé',
+  'onboarding.status.skipped': 'Passé',
+  'onboarding.step.units': 'Unités et chambres',
+  'onboarding.step.shifts': 'Horaires des équipes',
+  'onboarding.step.templates': 'Modèles de tâches',
+  'onboarding.step.staff': 'Inviter le personnel',
+  'onboarding.back': '← Retour',
+  'onboarding.skip': 'Passer',
+  'onboarding.saveContinue': 'Enregistrer et continuer',
+  'onboarding.saving': 'Enregistrement...',
+  'onboarding.remove': 'Retirer',
+  'onboarding.done': 'Tout est prêt',
+  'onboarding.doneWithSkipped': { one: 'Configuration enregistrée, il reste {count} étape', other: 'Configuration enregistrée, il reste {count} étapes' },
+  'onboarding.resumeHint': 'Reprenez là où vous en étiez depuis le bandeau au-dessus du tableau.',
+  'onboarding.toBoard': 'Aller au tableau des tâches',
+  'onboarding.banner': { one: "Il reste {count} étape pour configurer l'établissement.", other: "Il reste {count} étapes pour configurer l'établissement." },
+  'onboarding.resume': 'Reprendre la configuration',
+  'onboarding.dismiss': 'Ignorer',
+  'onboarding.units.intro': 'Ajoutez chaque unité avec ses chambres. Utilisez des plages comme 201-230 et des virgules pour le reste, {max} chambres au maximum par unité.',
+  'onboarding.units.name': "Nom de l'unité",
+  'onboarding.units.rooms': 'Chambres de {unit}',
+  'onboarding.units.roomCount': { one: '{count} chambre', other: '{count} chambres' },
+  'onboarding.units.unreadable': 'Vérifiez les chambres',
+  'onboarding.units.add': '+ Ajouter une unité',
+  'onboarding.units.empty': 'Ajoutez au moins une unité ou passez cette étape',
+  'onboarding.units.missingName': 'Chaque unité doit avoir un nom',
+  'onboarding.units.badRooms': '{unit} : les chambres doivent ressembler à "201-230, 240" ({max} au maximum)',
+  'onboarding.shifts.intro': 'Choisissez le modèle le plus proche du vôtre, puis ajustez noms et horaires.',
+  'onboarding.shifts.presets': "Modèles d'équipes",
+  'onboarding.shifts.preset.twelve': 'Deux équipes de 12 heures',
+  'onboarding.shifts.preset.eight': 'Trois équipes de 8 heures',
+  'onboarding.shifts.name': "Nom de l'équipe",
+  'onboarding.shifts.start': 'Début de {shift}',
+  'onboarding.shifts.end': 'Fin de {shift}',
+  'onboarding.templates.intro': 'Choisissez des modèles de départ pour les tâches courantes. Vous pourrez les modifier ou en ajouter dans Modèles.',
+  'onboarding.templates.added': 'Ajouté',
+  'onboarding.staff.intro': 'Invitez vos premières infirmières et infirmières cheffes. Chaque adresse reçoit un e-mail pour rejoindre.',
+  'onboarding.staff.emails': 'Adresses e-mail, une par ligne ou séparées par des virgules',
+  'onboarding.staff.role': 'Rôle',
+  'onboarding.staff.count': { one: '{count} adresse', other: '{count} adresses' },
+  'onboarding.staff.empty': 'Saisissez au moins une adresse ou passez cette étape',
+  'onboarding.staff.invalid': 'Ces adresses semblent incorrectes : {emails}',
+  'onboarding.staff.sent': { one: '{count} invitation envoyée', other: '{count} invitations envoyées' },
+
+  'error.network': 'Impossible de joindre ShiftFlow. Vérifiez votre connexion.',
+  'error.timeout': 'La requête a expiré. Veuillez réessayer.',
+  'error.requestFailed': 'La requête a échoué ({status})',
+
+  'validation.required': 'Ce champ est obligatoire',
+  'validation.email': 'Saisissez une adresse e-mail valide',
+  'validation.maxLength': 'Utilisez {max} caractères au maximum',
+  'validation.integerBetween': 'Saisissez un nombre entier entre {min} et {max}',
+  'validation.inPast': 'Choisissez une heure qui n’est pas passée',
+  'create.titleRequired': 'Donnez un titre à la tâche',
+  'create.submitting': 'Création...',
+  'reject.title': 'Refuser la transmission',
+  'reject.submit': 'Refuser la transmission',
+  'reject.sending': 'Refus en cours...',
+  'connection.title': 'Connexion des mises à jour en direct',
+  'connection.connecting': 'Connexion...',
+  'connection.live': 'En direct',
+  'connection.reconnecting': 'Reconnexion...',
+  'connection.offline': 'Hors ligne',
+
+  'status.todo': 'À faire',
+  'status.in_progress': 'En cours',
+  'status.completed': 'Terminées',
+  'status.handoff': 'Transmission',
+  'stats.overdue': 'En retard',
+
+  'priority.emergency': 'Urgence vitale',
+  'priority.urgent': 'Urgent',
+  'priority.normal': 'Normale',
+  'priority.low': 'Basse',
+
+  'board.title': 'Gestion des tâches',
+  'board.showing': { one: '{shown} sur {count} tâche affichée', other: '{shown} sur {count} tâches affichées' },
+  'board.layout': 'Affichage du tableau',
+  'board.kanban': 'Kanban',
+  'board.rooms': 'Chambres',
+  'board.allRooms': '← Toutes les chambres',
+  'board.room': 'Chambre {room}',
+  'board.loading': 'Chargement des tâches...',
+  'board.empty': 'Aucune tâche',
+
+  'move.instructions': 'Appuyez sur Espace ou Entrée pour saisir cette tâche, puis utilisez les flèches pour la déplacer.',
+  'move.handle': 'Déplacer la tâche : {title}',
+  'move.pickedUp': '{title} saisie dans {column}, position {position}. Flèches gauche et droite pour choisir une colonne, haut et bas pour choisir une position, Espace pour déposer ou Échap pour annuler.',
+  'move.target': '{column}, position {position} sur {total}.',
+  'move.notAllowedFrom': 'Interdit depuis {column}.',
+  'move.dropped': '{title} déposée dans {column}, position {position}.',
+  'move.cannotMove': '{title} ne peut pas aller là et reste dans {column}.',
+  'move.cancelled': 'Déplacement annulé. {title} reste dans {column}.',
+
+  'card.pendingSync': '⏳ En attente de synchronisation',
+  'card.pendingSyncTitle': 'Enregistrée sur cet appareil, en attente du réseau',
+  'card.room': 'Chambre {room}',
+  'card.recurring': '🔁 Récurrente',
+  'card.recurringTitle': 'Créée par une planification récurrente',
+  'card.assigned': 'Assignée à : {name}',
+  'card.unassigned': 'Non assignée',
+  'card.assignToMe': "Me l'assigner",
+  'card.assign': 'Assigner',
+  'card.reassign': 'Réassigner',
+  'card.accept': 'Accepter',
+  'card.reject': 'Refuser',
+  'card.rejectPrompt': 'Motif du refus de la transmission (facultatif)',
+  'card.awaiting': 'En attente de {name}',
+  'card.receiver': 'la personne destinataire',
+
+  'action.start': 'Commencer',
+  'action.complete': 'Terminer',
+  'action.handoff': 'Transmettre',
+  'action.backToTodo': 'Remettre à faire',
+  'action.recall': 'Reprendre',
+  'action.openTask': 'Ouvrir la tâche',
+  'action.acceptHandoff': 'Accepter la transmission',
+
+  'timer.overdueBy': 'en retard de {duration}',
+  'timer.due': 'Échéance {time}',
+
+  'create.title': 'Nouvelle tâche',
+  'create.template': "Partir d'un modèle",
+  'create.blankTask': 'Tâche vierge',
+  'create.taskTitle': 'Titre de la tâche *',
+  'create.taskTitlePlaceholder': 'Saisissez le titre de la tâche',
+  'create.description': 'Description',
+  'create.descriptionPlaceholder': 'Saisissez la description de la tâche',
+  'create.room': 'Numéro de chambre',
+  'create.roomPlaceholder': 'ex. : 205A',
+  'create.priority': 'Priorité',
+  'create.emergencyRestricted': 'Urgence vitale (restreint)',
+  'create.duration': 'Durée estimée (minutes)',
+  'create.dueBy': 'Échéance',
+  'create.assignee': 'Responsable',
+  'create.close': 'Fermer',
+  'create.cancel': 'Annuler',
+  'create.submit': 'Créer la tâche',
+
+  'notify.offlineRejected': 'La modification hors ligne de « {title} » a été refusée : {error}',
+  'notify.queuedOffline': 'Vous êtes hors ligne. La modification sera synchronisée au retour de la connexion.',
+  'notify.queueFailed': "Impossible d'enregistrer la modification pour la synchronisation",
+  'notify.assigned': 'La tâche « {title} » vous a été assignée',
+  'notify.assignedBy': '{name} vous a assigné « {title} »',
+  'notify.handoffIncoming': '{name} vous transmet « {title} »',
+  'notify.colleague': 'Un collègue',
+  'notify.handoffRejected': 'Votre transmission de « {title} » a été refusée',
+  'notify.handoffRejectedReason': 'Votre transmission de « {title} » a été refusée : « {reason} »',
+  'notify.escalationIncoming': '« {title} » a été remontée : non commencée à temps',
+  'notify.taskCreated': 'Tâche créée !',
+  'notify.createFailed': 'Impossible de créer la tâche',
+  'notify.taskUpdated': 'Tâche mise à jour !',
+  'notify.updateFailed': 'Impossible de mettre à jour la tâche',
+  'notify.assignedTo': 'Tâche assignée à {name}',
+  'notify.assignedToYou': 'Tâche assignée à vous',
+  'notify.unassigned': 'Tâche désassignée',
+  'notify.handoffSent': 'Transmission envoyée pour acceptation',
+  'notify.handoffFailed': 'Impossible de transmettre la tâche',
+  'notify.handoffAccepted': 'Transmission acceptée',
+  'notify.handoffDeclined': 'Transmission refusée',
+  'notify.acceptFailed': "Impossible d'accepter la transmission",
+  'notify.rejectFailed': 'Impossible de refuser la transmission',
+  'notify.acknowledgeFailed': "Impossible d'accuser réception de la tâche",
+  'notify.escalated': "« {title} » n'a pas été commencée à temps et a été remontée à l'infirmière cheffe",
+  'notify.handoffRecalled': 'Transmission reprise',
+  'notify.recallFailed': 'Impossible de reprendre la transmission',
+  'notify.rolloverDone': {
+    one: '{count} tâche transmise à la garde {shift}',
+    other: '{count} tâches transmises à la garde {shift}'
+  },
+  'notify.rolloverOffline': 'Vous êtes hors ligne. La relève de garde nécessite une connexion.',
+  'notify.rolloverFailed': 'Impossible d’effectuer la relève de garde',
+  'notify.taskGone': "Cette tâche n'est plus sur le tableau",
+  'notify.orderFailed': "Impossible d'enregistrer l'ordre des tâches",
+  'notify.manualSortRequired': 'Passez au tri « Ordre manuel » pour réordonner les tâches',
+  'notify.transitionNotAllowed': 'Les tâches ne peuvent pas passer de {from} à {to}',
+  'notify.syncBeforeHandoff': 'Cette tâche doit être synchronisée avant de pouvoir être transmise',
+  'notify.handoffMoveNotAllowed': 'Seule la personne qui reçoit ou transmet cette tâche peut la sortir de Transmission',
+
+  'drawer.label': 'Détails de la tâche : {title}',
+  'drawer.edit': 'Modifier',
+  'drawer.close': 'Fermer les détails de la tâche',
+  'drawer.comments': 'Commentaires',
+  'drawer.commentsUnsynced': 'Les commentaires seront disponibles une fois la tâche synchronisée.',
+  'drawer.loadingComments': 'Chargement des commentaires...',
+  'drawer.activity': 'Activité',
+  'drawer.loadingActivity': 'Chargement de l’activité...',
+  'drawer.noActivity': 'Aucune activité enregistrée pour le moment.',
+  'drawer.system': 'Système',
+  'drawer.historyFailed': 'Impossible de charger l’historique de la tâche',
+  'drawer.commentFailed': 'Impossible d’ajouter le commentaire',
+  'drawer.noDescription': 'Aucune description',
+  'drawer.field.title': 'Titre',
+  'drawer.field.description': 'Description',
+  'drawer.field.status': 'Statut',
+  'drawer.field.priority': 'Priorité',
+  'drawer.field.room': 'Chambre',
+  'drawer.field.duration': 'Durée estimée',
+  'drawer.field.dueBy': 'Échéance',
+  'drawer.field.assignedTo': 'Assignée à',
+  'drawer.field.createdBy': 'Créée par',
+  'drawer.field.created': 'Créée',
+  'drawer.field.started': 'Commencée',
+  'drawer.field.completed': 'Terminée',
+  'drawer.field.updated': 'Dernière mise à jour',
+  'drawer.minutes': { one: '{count} min', other: '{count} min' },
+  'drawer.durationMinutes': 'Durée (min)',
+  'drawer.save': 'Enregistrer',
+  'drawer.saving': 'Enregistrement...',
+  'drawer.noComments': 'Aucun commentaire. Laissez une note pour l’infirmière suivante.',
+  'drawer.unknownAuthor': 'Inconnu',
+  'drawer.reply': 'Répondre',
+  'drawer.replyPlaceholder': 'Écrire une réponse',
+  'drawer.commentPlaceholder': 'Ajouter un commentaire',
+  'drawer.post': 'Publier',
+  'drawer.posting': 'Publication...',
+
+  'activity.created': 'a créé la tâche',
+  'activity.moved': 'l’a déplacée de {from} vers {to}',
+  'activity.assigned': 'l’a assignée à {name}',
+  'activity.reassigned': 'l’a assignée à {name} (auparavant {previous})',
+  'activity.unassigned': 'a retiré l’assignation',
+  'activity.handoffRequested': 'l’a transmise à {name}',
+  'activity.anotherNurse': 'une autre infirmière',
+  'activity.handoffAccepted': 'a accepté la transmission',
+  'activity.handoffRejected': 'a refusé la transmission',
+  'activity.handoffRejectedReason': 'a refusé la transmission : « {reason} »',
+  'activity.handoffCancelled': 'a rappelé la transmission',
+  'activity.rollover': 'l’a reportée à l’équipe {shift}',
+  'activity.rolloverNext': 'l’a reportée à l’équipe suivante',
+  'activity.edited': 'a modifié {fields}',
+  'activity.editedTask': 'a modifié la tâche',
+  'activity.commented': 'a ajouté un commentaire',
+
+  'filters.search': 'Rechercher des tâches',
+  'filters.searchPlaceholder': 'Rechercher dans le titre ou la description',
+  'filters.assignee': 'Assignée à',
+  'filters.assigneeCount': { one: 'Assignée à ({count})', other: 'Assignée à ({count})' },
+  'filters.rooms': 'Chambres',
+  'filters.roomFrom': 'de',
+  'filters.roomTo': 'à',
+  'filters.roomFromLabel': 'Début de la plage de chambres',
+  'filters.roomToLabel': 'Fin de la plage de chambres',
+  'filters.sort': 'Trier les tâches par',
+  'filters.mine': 'Mes tâches',
+  'filters.overdue': 'En retard uniquement',
+  'filters.savedViews': 'Vues enregistrées',
+  'filters.savedViewsCount': { one: 'Vues enregistrées ({count})', other: 'Vues enregistrées ({count})' },
+  'filters.saveView': 'Enregistrer la vue actuelle',
+  'filters.viewName': 'Nom de la vue',
+  'filters.manageViews': 'Gérer les vues',
+  'filters.deleteView': 'Supprimer',
+  'filters.deleteViewConfirm': 'Supprimer la vue enregistrée « {name} » ?',
+  'filters.viewNameLabel': 'Nom',
+  'filters.viewReplaces': 'L’enregistrement remplace la vue « {name} ».',
+  'filters.save': 'Enregistrer la vue',
+  'filters.deleteViewTitle': 'Supprimer la vue enregistrée',
+  'filters.clear': 'Effacer les filtres',
+
+  'sort.manual': 'Ordre manuel',
+  'sort.priority': 'Priorité',
+  'sort.age': 'Plus anciennes d’abord',
+  'sort.duration': 'Durée estimée',
+  'sort.overdue': 'Plus en retard',
+
+  'alarm.count': {
+    one: '{count} tâche demande votre attention',
+    other: '{count} tâches demandent votre attention'
+  },
+  'alarm.mute': 'Couper le son de l’alarme',
+  'alarm.unmute': 'Activer le son de l’alarme',
+  'alarm.soundPending': 'Le son démarre au prochain clic ou à la prochaine touche',
+  'alarm.enableDesktop': 'Activer les alertes sur le bureau',
+  'alarm.escalated': 'Escaladée',
+  'alarm.taskInRoom': '{title} — Chambre {room}',
+  'alarm.escalatesIn': 'escalade dans {time}',
+  'alarm.acknowledge': 'Accuser réception',
+  'alarm.desktopEscalated': 'Tâche d’urgence vitale escaladée',
+  'alarm.desktop.emergency': 'Tâche d’urgence vitale',
+  'alarm.desktop.urgent': 'Tâche urgente',
+  'alarm.escalatedToCharge': 'Escaladée à l’infirmière cheffe',
+  'alarm.startWithin': 'À commencer dans {time} (escalade après {limit})',
+
+  'notifications.title': 'Notifications',
+  'notifications.unreadLabel': {
+    one: 'Notifications, {count} non lue',
+    other: 'Notifications, {count} non lues'
+  },
+  'notifications.markAllRead': 'Tout marquer comme lu',
+  'notifications.markRead': 'Marquer comme lue',
+  'notifications.settings': 'Paramètres',
+  'notifications.back': 'Retour',
+  'notifications.empty': 'Aucune notification pour le moment',
+  'notifications.unread': 'Non lue :',
+  'notifications.clearHistory': 'Effacer l’historique',
+  'notifications.type': 'Type',
+  'notifications.popup': 'Fenêtre',
+  'notifications.keep': 'Garder dans l’historique',
+  'notifications.popupFor': 'Afficher les fenêtres pour {category}',
+  'notifications.keepFor': 'Garder {category} dans l’historique',
+  'notifications.dismiss': 'Fermer la notification',
+  'notifications.category.assignment': 'Assignations',
+  'notifications.category.handoff': 'Transmissions',
+  'notifications.category.escalation': 'Escalades',
+  'notifications.category.system': 'Erreurs système',
+
+  'permission.denied.createEmergency': 'Seules les infirmières cheffes et les administrateurs de l’établissement peuvent créer des tâches d’urgence vitale',
+  'permission.denied.reassignOthers': 'Seules les infirmières cheffes et les administrateurs de l’établissement peuvent réattribuer les tâches des autres membres du personnel',
+  'permission.denied.receiveEscalations': 'Les escalades sont envoyées aux infirmières cheffes et aux administrateurs de l’établissement',
+  'permission.denied.manageUsers': 'Seuls les administrateurs de l’établissement peuvent gérer le personnel',
+  'permission.denied.manageShifts': 'Seuls les administrateurs de l’établissement peuvent modifier les horaires des équipes',
+  'permission.denied.manageUnits': 'Seuls les administrateurs de l’établissement peuvent modifier l’agencement des chambres',
+  'permission.denied.manageSecurity': 'Seuls les administrateurs de l’établissement peuvent modifier la sécurité de connexion',
+  'permission.denied.rolloverShift': 'Seules les infirmières cheffes et les administrateurs de l’établissement peuvent clôturer une équipe',
+  'permission.denied.manageTemplates': 'Seules les infirmières cheffes et les administrateurs de l’établissement peuvent gérer les modèles et les tâches récurrentes',
+  'permission.denied.viewAnalytics': 'Les statistiques sont réservées aux infirmières cheffes et aux administrateurs de l’établissement',
+  'permission.denied.default': 'Vous n’avez pas l’autorisation de faire cela',
+
+  'staff.loadFailed': 'Impossible de charger le personnel',
+  'staff.emailRequired': 'Veuillez saisir une adresse e-mail',
+  'staff.inviteSent': 'Invitation envoyée à {email}',
+  'staff.inviteFailed': 'Impossible d’envoyer l’invitation',
+  'staff.inviteResent': 'Invitation renvoyée à {email}',
+  'staff.resendFailed': 'Impossible de renvoyer l’invitation',
+  'staff.revokeConfirm': 'Révoquer l’invitation de {email} ?',
+  'staff.inviteRevoked': 'Invitation de {email} révoquée',
+  'staff.revokeFailed': 'Impossible de révoquer l’invitation',
+  'staff.deactivateConfirm': 'Désactiver {name} ? Cette personne ne pourra plus se connecter.',
+  'staff.reactivated': '{name} réactivé',
+  'staff.deactivated': '{name} désactivé',
+  'staff.updateFailed': 'Impossible de mettre à jour le membre du personnel',
+  'staff.loading': 'Chargement du personnel...',
+  'staff.invite': 'Inviter du personnel',
+  'staff.email': 'Adresse e-mail',
+  'staff.role': 'Rôle',
+  'staff.send': 'Envoyer l’invitation',
+  'staff.sending': 'Envoi...',
+  'staff.pending': 'Invitations en attente',
+  'staff.noPending': 'Aucune invitation en attente',
+  'staff.sent': 'Envoyée',
+  'staff.actions': 'Actions',
+  'staff.expired': 'Expirée',
+  'staff.resend': 'Renvoyer',
+  'staff.revoke': 'Révoquer',
+  'staff.title': 'Personnel ({count})',
+  'staff.name': 'Nom',
+  'staff.status': 'Statut',
+  'staff.active': 'Actif',
+  'staff.inactive': 'Désactivé',
+  'staff.deactivate': 'Désactiver',
+  'staff.reactivate': 'Réactiver',
+
+  'shifts.title': 'Équipes',
+  'shifts.configured': 'Les nouvelles tâches sont rattachées à l’équipe pendant laquelle elles sont créées.',
+  'shifts.defaults': 'Les équipes de jour et de nuit de 12 heures sont utilisées par défaut en attendant les vôtres.',
+  'shifts.shift': 'Équipe',
+  'shifts.name': 'Nom de l’équipe',
+  'shifts.namePlaceholder': 'Jour',
+  'shifts.start': 'Heure de début de {shift}',
+  'shifts.end': 'Heure de fin de {shift}',
+  'shifts.to': 'à',
+  'shifts.hours': { one: '{count} heure', other: '{count} heures' },
+  'shifts.remove': 'Supprimer',
+  'shifts.add': '+ Ajouter une équipe',
+  'shifts.save': 'Enregistrer les équipes',
+  'shifts.saving': 'Enregistrement...',
+  'shifts.saved': 'Horaires des équipes enregistrés',
+  'shifts.saveFailed': 'Impossible d’enregistrer les horaires des équipes',
+  'shifts.error.none': 'Ajoutez au moins une équipe',
+  'shifts.error.name': 'Chaque équipe doit avoir un nom',
+  'shifts.error.format': '{shift} : les heures doivent être au format 24 heures HH:MM',
+  'shifts.error.same': '{shift} : le début et la fin ne peuvent pas être identiques',
+  'shifts.error.overlap': '{first} et {second} se chevauchent',
+
+  'rollover.shift': 'Équipe',
+  'rollover.allShifts': 'Toutes les équipes',
+  'rollover.current': '{shift} (en cours)',
+  'rollover.earlier': 'Équipe précédente',
+  'rollover.chooseShift': 'Choisissez l’équipe qui se termine',
+  'rollover.copied': 'Résumé copié dans le presse-papiers',
+  'rollover.copyFailed': 'Impossible de copier le résumé',
+  'rollover.title': 'Fin de garde',
+  'rollover.summaryTitle': 'Résumé de la clôture d’équipe',
+  'rollover.from': 'Équipe qui se termine',
+  'rollover.carry': {
+    one: '{count} tâche non terminée passe en Transmission',
+    other: '{count} tâches non terminées passent en Transmission'
+  },
+  'rollover.nothing': 'Rien à transmettre',
+  'rollover.handingOff': {
+    one: '{count} tâche attend déjà une transmission et y restera.',
+    other: '{count} tâches attendent déjà une transmission et y resteront.'
+  },
+  'rollover.unsynced': {
+    one: '{count} tâche attend la synchronisation et restera où elle est.',
+    other: '{count} tâches attendent la synchronisation et resteront où elles sont.'
+  },
+  'rollover.note': 'Notes pour l’équipe suivante',
+  'rollover.notePlaceholder': 'Tout ce que l’équipe suivante doit savoir',
+  'rollover.submitting': 'Clôture en cours...',
+  'rollover.submit': { one: 'Transmettre {count} tâche', other: 'Transmettre {count} tâches' },
+  'rollover.carried': 'Transmises',
+  'rollover.completed': 'Terminées pendant l’équipe',
+  'rollover.overdue': 'En retard',
+  'rollover.byPriority': '{count} {priority}',
+  'rollover.byStatus': '{count} depuis {status}',
+  'rollover.task': 'Tâche',
+  'rollover.was': 'Était',
+  'rollover.assignee': 'Attribuée à',
+  'rollover.copy': 'Copier le résumé',
+  'rollover.done': 'Terminé',
+  'rollover.report.title': 'Clôture d’équipe : {from} → {to}',
+  'rollover.report.counts': 'Transmises : {carried} · Terminées pendant l’équipe : {completed}',
+  'rollover.report.overdue': 'EN RETARD',
+
+  'analytics.today': 'Aujourd’hui',
+  'analytics.days': { one: '{count} jour', other: '{count} jours' },
+  'analytics.loadFailed': 'Impossible de charger les statistiques',
+  'analytics.from': 'Du',
+  'analytics.to': 'Au',
+  'analytics.export': 'Exporter en CSV',
+  'analytics.badRange': 'Choisissez une date de début antérieure à la date de fin',
+  'analytics.loading': 'Chargement des statistiques...',
+  'analytics.tasks': 'Tâches',
+  'analytics.completed': 'Terminées',
+  'analytics.created': 'Créées',
+  'analytics.ranOverdue': 'En retard',
+  'analytics.byHour': 'Activité par heure de la journée',
+  'analytics.byShift': 'Activité par équipe',
+  'analytics.noTasks': 'Aucune tâche sur cette période',
+  'analytics.noShift': 'Sans équipe',
+  'analytics.cycleTimes': 'Durées médianes par priorité',
+  'analytics.wait': 'À faire → En cours',
+  'analytics.work': 'En cours → Terminée',
+  'analytics.total': 'Total',
+  'analytics.handoffRate': 'Taux de transmission par personne',
+  'analytics.handoffRateHint': 'Transmissions envoyées par tâche prise en charge',
+  'analytics.noAssigned': 'Aucune tâche attribuée sur cette période',
+  'analytics.unknown': 'Inconnu',
+  'analytics.handoffDetail': '{count} sur {total}',
+  'analytics.handoffDetailRejected': '{count} sur {total} · {rejected} refusées',
+  'analytics.overdueRate': 'Taux de retard par priorité',
+  'analytics.overdueRateHint': 'Terminées après l’échéance ou l’estimation, ou encore en retard',
+  'analytics.overdueDetail': '{count} sur {total}',
+  'analytics.createdIn': '{label} : {count} créées',
+  'analytics.completedIn': '{label} : {count} terminées',
+  'analytics.period': 'Période',
+  'analytics.csv.id': 'ID de la tâche',
+  'analytics.csv.title': 'Titre',
+  'analytics.csv.priority': 'Priorité',
+  'analytics.csv.status': 'Statut',
+  'analytics.csv.room': 'Chambre',
+  'analytics.csv.assignee': 'Attribuée à',
+  'analytics.csv.shift': 'Équipe',
+  'analytics.csv.created': 'Créée',
+  'analytics.csv.started': 'Commencée',
+  'analytics.csv.completed': 'Terminée',
+  'analytics.csv.wait': 'Attente (min)',
+  'analytics.csv.work': 'Travail (min)',
+  'analytics.csv.total': 'Total (min)',
+  'analytics.csv.handoffs': 'Transmissions',
+  'analytics.csv.overdue': 'En retard',
+
+  'rooms.other': 'Autres chambres',
+  'rooms.all': 'Toutes les chambres',
+  'rooms.empty': 'Aucune chambre à afficher. Un administrateur de l’établissement peut organiser les unités et les chambres dans Établissement.',
+  'rooms.tileClear': 'Chambre {room} : aucune tâche ouverte',
+  'rooms.tile': {
+    one: 'Chambre {room} : {count} tâche ouverte, priorité la plus haute {priority}',
+    other: 'Chambre {room} : {count} tâches ouvertes, priorité la plus haute {priority}'
+  },
+  'rooms.clear': 'Libre',
+
+  'units.title': 'Unités et chambres',
+  'units.intro': 'Les chambres sont placées de gauche à droite dans l’ordre indiqué, avec un retour à la ligne après le nombre de colonnes.',
+  'units.namePlaceholder': '2 Ouest',
+  'units.columns': 'Colonnes',
+  'units.columnsFor': 'Colonnes de {unit}',
+  'units.escalation': 'Minutes pendant lesquelles une urgence vitale peut rester non commencée avant d’être remontée à l’infirmière cheffe (par défaut {default})',
+  'units.escalationFor': 'Minutes avant remontée pour {unit}',
+  'units.badEscalation': 'Les minutes avant remontée pour {unit} doivent être un nombre entier de 1 à {max}',
+  'units.remove': 'Supprimer',
+  'units.save': 'Enregistrer l’agencement',
+  'units.saving': 'Enregistrement...',
+  'units.saved': 'Agencement des chambres enregistré',
+  'units.saveFailed': 'Impossible d’enregistrer l’agencement des chambres',
+
+  'templates.loadSeriesFailed': 'Impossible de charger les tâches récurrentes',
+  'templates.saved': 'Modèle « {title} » enregistré',
+  'templates.saveFailed': 'Impossible d’enregistrer le modèle',
+  'templates.deleteConfirm': 'Supprimer le modèle « {title} » ?',
+  'templates.deleted': 'Modèle supprimé',
+  'templates.deleteFailed': 'Impossible de supprimer le modèle',
+  'templates.loading': 'Chargement des modèles...',
+  'templates.deletedTemplate': 'Modèle supprimé',
+  'templates.title': 'Modèles de tâches',
+  'templates.new': '+ Nouveau modèle',
+  'templates.empty': 'Aucun modèle pour le moment',
+  'templates.titleColumn': 'Titre',
+  'templates.duration': 'Durée',
+  'templates.minutes': { one: '{count} min', other: '{count} min' },
+  'templates.rooms': 'Chambres',
+  'templates.edit': 'Modifier',
+  'templates.delete': 'Supprimer',
+  'templates.titleRequired': 'Veuillez saisir un titre',
+  'templates.badRooms': 'Les chambres doivent être au format « 201-210, 215 » ({max} au maximum)',
+  'templates.titlePlaceholder': 'Contrôle des constantes',
+  'templates.templateTitle': 'Titre du modèle',
+  'templates.roomsPlaceholder': 'Chambres par défaut, p. ex. 201-210',
+  'templates.defaultRooms': 'Chambres par défaut',
+  'templates.durationPlaceholder': 'Durée (minutes)',
+  'templates.durationLabel': 'Durée estimée en minutes',
+  'templates.save': 'Enregistrer le modèle',
+
+  'series.saved': 'Tâche récurrente enregistrée',
+  'series.saveFailed': 'Impossible d’enregistrer la tâche récurrente',
+  'series.paused': 'Tâche récurrente suspendue',
+  'series.resumed': 'Tâche récurrente reprise',
+  'series.updateFailed': 'Impossible de mettre à jour la tâche récurrente',
+  'series.deleteConfirm': 'Arrêter cette tâche récurrente ? Les tâches déjà créées sont conservées.',
+  'series.deleted': 'Tâche récurrente supprimée',
+  'series.deleteFailed': 'Impossible de supprimer la tâche récurrente',
+  'series.title': 'Tâches récurrentes',
+  'series.new': '+ Nouvelle tâche récurrente',
+  'series.needTemplate': 'Créez d’abord un modèle, puis planifiez-le ici',
+  'series.empty': 'Rien n’est planifié',
+  'series.pausedBadge': 'Suspendue',
+  'series.rooms': 'Chambres {rooms}',
+  'series.next': 'Prochaine {time}',
+  'series.resume': 'Reprendre',
+  'series.pause': 'Suspendre',
+  'series.chooseTemplate': 'Choisissez un modèle',
+  'series.template': 'Modèle',
+  'series.templateRooms': 'Chambres du modèle : {rooms}',
+  'series.roomsPlaceholder': 'Chambres, p. ex. 201-210',
+  'series.every': 'Toutes les',
+  'series.hoursBetween': 'Heures entre les tâches',
+  'series.hoursFrom': 'heures à partir de',
+  'series.firstTime': 'Heure de la première tâche',
+  'series.dailyAt': 'Chaque jour à',
+  'series.timesOfDay': 'Heures de la journée',
+  'series.checkRooms': 'Vérifiez la liste des chambres',
+  'series.preview': {
+    one: '{rule} · {count} tâche à chaque fois · Prochaines : {next}',
+    other: '{rule} · {count} tâches à chaque fois · Prochaines : {next}'
+  },
+  'series.save': 'Enregistrer la série',
+  'series.schedule': 'Planifier',
+
+  'rule.error.hours': 'Répétez toutes les 1 à 24 heures',
+  'rule.error.start': 'Saisissez une heure de début au format HH:MM',
+  'rule.error.noTimes': 'Ajoutez au moins une heure de la journée',
+  'rule.error.badTime': '« {time} » n’est pas une heure HH:MM valide',
+  'rule.error.type': 'Choisissez la fréquence de répétition de la tâche',
+  'rule.interval': {
+    one: 'Chaque heure à partir de {start}',
+    other: 'Toutes les {count} heures à partir de {start}'
+  },
+  'rule.times': 'Chaque jour à {times}',
+  'rule.none': 'Aucune planification',
+
+  'handoff.staffFailed': 'Impossible de charger la liste du personnel',
+  'handoff.unknown': 'Inconnu',
+  'handoff.shift': 'garde de {shift}',
+  'handoff.hideHistory': 'Masquer l’historique des transmissions',
+  'handoff.showHistory': 'Afficher l’historique des transmissions ({count})',
+  'handoff.status.accepted': 'acceptée',
+  'handoff.status.rejected': 'refusée',
+  'handoff.status.cancelled': 'annulée',
+  'handoff.receiverRequired': 'Veuillez choisir qui reçoit cette tâche',
+  'handoff.situationRequired': 'Veuillez décrire la situation',
+  'handoff.title': 'Transmettre la tâche',
+  'handoff.receiver': 'Membre du personnel destinataire',
+  'handoff.loadingStaff': 'Chargement du personnel...',
+  'handoff.selectStaff': 'Sélectionnez un membre du personnel',
+  'handoff.sending': 'Envoi...',
+  'handoff.send': 'Envoyer la transmission',
+
+  'sbar.situation': 'Situation',
+  'sbar.situation.short': 'S',
+  'sbar.situation.placeholder': 'Que se passe-t-il en ce moment ?',
+  'sbar.background': 'Contexte',
+  'sbar.background.short': 'C',
+  'sbar.background.placeholder': 'Antécédents et contexte utiles',
+  'sbar.assessment': 'Évaluation',
+  'sbar.assessment.short': 'É',
+  'sbar.assessment.placeholder': 'Quel est le problème selon vous ?',
+  'sbar.recommendation': 'Recommandation',
+  'sbar.recommendation.short': 'R',
+  'sbar.recommendation.placeholder': 'Que faut-il faire ensuite ?',
+
+  'assign.title': 'Attribuer la tâche',
+  'assign.search': 'Rechercher du personnel',
+  'assign.me': '{name} (moi)',
+  'assign.noMatch': 'Personne ne correspond à « {search} »',
+  'assign.save': 'Enregistrer'
+};
+
+export default fr;
@@ -0,0 +1,80 @@
+// Message catalogs and locale-aware formatting.
+// Catalogs are flat maps of dotted keys to strings. A string may contain
+// {placeholders}; a message that varies with a count is an object keyed by
+// Intl.PluralRules categories ("one", "other", ...) and uses {count}.
+
+import en from './en';
+import es from './es';
+import fr from './fr';
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALES = [
+  { code: 'en', label: 'English' },
+  { code: 'es', label: 'Español' },
+  { code: 'fr', label: 'Français' }
+];
+
+const CATALOGS = { en, es, fr };
+
+// Languages written right to left; adding a catalog for one of these flips
+// the layout with no further changes
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+export const getDirection = (locale) => RTL_LANGUAGES.includes(String(locale).split('-')[0]) ? 'rtl' : 'ltr';
+
+// Closest supported locale for a browser or user setting such as "es-MX"
+export const resolveLocale = (requested) => {
+  if (!requested) return null;
+  const language = String(requested).toLowerCase().split('-')[0];
+  return CATALOGS[language] ? language : null;
+};
+
+const interpolate = (text, params) =>
+  text.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+
+// Missing keys fall back to English, then to the key itself so gaps are visible
+export const translate = (locale, key, params = {}) => {
+  const message = CATALOGS[locale]?.[key] ?? en[key];
+  if (message === undefined) return key;
+
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(locale).select(params.count ?? 0);
+    return interpolate(message[category] ?? message.other, params);
+  }
+  return interpolate(message, params);
+};
+
+export const formatDateTime = (locale, value, options = { dateStyle: 'medium', timeStyle: 'short' }) =>
+  value ? new Intl.DateTimeFormat(locale, options).format(new Date(value)) : '—';
+
+export const formatTime = (locale, value) =>
+  formatDateTime(locale, value, { hour: '2-digit', minute: '2-digit' });
+
+// "1 h 5 min" style durations using the locale's own unit abbreviations
+export const formatDuration = (locale, ms) => {
+  const totalMinutes = Math.floor(Math.abs(ms) / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  const unit = (value, name) =>
+    new Intl.NumberFormat(locale, { style: 'unit', unit: name, unitDisplay: 'narrow' }).format(value);
+
+  return hours > 0 ? `${unit(hours, 'hour')} ${unit(minutes, 'minute')}` : unit(minutes, 'minute');
+};
+
+// Language choice per user on this device, with a device-wide value for
+// the sign-in screen
+const localeKey = (userId) => userId ? `shiftflow_locale_${userId}` : 'shiftflow_locale';
+
+export const loadLocale = (userId) => {
+  try {
+    return resolveLocale(localStorage.getItem(localeKey(userId)));
+  } catch (error) {
+    return null;
+  }
+};
+
+export const storeLocale = (userId, locale) => {
+  localStorage.setItem(localeKey(userId), locale);
+  localStorage.setItem(localeKey(null), locale);
+};
@@ -0,0 +1,43 @@
+// Idle auto-lock for shared workstations.
+// SHIFTFLOW_IDLE_LOCK_MINUTES sets how long the app waits without input
+// before locking; 0 turns auto-lock off.
+
+const configuredMinutes = process.env.SHIFTFLOW_IDLE_LOCK_MINUTES;
+
+export const IDLE_LOCK_MINUTES = configuredMinutes === undefined || configuredMinutes === ''
+  ? 5
+  : Math.max(0, Number(configuredMinutes) || 0);
+
+export const PIN_PATTERN = /^\d{4,6}$/;
+
+// Wrong PINs allowed before the unlock route signs the session out
+export const MAX_UNLOCK_ATTEMPTS = 5;
+
+// Tabs share the last input time so a busy tab keeps idle ones awake, and
+// a lock in one tab locks the others
+const ACTIVITY_KEY = 'shiftflow_last_activity';
+export const LOCK_SIGNAL_KEY = 'shiftflow_lock_signal';
+
+export const getSharedActivity = () => {
+  try {
+    return Number(localStorage.getItem(ACTIVITY_KEY)) || 0;
+  } catch (error) {
+    return 0;
+  }
+};
+
+export const storeSharedActivity = (time) => {
+  try {
+    localStorage.setItem(ACTIVITY_KEY, String(time));
+  } catch (error) {
+    // Private mode or full storage; this tab still tracks its own input
+  }
+};
+
+export const signalLock = () => {
+  try {
+    localStorage.setItem(LOCK_SIGNAL_KEY, String(Date.now()));
+  } catch (error) {
+    // Other tabs lock on their own timers instead
+  }
+};
@@ -0,0 +1,54 @@
+// Notification categories, per-user preferences and the stored history
+// behind the notification center. Both live per user on this device.
+
+// `label` is a message catalog key
+export const NOTIFICATION_CATEGORIES = [
+  { value: 'assignment', label: 'notifications.category.assignment' },
+  { value: 'handoff', label: 'notifications.category.handoff' },
+  { value: 'escalation', label: 'notifications.category.escalation' },
+  { value: 'system', label: 'notifications.category.system' }
+];
+
+// Entries kept in the history, newest first
+export const MAX_HISTORY = 100;
+
+// Whether each category shows a toast and is kept in the history
+export const DEFAULT_PREFERENCES = NOTIFICATION_CATEGORIES.reduce((prefs, category) => ({
+  ...prefs,
+  [category.value]: { toast: true, history: true }
+}), {});
+
+const historyKey = (userId) => `shiftflow_notifications_${userId}`;
+const preferencesKey = (userId) => `shiftflow_notification_prefs_${userId}`;
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+export const loadHistory = (userId) => readJson(historyKey(userId), []);
+
+export const storeHistory = (userId, history) => {
+  localStorage.setItem(historyKey(userId), JSON.stringify(history.slice(0, MAX_HISTORY)));
+};
+
+// Preferences stay on the device; the history goes when the session ends
+export const clearHistory = (userId) => {
+  localStorage.removeItem(historyKey(userId));
+};
+
+// Stored preferences are merged over the defaults so new categories start enabled
+export const loadPreferences = (userId) => {
+  const stored = readJson(preferencesKey(userId), {});
+  return Object.keys(DEFAULT_PREFERENCES).reduce((prefs, category) => ({
+    ...prefs,
+    [category]: { ...DEFAULT_PREFERENCES[category], ...stored[category] }
+  }), {});
+};
+
+export const storePreferences = (userId, preferences) => {
+  localStorage.setItem(preferencesKey(userId), JSON.stringify(preferences));
+};
@@ -0,0 +1,122 @@
+// IndexedDB persistence for working through Wi-Fi drops.
+// Holds the last-known task list and an ordered queue of task mutations
+// made while offline, to be replayed when connectivity returns.
+
+import { NetworkError } from './api';
+
+const DB_NAME = 'shiftflow';
+const DB_VERSION = 1;
+const QUEUE_STORE = 'mutations';
+const CACHE_STORE = 'cache';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+          db.createObjectStore(QUEUE_STORE, { keyPath: 'seq', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(CACHE_STORE)) {
+          db.createObjectStore(CACHE_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+const run = async (storeName, mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Cache keys are scoped per user so a shared workstation never shows
+// one nurse the previous nurse's board
+const cacheKey = (userId) => `tasks:${userId}`;
+
+export const cacheTasks = (userId, tasks) =>
+  run(CACHE_STORE, 'readwrite', store => store.put(tasks, cacheKey(userId)));
+
+export const getCachedTasks = (userId) =>
+  run(CACHE_STORE, 'readonly', store => store.get(cacheKey(userId)));
+
+export const enqueueMutation = (mutation) =>
+  run(QUEUE_STORE, 'readwrite', store => store.add({ ...mutation, queued_at: new Date().toISOString() }));
+
+// Mutations come back in the order they were queued
+export const getQueuedMutations = async (userId) => {
+  const all = await run(QUEUE_STORE, 'readonly', store => store.getAll());
+  return all.filter(m => m.userId === userId);
+};
+
+export const updateMutation = (mutation) =>
+  run(QUEUE_STORE, 'readwrite', store => store.put(mutation));
+
+export const removeMutation = (seq) =>
+  run(QUEUE_STORE, 'readwrite', store => store.delete(seq));
+
+// Without IndexedDB nothing was ever stored, so there is nothing to clear
+export const clearOfflineData = async () => {
+  if (typeof indexedDB === 'undefined') return;
+  await run(QUEUE_STORE, 'readwrite', store => store.clear());
+  await run(CACHE_STORE, 'readwrite', store => store.clear());
+};
+
+// Overlay still-queued mutations on a task list so offline changes stay
+// visible (flagged as pending sync) after a refetch or reload. A mutation's
+// `preview` carries display-only fields that are never sent to the server.
+export const applyQueuedMutations = (tasks, mutations) =>
+  mutations.reduce((list, mutation) => {
+    if (mutation.type === 'create') {
+      if (list.some(t => t.id === mutation.localId)) return list;
+      return [{ status: 'todo', ...mutation.data, ...mutation.preview, id: mutation.localId, _pendingSync: true }, ...list];
+    }
+    if (mutation.type === 'update') {
+      return list.map(t => t.id === mutation.taskId
+        ? { ...t, ...mutation.data, ...mutation.preview, _pendingSync: true }
+        : t);
+    }
+    // Manual order within a column; tasks it does not list keep their place
+    if (mutation.type === 'reorder') {
+      const positions = new Map(mutation.data.task_ids.map((id, index) => [id, index]));
+      return list.map(t => positions.has(t.id) ? { ...t, position: positions.get(t.id) } : t);
+    }
+    return list;
+  }, tasks);
+
+// True when a failed request should be queued rather than reported
+export const isNetworkError = (error) =>
+  (typeof navigator !== 'undefined' && navigator.onLine === false) ||
+  error instanceof NetworkError ||
+  error instanceof TypeError;
+
+const LOCAL_ID_PREFIX = 'local-';
+
+export const createLocalId = () =>
+  `${LOCAL_ID_PREFIX}${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const isLocalId = (id) => String(id).startsWith(LOCAL_ID_PREFIX);
+
+// A create sends its local id as the idempotency key, both online and when
+// replayed, so the server can tell a retry from a new task
+export const idempotencyHeaders = (localId) => ({ 'Idempotency-Key': localId });
@@ -0,0 +1,86 @@
+// Facility setup wizard shown after registration: units and rooms, shifts,
+// starter templates and staff invites. Progress and unsaved entries are kept
+// per user on this device so setup can stop and pick up again after a reload.
+
+export const ONBOARDING_STEPS = ['units', 'shifts', 'templates', 'staff'];
+
+export const STEP_STATUS = {
+  DONE: 'done',
+  SKIPPED: 'skipped'
+};
+
+// Common shift patterns to start from; times stay editable
+export const SHIFT_PRESETS = {
+  twelve: [
+    { id: 'day', name: 'Day', start: '07:00', end: '19:00' },
+    { id: 'night', name: 'Night', start: '19:00', end: '07:00' }
+  ],
+  eight: [
+    { id: 'day', name: 'Day', start: '07:00', end: '15:00' },
+    { id: 'evening', name: 'Evening', start: '15:00', end: '23:00' },
+    { id: 'night', name: 'Night', start: '23:00', end: '07:00' }
+  ]
+};
+
+// Everyday nursing tasks offered as a starting template library
+export const STARTER_TEMPLATES = [
+  { id: 'vitals', title: 'Vital signs check', description: 'BP, pulse, respirations, temperature and SpO2', priority: 'normal', estimated_duration: 10 },
+  { id: 'med-round', title: 'Medication round', description: 'Scheduled medications per the MAR', priority: 'urgent', estimated_duration: 30 },
+  { id: 'reposition', title: 'Reposition patient', description: 'Turn and check pressure areas', priority: 'normal', estimated_duration: 10 },
+  { id: 'pain', title: 'Pain reassessment', description: 'Reassess pain score after intervention', priority: 'normal', estimated_duration: 5 },
+  { id: 'fall-risk', title: 'Fall risk assessment', description: 'Complete the fall risk score and update precautions', priority: 'normal', estimated_duration: 15 },
+  { id: 'iv-check', title: 'IV site check', description: 'Inspect the site, check the line and flush as ordered', priority: 'normal', estimated_duration: 10 },
+  { id: 'discharge', title: 'Discharge preparation', description: 'Paperwork, medications to take home and patient teaching', priority: 'low', estimated_duration: 45 }
+];
+
+export const INITIAL_ONBOARDING = {
+  active: true,
+  step: 0,
+  steps: {},
+  drafts: {
+    units: [{ name: '', roomsText: '' }],
+    shifts: SHIFT_PRESETS.twelve,
+    templates: STARTER_TEMPLATES.map(template => template.id),
+    // Starter templates already created, so a retry does not add them twice
+    createdTemplates: [],
+    invites: { emails: '', role: 'staff' }
+  }
+};
+
+const onboardingKey = (userId) => `shiftflow_onboarding_${userId}`;
+
+// null when this user has no setup in progress on this device
+export const loadOnboarding = (userId) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(onboardingKey(userId)));
+    if (!stored) return null;
+    return { ...INITIAL_ONBOARDING, ...stored, drafts: { ...INITIAL_ONBOARDING.drafts, ...stored.drafts } };
+  } catch (error) {
+    return null;
+  }
+};
+
+export const storeOnboarding = (userId, state) => {
+  localStorage.setItem(onboardingKey(userId), JSON.stringify(state));
+};
+
+export const clearOnboarding = (userId) => {
+  localStorage.removeItem(onboardingKey(userId));
+};
+
+// Steps not saved yet. Skipped ones count, since skipping only postpones.
+export const getRemainingSteps = (state) =>
+  ONBOARDING_STEPS.filter(step => state?.steps[step] !== STEP_STATUS.DONE);
+
+// Where resuming starts: the first step not saved yet
+export const getResumeStep = (state) => {
+  const index = ONBOARDING_STEPS.findIndex(step => state.steps[step] !== STEP_STATUS.DONE);
+  return index === -1 ? ONBOARDING_STEPS.length : index;
+};
+
+// "a@x.org, b@x.org\nc@x.org" → unique addresses, in order
+export const parseEmailList = (text) => [
+  ...new Set(String(text || '').split(/[\s,;]+/).map(email => email.trim()).filter(Boolean))
+];
+
+export const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
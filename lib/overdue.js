@@ -0,0 +1,36 @@
+// Overdue tracking from estimated_duration and optional due-by times.
+
+const MINUTE = 60 * 1000;
+
+// Share of the estimate after which an in-progress task turns amber
+export const WARNING_RATIO = 0.8;
+
+// Elapsed time against the estimate for an in-progress task, or null when
+// there is nothing to time
+export const getTaskTimer = (task, now = Date.now()) => {
+  if (task.status !== 'in_progress' || !task.started_at) return null;
+
+  const elapsed = now - new Date(task.started_at).getTime();
+  const estimate = task.estimated_duration ? task.estimated_duration * MINUTE : null;
+  if (!estimate) return { elapsed, estimate: null, state: 'ok' };
+
+  const ratio = elapsed / estimate;
+  return {
+    elapsed,
+    estimate,
+    state: ratio >= 1 ? 'overdue' : ratio >= WARNING_RATIO ? 'warning' : 'ok'
+  };
+};
+
+// How long a task has been overdue in ms (0 when it is not overdue)
+export const getOverdueBy = (task, now = Date.now()) => {
+  if (task.status === 'completed') return 0;
+
+  const pastDue = task.due_at ? now - new Date(task.due_at).getTime() : 0;
+  const timer = getTaskTimer(task, now);
+  const pastEstimate = timer && timer.estimate ? timer.elapsed - timer.estimate : 0;
+
+  return Math.max(0, pastDue, pastEstimate);
+};
+
+export const isOverdue = (task, now = Date.now()) => getOverdueBy(task, now) > 0;
@@ -0,0 +1,30 @@
+// Password strength rules.
+// Every form that sets a password (registration, invites, reset and account
+// settings) checks against this one list so the rules never drift apart.
+// The API enforces the same rules; these give feedback before the round trip.
+
+export const PASSWORD_MIN_LENGTH = 12;
+
+// Name parts and the email's local part, lowercased, long enough to matter
+const getPersonalWords = ({ name, email } = {}) => [
+  ...(name || '').split(/\s+/),
+  (email || '').split('@')[0]
+].map(word => word.trim().toLowerCase()).filter(word => word.length >= 3);
+
+export const PASSWORD_RULES = [
+  { id: 'length', test: (password) => password.length >= PASSWORD_MIN_LENGTH },
+  { id: 'case', test: (password) => /[a-z]/.test(password) && /[A-Z]/.test(password) },
+  { id: 'number', test: (password) => /\d/.test(password) },
+  {
+    id: 'personal',
+    test: (password, context) => {
+      const lower = password.toLowerCase();
+      return !getPersonalWords(context).some(word => lower.includes(word));
+    }
+  }
+];
+
+// Ids of the rules `password` breaks. `context` is { name, email } of the
+// account so the password cannot simply repeat them.
+export const getPasswordIssues = (password, context = {}) =>
+  PASSWORD_RULES.filter(rule => !rule.test(password || '', context)).map(rule => rule.id);
@@ -0,0 +1,69 @@
+// Roles and the actions each one may take.
+// UI code checks these through usePermissions() rather than comparing
+// role names directly.
+
+export const ROLES = {
+  FACILITY_ADMIN: 'facility_admin',
+  CHARGE_NURSE: 'charge_nurse',
+  STAFF: 'staff'
+};
+
+export const PERMISSIONS = {
+  CREATE_EMERGENCY_TASK: 'tasks.create_emergency',
+  REASSIGN_OTHERS_TASKS: 'tasks.reassign_others',
+  RECEIVE_ESCALATIONS: 'tasks.receive_escalations',
+  MANAGE_USERS: 'users.manage',
+  MANAGE_SHIFTS: 'shifts.manage',
+  MANAGE_UNITS: 'units.manage',
+  MANAGE_SECURITY: 'security.manage',
+  ROLLOVER_SHIFT: 'shifts.rollover',
+  MANAGE_TEMPLATES: 'templates.manage',
+  VIEW_ANALYTICS: 'analytics.view'
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.FACILITY_ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.CHARGE_NURSE]: [
+    PERMISSIONS.CREATE_EMERGENCY_TASK,
+    PERMISSIONS.REASSIGN_OTHERS_TASKS,
+    PERMISSIONS.RECEIVE_ESCALATIONS,
+    PERMISSIONS.ROLLOVER_SHIFT,
+    PERMISSIONS.MANAGE_TEMPLATES,
+    PERMISSIONS.VIEW_ANALYTICS
+  ],
+  [ROLES.STAFF]: []
+};
+
+// Shown next to hidden or disabled controls; values are message catalog keys
+const DENIED_REASONS = {
+  [PERMISSIONS.CREATE_EMERGENCY_TASK]: 'permission.denied.createEmergency',
+  [PERMISSIONS.REASSIGN_OTHERS_TASKS]: 'permission.denied.reassignOthers',
+  [PERMISSIONS.RECEIVE_ESCALATIONS]: 'permission.denied.receiveEscalations',
+  [PERMISSIONS.MANAGE_USERS]: 'permission.denied.manageUsers',
+  [PERMISSIONS.MANAGE_SHIFTS]: 'permission.denied.manageShifts',
+  [PERMISSIONS.MANAGE_UNITS]: 'permission.denied.manageUnits',
+  [PERMISSIONS.MANAGE_SECURITY]: 'permission.denied.manageSecurity',
+  [PERMISSIONS.ROLLOVER_SHIFT]: 'permission.denied.rolloverShift',
+  [PERMISSIONS.MANAGE_TEMPLATES]: 'permission.denied.manageTemplates',
+  [PERMISSIONS.VIEW_ANALYTICS]: 'permission.denied.viewAnalytics'
+};
+
+// Older payloads and the registration flow use shorter role names
+const ROLE_ALIASES = {
+  admin: ROLES.FACILITY_ADMIN,
+  owner: ROLES.FACILITY_ADMIN,
+  charge: ROLES.CHARGE_NURSE,
+  nurse: ROLES.STAFF
+};
+
+export const getUserRole = (user) => {
+  const role = String(user?.role || '').toLowerCase();
+  if (ROLE_PERMISSIONS[role]) return role;
+  return ROLE_ALIASES[role] || ROLES.STAFF;
+};
+
+export const hasPermission = (user, permission) =>
+  Boolean(user) && ROLE_PERMISSIONS[getUserRole(user)].includes(permission);
+
+export const getDeniedReason = (permission) =>
+  DENIED_REASONS[permission] || 'permission.denied.default';
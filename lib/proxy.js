@@ -0,0 +1,71 @@
+// Backend-for-frontend proxy (server only).
+// The API routes forward browser requests to the ShiftFlow API, adding the
+// bearer token from the session cookie.
+
+export const UPSTREAM_API_URL = process.env.SHIFTFLOW_API_URL || 'https://shiftflow.railway.app/api';
+
+const UPSTREAM_TIMEOUT = 15000;
+
+// Successful responses to these carry { token, user } and start a session.
+// Changing the password revokes older tokens, so it may hand back a new one.
+// Sign-in has its own routes because of the two-factor step.
+const SESSION_START_PATHS = [
+  /^\/auth\/register-organization$/,
+  /^\/auth\/password$/,
+  /^\/invites\/[^/]+\/accept$/
+];
+
+export const startsSession = (path) => SESSION_START_PATHS.some(pattern => pattern.test(path));
+
+const getQueryString = (req) => {
+  const index = req.url.indexOf('?');
+  return index === -1 ? '' : req.url.slice(index);
+};
+
+// Send `req` on to the API at `path`. Streams (live task events) are left
+// open; everything else times out like the browser client used to. `body`
+// replaces the browser's body when a route adds fields only the server knows.
+export const forwardRequest = (req, path, { token, stream = false, body: bodyOverride } = {}) => {
+  const headers = { Accept: req.headers.accept || 'application/json' };
+  if (req.headers['content-type']) headers['Content-Type'] = req.headers['content-type'];
+  if (req.headers['idempotency-key']) headers['Idempotency-Key'] = req.headers['idempotency-key'];
+  if (token) headers['Authorization'] = `Bearer ${token}`;
+
+  let body;
+  if (bodyOverride !== undefined) {
+    headers['Content-Type'] = 'application/json';
+    body = JSON.stringify(bodyOverride);
+  } else if (!['GET', 'HEAD'].includes(req.method) && req.body !== undefined && req.body !== '') {
+    body = typeof req.body === 'string' ? req.body : JSON.stringify(req.body);
+  }
+
+  return fetch(`${UPSTREAM_API_URL}${path}${getQueryString(req)}`, {
+    method: req.method,
+    headers,
+    body,
+    signal: stream ? undefined : AbortSignal.timeout(UPSTREAM_TIMEOUT)
+  });
+};
+
+// Pipe a Server-Sent Events response through until either side hangs up
+export const pipeEventStream = async (req, res, upstream) => {
+  res.writeHead(upstream.status, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive'
+  });
+
+  const reader = upstream.body.getReader();
+  req.on('close', () => reader.cancel().catch(() => {}));
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      res.write(value);
+    }
+  } catch (error) {
+    // Upstream dropped; the client reconnects and resyncs
+  }
+  res.end();
+};
@@ -0,0 +1,122 @@
+// Task board live updates.
+// Subscribes over Server-Sent Events, the only transport the same-origin
+// API routes can relay with the httpOnly session cookie. Reconnects with
+// exponential backoff and reports a resync after every reconnect so the
+// caller can refetch state.
+
+const MIN_BACKOFF = 1000;
+const MAX_BACKOFF = 30000;
+
+export const CONNECTION_STATUS = {
+  CONNECTING: 'connecting',
+  LIVE: 'live',
+  RECONNECTING: 'reconnecting',
+  OFFLINE: 'offline'
+};
+
+// The event endpoint under the REST API base, unless overridden (the local
+// event server, for instance)
+export const getStreamUrl = (apiBase, override) =>
+  (override || `${apiBase}/tasks/events`).replace(/\/$/, '');
+
+const parseEvent = (raw) => {
+  try {
+    const event = JSON.parse(raw);
+    return event && typeof event.type === 'string' ? event : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const createTaskStream = ({ url, onEvent, onStatusChange, onResync }) => {
+  let connection = null;
+  let attempts = 0;
+  let hasConnected = false;
+  let reconnectTimer = null;
+  let closed = false;
+
+  const setStatus = (status) => {
+    if (onStatusChange) onStatusChange(status);
+  };
+
+  const handleOpen = () => {
+    if (hasConnected && onResync) onResync();
+    hasConnected = true;
+    attempts = 0;
+    setStatus(CONNECTION_STATUS.LIVE);
+  };
+
+  const handleMessage = (message) => {
+    const event = parseEvent(message.data);
+    if (event) onEvent(event);
+  };
+
+  const scheduleReconnect = () => {
+    if (closed || reconnectTimer) return;
+    const delay = Math.min(MAX_BACKOFF, MIN_BACKOFF * 2 ** attempts) + Math.random() * 500;
+    attempts += 1;
+    setStatus(typeof navigator !== 'undefined' && navigator.onLine === false
+      ? CONNECTION_STATUS.OFFLINE
+      : CONNECTION_STATUS.RECONNECTING);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  };
+
+  const connectEventSource = () => {
+    const source = new EventSource(url);
+
+    source.onopen = handleOpen;
+    source.onmessage = handleMessage;
+    source.onerror = () => {
+      // EventSource retries on its own, but without backoff or resync
+      if (connection !== source) return;
+      source.close();
+      connection = null;
+      scheduleReconnect();
+    };
+
+    return source;
+  };
+
+  const connect = () => {
+    if (closed) return;
+    setStatus(hasConnected ? CONNECTION_STATUS.RECONNECTING : CONNECTION_STATUS.CONNECTING);
+    connection = connectEventSource();
+  };
+
+  connect();
+
+  return {
+    close: () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (connection) {
+        const current = connection;
+        connection = null;
+        current.close();
+      }
+    }
+  };
+};
+
+// Merge a remote create/update/delete event into the task list
+export const applyTaskEvent = (tasks, event) => {
+  switch (event.type) {
+    case 'task.created':
+      if (!event.task || tasks.some(t => t.id === event.task.id)) return tasks;
+      return [event.task, ...tasks];
+    case 'task.updated':
+      if (!event.task) return tasks;
+      return tasks.some(t => t.id === event.task.id)
+        ? tasks.map(t => t.id === event.task.id ? event.task : t)
+        : [event.task, ...tasks];
+    case 'task.deleted': {
+      const id = event.task ? event.task.id : event.id;
+      return tasks.filter(t => t.id !== id);
+    }
+    default:
+      return tasks;
+  }
+};
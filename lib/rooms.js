@@ -0,0 +1,51 @@
+// Units and rooms for the room map view.
+// The facility admin lays out each unit as a grid of rooms; tasks are
+// matched to tiles by room_number.
+
+import { PRIORITIES } from './taskFilters';
+
+export const OTHER_UNIT_ID = 'other';
+
+// "205a " and "205A" are the same room
+export const normalizeRoom = (room) => String(room || '').trim().toUpperCase();
+
+// Open task count and highest priority for every room in the layout.
+// Rooms that have tasks but are missing from the layout are collected
+// under an extra "Other rooms" unit so nothing is hidden; that unit's name
+// is a message catalog key.
+export const buildRoomMap = (units, tasks) => {
+  const byRoom = new Map();
+  tasks.forEach(task => {
+    const room = normalizeRoom(task.room_number);
+    if (!room) return;
+    if (!byRoom.has(room)) byRoom.set(room, []);
+    byRoom.get(room).push(task);
+  });
+
+  const summarize = (room) => {
+    const open = (byRoom.get(normalizeRoom(room)) || []).filter(t => t.status !== 'completed');
+    const highest = open.reduce((best, task) => {
+      const rank = PRIORITIES.indexOf(task.priority || 'normal');
+      return best === null || rank < PRIORITIES.indexOf(best) ? task.priority || 'normal' : best;
+    }, null);
+    return { room, open: open.length, highestPriority: highest };
+  };
+
+  const placed = new Set();
+  const layout = units.map(unit => {
+    // A unit saved before any rooms were added has none
+    const rooms = unit.rooms || [];
+    rooms.forEach(room => placed.add(normalizeRoom(room)));
+    return { ...unit, rooms: rooms.map(summarize) };
+  });
+
+  const unplaced = [...byRoom.keys()].filter(room => !placed.has(room)).sort((a, b) =>
+    a.localeCompare(b, undefined, { numeric: true }));
+  if (unplaced.length) {
+    layout.push({ id: OTHER_UNIT_ID, name: units.length ? 'rooms.other' : 'rooms.all', columns: 6, rooms: unplaced.map(summarize) });
+  }
+
+  return layout;
+};
+
+export const isTaskInRoom = (task, room) => normalizeRoom(task.room_number) === normalizeRoom(room);
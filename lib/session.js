@@ -0,0 +1,123 @@
+// Session cookie for the Next.js API routes (server only).
+// The API token lives in an httpOnly cookie, so no page script, injected or
+// otherwise, can read it.
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export const SESSION_COOKIE = 'shiftflow_session';
+// Where the token waits while the screen is locked. The proxy never sends
+// it, so nothing reaches the API until an unlock moves it back.
+export const LOCKED_COOKIE = 'shiftflow_locked_session';
+// Between the password and the authenticator code: the API's short-lived
+// challenge token, which cannot be used for anything but finishing sign-in
+export const MFA_CHALLENGE_COOKIE = 'shiftflow_mfa_challenge';
+// Lets the API skip the code on a device the user chose to remember
+export const TRUSTED_DEVICE_COOKIE = 'shiftflow_trusted_device';
+// Which lock the parked token is under; the unlock route counts wrong PINs
+// against it (see lib/unlockLimit.js)
+export const LOCK_ID_COOKIE = 'shiftflow_lock_id';
+// The API decides when a token expires; this only bounds how long the
+// browser keeps sending it
+const SESSION_MAX_AGE = 12 * 60 * 60;
+const MFA_CHALLENGE_MAX_AGE = 5 * 60;
+
+// scripts/check-env.js refuses to start the server without it
+const getCookieSecret = () => {
+  const secret = process.env.SHIFTFLOW_COOKIE_SECRET;
+  if (!secret) throw new Error('SHIFTFLOW_COOKIE_SECRET is not set');
+  return secret;
+};
+
+// Tied to the token as well, so a lock id cannot be moved to another session
+const signLockId = (lockId, token) =>
+  createHmac('sha256', getCookieSecret()).update(`${lockId}:${token}`).digest('base64url');
+
+const serializeCookie = (name, value, maxAge) => [
+  `${name}=${encodeURIComponent(value)}`,
+  'Path=/',
+  'HttpOnly',
+  'SameSite=Strict',
+  process.env.NODE_ENV === 'production' ? 'Secure' : null,
+  `Max-Age=${maxAge}`
+].filter(Boolean).join('; ');
+
+// Several helpers can run for one response, so add to Set-Cookie rather
+// than replacing it
+const appendCookies = (res, cookies) => {
+  const existing = [].concat(res.getHeader('Set-Cookie') || []);
+  const names = cookies.map(cookie => cookie.slice(0, cookie.indexOf('=')));
+  const kept = existing.filter(cookie => !names.includes(cookie.slice(0, cookie.indexOf('='))));
+  res.setHeader('Set-Cookie', [...kept, ...cookies]);
+};
+
+export const getSessionToken = (req) => req.cookies?.[SESSION_COOKIE] || null;
+
+export const getLockedToken = (req) => req.cookies?.[LOCKED_COOKIE] || null;
+
+export const getMfaChallenge = (req) => req.cookies?.[MFA_CHALLENGE_COOKIE] || null;
+
+export const getTrustedDevice = (req) => req.cookies?.[TRUSTED_DEVICE_COOKIE] || null;
+
+// Null when the cookie is missing or its signature does not match `token`
+export const getLockId = (req, token) => {
+  const [lockId, signature] = (req.cookies?.[LOCK_ID_COOKIE] || '').split('.');
+  if (!lockId || !signature) return null;
+  const expected = Buffer.from(signLockId(lockId, token));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && timingSafeEqual(actual, expected) ? lockId : null;
+};
+
+// Signing in or unlocking: the token is live and nothing is parked
+export const setSessionCookie = (res, token) => {
+  appendCookies(res, [
+    serializeCookie(SESSION_COOKIE, token, SESSION_MAX_AGE),
+    serializeCookie(LOCKED_COOKIE, '', 0),
+    serializeCookie(MFA_CHALLENGE_COOKIE, '', 0),
+    serializeCookie(LOCK_ID_COOKIE, '', 0)
+  ]);
+};
+
+export const lockSessionCookie = (res, token, lockId) => {
+  appendCookies(res, [
+    serializeCookie(LOCKED_COOKIE, token, SESSION_MAX_AGE),
+    serializeCookie(LOCK_ID_COOKIE, `${lockId}.${signLockId(lockId, token)}`, SESSION_MAX_AGE),
+    serializeCookie(SESSION_COOKIE, '', 0)
+  ]);
+};
+
+// The trusted-device cookie outlives sign-out on purpose; that is the point
+// of remembering the device
+export const clearSessionCookie = (res) => {
+  appendCookies(res, [
+    serializeCookie(SESSION_COOKIE, '', 0),
+    serializeCookie(LOCKED_COOKIE, '', 0),
+    serializeCookie(MFA_CHALLENGE_COOKIE, '', 0),
+    serializeCookie(LOCK_ID_COOKIE, '', 0)
+  ]);
+};
+
+export const setMfaChallengeCookie = (res, challenge) => {
+  appendCookies(res, [serializeCookie(MFA_CHALLENGE_COOKIE, challenge, MFA_CHALLENGE_MAX_AGE)]);
+};
+
+export const setTrustedDeviceCookie = (res, deviceToken, days) => {
+  appendCookies(res, [serializeCookie(TRUSTED_DEVICE_COOKIE, deviceToken, days * 24 * 60 * 60)]);
+};
+
+export const clearTrustedDeviceCookie = (res) => {
+  appendCookies(res, [serializeCookie(TRUSTED_DEVICE_COOKIE, '', 0)]);
+};
+
+// Cookies ride along on cross-site form posts in older browsers, so state
+// changes must come from this origin. Browsers send Origin or Referer with
+// those; a request carrying neither is refused.
+export const isSameOrigin = (req) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return true;
+  const source = req.headers.origin || req.headers.referer;
+  if (!source) return false;
+  try {
+    return new URL(source).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+};
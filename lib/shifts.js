@@ -0,0 +1,178 @@
+// Facility shift definitions and the shift instances they produce.
+// A definition is a named daily window such as 07:00–19:00; an instance is
+// that window on a particular day, identified by its start time.
+
+export const DEFAULT_SHIFTS = [
+  { id: 'day', name: 'Day', start: '07:00', end: '19:00' },
+  { id: 'night', name: 'Night', start: '19:00', end: '07:00' }
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export const isValidShiftTime = (value) => TIME_PATTERN.test(value);
+
+const minutesOf = (time) => {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+// Shift length in minutes; an end at or before the start runs past midnight
+export const getShiftLength = (shift) => {
+  const length = minutesOf(shift.end) - minutesOf(shift.start);
+  return length > 0 ? length : length + 24 * 60;
+};
+
+// Returns the first problem as a message catalog key and its values, or
+// null when the definitions can be saved. Shifts may leave gaps but must
+// not overlap.
+export const validateShifts = (shifts) => {
+  if (shifts.length === 0) return { key: 'shifts.error.none' };
+
+  for (const shift of shifts) {
+    if (!shift.name || !shift.name.trim()) return { key: 'shifts.error.name' };
+    if (!isValidShiftTime(shift.start) || !isValidShiftTime(shift.end)) {
+      return { key: 'shifts.error.format', values: { shift: shift.name } };
+    }
+    if (shift.start === shift.end) return { key: 'shifts.error.same', values: { shift: shift.name } };
+  }
+
+  for (let i = 0; i < shifts.length; i++) {
+    for (let j = i + 1; j < shifts.length; j++) {
+      const [a, b] = [shifts[i], shifts[j]];
+      const offset = (minutesOf(b.start) - minutesOf(a.start) + 24 * 60) % (24 * 60);
+      if (offset < getShiftLength(a) || 24 * 60 - offset < getShiftLength(b)) {
+        return { key: 'shifts.error.overlap', values: { first: a.name, second: b.name } };
+      }
+    }
+  }
+
+  return null;
+};
+
+const atTime = (day, time) => {
+  const date = new Date(day);
+  date.setHours(0, 0, 0, 0);
+  date.setMinutes(minutesOf(time));
+  return date;
+};
+
+const buildInstance = (shift, start) => ({
+  shift,
+  start,
+  end: new Date(start.getTime() + getShiftLength(shift) * 60000),
+  key: `${shift.id}@${start.toISOString()}`
+});
+
+// Every instance that starts within a day of `at`, oldest first
+const instancesAround = (shifts, at) => {
+  const instances = [];
+  [-1, 0, 1].forEach(dayOffset => {
+    const day = new Date(at);
+    day.setDate(day.getDate() + dayOffset);
+    shifts.forEach(shift => instances.push(buildInstance(shift, atTime(day, shift.start))));
+  });
+  return instances.sort((a, b) => a.start - b.start);
+};
+
+export const getShiftInstance = (shifts, at = new Date()) => {
+  const time = new Date(at).getTime();
+  return instancesAround(shifts, at).find(i => i.start.getTime() <= time && time < i.end.getTime()) || null;
+};
+
+// The instance that starts when `instance` ends (or the next one after it)
+export const getNextShiftInstance = (shifts, instance) =>
+  instancesAround(shifts, instance.end).find(i => i.start.getTime() >= instance.end.getTime()) || null;
+
+// Recent instances for the shift selector, newest first. Between shifts
+// the list starts with the one that ended last.
+export const getRecentShiftInstances = (shifts, count = 6, at = new Date()) => {
+  const time = new Date(at).getTime();
+  const instances = [];
+  let cursor = instancesAround(shifts, at).filter(i => i.start.getTime() <= time).pop() || null;
+  while (cursor && instances.length < count) {
+    instances.push(cursor);
+    const startTime = cursor.start.getTime();
+    cursor = instancesAround(shifts, new Date(startTime - 1))
+      .filter(i => i.end.getTime() <= startTime)
+      .pop() || null;
+  }
+  return instances;
+};
+
+export const parseShiftKey = (key) => {
+  const [id, start] = String(key || '').split('@');
+  return id && start ? { id, start } : null;
+};
+
+// Tasks are stamped with the shift definition and instance start they belong to
+export const isTaskInShift = (task, instanceKey) => {
+  const parsed = parseShiftKey(instanceKey);
+  if (!parsed || !task.shift_id || !task.shift_start) return false;
+  return String(task.shift_id) === parsed.id &&
+    new Date(task.shift_start).getTime() === new Date(parsed.start).getTime();
+};
+
+// Whether a rollover out of `instance` takes the task: unfinished work
+// stamped with that shift, with an earlier one that was never rolled over
+// (including instances of definitions changed since), or with no shift at
+// all because it was created in a gap or before shifts were set up
+export const isTaskDueForRollover = (task, instance) => {
+  if (task.status === 'completed') return false;
+  if (!task.shift_id || !task.shift_start) return true;
+  return new Date(task.shift_start).getTime() <= instance.start.getTime();
+};
+
+export const formatShiftInstance = (instance, locale) => {
+  const date = instance.start.toLocaleDateString(locale, { weekday: 'short', month: 'short', day: 'numeric' });
+  return `${instance.shift.name} · ${date} ${instance.shift.start}–${instance.shift.end}`;
+};
+
+// What a rollover carries into the incoming shift, captured before the
+// tasks move so the previous status of each one is kept
+export const buildRolloverSummary = (tasks, { from, to, isOverdue = () => false }) => {
+  const carried = tasks.filter(t => t.status !== 'completed');
+  const countBy = (key) => carried.reduce((counts, task) => {
+    const value = task[key] || 'normal';
+    return { ...counts, [value]: (counts[value] || 0) + 1 };
+  }, {});
+
+  return {
+    from,
+    to,
+    completed: tasks.length - carried.length,
+    carried: carried.map(task => ({
+      id: task.id,
+      title: task.title,
+      room_number: task.room_number,
+      priority: task.priority || 'normal',
+      status: task.status,
+      assignee: task.assigned_user?.name || null,
+      overdue: isOverdue(task)
+    })),
+    byStatus: countBy('status'),
+    byPriority: countBy('priority')
+  };
+};
+
+// Plain-text version for pasting into a shift report, in the reader's language
+export const formatRolloverSummary = (summary, { t, locale }) => {
+  const lines = [
+    t('rollover.report.title', {
+      from: formatShiftInstance(summary.from, locale),
+      to: formatShiftInstance(summary.to, locale)
+    }),
+    t('rollover.report.counts', { carried: summary.carried.length, completed: summary.completed }),
+    ''
+  ];
+  summary.carried.forEach(task => {
+    const details = [
+      t(`status.${task.status}`),
+      t(`priority.${task.priority}`),
+      task.room_number && t('card.room', { room: task.room_number }),
+      task.assignee,
+      task.overdue && t('rollover.report.overdue')
+    ].filter(Boolean);
+    lines.push(`- ${task.title} (${details.join(', ')})`);
+  });
+  return lines.join('\n');
+};
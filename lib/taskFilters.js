@@ -0,0 +1,144 @@
+// Board filtering and sorting.
+// Filter state round-trips through the URL query string so a view can be
+// bookmarked or shared, and can be saved under a name per user.
+
+import { orderTasks } from './taskTransitions';
+import { getOverdueBy } from './overdue';
+import { isTaskInShift } from './shifts';
+
+export const PRIORITIES = ['emergency', 'urgent', 'normal', 'low'];
+
+// `label` is a message catalog key
+export const SORT_OPTIONS = [
+  { value: 'manual', label: 'sort.manual' },
+  { value: 'priority', label: 'sort.priority' },
+  { value: 'age', label: 'sort.age' },
+  { value: 'duration', label: 'sort.duration' },
+  { value: 'overdue', label: 'sort.overdue' }
+];
+
+// Assignee filter value for tasks nobody has picked up
+export const UNASSIGNED = 'unassigned';
+
+export const DEFAULT_FILTERS = {
+  q: '',
+  priority: [],
+  assignee: [],
+  roomFrom: '',
+  roomTo: '',
+  sort: 'manual',
+  mine: false,
+  overdue: false,
+  // Shift instance key from lib/shifts; empty shows every shift
+  shift: ''
+};
+
+const toList = (value) => {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).filter(Boolean);
+};
+
+export const parseFilters = (query = {}) => ({
+  q: query.q ? String(query.q) : '',
+  priority: toList(query.priority).filter(p => PRIORITIES.includes(p)),
+  assignee: toList(query.assignee),
+  roomFrom: query.roomFrom ? String(query.roomFrom) : '',
+  roomTo: query.roomTo ? String(query.roomTo) : '',
+  sort: SORT_OPTIONS.some(o => o.value === query.sort) ? query.sort : DEFAULT_FILTERS.sort,
+  mine: query.mine === '1',
+  overdue: query.overdue === '1',
+  shift: query.shift ? String(query.shift) : ''
+});
+
+// Only non-default values go into the URL to keep links short
+export const serializeFilters = (filters) => {
+  const query = {};
+  if (filters.q) query.q = filters.q;
+  if (filters.priority.length) query.priority = filters.priority.join(',');
+  if (filters.assignee.length) query.assignee = filters.assignee.join(',');
+  if (filters.roomFrom) query.roomFrom = filters.roomFrom;
+  if (filters.roomTo) query.roomTo = filters.roomTo;
+  if (filters.sort !== DEFAULT_FILTERS.sort) query.sort = filters.sort;
+  if (filters.mine) query.mine = '1';
+  if (filters.overdue) query.overdue = '1';
+  if (filters.shift) query.shift = filters.shift;
+  return query;
+};
+
+// Sort order and the selected shift are not filters the bar can clear
+export const hasActiveFilters = (filters) =>
+  Object.keys(serializeFilters({ ...filters, sort: DEFAULT_FILTERS.sort, shift: DEFAULT_FILTERS.shift })).length > 0;
+
+// Room numbers like "205A" compare by their leading number
+const roomNumber = (room) => {
+  const match = String(room || '').match(/\d+/);
+  return match ? parseInt(match[0], 10) : null;
+};
+
+export const filterTasks = (tasks, filters, userId, now = Date.now()) => {
+  const query = filters.q.trim().toLowerCase();
+  const roomFrom = filters.roomFrom === '' ? null : roomNumber(filters.roomFrom);
+  const roomTo = filters.roomTo === '' ? null : roomNumber(filters.roomTo);
+
+  return tasks.filter(task => {
+    if (filters.mine && task.assigned_user?.id !== userId) return false;
+
+    if (filters.overdue && getOverdueBy(task, now) === 0) return false;
+
+    if (filters.shift && !isTaskInShift(task, filters.shift)) return false;
+
+    if (query) {
+      const haystack = `${task.title || ''} ${task.description || ''}`.toLowerCase();
+      if (!haystack.includes(query)) return false;
+    }
+
+    if (filters.priority.length && !filters.priority.includes(task.priority || 'normal')) return false;
+
+    if (filters.assignee.length) {
+      const assignee = task.assigned_user ? String(task.assigned_user.id) : UNASSIGNED;
+      if (!filters.assignee.includes(assignee)) return false;
+    }
+
+    if (roomFrom !== null || roomTo !== null) {
+      const room = roomNumber(task.room_number);
+      if (room === null) return false;
+      if (roomFrom !== null && room < roomFrom) return false;
+      if (roomTo !== null && room > roomTo) return false;
+    }
+
+    return true;
+  });
+};
+
+const timeOf = (value) => value ? new Date(value).getTime() : Infinity;
+
+const createComparators = (now) => ({
+  priority: (a, b) => PRIORITIES.indexOf(a.priority || 'normal') - PRIORITIES.indexOf(b.priority || 'normal'),
+  age: (a, b) => timeOf(a.created_at) - timeOf(b.created_at),
+  duration: (a, b) => (a.estimated_duration ?? Infinity) - (b.estimated_duration ?? Infinity),
+  overdue: (a, b) => getOverdueBy(b, now) - getOverdueBy(a, now)
+});
+
+// Sorts a single column; manual order falls back to saved positions
+export const sortTasks = (tasks, sort, now = Date.now()) => {
+  const ordered = orderTasks(tasks);
+  const compare = createComparators(now)[sort];
+  // Array.prototype.sort is stable, so ties keep the manual order
+  return compare ? [...ordered].sort(compare) : ordered;
+};
+
+// Saved views live per user on this device; callers skip them until the
+// user is known so nothing is filed under an undefined id
+const viewsKey = (userId) => `shiftflow_views_${userId}`;
+
+export const loadSavedViews = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(viewsKey(userId)) || '[]');
+  } catch (error) {
+    return [];
+  }
+};
+
+export const storeSavedViews = (userId, views) => {
+  localStorage.setItem(viewsKey(userId), JSON.stringify(views));
+};
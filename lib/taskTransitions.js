@@ -0,0 +1,33 @@
+// Kanban columns and the status transitions allowed between them.
+// Drag-and-drop, keyboard moves and the card action buttons all check
+// moves against this table.
+
+// Column titles are the `status.<status>` message catalog keys
+export const TASK_COLUMNS = [
+  { status: 'todo', color: 'bg-gray-50' },
+  { status: 'in_progress', color: 'bg-yellow-50' },
+  { status: 'completed', color: 'bg-green-50' },
+  { status: 'handoff', color: 'bg-purple-50' }
+];
+
+export const TASK_TRANSITIONS = {
+  todo: ['in_progress'],
+  in_progress: ['completed', 'handoff', 'todo'],
+  // Leaving Handoff means the receiver accepted or the sender recalled it
+  handoff: ['in_progress'],
+  completed: []
+};
+
+export const canTransition = (from, to) =>
+  from === to || (TASK_TRANSITIONS[from] || []).includes(to);
+
+// Manually ordered tasks first by position, the rest in their existing order
+export const orderTasks = (tasks) =>
+  tasks
+    .map((task, index) => ({ task, index }))
+    .sort((a, b) => {
+      const aPos = a.task.position ?? Infinity;
+      const bPos = b.task.position ?? Infinity;
+      return aPos === bPos ? a.index - b.index : aPos - bPos;
+    })
+    .map(({ task }) => task);
@@ -0,0 +1,117 @@
+// Task templates and the recurrence rules that schedule them.
+// The server generates the tasks for each recurring series; these helpers
+// validate what the user enters and preview when the next tasks will appear.
+
+import { isValidShiftTime } from './shifts';
+
+export const RULE_TYPES = {
+  INTERVAL: 'interval',
+  TIMES: 'times'
+};
+
+// Upper bound on rooms in one pattern so a typo cannot create hundreds of tasks
+export const MAX_PATTERN_ROOMS = 60;
+
+// "201-205, 210, 3A" → ['201', '202', '203', '204', '205', '210', '3A'].
+// Returns null when the pattern cannot be read.
+export const expandRoomPattern = (pattern) => {
+  const rooms = [];
+  const parts = String(pattern || '').split(',').map(p => p.trim()).filter(Boolean);
+
+  for (const part of parts) {
+    const range = part.match(/^(\d+)\s*-\s*(\d+)$/);
+    if (range) {
+      const [from, to] = [parseInt(range[1], 10), parseInt(range[2], 10)];
+      if (to < from || to - from >= MAX_PATTERN_ROOMS) return null;
+      for (let room = from; room <= to; room++) rooms.push(String(room));
+    } else if (/^[\w-]+$/.test(part)) {
+      rooms.push(part);
+    } else {
+      return null;
+    }
+  }
+
+  const unique = [...new Set(rooms)];
+  return unique.length > MAX_PATTERN_ROOMS ? null : unique;
+};
+
+// The first problem with a rule as a message catalog key and its values,
+// or null when it is valid
+export const validateRule = (rule) => {
+  if (rule.type === RULE_TYPES.INTERVAL) {
+    const hours = Number(rule.every_hours);
+    if (!Number.isInteger(hours) || hours < 1 || hours > 24) return { key: 'rule.error.hours' };
+    if (!isValidShiftTime(rule.start_time)) return { key: 'rule.error.start' };
+    return null;
+  }
+
+  if (rule.type === RULE_TYPES.TIMES) {
+    if (!rule.times?.length) return { key: 'rule.error.noTimes' };
+    const invalid = rule.times.find(t => !isValidShiftTime(t));
+    return invalid ? { key: 'rule.error.badTime', values: { time: invalid } } : null;
+  }
+
+  return { key: 'rule.error.type' };
+};
+
+export const describeRule = (rule, t) => {
+  if (rule.type === RULE_TYPES.INTERVAL) {
+    return t('rule.interval', { count: Number(rule.every_hours), start: rule.start_time });
+  }
+  if (rule.type === RULE_TYPES.TIMES) {
+    return t('rule.times', { times: [...rule.times].sort().join(', ') });
+  }
+  return t('rule.none');
+};
+
+// Clock times the rule fires at each day, as minutes after midnight
+const dailyMinutes = (rule) => {
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+
+  if (rule.type === RULE_TYPES.TIMES) {
+    return [...new Set(rule.times.map(toMinutes))].sort((a, b) => a - b);
+  }
+
+  // Interval rules count from the start time and begin again from it each
+  // day, so "every 5 hours" does not drift around the clock
+  const step = Number(rule.every_hours) * 60;
+  const start = toMinutes(rule.start_time);
+  const minutes = [];
+  for (let offset = 0; offset < 24 * 60; offset += step) minutes.push((start + offset) % (24 * 60));
+  return minutes.sort((a, b) => a - b);
+};
+
+// The next `count` times the rule fires after `after`
+export const getNextOccurrences = (rule, after = new Date(), count = 3) => {
+  if (validateRule(rule)) return [];
+
+  const minutes = dailyMinutes(rule);
+  const occurrences = [];
+  const day = new Date(after);
+  day.setHours(0, 0, 0, 0);
+
+  while (occurrences.length < count) {
+    for (const m of minutes) {
+      const at = new Date(day.getTime());
+      at.setMinutes(m);
+      if (at > after && occurrences.length < count) occurrences.push(at);
+    }
+    day.setDate(day.getDate() + 1);
+  }
+  return occurrences;
+};
+
+// Form values for the create task modal from a template
+export const templateToTaskForm = (template) => {
+  const rooms = expandRoomPattern(template.room_pattern);
+  return {
+    title: template.title || '',
+    description: template.description || '',
+    priority: template.priority || 'normal',
+    room_number: rooms?.length === 1 ? rooms[0] : '',
+    estimated_duration: template.estimated_duration ? String(template.estimated_duration) : ''
+  };
+};
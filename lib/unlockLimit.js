@@ -0,0 +1,53 @@
+// Wrong-PIN counts for locked sessions (server only).
+// The count lives here, keyed by a random id per lock, so the browser has
+// nothing to replay or wind back; the signed lock id cookie only says which
+// lock a request is for. A lock stays on record after it ends so its old
+// cookie cannot open a fresh count.
+
+import { randomUUID } from 'crypto';
+import { MAX_UNLOCK_ATTEMPTS } from './idleLock';
+
+// Matches how long the locked session cookie lives
+const LOCK_TTL = 12 * 60 * 60 * 1000;
+
+// Kept on globalThis so a dev hot reload does not forget open locks
+const locks = globalThis.shiftflowUnlockLimit || (globalThis.shiftflowUnlockLimit = new Map());
+
+const prune = (now) => {
+  locks.forEach((lock, id) => {
+    if (lock.expires <= now) locks.delete(id);
+  });
+};
+
+const getLock = (lockId) => {
+  const now = Date.now();
+  prune(now);
+  // A lock this process has not seen was started before a restart or on
+  // another instance, so it starts counting here
+  if (!locks.has(lockId)) locks.set(lockId, { attempts: 0, ended: false, expires: now + LOCK_TTL });
+  return locks.get(lockId);
+};
+
+export const startLock = () => {
+  const lockId = randomUUID();
+  getLock(lockId);
+  return lockId;
+};
+
+// Wrong entries left before the session is signed out; 0 once the lock has
+// ended or run out
+export const getAttemptsLeft = (lockId) => {
+  const lock = getLock(lockId);
+  return lock.ended ? 0 : Math.max(0, MAX_UNLOCK_ATTEMPTS - lock.attempts);
+};
+
+// Returns the attempts left after this one
+export const recordFailedAttempt = (lockId) => {
+  const lock = getLock(lockId);
+  lock.attempts += 1;
+  return getAttemptsLeft(lockId);
+};
+
+export const endLock = (lockId) => {
+  getLock(lockId).ended = true;
+};
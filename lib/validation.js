@@ -0,0 +1,73 @@
+// Schema-driven form validation.
+// A schema maps each field to a list of rules. A rule returns null when the
+// value is fine, or an error: { key, values } for a catalog message, or
+// { message } for text that is already written (such as from the API).
+
+import { getPasswordIssues } from './passwords';
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Rules
+
+export const required = (key = 'validation.required') => (value) =>
+  isBlank(value) ? { key } : null;
+
+export const emailAddress = () => (value) =>
+  isBlank(value) || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value).trim()) ? null : { key: 'validation.email' };
+
+export const maxLength = (max) => (value) =>
+  isBlank(value) || String(value).trim().length <= max ? null : { key: 'validation.maxLength', values: { max } };
+
+// Whole numbers only; blank passes so optional fields can use it
+export const integerBetween = (min, max) => (value) => {
+  if (isBlank(value)) return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max
+    ? null
+    : { key: 'validation.integerBetween', values: { min, max } };
+};
+
+// Must not be in the past; blank passes
+export const notInPast = () => (value) =>
+  isBlank(value) || new Date(value).getTime() >= Date.now() ? null : { key: 'validation.inPast' };
+
+// Password rules from lib/passwords. `getContext(values)` supplies the
+// name and email the password must not contain.
+export const strongPassword = (getContext = () => ({})) => (value, values) =>
+  isBlank(value) || getPasswordIssues(value, getContext(values)).length === 0 ? null : { key: 'password.tooWeak' };
+
+export const matchesField = (field) => (value, values) =>
+  value === values[field] ? null : { key: 'password.mismatch' };
+
+// Running a schema
+
+// First error for one field, or null
+export const validateField = (schema, name, values) => {
+  for (const rule of schema[name] || []) {
+    const error = rule(values[name], values);
+    if (error) return error;
+  }
+  return null;
+};
+
+// Errors for every field that has one
+export const validateForm = (schema, values) => Object.keys(schema).reduce((errors, name) => {
+  const error = validateField(schema, name, values);
+  return error ? { ...errors, [name]: error } : errors;
+}, {});
+
+// ApiError.fieldErrors onto form fields. The API sends either
+// { field: message } or [{ field, message }], with snake_case names that
+// `fieldMap` renames (e.g. { admin_email: 'adminEmail' }). Fields the form
+// does not have are left out.
+export const mapFieldErrors = (fieldErrors, fieldNames, fieldMap = {}) => {
+  const entries = Array.isArray(fieldErrors)
+    ? fieldErrors.map(item => [item.field || item.path || item.param, item.message || item.msg])
+    : Object.entries(fieldErrors || {});
+
+  return entries.reduce((errors, [apiName, message]) => {
+    const name = fieldMap[apiName] || apiName;
+    if (!fieldNames.includes(name) || errors[name]) return errors;
+    return { ...errors, [name]: { message: [].concat(message).join(' ') } };
+  }, {});
+};
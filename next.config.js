@@ -4,6 +4,8 @@ const nextConfig = {
   swcMinify: true,
   env: {
     CUSTOM_KEY: process.env.CUSTOM_KEY,
+    SHIFTFLOW_EVENTS_URL: process.env.SHIFTFLOW_EVENTS_URL,
+    SHIFTFLOW_IDLE_LOCK_MINUTES: process.env.SHIFTFLOW_IDLE_LOCK_MINUTES,
   },
 }
 
@@ -1,5 +1,16 @@
 import '../styles/globals.css'
+import { AuthProvider } from '../components/AuthProvider'
+import { I18nProvider } from '../components/I18nProvider'
+import { NotificationProvider } from '../components/NotificationProvider'
 
 export default function App({ Component, pageProps }) {
-  return <Component {...pageProps} />
+  return (
+    <AuthProvider>
+      <I18nProvider>
+        <NotificationProvider>
+          <Component {...pageProps} />
+        </NotificationProvider>
+      </I18nProvider>
+    </AuthProvider>
+  )
 }
@@ -0,0 +1,86 @@
+import { forwardRequest, pipeEventStream, startsSession } from '../../lib/proxy';
+import { getSessionToken, setSessionCookie, clearSessionCookie, isSameOrigin } from '../../lib/session';
+
+// Live task events stay open for as long as the board is
+const STREAM_PATH = '/tasks/events';
+
+// The API resources the app calls. Anything else, including a path that
+// would climb out of the API base with `..`, never leaves this server.
+const RESOURCE_ROOTS = [
+  'analytics',
+  'auth',
+  'invites',
+  'organization',
+  'recurrences',
+  'shifts',
+  'tasks',
+  'templates',
+  'units',
+  'users'
+];
+
+const isForwardablePath = (segments) =>
+  RESOURCE_ROOTS.includes(segments[0]) && segments.every(segment => segment && segment !== '.' && segment !== '..');
+
+export const config = {
+  api: { responseLimit: false }
+};
+
+// Every browser API call (/api/tasks, /api/users, /api/auth/*, ...) lands
+// here and is forwarded to the ShiftFlow API with the session token
+export default async function handler(req, res) {
+  if (!isSameOrigin(req)) {
+    res.status(403).json({ error: 'Cross-site requests are not allowed' });
+    return;
+  }
+
+  const segments = [].concat(req.query.path);
+  if (!isForwardablePath(segments)) {
+    res.status(400).json({ error: 'Unknown API path' });
+    return;
+  }
+
+  const path = `/${segments.map(encodeURIComponent).join('/')}`;
+  const token = getSessionToken(req);
+  const stream = path === STREAM_PATH;
+
+  let upstream;
+  try {
+    upstream = await forwardRequest(req, path, { token, stream });
+  } catch (error) {
+    res.status(error.name === 'TimeoutError' ? 504 : 502).json({ error: 'Unable to reach the ShiftFlow API' });
+    return;
+  }
+
+  // The API no longer accepts this token, so stop sending it
+  if (upstream.status === 401 && token) {
+    clearSessionCookie(res);
+  }
+
+  if (stream && upstream.ok) {
+    await pipeEventStream(req, res, upstream);
+    return;
+  }
+
+  const contentType = upstream.headers.get('content-type');
+  const text = await upstream.text();
+
+  // Keep the token server-side and hand the page only the user
+  if (upstream.ok && startsSession(path) && text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      res.status(502).json({ error: 'Unexpected response from the ShiftFlow API' });
+      return;
+    }
+    const { token: sessionToken, ...data } = parsed;
+    if (sessionToken) setSessionCookie(res, sessionToken);
+    res.status(upstream.status).json(data);
+    return;
+  }
+
+  res.status(upstream.status);
+  if (contentType) res.setHeader('Content-Type', contentType);
+  res.end(text);
+}
@@ -0,0 +1,20 @@
+import { getSessionToken, lockSessionCookie, isSameOrigin } from '../../../lib/session';
+import { startLock } from '../../../lib/unlockLimit';
+
+// Parks the session token until the user unlocks with their PIN
+export default function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+  if (!isSameOrigin(req)) {
+    res.status(403).json({ error: 'Cross-site requests are not allowed' });
+    return;
+  }
+
+  const token = getSessionToken(req);
+  // Already locked (another tab got here first) keeps the running count
+  if (token) lockSessionCookie(res, token, startLock());
+  res.status(204).end();
+}
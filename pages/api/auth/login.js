@@ -0,0 +1,51 @@
+import { forwardRequest } from '../../../lib/proxy';
+import { getTrustedDevice, setSessionCookie, setMfaChallengeCookie, isSameOrigin } from '../../../lib/session';
+
+// Password step of sign-in. A remembered device's token goes along so the
+// API can skip the code. When the API still wants one, its challenge token
+// is kept in a cookie and the page is only told to ask for the code.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+  if (!isSameOrigin(req)) {
+    res.status(403).json({ error: 'Cross-site requests are not allowed' });
+    return;
+  }
+
+  const { email, password } = req.body || {};
+  const deviceToken = getTrustedDevice(req);
+
+  let upstream;
+  try {
+    upstream = await forwardRequest(req, '/auth/login', {
+      body: { email, password, ...(deviceToken && { device_token: deviceToken }) }
+    });
+  } catch (error) {
+    res.status(error.name === 'TimeoutError' ? 504 : 502).json({ error: 'Unable to reach the ShiftFlow API' });
+    return;
+  }
+
+  const data = await upstream.json().catch(() => null);
+  if (!upstream.ok) {
+    res.status(upstream.status).json(data || { error: 'Sign in failed' });
+    return;
+  }
+  // Without the token there is nothing to put in the cookie
+  if (!data || (data.mfa_required ? !data.mfa_token : !data.token)) {
+    res.status(502).json({ error: 'Unexpected response from the ShiftFlow API' });
+    return;
+  }
+
+  if (data.mfa_required) {
+    setMfaChallengeCookie(res, data.mfa_token);
+    res.status(200).json({ mfa_required: true, remember_device_days: data.remember_device_days || 0 });
+    return;
+  }
+
+  const { token, ...rest } = data;
+  setSessionCookie(res, token);
+  res.status(200).json(rest);
+}
@@ -0,0 +1,29 @@
+import { forwardRequest } from '../../../lib/proxy';
+import { getSessionToken, getLockedToken, clearSessionCookie, isSameOrigin } from '../../../lib/session';
+
+// Revokes the token at the API, then drops the cookie whatever the API says
+// so the browser is signed out even if the token had already expired
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+  if (!isSameOrigin(req)) {
+    res.status(403).json({ error: 'Cross-site requests are not allowed' });
+    return;
+  }
+
+  // Switching user from the lock screen signs out the parked session
+  const token = getSessionToken(req) || getLockedToken(req);
+  if (token) {
+    try {
+      await forwardRequest(req, '/auth/logout', { token });
+    } catch (error) {
+      console.error('Error revoking session:', error);
+    }
+  }
+
+  clearSessionCookie(res);
+  res.status(204).end();
+}
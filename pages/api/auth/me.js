@@ -0,0 +1,34 @@
+import { forwardRequest } from '../../../lib/proxy';
+import { getSessionToken, getLockedToken, clearSessionCookie } from '../../../lib/session';
+
+// Who the session belongs to, and whether the screen is locked. A locked
+// session still answers so the lock screen can greet the right person.
+export default async function handler(req, res) {
+  const token = getSessionToken(req);
+  const lockedToken = getLockedToken(req);
+  if (!token && !lockedToken) {
+    res.status(401).json({ error: 'Not signed in' });
+    return;
+  }
+
+  let upstream;
+  try {
+    upstream = await forwardRequest(req, '/auth/me', { token: token || lockedToken });
+  } catch (error) {
+    res.status(error.name === 'TimeoutError' ? 504 : 502).json({ error: 'Unable to reach the ShiftFlow API' });
+    return;
+  }
+
+  const data = await upstream.json().catch(() => null);
+  if (!upstream.ok) {
+    if (upstream.status === 401) clearSessionCookie(res);
+    res.status(upstream.status).json(data || { error: 'Session check failed' });
+    return;
+  }
+  if (!data) {
+    res.status(502).json({ error: 'Unexpected response from the ShiftFlow API' });
+    return;
+  }
+
+  res.status(200).json({ user: data.user || data, locked: !token });
+}
@@ -0,0 +1,57 @@
+import { forwardRequest } from '../../../../lib/proxy';
+import {
+  getMfaChallenge,
+  setSessionCookie,
+  setTrustedDeviceCookie,
+  clearSessionCookie,
+  isSameOrigin
+} from '../../../../lib/session';
+
+// Code step of sign-in. Takes an authenticator or recovery code, and
+// remembers the device when the user asked and the organization allows it.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+  if (!isSameOrigin(req)) {
+    res.status(403).json({ error: 'Cross-site requests are not allowed' });
+    return;
+  }
+
+  const challenge = getMfaChallenge(req);
+  if (!challenge) {
+    res.status(401).json({ error: 'Sign-in took too long. Please enter your password again.' });
+    return;
+  }
+
+  const { code, remember_device: rememberDevice = false } = req.body || {};
+
+  let upstream;
+  try {
+    upstream = await forwardRequest(req, '/auth/mfa/verify', {
+      body: { mfa_token: challenge, code, remember_device: Boolean(rememberDevice) }
+    });
+  } catch (error) {
+    res.status(error.name === 'TimeoutError' ? 504 : 502).json({ error: 'Unable to reach the ShiftFlow API' });
+    return;
+  }
+
+  const data = await upstream.json().catch(() => null);
+  if (!upstream.ok) {
+    // The challenge has expired or been used up; start again from the password
+    if (upstream.status === 401) clearSessionCookie(res);
+    res.status(upstream.status).json(data || { error: 'Verification failed' });
+    return;
+  }
+  if (!data || !data.token) {
+    res.status(502).json({ error: 'Unexpected response from the ShiftFlow API' });
+    return;
+  }
+
+  const { token, device_token: deviceToken, remember_device_days: days, ...rest } = data;
+  setSessionCookie(res, token);
+  if (deviceToken && days > 0) setTrustedDeviceCookie(res, deviceToken, days);
+  res.status(200).json(rest);
+}
@@ -0,0 +1,90 @@
+import { forwardRequest } from '../../../lib/proxy';
+import {
+  getSessionToken,
+  getLockedToken,
+  getLockId,
+  setSessionCookie,
+  clearSessionCookie,
+  isSameOrigin
+} from '../../../lib/session';
+import { getAttemptsLeft, recordFailedAttempt, endLock } from '../../../lib/unlockLimit';
+
+// Revoke the parked token and drop every cookie, as Switch User would
+const signOut = async (req, res, token, lockId) => {
+  if (lockId) endLock(lockId);
+  try {
+    await forwardRequest(req, '/auth/logout', { token, body: {} });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+  }
+  clearSessionCookie(res);
+  res.status(401).json({ error: 'Too many unlock attempts. Please sign in again.', attempts_left: 0 });
+};
+
+// Checks the PIN (or password, for users without one) with the API and puts
+// the parked token back. Another tab may already have unlocked, in which
+// case the live token is checked instead. Wrong entries are counted on the
+// server, not on the lock screen, so a reload or a second tab cannot reset
+// them.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+  if (!isSameOrigin(req)) {
+    res.status(403).json({ error: 'Cross-site requests are not allowed' });
+    return;
+  }
+
+  const lockedToken = getLockedToken(req);
+  const token = lockedToken || getSessionToken(req);
+  if (!token) {
+    res.status(401).json({ error: 'Not signed in' });
+    return;
+  }
+
+  // A parked token without its lock id cookie, or with an altered one, is
+  // treated as out of attempts
+  const lockId = lockedToken ? getLockId(req, lockedToken) : null;
+  if (lockedToken && (!lockId || getAttemptsLeft(lockId) === 0)) {
+    await signOut(req, res, token, lockId);
+    return;
+  }
+
+  let upstream;
+  try {
+    upstream = await forwardRequest(req, '/auth/unlock', { token });
+  } catch (error) {
+    res.status(error.name === 'TimeoutError' ? 504 : 502).json({ error: 'Unable to reach the ShiftFlow API' });
+    return;
+  }
+
+  const data = await upstream.json().catch(() => null);
+  if (upstream.ok) {
+    if (lockId) endLock(lockId);
+    setSessionCookie(res, token);
+    res.status(204).end();
+    return;
+  }
+
+  if (upstream.status === 401) {
+    if (lockId) endLock(lockId);
+    clearSessionCookie(res);
+    res.status(401).json(data || { error: 'Unlock failed' });
+    return;
+  }
+
+  // Only a rejected PIN or password counts, not a rate limit or an outage
+  if (!lockedToken || upstream.status === 429 || upstream.status >= 500) {
+    res.status(upstream.status).json(data || { error: 'Unlock failed' });
+    return;
+  }
+
+  const attemptsLeft = recordFailedAttempt(lockId);
+  if (attemptsLeft === 0) {
+    await signOut(req, res, token, lockId);
+    return;
+  }
+  res.status(upstream.status).json({ ...(data || { error: 'Unlock failed' }), attempts_left: attemptsLeft });
+}
@@ -0,0 +1,88 @@
+import { useState } from 'react';
+import Link from 'next/link';
+import { useAuth } from '../components/AuthProvider';
+import { useNotifications } from '../components/NotificationProvider';
+import { useI18n, LanguageSwitcher } from '../components/I18nProvider';
+
+// Forgot Password Page
+// Emails a reset link. The answer is the same whether or not the address has
+// an account, so the form cannot be used to find out who works where.
+export default function ForgotPassword() {
+  const { api } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const [email, setEmail] = useState('');
+  const [sentTo, setSentTo] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!email) {
+      addNotification(t('forgot.missingEmail'), 'error');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await api.post('/auth/forgot-password', { email }, { auth: false });
+      setSentTo(email);
+    } catch (error) {
+      addNotification(formatError(error), 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-md">
+        <div className="flex justify-end mb-4">
+          <LanguageSwitcher />
+        </div>
+
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">{t('forgot.title')}</h1>
+          <p className="text-gray-600">{t('forgot.intro')}</p>
+        </div>
+
+        {sentTo ? (
+          <p role="status" className="p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+            {t('forgot.sent', { email: sentTo })}
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+              <label htmlFor="forgot-email" className="block text-sm font-medium text-gray-700 mb-1">
+                {t('login.email')}
+              </label>
+              <input
+                id="forgot-email"
+                type="email"
+                required
+                autoComplete="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                placeholder={t('login.emailPlaceholder')}
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+            >
+              {loading ? t('forgot.submitting') : t('forgot.submit')}
+            </button>
+          </form>
+        )}
+
+        <div className="mt-6 text-center">
+          <Link href="/" className="text-blue-600 hover:text-blue-800 text-sm">
+            {t('forgot.backToLogin')}
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,223 +1,134 @@
-import { useState, useEffect, useContext, createContext, useCallback, useMemo } from 'react';
-
-// Authentication Context
-const AuthContext = createContext();
-
-const AuthProvider = ({ children }) => {
-  const [user, setUser] = useState(null);
+import { Fragment, useState, useEffect, useCallback, useRef } from 'react';
+import Link from 'next/link';
+import { createTaskStream, getStreamUrl, applyTaskEvent, CONNECTION_STATUS } from '../lib/realtime';
+import {
+  cacheTasks,
+  getCachedTasks,
+  enqueueMutation,
+  getQueuedMutations,
+  updateMutation,
+  removeMutation,
+  applyQueuedMutations,
+  isNetworkError,
+  createLocalId,
+  isLocalId,
+  idempotencyHeaders
+} from '../lib/offlineStore';
+import { UnauthorizedError } from '../lib/api';
+import { TASK_COLUMNS, TASK_TRANSITIONS, canTransition, orderTasks } from '../lib/taskTransitions';
+import { PERMISSIONS } from '../lib/permissions';
+import { useAuth } from '../components/AuthProvider';
+import { useNotifications } from '../components/NotificationProvider';
+import { useI18n, LanguageSwitcher } from '../components/I18nProvider';
+import { usePermissions, RequirePermission } from '../components/Permissions';
+import StaffManagement from '../components/StaffManagement';
+import TaskDetailDrawer from '../components/TaskDetailDrawer';
+import TaskFilterBar from '../components/TaskFilterBar';
+import LockScreen from '../components/LockScreen';
+import AccountSettings, { EmailVerificationBanner } from '../components/AccountSettings';
+import { TwoFactorRequired } from '../components/TwoFactorSettings';
+import SecuritySettings from '../components/SecuritySettings';
+import OnboardingWizard from '../components/OnboardingWizard';
+import PasswordRequirements from '../components/PasswordRequirements';
+import FormField, { getInputClass } from '../components/FormField';
+import EmergencyAlerts, { EscalationCountdown } from '../components/EmergencyAlerts';
+import NotificationCenter from '../components/NotificationCenter';
+import ShiftSettings from '../components/ShiftSettings';
+import TemplateLibrary from '../components/TemplateLibrary';
+import AnalyticsView from '../components/AnalyticsView';
+import RoomMap from '../components/RoomMap';
+import UnitSettings from '../components/UnitSettings';
+import { EndShiftButton, ShiftSelector } from '../components/ShiftRollover';
+import { useNow } from '../hooks/useNow';
+import { useBoardFilters } from '../hooks/useBoardFilters';
+import { useDialog } from '../hooks/useDialog';
+import { useForm } from '../hooks/useForm';
+import { useShifts } from '../hooks/useShifts';
+import { useTemplates } from '../hooks/useTemplates';
+import { useUnits } from '../hooks/useUnits';
+import { useOnboarding } from '../hooks/useOnboarding';
+import { getTaskTimer } from '../lib/overdue';
+import { getShiftInstance } from '../lib/shifts';
+import { expandRoomPattern, templateToTaskForm } from '../lib/templates';
+import { required, emailAddress, maxLength, integerBetween, notInPast, strongPassword } from '../lib/validation';
+import { getRemainingSteps, getResumeStep } from '../lib/onboarding';
+
+// Staff Directory Hook
+// Loads the organization's staff list from /users for pickers
+const useStaff = () => {
+  const { api } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t } = useI18n();
+  const [staff, setStaff] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [token, setToken] = useState(null);
-
-  const API_BASE = 'https://shiftflow.railway.app/api';
 
   useEffect(() => {
-    // Check if user is logged in
-    const savedToken = localStorage.getItem('shiftflow_token');
-    if (savedToken) {
-      setToken(savedToken);
-      // Verify token by making a test API call
-      fetch(`${API_BASE}/users`, {
-        headers: {
-          'Authorization': `Bearer ${savedToken}`,
-          'Content-Type': 'application/json'
-        }
-      })
-      .then(res => {
-        if (res.ok) {
-          const userData = JSON.parse(localStorage.getItem('shiftflow_user') || '{}');
-          setUser(userData);
-        } else {
-          localStorage.removeItem('shiftflow_token');
-          localStorage.removeItem('shiftflow_user');
-          setToken(null);
-        }
-      })
-      .catch(() => {
-        localStorage.removeItem('shiftflow_token');
-        localStorage.removeItem('shiftflow_user');
-        setToken(null);
-      })
+    api.get('/users')
+      // Deactivated staff can no longer be given work
+      .then(data => setStaff((data.users || []).filter(u => u.active !== false)))
+      .catch(() => addNotification(t('handoff.staffFailed'), 'error'))
       .finally(() => setLoading(false));
-    } else {
-      setLoading(false);
-    }
-  }, []);
-
-  const login = async (email, password) => {
-    try {
-      const response = await fetch(`${API_BASE}/auth/login`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ email, password })
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Login failed');
-      }
-
-      const data = await response.json();
-      localStorage.setItem('shiftflow_token', data.token);
-      localStorage.setItem('shiftflow_user', JSON.stringify(data.user));
-      setToken(data.token);
-      setUser(data.user);
-      return data;
-    } catch (error) {
-      throw error;
-    }
-  };
-
-  const register = async (organizationData) => {
-    try {
-      const response = await fetch(`${API_BASE}/auth/register-organization`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(organizationData)
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Registration failed');
-      }
-
-      const data = await response.json();
-      localStorage.setItem('shiftflow_token', data.token);
-      localStorage.setItem('shiftflow_user', JSON.stringify(data.user));
-      setToken(data.token);
-      setUser(data.user);
-      return data;
-    } catch (error) {
-      throw error;
-    }
-  };
-
-  const logout = () => {
-    localStorage.removeItem('shiftflow_token');
-    localStorage.removeItem('shiftflow_user');
-    setToken(null);
-    setUser(null);
-  };
-
-  const value = {
-    user,
-    loading,
-    login,
-    register,
-    logout,
-    token,
-    API_BASE
-  };
+  }, [api, addNotification, t]);
 
-  return (
-    <AuthContext.Provider value={value}>
-      {children}
-    </AuthContext.Provider>
-  );
+  return { staff, loading };
 };
 
-const useAuth = () => {
-  const context = useContext(AuthContext);
-  if (!context) {
-    throw new Error('useAuth must be used within AuthProvider');
+// Send one queued offline change to the API. Reorders leave out tasks the
+// server has not seen yet.
+const sendQueuedMutation = (api, mutation) => {
+  if (mutation.type === 'create') {
+    return api.post('/tasks', mutation.data, { headers: idempotencyHeaders(mutation.localId) });
   }
-  return context;
-};
-
-// Notification Context
-const NotificationContext = createContext();
-
-const NotificationProvider = ({ children }) => {
-  const [notifications, setNotifications] = useState([]);
-
-  const addNotification = (message, type = 'info') => {
-    const id = Date.now();
-    const notification = { id, message, type };
-    setNotifications(prev => [...prev, notification]);
-    
-    setTimeout(() => {
-      setNotifications(prev => prev.filter(n => n.id !== id));
-    }, 5000);
-  };
-
-  const removeNotification = (id) => {
-    setNotifications(prev => prev.filter(n => n.id !== id));
-  };
-
-  return (
-    <NotificationContext.Provider value={{ addNotification, removeNotification }}>
-      {children}
-      <NotificationPanel notifications={notifications} onRemove={removeNotification} />
-    </NotificationContext.Provider>
-  );
-};
-
-const useNotifications = () => {
-  const context = useContext(NotificationContext);
-  if (!context) {
-    throw new Error('useNotifications must be used within NotificationProvider');
+  if (mutation.type === 'reorder') {
+    const taskIds = mutation.data.task_ids.filter(id => !isLocalId(id));
+    return api.put('/tasks/order', { ...mutation.data, task_ids: taskIds }, { retries: 0 });
   }
-  return context;
-};
-
-// Notification Panel Component
-const NotificationPanel = ({ notifications, onRemove }) => {
-  if (notifications.length === 0) return null;
-
-  return (
-    <div className="fixed top-4 right-4 z-50 space-y-2">
-      {notifications.map(notification => (
-        <div
-          key={notification.id}
-          className={`max-w-sm p-4 rounded-lg shadow-lg border-l-4 ${
-            notification.type === 'error' ? 'bg-red-50 border-red-500 text-red-800' :
-            notification.type === 'success' ? 'bg-green-50 border-green-500 text-green-800' :
-            'bg-blue-50 border-blue-500 text-blue-800'
-          }`}
-        >
-          <div className="flex items-center justify-between">
-            <p className="text-sm font-medium">{notification.message}</p>
-            <button
-              onClick={() => onRemove(notification.id)}
-              className="ml-2 text-gray-400 hover:text-gray-600"
-            >
-              ×
-            </button>
-          </div>
-        </div>
-      ))}
-    </div>
-  );
+  return api.put(`/tasks/${mutation.taskId}`, mutation.data, { retries: 0 });
 };
 
 // Main App Content
 const AppContent = () => {
-  const { user, loading } = useAuth();
+  const { user, loading, locked } = useAuth();
+  const { t } = useI18n();
 
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-100">
         <div className="text-center">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
-          <p className="text-gray-600">Loading ShiftFlow...</p>
+          <p className="text-gray-600">{t('app.loading')}</p>
         </div>
       </div>
     );
   }
 
-  return user ? <Dashboard /> : <AuthPages />;
+  if (!user) return <AuthPages />;
+  // Unmounting the dashboard drops the board, open forms and drafts
+  if (locked) return <LockScreen />;
+  // The organization requires two-factor and this user has yet to set it up
+  if (user.mfa_required && !user.mfa_enabled) return <TwoFactorRequired />;
+  return <Dashboard />;
 };
 
 // Authentication Pages
 const AuthPages = () => {
   const [isLogin, setIsLogin] = useState(true);
+  const { sessionExpired } = useAuth();
+  const { t } = useI18n();
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
       <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-md">
+        <div className="flex justify-end mb-4">
+          <LanguageSwitcher />
+        </div>
+
+        {sessionExpired && isLogin && (
+          <div className="mb-6 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+            {t('auth.sessionExpired')}
+          </div>
+        )}
+
         {isLogin ? <LoginForm /> : <RegisterForm />}
         
         <div className="mt-6 text-center">
@@ -225,7 +136,7 @@ const AuthPages = () => {
             onClick={() => setIsLogin(!isLogin)}
             className="text-blue-600 hover:text-blue-800 text-sm"
           >
-            {isLogin ? "Don't have an account? Register your healthcare facility" : "Already have an account? Sign In"}
+            {isLogin ? t('auth.toRegister') : t('auth.toLogin')}
           </button>
         </div>
       </div>
@@ -234,184 +145,279 @@ const AuthPages = () => {
 };
 
 // Login Form
+const LOGIN_SCHEMA = {
+  email: [required(), emailAddress()],
+  password: [required()]
+};
+
 const LoginForm = () => {
-  const [credentials, setCredentials] = useState({ email: '', password: '' });
-  const [loading, setLoading] = useState(false);
+  // Set once the password is accepted but the account wants a code as well
+  const [mfaChallenge, setMfaChallenge] = useState(null);
   const { login } = useAuth();
   const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const form = useForm({
+    initialValues: { email: '', password: '' },
+    schema: LOGIN_SCHEMA,
+    idPrefix: 'login',
+    onSubmit: async ({ email, password }) => {
+      const data = await login(email, password);
+      if (data.mfa_required) {
+        setMfaChallenge({ rememberDays: data.remember_device_days || 0 });
+      } else {
+        addNotification(t('login.success'), 'success');
+      }
+    },
+    onError: (error) => addNotification(formatError(error), 'error')
+  });
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!credentials.email || !credentials.password) {
-      addNotification('Please enter both email and password', 'error');
-      return;
-    }
-
-    setLoading(true);
-    try {
-      await login(credentials.email, credentials.password);
-      addNotification('Login successful!', 'success');
-    } catch (error) {
-      addNotification(error.message, 'error');
-    } finally {
-      setLoading(false);
-    }
-  };
+  if (mfaChallenge) {
+    return (
+      <MfaCodeForm
+        rememberDays={mfaChallenge.rememberDays}
+        onBack={() => {
+          setMfaChallenge(null);
+          form.setValue('password', '');
+        }}
+      />
+    );
+  }
 
   return (
     <div>
       <div className="text-center mb-8">
         <h1 className="text-3xl font-bold text-gray-900 mb-2">ShiftFlow</h1>
-        <p className="text-gray-600">Healthcare Communication Platform</p>
+        <p className="text-gray-600">{t('login.tagline')}</p>
       </div>
 
-      <form onSubmit={handleSubmit} className="space-y-6">
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">
-            Email Address
-          </label>
+      <form onSubmit={form.handleSubmit} noValidate className="space-y-6">
+        <FormField id={form.fieldId('email')} label={t('login.email')} error={form.errors.email}>
           <input
             type="email"
-            required
-            value={credentials.email}
-            onChange={(e) => setCredentials({...credentials, email: e.target.value})}
-            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            placeholder="Enter your email"
+            autoComplete="email"
+            {...form.getFieldProps('email')}
+            className={getInputClass(form.errors.email)}
+            placeholder={t('login.emailPlaceholder')}
           />
-        </div>
+        </FormField>
 
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">
-            Password
-          </label>
+        <FormField id={form.fieldId('password')} label={t('login.password')} error={form.errors.password}>
           <input
             type="password"
-            required
-            value={credentials.password}
-            onChange={(e) => setCredentials({...credentials, password: e.target.value})}
-            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            placeholder="Enter your password"
+            autoComplete="current-password"
+            {...form.getFieldProps('password')}
+            className={getInputClass(form.errors.password)}
+            placeholder={t('login.passwordPlaceholder')}
           />
-        </div>
+          <div className="mt-1 text-end">
+            <Link href="/forgot-password" className="text-blue-600 hover:text-blue-800 text-sm">
+              {t('login.forgot')}
+            </Link>
+          </div>
+        </FormField>
 
         <button
           type="submit"
-          disabled={loading}
+          disabled={form.submitting}
           className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
         >
-          {loading ? 'Signing in...' : 'Sign In'}
+          {form.submitting ? t('login.submitting') : t('login.submit')}
         </button>
       </form>
     </div>
   );
 };
 
-// Registration Form
-const RegisterForm = () => {
-  const [formData, setFormData] = useState({
-    organizationName: '',
-    adminName: '',
-    adminEmail: '',
-    adminPassword: ''
-  });
+// Two-Step Verification
+// Second sign-in step: a code from the authenticator app, or a recovery code
+const MfaCodeForm = ({ rememberDays, onBack }) => {
+  const [code, setCode] = useState('');
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [rememberDevice, setRememberDevice] = useState(false);
   const [loading, setLoading] = useState(false);
-  const { register } = useAuth();
+  const { verifyMfa } = useAuth();
   const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    
-    if (!formData.organizationName || !formData.adminName || !formData.adminEmail || !formData.adminPassword) {
-      addNotification('Please fill in all fields', 'error');
-      return;
-    }
-
-    if (formData.adminPassword.length < 8) {
-      addNotification('Password must be at least 8 characters', 'error');
-      return;
-    }
+    if (!code || loading) return;
 
     setLoading(true);
     try {
-      await register(formData);
-      addNotification('Registration successful! Welcome to ShiftFlow!', 'success');
+      await verifyMfa(code, rememberDevice);
+      addNotification(t('login.success'), 'success');
     } catch (error) {
-      addNotification(error.message, 'error');
-    } finally {
+      addNotification(formatError(error), 'error');
+      setCode('');
       setLoading(false);
+      // The challenge expired or ran out of attempts
+      if (error.status === 401) onBack();
     }
   };
 
   return (
     <div>
       <div className="text-center mb-8">
-        <h1 className="text-3xl font-bold text-gray-900 mb-2">Join ShiftFlow</h1>
-        <p className="text-gray-600">Register Your Healthcare Facility</p>
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">{t('login.mfaTitle')}</h1>
+        <p className="text-gray-600">{useRecovery ? t('login.recoveryIntro') : t('login.mfaIntro')}</p>
       </div>
 
-      <form onSubmit={handleSubmit} className="space-y-4">
+      <form onSubmit={handleSubmit} className="space-y-6">
         <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">
-            Healthcare Facility Name
+          <label htmlFor="login-mfa-code" className="block text-sm font-medium text-gray-700 mb-1">
+            {useRecovery ? t('login.recoveryCode') : t('login.mfaCode')}
           </label>
           <input
+            id="login-mfa-code"
+            key={useRecovery ? 'recovery' : 'app'}
             type="text"
+            inputMode={useRecovery ? 'text' : 'numeric'}
+            autoComplete="one-time-code"
+            autoFocus
             required
-            value={formData.organizationName}
-            onChange={(e) => setFormData({...formData, organizationName: e.target.value})}
-            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            placeholder="e.g., Metro General Hospital"
+            value={code}
+            onChange={(e) => setCode(e.target.value.replace(/\s/g, ''))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent font-mono tracking-widest"
           />
         </div>
 
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">
-            Administrator Name
+        {rememberDays > 0 && (
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={rememberDevice}
+              onChange={(e) => setRememberDevice(e.target.checked)}
+            />
+            {t('login.rememberDevice', { count: rememberDays })}
           </label>
+        )}
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+        >
+          {loading ? t('login.verifying') : t('login.verify')}
+        </button>
+      </form>
+
+      <div className="mt-4 flex justify-between text-sm">
+        <button onClick={onBack} className="text-gray-600 hover:text-gray-800">
+          {t('login.back')}
+        </button>
+        <button
+          onClick={() => {
+            setUseRecovery(!useRecovery);
+            setCode('');
+          }}
+          className="text-blue-600 hover:text-blue-800"
+        >
+          {useRecovery ? t('login.useApp') : t('login.useRecovery')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Registration Form
+const REGISTER_SCHEMA = {
+  organizationName: [required(), maxLength(200)],
+  adminName: [required(), maxLength(100)],
+  adminEmail: [required(), emailAddress()],
+  adminPassword: [
+    required(),
+    strongPassword(values => ({ name: values.adminName, email: values.adminEmail }))
+  ]
+};
+
+// The API may name fields in snake_case or without the admin prefix
+const REGISTER_FIELD_MAP = {
+  organization_name: 'organizationName',
+  admin_name: 'adminName',
+  admin_email: 'adminEmail',
+  admin_password: 'adminPassword',
+  name: 'adminName',
+  email: 'adminEmail',
+  password: 'adminPassword'
+};
+
+const RegisterForm = () => {
+  const { register } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const form = useForm({
+    initialValues: { organizationName: '', adminName: '', adminEmail: '', adminPassword: '' },
+    schema: REGISTER_SCHEMA,
+    fieldMap: REGISTER_FIELD_MAP,
+    idPrefix: 'register',
+    onSubmit: async (values) => {
+      await register(values);
+      addNotification(t('register.success'), 'success');
+    },
+    onError: (error) => addNotification(formatError(error), 'error')
+  });
+  const { values, errors } = form;
+
+  return (
+    <div>
+      <div className="text-center mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">{t('register.title')}</h1>
+        <p className="text-gray-600">{t('register.subtitle')}</p>
+      </div>
+
+      <form onSubmit={form.handleSubmit} noValidate className="space-y-4">
+        <FormField id={form.fieldId('organizationName')} label={t('register.facilityName')} error={errors.organizationName}>
           <input
             type="text"
-            required
-            value={formData.adminName}
-            onChange={(e) => setFormData({...formData, adminName: e.target.value})}
-            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            placeholder="Your full name"
+            autoComplete="organization"
+            {...form.getFieldProps('organizationName')}
+            className={getInputClass(errors.organizationName)}
+            placeholder={t('register.facilityPlaceholder')}
           />
-        </div>
+        </FormField>
 
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">
-            Administrator Email
-          </label>
+        <FormField id={form.fieldId('adminName')} label={t('register.adminName')} error={errors.adminName}>
+          <input
+            type="text"
+            autoComplete="name"
+            {...form.getFieldProps('adminName')}
+            className={getInputClass(errors.adminName)}
+            placeholder={t('register.adminNamePlaceholder')}
+          />
+        </FormField>
+
+        <FormField id={form.fieldId('adminEmail')} label={t('register.adminEmail')} error={errors.adminEmail}>
           <input
             type="email"
-            required
-            value={formData.adminEmail}
-            onChange={(e) => setFormData({...formData, adminEmail: e.target.value})}
-            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            autoComplete="email"
+            {...form.getFieldProps('adminEmail')}
+            className={getInputClass(errors.adminEmail)}
             placeholder="admin@yourhospital.com"
           />
-        </div>
+        </FormField>
 
-        <div>
-          <label className="block text-sm font-medium text-gray-700 mb-1">
-            Password
-          </label>
+        <FormField id={form.fieldId('adminPassword')} label={t('register.password')} error={errors.adminPassword}>
           <input
             type="password"
-            required
-            value={formData.adminPassword}
-            onChange={(e) => setFormData({...formData, adminPassword: e.target.value})}
-            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-            placeholder="Minimum 8 characters"
+            autoComplete="new-password"
+            {...form.getFieldProps('adminPassword', { describedBy: 'register-password-rules' })}
+            className={getInputClass(errors.adminPassword)}
+            placeholder={t('register.passwordPlaceholder')}
           />
-        </div>
+          <PasswordRequirements
+            id="register-password-rules"
+            password={values.adminPassword}
+            context={{ name: values.adminName, email: values.adminEmail }}
+          />
+        </FormField>
 
         <button
           type="submit"
-          disabled={loading}
+          disabled={form.submitting}
           className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
         >
-          {loading ? 'Creating Account...' : 'Create Account'}
+          {form.submitting ? t('register.submitting') : t('register.submit')}
         </button>
       </form>
     </div>
@@ -420,125 +426,643 @@ const RegisterForm = () => {
 
 // Main Dashboard
 const Dashboard = () => {
-  const { user, logout, token, API_BASE } = useAuth();
-  const { addNotification } = useNotifications();
+  const { user, logout, lock, api, API_BASE } = useAuth();
+  const { role, can } = usePermissions();
+  const { addNotification, setActionHandlers } = useNotifications();
+  const { t, dir, formatError } = useI18n();
+  const { staff } = useStaff();
+  const { shifts, configured: shiftsConfigured, saveShifts } = useShifts();
+  const { units, saveUnits } = useUnits();
+  const { onboarding, updateOnboarding, finishOnboarding } = useOnboarding(user?.id);
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showCreateTask, setShowCreateTask] = useState(false);
+  const [handoffTask, setHandoffTask] = useState(null);
+  const [rejectHandoffTask, setRejectHandoffTask] = useState(null);
+
+  const [connectionStatus, setConnectionStatus] = useState(CONNECTION_STATUS.CONNECTING);
+  // Task being dragged or moved with the keyboard, and where it would land
+  const [moveState, setMoveState] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const [assignTaskTarget, setAssignTaskTarget] = useState(null);
+  // A facility that has just registered opens on the setup wizard
+  const [view, setView] = useState(() => onboarding?.active ? 'setup' : 'board');
+  const [detailTaskId, setDetailTaskId] = useState(null);
+  const {
+    filters,
+    setFilters,
+    layout: boardLayout,
+    selectedRoom,
+    setLayout: setBoardLayout,
+    now,
+    visibleTasks,
+    overdueCount,
+    tasksByStatus
+  } = useBoardFilters(tasks, user?.id);
+
+  const pauseOnboarding = () => {
+    updateOnboarding({ active: false });
+    setView('board');
+  };
 
-  // Load tasks
-  useEffect(() => {
-    loadTasks();
-  }, []);
+  const resumeOnboarding = () => {
+    updateOnboarding(prev => ({ active: true, step: getResumeStep(prev) }));
+    setView('setup');
+  };
+
+  const completeOnboarding = () => {
+    finishOnboarding();
+    setView('board');
+  };
+
+  const replayingRef = useRef(false);
+
+  const loadTasks = useCallback(async () => {
+    try {
+      const data = await api.get('/tasks');
+      // Keep offline changes that have not synced yet on top of the server list
+      const queued = await getQueuedMutations(user?.id).catch(() => []);
+      setTasks(applyQueuedMutations(data.tasks || [], queued));
+    } catch (error) {
+      console.error('Error loading tasks:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [api, user?.id]);
+
+  // Replay mutations queued while offline, oldest first
+  const replayQueue = useCallback(async () => {
+    if (replayingRef.current) return;
+    replayingRef.current = true;
+    let rejected = false;
 
-  const loadTasks = async () => {
     try {
-      const response = await fetch(`${API_BASE}/tasks`, {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
+      const queued = await getQueuedMutations(user?.id);
+
+      for (let i = 0; i < queued.length; i++) {
+        const mutation = queued[i];
+        const isCreate = mutation.type === 'create';
+        let task;
+
+        try {
+          task = await sendQueuedMutation(api, mutation);
+        } catch (error) {
+          // Still offline, server trouble or signed out; leave this and
+          // everything after it queued
+          if (isNetworkError(error) || error instanceof UnauthorizedError || error.status >= 500) break;
+
+          const title = mutation.title || mutation.data.title || 'task';
+          addNotification(t('notify.offlineRejected', { title, error: formatError(error) }), 'error', { category: 'system' });
+          rejected = true;
+          await removeMutation(mutation.seq);
+          continue;
+        }
+
+        if (mutation.type !== 'reorder') {
+          const localId = isCreate ? mutation.localId : mutation.taskId;
+          // The live stream may already have delivered the server copy
+          setTasks(prev => prev
+            .filter(t => t.id !== task.id)
+            .map(t => t.id === localId ? task : t));
+        }
+
+        // Point later queued changes for this task at its server id
+        if (isCreate) {
+          for (const later of queued.slice(i + 1)) {
+            if (later.taskId === mutation.localId) {
+              later.taskId = task.id;
+              await updateMutation(later);
+            } else if (later.type === 'reorder' && later.data.task_ids.includes(mutation.localId)) {
+              const taskIds = later.data.task_ids.map(id => id === mutation.localId ? task.id : id);
+              later.data = { ...later.data, task_ids: taskIds };
+              await updateMutation(later);
+            }
+          }
         }
-      });
 
-      if (response.ok) {
-        const data = await response.json();
-        setTasks(data.tasks || []);
+        await removeMutation(mutation.seq);
       }
     } catch (error) {
-      console.error('Error loading tasks:', error);
+      console.error('Error replaying offline changes:', error);
     } finally {
-      setLoading(false);
+      replayingRef.current = false;
     }
-  };
 
-  const createTask = async (taskData) => {
+    // Rejected changes leave the local board out of step with the server
+    if (rejected) loadTasks();
+  }, [api, user?.id, addNotification, loadTasks, t, formatError]);
+
+  // Save a mutation for later and reflect it on the board straight away
+  const queueOffline = async (mutation) => {
     try {
-      const response = await fetch(`${API_BASE}/tasks`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(taskData)
+      const queued = { ...mutation, userId: user?.id };
+      await enqueueMutation(queued);
+      setTasks(prev => applyQueuedMutations(prev, [queued]));
+      addNotification(t('notify.queuedOffline'), 'info');
+      return true;
+    } catch (error) {
+      addNotification(t('notify.queueFailed'), 'error');
+      return false;
+    }
+  };
+
+  // Load tasks, showing the cached board first so it renders instantly offline
+  useEffect(() => {
+    getCachedTasks(user?.id)
+      .then(cached => {
+        if (cached) {
+          setTasks(cached);
+          setLoading(false);
+        }
+      })
+      .catch(() => {})
+      .finally(() => {
+        loadTasks();
+        replayQueue();
+      });
+  }, [user?.id, loadTasks, replayQueue]);
+
+  // Keep the offline cache in step with the board
+  useEffect(() => {
+    if (!loading) {
+      cacheTasks(user?.id, tasks).catch(() => {});
+    }
+  }, [user?.id, tasks, loading]);
+
+  // Replay queued changes as soon as the browser reports it is back online
+  useEffect(() => {
+    window.addEventListener('online', replayQueue);
+    return () => window.removeEventListener('online', replayQueue);
+  }, [replayQueue]);
+
+  // Latest tasks for event handlers that outlive a render
+  const tasksRef = useRef(tasks);
+  tasksRef.current = tasks;
+
+  const receivesEscalations = can(PERMISSIONS.RECEIVE_ESCALATIONS);
+
+  // Tell the current user about live changes that need them: tasks given to
+  // them, handoffs sent to them or turned down, and escalations
+  const notifyAboutTaskEvent = useCallback((event) => {
+    const task = event.task;
+    if (!task || !['task.created', 'task.updated'].includes(event.type)) return;
+    if (event.actor_id === user?.id) return;
+
+    const previous = tasksRef.current.find(t => t.id === task.id);
+    const openTask = { type: 'open_task', label: t('action.openTask'), taskId: task.id };
+
+    if (task.assigned_user?.id === user?.id && previous?.assigned_user?.id !== user?.id) {
+      const message = event.actor_name
+        ? t('notify.assignedBy', { title: task.title, name: event.actor_name })
+        : t('notify.assigned', { title: task.title });
+      addNotification(message, 'info', {
+        category: 'assignment', taskId: task.id, actions: [openTask]
+      });
+    }
+
+    const handoff = getPendingHandoff(task);
+    const previousHandoff = previous && getPendingHandoff(previous);
+    if (handoff && handoff.id !== previousHandoff?.id && handoff.to_user?.id === user?.id) {
+      const name = handoff.from_user?.name || t('notify.colleague');
+      addNotification(t('notify.handoffIncoming', { name, title: task.title }), 'info', {
+        category: 'handoff',
+        taskId: task.id,
+        actions: [openTask, { type: 'accept_handoff', label: t('action.acceptHandoff'), taskId: task.id }]
+      });
+    }
+
+    const rejected = (task.handoffs || []).find(h =>
+      h.status === 'rejected' && h.from_user?.id === user?.id &&
+      !(previous?.handoffs || []).some(p => p.id === h.id && p.status === 'rejected'));
+    if (rejected) {
+      const message = rejected.rejection_reason
+        ? t('notify.handoffRejectedReason', { title: task.title, reason: rejected.rejection_reason })
+        : t('notify.handoffRejected', { title: task.title });
+      addNotification(message, 'error', {
+        category: 'handoff', taskId: task.id, actions: [openTask]
       });
+    }
+
+    // The API escalates emergencies that miss their start deadline
+    if (task.escalated_at && !previous?.escalated_at) {
+      if (receivesEscalations) {
+        addNotification(t('notify.escalationIncoming', { title: task.title }), 'error', {
+          category: 'escalation', taskId: task.id, actions: [openTask]
+        });
+      } else if (task.assigned_user?.id === user?.id) {
+        addNotification(t('notify.escalated', { title: task.title }), 'error', {
+          category: 'escalation', taskId: task.id, actions: [openTask]
+        });
+      }
+    }
+  }, [user?.id, receivesEscalations, addNotification, t]);
 
-      if (response.ok) {
-        const newTask = await response.json();
-        setTasks(prev => [newTask, ...prev]);
-        addNotification('Task created successfully!', 'success');
+  // Subscribe to live task updates, resyncing the full list after a reconnect
+  useEffect(() => {
+    const stream = createTaskStream({
+      url: getStreamUrl(API_BASE, process.env.SHIFTFLOW_EVENTS_URL),
+      onEvent: (event) => {
+        notifyAboutTaskEvent(event);
+        setTasks(prev => applyTaskEvent(prev, event));
+      },
+      onStatusChange: setConnectionStatus,
+      onResync: loadTasks
+    });
+
+    return () => stream.close();
+  }, [API_BASE, loadTasks, notifyAboutTaskEvent]);
+
+  const createTask = async (newTaskData, assignee) => {
+    // Stamp the shift the task was created in
+    const currentShift = getShiftInstance(shifts);
+    const taskData = currentShift
+      ? { ...newTaskData, shift_id: currentShift.shift.id, shift_start: currentShift.start.toISOString() }
+      : newTaskData;
+    // Doubles as the idempotency key, so replaying a create that timed out
+    // after reaching the server does not add the task twice
+    const localId = createLocalId();
+
+    const queueCreate = async () => {
+      const preview = assignee ? { assigned_user: { id: assignee.id, name: assignee.name } } : undefined;
+      if (await queueOffline({ type: 'create', localId, data: taskData, preview })) {
         setShowCreateTask(false);
-      } else {
-        const error = await response.json();
-        addNotification(error.error || 'Failed to create task', 'error');
       }
+    };
+
+    if (!navigator.onLine) {
+      await queueCreate();
+      return;
+    }
+
+    try {
+      const newTask = await api.post('/tasks', taskData, { headers: idempotencyHeaders(localId) });
+      setTasks(prev => [newTask, ...prev.filter(t => t.id !== newTask.id)]);
+      addNotification(t('notify.taskCreated'), 'success');
+      setShowCreateTask(false);
     } catch (error) {
-      addNotification('Failed to create task', 'error');
+      if (isNetworkError(error)) {
+        await queueCreate();
+      } else if (error.fieldErrors) {
+        // The create form shows these next to the fields
+        throw error;
+      } else {
+        addNotification(formatError(error, 'notify.createFailed'), 'error');
+      }
     }
   };
 
-  const updateTaskStatus = async (taskId, status) => {
-    try {
-      const response = await fetch(`${API_BASE}/tasks/${taskId}`, {
-        method: 'PUT',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ status })
-      });
+  // Update task fields, queueing the change when offline. `preview` holds
+  // display-only fields (e.g. the assignee object) shown until the sync.
+  // Resolves to whether the change was saved or queued.
+  const updateTask = async (taskId, changes, { preview, successMessage = t('notify.taskUpdated') } = {}) => {
+    const task = tasks.find(t => t.id === taskId);
+    const queueUpdate = () => queueOffline({ type: 'update', taskId, title: task?.title, data: changes, preview });
 
-      if (response.ok) {
-        const updatedTask = await response.json();
-        setTasks(prev => prev.map(t => t.id === taskId ? updatedTask : t));
-        addNotification('Task updated successfully!', 'success');
-      } else {
-        const error = await response.json();
-        addNotification(error.error || 'Failed to update task', 'error');
+    // Tasks created offline must sync before they can be changed on the server
+    if (!navigator.onLine || isLocalId(taskId)) {
+      return queueUpdate();
+    }
+
+    try {
+      const updatedTask = await api.put(`/tasks/${taskId}`, changes);
+      setTasks(prev => prev.map(t => t.id === taskId ? updatedTask : t));
+      addNotification(successMessage, 'success');
+      return true;
+    } catch (error) {
+      if (isNetworkError(error)) {
+        return queueUpdate();
       }
+      addNotification(formatError(error, 'notify.updateFailed'), 'error');
+      return false;
+    }
+  };
+
+  const updateTaskStatus = (taskId, status) => updateTask(taskId, { status });
+
+  const assignTask = (taskId, assignee) => updateTask(
+    taskId,
+    { assigned_to: assignee ? assignee.id : null },
+    {
+      preview: { assigned_user: assignee ? { id: assignee.id, name: assignee.name } : null },
+      successMessage: assignee
+        ? (assignee.id === user?.id ? t('notify.assignedToYou') : t('notify.assignedTo', { name: assignee.name }))
+        : t('notify.unassigned')
+    }
+  );
+
+  const requestHandoff = async (taskId, handoffData) => {
+    try {
+      const updatedTask = await api.post(`/tasks/${taskId}/handoff`, handoffData);
+      setTasks(prev => prev.map(t => t.id === taskId ? updatedTask : t));
+      addNotification(t('notify.handoffSent'), 'success');
+      setHandoffTask(null);
     } catch (error) {
-      addNotification('Failed to update task', 'error');
+      addNotification(formatError(error, 'notify.handoffFailed'), 'error');
     }
   };
 
-  // Group tasks by status
-  const tasksByStatus = useMemo(() => {
-    return {
-      todo: tasks.filter(t => t.status === 'todo'),
-      in_progress: tasks.filter(t => t.status === 'in_progress'),
-      completed: tasks.filter(t => t.status === 'completed'),
-      handoff: tasks.filter(t => t.status === 'handoff')
-    };
-  }, [tasks]);
+  // Resolves to whether the server recorded the response
+  const respondToHandoff = useCallback(async (taskId, accepted, reason) => {
+    const action = accepted ? 'accept' : 'reject';
+    try {
+      const updatedTask = await api.post(`/tasks/${taskId}/handoff/${action}`, reason ? { reason } : {});
+      setTasks(prev => prev.map(t => t.id === taskId ? updatedTask : t));
+      addNotification(accepted ? t('notify.handoffAccepted') : t('notify.handoffDeclined'), 'success');
+      return true;
+    } catch (error) {
+      addNotification(formatError(error, accepted ? 'notify.acceptFailed' : 'notify.rejectFailed'), 'error');
+      return false;
+    }
+  }, [api, addNotification, t, formatError]);
 
-  return (
-    <div className="min-h-screen bg-gray-100">
-      {/* Header */}
-      <header className="bg-white shadow-sm border-b border-gray-200">
-        <div className="px-4 sm:px-6 lg:px-8">
-          <div className="flex items-center justify-between h-16">
-            <div className="flex items-center">
-              <h1 className="text-xl font-semibold text-gray-900">ShiftFlow</h1>
-              <span className="ml-4 px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded-full">
-                {user?.organizationName}
-              </span>
-            </div>
+  // Change one task on the board from its latest copy
+  const updateTaskLocally = useCallback((taskId, update) => {
+    setTasks(prev => prev.map(t => t.id === taskId ? update(t) : t));
+  }, []);
 
-            <div className="flex items-center space-x-4">
-              <button
-                onClick={() => setShowCreateTask(true)}
-                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
+  const recallHandoff = async (taskId) => {
+    try {
+      const updatedTask = await api.post(`/tasks/${taskId}/handoff/cancel`);
+      setTasks(prev => prev.map(t => t.id === taskId ? updatedTask : t));
+      addNotification(t('notify.handoffRecalled'), 'success');
+    } catch (error) {
+      addNotification(formatError(error, 'notify.recallFailed'), 'error');
+    }
+  };
+
+  // Put server copies of tasks changed in bulk (a shift rollover) on the board
+  const mergeTasks = (changed) => {
+    const updated = new Map(changed.map(t => [t.id, t]));
+    setTasks(prev => prev.map(t => updated.get(t.id) || t));
+  };
+
+  // What the buttons on notifications and history entries do
+  useEffect(() => {
+    setActionHandlers({
+      open_task: ({ taskId }) => {
+        if (tasksRef.current.some(t => t.id === taskId)) {
+          setView('board');
+          setDetailTaskId(taskId);
+        } else {
+          addNotification(t('notify.taskGone'), 'info');
+        }
+      },
+      accept_handoff: ({ taskId }) => respondToHandoff(taskId, true)
+    });
+  }, [setActionHandlers, respondToHandoff, addNotification, t]);
+
+  // Read from the live list so the drawer follows remote updates
+  const detailTask = tasks.find(t => t.id === detailTaskId);
+
+  // Save a manual ordering within a column. `toIndex` is a position among
+  // the visible tasks, which may be a filtered subset of the column.
+  const reorderTask = async (task, toIndex) => {
+    const visible = tasksByStatus[task.status].filter(t => t.id !== task.id);
+    const column = orderTasks(tasks.filter(t => t.status === task.status && t.id !== task.id));
+    const anchor = visible[toIndex];
+    const insertAt = anchor
+      ? column.findIndex(t => t.id === anchor.id)
+      : (visible.length ? column.findIndex(t => t.id === visible[visible.length - 1].id) + 1 : column.length);
+    column.splice(insertAt, 0, task);
+    const taskIds = column.map(t => t.id);
+    const positions = new Map(taskIds.map((id, index) => [id, index]));
+    setTasks(prev => prev.map(t => positions.has(t.id) ? { ...t, position: positions.get(t.id) } : t));
+
+    // Queued with the local ids so the order can name created tasks once
+    // they have synced
+    const queueReorder = () => queueOffline({
+      type: 'reorder',
+      title: task.title,
+      data: { status: task.status, task_ids: taskIds }
+    });
+
+    if (!navigator.onLine || taskIds.some(isLocalId)) {
+      await queueReorder();
+      return;
+    }
+
+    try {
+      await api.put('/tasks/order', { status: task.status, task_ids: taskIds });
+    } catch (error) {
+      if (isNetworkError(error)) {
+        await queueReorder();
+      } else {
+        addNotification(formatError(error, 'notify.orderFailed'), 'error');
+        loadTasks();
+      }
+    }
+  };
+
+  // Move a task to another column or position, enforcing the transition table.
+  // Returns false when the move is not allowed.
+  const moveTask = (task, toStatus, toIndex) => {
+    if (task.status === toStatus) {
+      // Positions only mean something when the column shows manual order
+      if (filters.sort !== 'manual') {
+        addNotification(t('notify.manualSortRequired'), 'info');
+        return false;
+      }
+      reorderTask(task, toIndex);
+      return true;
+    }
+
+    if (!canTransition(task.status, toStatus)) {
+      addNotification(t('notify.transitionNotAllowed', { from: columnTitle(task.status), to: columnTitle(toStatus) }), 'error');
+      return false;
+    }
+
+    if (toStatus === 'handoff') {
+      if (task._pendingSync) {
+        addNotification(t('notify.syncBeforeHandoff'), 'error');
+        return false;
+      }
+      setHandoffTask(task);
+      return true;
+    }
+
+    if (task.status === 'handoff') {
+      const handoff = getPendingHandoff(task);
+      if (canAcceptHandoff(handoff, user?.id)) {
+        respondToHandoff(task.id, true);
+      } else if (handoff?.from_user?.id === user?.id) {
+        recallHandoff(task.id);
+      } else {
+        addNotification(t('notify.handoffMoveNotAllowed'), 'error');
+        return false;
+      }
+      return true;
+    }
+
+    updateTaskStatus(task.id, toStatus);
+    return true;
+  };
+
+  const announce = (message) => setAnnouncement(message);
+  const columnTitle = (status) => t(`status.${status}`);
+
+  const startMove = (task, mode) => {
+    const index = tasksByStatus[task.status].findIndex(t => t.id === task.id);
+    setMoveState({ task, mode, status: task.status, index });
+    return index;
+  };
+
+  const setMoveTarget = (status, index) => {
+    setMoveState(prev => prev && (prev.status !== status || prev.index !== index)
+      ? { ...prev, status, index }
+      : prev);
+  };
+
+  const dropTask = () => {
+    if (!moveState) return;
+    const { task, status, index } = moveState;
+    setMoveState(null);
+    return moveTask(task, status, index);
+  };
+
+  const focusMoveHandle = (taskId) => {
+    requestAnimationFrame(() => {
+      const handle = document.querySelector(`[data-move-handle="${taskId}"]`);
+      if (handle) handle.focus();
+    });
+  };
+
+  // Keyboard moves: Space/Enter picks up and drops, arrows choose the column
+  // and position, Escape cancels
+  const handleMoveKey = (task, event) => {
+    const { key } = event;
+    const isPickedUp = moveState?.mode === 'keyboard' && moveState.task.id === task.id;
+
+    if (!isPickedUp) {
+      if (key === ' ' || key === 'Enter') {
+        event.preventDefault();
+        const index = startMove(task, 'keyboard');
+        announce(t('move.pickedUp', { title: task.title, column: columnTitle(task.status), position: index + 1 }));
+      }
+      return;
+    }
+
+    const otherTasks = (status) => tasksByStatus[status].filter(t => t.id !== task.id);
+    const describeTarget = (status, index) => {
+      const allowed = canTransition(task.status, status);
+      const target = t('move.target', { column: columnTitle(status), position: index + 1, total: otherTasks(status).length + 1 });
+      return allowed ? target : `${target} ${t('move.notAllowedFrom', { column: columnTitle(task.status) })}`;
+    };
+
+    switch (key) {
+      case 'ArrowLeft':
+      case 'ArrowRight': {
+        event.preventDefault();
+        // Columns run right to left in RTL layouts, so the arrows follow the screen
+        const forward = (key === 'ArrowRight') === (dir !== 'rtl');
+        const columnIndex = TASK_COLUMNS.findIndex(c => c.status === moveState.status);
+        const next = TASK_COLUMNS[columnIndex + (forward ? 1 : -1)];
+        if (!next) return;
+        const index = otherTasks(next.status).length;
+        setMoveTarget(next.status, index);
+        announce(describeTarget(next.status, index));
+        break;
+      }
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        event.preventDefault();
+        const lastIndex = otherTasks(moveState.status).length;
+        const index = Math.max(0, Math.min(lastIndex, moveState.index + (key === 'ArrowDown' ? 1 : -1)));
+        setMoveTarget(moveState.status, index);
+        announce(describeTarget(moveState.status, index));
+        break;
+      }
+      case ' ':
+      case 'Enter': {
+        event.preventDefault();
+        const { status, index } = moveState;
+        const moved = dropTask();
+        announce(moved
+          ? t('move.dropped', { title: task.title, column: columnTitle(status), position: index + 1 })
+          : t('move.cannotMove', { title: task.title, column: columnTitle(task.status) }));
+        focusMoveHandle(task.id);
+        break;
+      }
+      case 'Escape':
+        event.preventDefault();
+        setMoveState(null);
+        announce(t('move.cancelled', { title: task.title, column: columnTitle(task.status) }));
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b border-gray-200">
+        <div className="px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-between h-16">
+            <div className="flex items-center">
+              <h1 className="text-xl font-semibold text-gray-900">ShiftFlow</h1>
+              <span className="ms-4 px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded-full">
+                {user?.organizationName}
+              </span>
+              <ConnectionIndicator status={connectionStatus} />
+            </div>
+
+            <div className="flex items-center gap-4">
+              {view === 'board' && (
+                <ShiftSelector
+                  shifts={shifts}
+                  value={filters.shift}
+                  onChange={(shift) => setFilters({ ...filters, shift })}
+                  now={now}
+                />
+              )}
+
+              <EndShiftButton shifts={shifts} tasks={tasks} onRolledOver={mergeTasks} />
+
+              <RequirePermission permission={PERMISSIONS.VIEW_ANALYTICS}>
+                <ViewToggle view={view} target="analytics" label={t('nav.analytics')} onChange={setView} />
+              </RequirePermission>
+
+              <RequirePermission permission={PERMISSIONS.MANAGE_TEMPLATES}>
+                <ViewToggle view={view} target="templates" label={t('nav.templates')} onChange={setView} />
+              </RequirePermission>
+
+              <RequirePermission permission={PERMISSIONS.MANAGE_USERS}>
+                <ViewToggle view={view} target="facility" label={t('nav.facility')} onChange={setView} />
+              </RequirePermission>
+
+              <button
+                onClick={() => setShowCreateTask(true)}
+                className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors"
               >
-                + New Task
+                {t('nav.newTask')}
               </button>
               
-              <div className="flex items-center space-x-2">
-                <span className="text-sm text-gray-600">Welcome, {user?.name}</span>
+              <ViewToggle view={view} target="account" label={t('nav.account')} onChange={setView} />
+
+              <NotificationCenter />
+
+              <LanguageSwitcher />
+
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-gray-600">{t('nav.welcome', { name: user?.name })}</span>
+                <span className="px-2 py-0.5 bg-gray-100 text-gray-700 text-xs rounded-full">
+                  {t(`role.${role}`)}
+                </span>
+                <button
+                  onClick={lock}
+                  className="text-gray-400 hover:text-gray-600 rounded"
+                  title={t('nav.lock')}
+                  aria-label={t('nav.lock')}
+                >
+                  <span aria-hidden="true">🔒</span>
+                </button>
                 <button
                   onClick={logout}
-                  className="text-gray-400 hover:text-gray-600"
-                  title="Logout"
+                  className="text-gray-400 hover:text-gray-600 rounded"
+                  title={t('nav.logout')}
+                  aria-label={t('nav.logout')}
                 >
-                  🚪
+                  <span aria-hidden="true">🚪</span>
                 </button>
               </div>
             </div>
@@ -546,78 +1070,263 @@ const Dashboard = () => {
         </div>
       </header>
 
+      <EmailVerificationBanner />
+
+      {onboarding && view !== 'setup' && (
+        <RequirePermission permission={PERMISSIONS.MANAGE_USERS}>
+          <div className="bg-blue-50 border-b border-blue-200 px-4 py-2 text-sm text-blue-800 flex items-center justify-center gap-4">
+            <span>{t('onboarding.banner', { count: getRemainingSteps(onboarding).length })}</span>
+            <button onClick={resumeOnboarding} className="font-medium underline hover:text-blue-900">
+              {t('onboarding.resume')}
+            </button>
+            <button onClick={completeOnboarding} className="text-blue-600 hover:text-blue-900">
+              {t('onboarding.dismiss')}
+            </button>
+          </div>
+        </RequirePermission>
+      )}
+
+      {/* Emergency Alarms */}
+      <EmergencyAlerts tasks={tasks} units={units} onUpdateTask={updateTaskLocally} />
+
       {/* Main Content */}
-      <main className="flex-1 p-4 sm:p-6 lg:p-8">
-        {/* Stats Cards */}
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
-          <StatCard title="To Do" count={tasksByStatus.todo.length} color="blue" />
-          <StatCard title="In Progress" count={tasksByStatus.in_progress.length} color="yellow" />
-          <StatCard title="Completed" count={tasksByStatus.completed.length} color="green" />
-          <StatCard title="Handoff" count={tasksByStatus.handoff.length} color="purple" />
-        </div>
+      {view === 'setup' && onboarding ? (
+        <main className="flex-1 p-4 sm:p-6 lg:p-8">
+          <OnboardingWizard
+            onboarding={onboarding}
+            onUpdate={updateOnboarding}
+            onPause={pauseOnboarding}
+            onFinish={completeOnboarding}
+            units={units}
+            saveUnits={saveUnits}
+            saveShifts={saveShifts}
+          />
+        </main>
+      ) : view === 'facility' ? (
+        <main className="flex-1 p-4 sm:p-6 lg:p-8 space-y-6">
+          <StaffManagement />
+          <ShiftSettings shifts={shifts} configured={shiftsConfigured} onSave={saveShifts} />
+          <UnitSettings units={units} onSave={saveUnits} />
+          <SecuritySettings />
+        </main>
+      ) : view === 'analytics' ? (
+        <main className="flex-1 p-4 sm:p-6 lg:p-8">
+          <AnalyticsView />
+        </main>
+      ) : view === 'account' ? (
+        <main className="flex-1 p-4 sm:p-6 lg:p-8">
+          <AccountSettings />
+        </main>
+      ) : view === 'templates' ? (
+        <main className="flex-1 p-4 sm:p-6 lg:p-8">
+          <TemplateLibrary />
+        </main>
+      ) : (
+        <main className="flex-1 p-4 sm:p-6 lg:p-8">
+          {/* Stats Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-6">
+            <StatCard title={t('status.todo')} count={tasksByStatus.todo.length} color="blue" />
+            <StatCard title={t('status.in_progress')} count={tasksByStatus.in_progress.length} color="yellow" />
+            <StatCard title={t('status.completed')} count={tasksByStatus.completed.length} color="green" />
+            <StatCard title={t('status.handoff')} count={tasksByStatus.handoff.length} color="purple" />
+            <StatCard title={t('stats.overdue')} count={overdueCount} color="red" />
+          </div>
 
-        {/* Kanban Board */}
-        <div className="bg-white rounded-lg shadow-sm p-6">
-          <h2 className="text-lg font-semibold text-gray-900 mb-6">Task Management</h2>
-          
-          {loading ? (
-            <div className="text-center py-8">
-              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto mb-2"></div>
-              <p className="text-gray-600">Loading tasks...</p>
+          {/* Kanban Board */}
+          <div className="bg-white rounded-lg shadow-sm p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-semibold text-gray-900">{t('board.title')}</h2>
+              <div className="flex items-center gap-4">
+                {visibleTasks.length !== tasks.length && (
+                  <span className="text-sm text-gray-500">
+                    {t('board.showing', { shown: visibleTasks.length, count: tasks.length })}
+                  </span>
+                )}
+                <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden text-sm" role="group" aria-label={t('board.layout')}>
+                  {[['kanban', t('board.kanban')], ['rooms', t('board.rooms')]].map(([layout, label]) => (
+                    <button
+                      key={layout}
+                      type="button"
+                      aria-pressed={boardLayout === layout}
+                      onClick={() => setBoardLayout(layout)}
+                      className={`px-3 py-1 ${boardLayout === layout ? 'bg-blue-600 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
             </div>
-          ) : (
-            <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
-              <TaskColumn 
-                title="To Do" 
-                status="todo" 
-                tasks={tasksByStatus.todo} 
-                onUpdateStatus={updateTaskStatus}
-                color="bg-gray-50"
-              />
-              <TaskColumn 
-                title="In Progress" 
-                status="in_progress" 
-                tasks={tasksByStatus.in_progress} 
-                onUpdateStatus={updateTaskStatus}
-                color="bg-yellow-50"
-              />
-              <TaskColumn 
-                title="Completed" 
-                status="completed" 
-                tasks={tasksByStatus.completed} 
-                onUpdateStatus={updateTaskStatus}
-                color="bg-green-50"
-              />
-              <TaskColumn 
-                title="Handoff" 
-                status="handoff" 
-                tasks={tasksByStatus.handoff} 
-                onUpdateStatus={updateTaskStatus}
-                color="bg-purple-50"
+
+            <TaskFilterBar filters={filters} onChange={setFilters} staff={staff} userId={user?.id} />
+        
+            {loading ? (
+              <div className="text-center py-8">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto mb-2"></div>
+                <p className="text-gray-600">{t('board.loading')}</p>
+              </div>
+            ) : boardLayout === 'rooms' && !selectedRoom ? (
+              <RoomMap
+                units={units}
+                tasks={visibleTasks}
+                onSelectRoom={(room) => setBoardLayout('rooms', room)}
               />
-            </div>
-          )}
-        </div>
-      </main>
+            ) : (
+              <>
+                {selectedRoom && (
+                  <div className="flex items-center gap-3 mb-4">
+                    <button
+                      type="button"
+                      onClick={() => setBoardLayout('rooms')}
+                      className="text-blue-600 hover:text-blue-800 text-sm"
+                    >
+                      {t('board.allRooms')}
+                    </button>
+                    <h3 className="font-semibold text-gray-900">{t('board.room', { room: selectedRoom })}</h3>
+                  </div>
+                )}
+                <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+                  {TASK_COLUMNS.map(column => (
+                    <TaskColumn
+                      key={column.status}
+                      title={columnTitle(column.status)}
+                      status={column.status}
+                      tasks={tasksByStatus[column.status]}
+                      units={units}
+                      color={column.color}
+                      moveState={moveState}
+                      onMoveTask={moveTask}
+                      onRespondHandoff={respondToHandoff}
+                      onRejectHandoff={setRejectHandoffTask}
+                      onAssign={assignTask}
+                      onReassign={setAssignTaskTarget}
+                      onOpenDetails={(task) => setDetailTaskId(task.id)}
+                      onStartDrag={(task) => startMove(task, 'mouse')}
+                      onEndDrag={() => setMoveState(prev => prev?.mode === 'mouse' ? null : prev)}
+                      onMoveTarget={setMoveTarget}
+                      onDrop={dropTask}
+                      onMoveKey={handleMoveKey}
+                      onMoveBlur={(task) => {
+                        if (moveState?.mode === 'keyboard' && moveState.task.id === task.id) {
+                          setMoveState(null);
+                          announce(t('move.cancelled', { title: task.title, column: columnTitle(task.status) }));
+                        }
+                      }}
+                    />
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        </main>
+      )}
+
+      {/* Screen reader announcements for keyboard moves */}
+      <div aria-live="assertive" aria-atomic="true" className="sr-only">
+        {announcement}
+      </div>
+      <p id="move-instructions" className="sr-only">
+        {t('move.instructions')}
+      </p>
 
       {/* Create Task Modal */}
       {showCreateTask && (
         <CreateTaskModal
+          defaultRoom={selectedRoom}
           onClose={() => setShowCreateTask(false)}
           onSubmit={createTask}
         />
       )}
+
+      {/* Task Detail Drawer */}
+      {detailTask && (
+        <TaskDetailDrawer
+          task={detailTask}
+          onClose={() => setDetailTaskId(null)}
+          onSave={(taskId, changes) => updateTask(taskId, changes)}
+        />
+      )}
+
+      {/* Assign Task Modal */}
+      {assignTaskTarget && (
+        <AssignTaskModal
+          task={assignTaskTarget}
+          onClose={() => setAssignTaskTarget(null)}
+          onSubmit={(assignee) => {
+            assignTask(assignTaskTarget.id, assignee);
+            setAssignTaskTarget(null);
+          }}
+        />
+      )}
+
+      {/* Handoff Modal */}
+      {handoffTask && (
+        <HandoffModal
+          task={handoffTask}
+          onClose={() => setHandoffTask(null)}
+          onSubmit={(handoffData) => requestHandoff(handoffTask.id, handoffData)}
+        />
+      )}
+
+      {/* Reject Handoff Modal */}
+      {rejectHandoffTask && (
+        <RejectHandoffModal
+          task={rejectHandoffTask}
+          onClose={() => setRejectHandoffTask(null)}
+          onSubmit={async (reason) => {
+            if (await respondToHandoff(rejectHandoffTask.id, false, reason)) {
+              setRejectHandoffTask(null);
+            }
+          }}
+        />
+      )}
     </div>
   );
 };
 
+// View Toggle
+// Header button that opens a view, or goes back to the board from it
+const ViewToggle = ({ view, target, label, onChange }) => {
+  const { t } = useI18n();
+  const open = view === target;
+
+  return (
+    <button
+      onClick={() => onChange(open ? 'board' : target)}
+      className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+    >
+      {open ? t('nav.taskBoard') : label}
+    </button>
+  );
+};
+
+// Connection Indicator Component
+const ConnectionIndicator = ({ status }) => {
+  const { t } = useI18n();
+  const statusStyles = {
+    [CONNECTION_STATUS.CONNECTING]: { dot: 'bg-gray-400', label: 'connection.connecting' },
+    [CONNECTION_STATUS.LIVE]: { dot: 'bg-green-500', label: 'connection.live' },
+    [CONNECTION_STATUS.RECONNECTING]: { dot: 'bg-yellow-500 animate-pulse', label: 'connection.reconnecting' },
+    [CONNECTION_STATUS.OFFLINE]: { dot: 'bg-red-500', label: 'connection.offline' }
+  };
+  const style = statusStyles[status] || statusStyles[CONNECTION_STATUS.CONNECTING];
+
+  return (
+    <span className="ms-3 flex items-center text-xs text-gray-500" title={t('connection.title')}>
+      <span className={`w-2 h-2 rounded-full me-1 ${style.dot}`}></span>
+      {t(style.label)}
+    </span>
+  );
+};
+
 // Stat Card Component
 const StatCard = ({ title, count, color }) => {
   const colorClasses = {
     blue: 'bg-blue-100 text-blue-800',
     yellow: 'bg-yellow-100 text-yellow-800',
     green: 'bg-green-100 text-green-800',
-    purple: 'bg-purple-100 text-purple-800'
+    purple: 'bg-purple-100 text-purple-800',
+    red: 'bg-red-100 text-red-800'
   };
 
   return (
@@ -628,7 +1337,7 @@ const StatCard = ({ title, count, color }) => {
             {count}
           </div>
         </div>
-        <div className="ml-3">
+        <div className="ms-3">
           <p className="text-sm font-medium text-gray-500">{title}</p>
           <p className="text-2xl font-semibold text-gray-900">{count}</p>
         </div>
@@ -638,9 +1347,72 @@ const StatCard = ({ title, count, color }) => {
 };
 
 // Task Column Component
-const TaskColumn = ({ title, status, tasks, onUpdateStatus, color }) => {
+const TaskColumn = ({
+  title,
+  status,
+  tasks,
+  units,
+  color,
+  moveState,
+  onMoveTask,
+  onRespondHandoff,
+  onRejectHandoff,
+  onAssign,
+  onReassign,
+  onOpenDetails,
+  onStartDrag,
+  onEndDrag,
+  onMoveTarget,
+  onDrop,
+  onMoveKey,
+  onMoveBlur
+}) => {
+  const { t } = useI18n();
+  const movingId = moveState?.task.id;
+  const isTarget = moveState?.status === status;
+  const allowed = moveState ? canTransition(moveState.task.status, status) : false;
+  const otherTasks = tasks.filter(task => task.id !== movingId);
+
+  // Position of a card among the column's other tasks
+  const indexOf = (task) => task.id === movingId ? tasks.indexOf(task) : otherTasks.indexOf(task);
+
+  const handleDragOver = (e, index) => {
+    if (moveState?.mode !== 'mouse') return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (!allowed) {
+      e.dataTransfer.dropEffect = 'none';
+      onMoveTarget(status, otherTasks.length);
+      return;
+    }
+    e.dataTransfer.dropEffect = 'move';
+
+    if (index === undefined) {
+      onMoveTarget(status, otherTasks.length);
+      return;
+    }
+    const rect = e.currentTarget.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    onMoveTarget(status, Math.min(index + (after ? 1 : 0), otherTasks.length));
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    onDrop();
+  };
+
+  const dropIndicator = (
+    <div className="h-1 rounded bg-blue-500" aria-hidden="true"></div>
+  );
+
   return (
-    <div className={`${color} rounded-lg p-4 min-h-96`}>
+    <div
+      className={`${color} rounded-lg p-4 min-h-96 transition-shadow ${
+        isTarget ? (allowed ? 'ring-2 ring-blue-500' : 'ring-2 ring-red-400') : ''
+      }`}
+      onDragOver={(e) => handleDragOver(e)}
+      onDrop={handleDrop}
+    >
       <div className="flex items-center justify-between mb-4">
         <h3 className="font-semibold text-gray-900">{title}</h3>
         <span className="bg-gray-200 text-gray-700 text-xs px-2 py-1 rounded-full">
@@ -649,17 +1421,39 @@ const TaskColumn = ({ title, status, tasks, onUpdateStatus, color }) => {
       </div>
       
       <div className="space-y-3">
-        {tasks.map(task => (
-          <TaskCard
-            key={task.id}
-            task={task}
-            onUpdateStatus={onUpdateStatus}
-          />
-        ))}
+        {tasks.map(task => {
+          const index = indexOf(task);
+          const isMoving = task.id === movingId;
+
+          return (
+            <Fragment key={task.id}>
+              {isTarget && allowed && !isMoving && moveState.index === index && dropIndicator}
+              <div onDragOver={(e) => handleDragOver(e, index)}>
+                <TaskCard
+                  task={task}
+                  units={units}
+                  isMoving={isMoving}
+                  onMoveTask={onMoveTask}
+                  onRespondHandoff={onRespondHandoff}
+                  onRejectHandoff={onRejectHandoff}
+                  onAssign={onAssign}
+                  onReassign={onReassign}
+                  onOpenDetails={onOpenDetails}
+                  onStartDrag={onStartDrag}
+                  onEndDrag={onEndDrag}
+                  onMoveKey={onMoveKey}
+                  onMoveBlur={onMoveBlur}
+                />
+              </div>
+            </Fragment>
+          );
+        })}
+
+        {isTarget && allowed && moveState.index === otherTasks.length && dropIndicator}
         
         {tasks.length === 0 && (
           <div className="text-center py-8 text-gray-400">
-            <p className="text-sm">No tasks</p>
+            <p className="text-sm">{t('board.empty')}</p>
           </div>
         )}
       </div>
@@ -667,194 +1461,829 @@ const TaskColumn = ({ title, status, tasks, onUpdateStatus, color }) => {
   );
 };
 
+// Status buttons offered on a card, keyed by the status they move to
+const STATUS_ACTIONS = {
+  in_progress: { label: 'action.start', color: 'bg-blue-600' },
+  completed: { label: 'action.complete', color: 'bg-green-600' },
+  handoff: { label: 'action.handoff', color: 'bg-purple-600' },
+  todo: { label: 'action.backToTodo', color: 'bg-gray-500' }
+};
+
+// Shapes beside the priority label so urgency never rests on colour alone
+const PRIORITY_ICONS = {
+  emergency: '‼',
+  urgent: '!',
+  normal: '•',
+  low: '↓'
+};
+
+// The most recent handoff that is still waiting on the receiver
+const getPendingHandoff = (task) => (task.handoffs || [])
+  .filter(h => h.status === 'pending')
+  .reduce((latest, h) => (
+    !latest || new Date(h.created_at || 0) >= new Date(latest.created_at || 0) ? h : latest
+  ), null);
+
+// Shift rollovers hand off to the whole incoming shift rather than one nurse,
+// so anyone may pick those up
+const canAcceptHandoff = (handoff, userId) =>
+  Boolean(handoff) && (handoff.to_user ? handoff.to_user.id === userId : Boolean(handoff.to_shift));
+
+const getHandoffReceiverName = (handoff, t, fallback = t('handoff.unknown')) =>
+  handoff.to_user?.name || (handoff.to_shift ? t('handoff.shift', { shift: handoff.to_shift.name }) : fallback);
+
 // Task Card Component
-const TaskCard = ({ task, onUpdateStatus }) => {
+const TaskCard = ({
+  task,
+  units,
+  isMoving,
+  onMoveTask,
+  onRespondHandoff,
+  onRejectHandoff,
+  onAssign,
+  onReassign,
+  onOpenDetails,
+  onStartDrag,
+  onEndDrag,
+  onMoveKey,
+  onMoveBlur
+}) => {
+  const { user } = useAuth();
+  const { can, reasonFor } = usePermissions();
+  const { t } = useI18n();
+
   const priorityColors = {
-    emergency: 'border-l-red-600 bg-red-50',
-    urgent: 'border-l-red-500 bg-red-50',
-    normal: 'border-l-blue-500 bg-blue-50',
-    low: 'border-l-gray-500 bg-gray-50'
+    emergency: 'border-s-red-600 bg-red-50',
+    urgent: 'border-s-red-500 bg-red-50',
+    normal: 'border-s-blue-500 bg-blue-50',
+    low: 'border-s-gray-500 bg-gray-50'
   };
 
+  // Unassigned and own tasks are fair game; anyone else's needs the permission
+  const isOthersTask = task.assigned_user && task.assigned_user.id !== user?.id;
+  const canReassign = !isOthersTask || can(PERMISSIONS.REASSIGN_OTHERS_TASKS);
+
+  const pendingHandoff = getPendingHandoff(task);
+  const isHandoffReceiver = canAcceptHandoff(pendingHandoff, user?.id);
+  const isHandoffSender = pendingHandoff && pendingHandoff.from_user?.id === user?.id;
+
   const getStatusActions = (currentStatus) => {
-    const actions = [];
-    
-    if (currentStatus === 'todo') {
-      actions.push({ label: 'Start', status: 'in_progress', color: 'bg-blue-600' });
-    }
-    
-    if (currentStatus === 'in_progress') {
-      actions.push({ label: 'Complete', status: 'completed', color: 'bg-green-600' });
-      actions.push({ label: 'Handoff', status: 'handoff', color: 'bg-purple-600' });
-    }
-    
+    // Handoff tasks only leave the column through accept/reject by the
+    // receiver or a recall by the sender
     if (currentStatus === 'handoff') {
-      actions.push({ label: 'Complete', status: 'completed', color: 'bg-green-600' });
+      return isHandoffSender ? [{ label: 'action.recall', status: 'in_progress', color: 'bg-gray-500' }] : [];
     }
-    
-    return actions;
+
+    return (TASK_TRANSITIONS[currentStatus] || [])
+      // A handoff needs the task to exist on the server
+      .filter(status => !(status === 'handoff' && task._pendingSync))
+      .map(status => ({ status, ...STATUS_ACTIONS[status] }));
   };
 
   return (
-    <div className={`bg-white rounded-lg border-l-4 shadow-sm p-3 ${priorityColors[task.priority] || priorityColors.normal}`}>
-      <h4 className="font-medium text-gray-900 text-sm mb-2">{task.title}</h4>
+    <div
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(task.id));
+        onStartDrag(task);
+      }}
+      onDragEnd={onEndDrag}
+      className={`bg-white rounded-lg border-s-4 shadow-sm p-3 cursor-grab ${priorityColors[task.priority] || priorityColors.normal} ${
+        isMoving ? 'opacity-60 ring-2 ring-blue-500' : ''
+      }`}
+    >
+      <div className="flex items-start justify-between mb-2">
+        <h4 className="font-medium text-gray-900 text-sm">
+          <button
+            type="button"
+            onClick={() => onOpenDetails(task)}
+            className="text-start hover:text-blue-700 hover:underline"
+          >
+            {task.title}
+          </button>
+        </h4>
+        <button
+          type="button"
+          data-move-handle={task.id}
+          onKeyDown={(e) => onMoveKey(task, e)}
+          onBlur={() => onMoveBlur(task)}
+          aria-label={t('move.handle', { title: task.title })}
+          aria-pressed={isMoving}
+          aria-describedby="move-instructions"
+          className="ms-2 px-1 text-gray-400 hover:text-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+        >
+          ⠿
+        </button>
+      </div>
+
+      {task.priority === 'emergency' && (
+        <EscalationCountdown task={task} units={units} />
+      )}
+
+      <TaskTimer task={task} />
+
+      {task._pendingSync && (
+        <p className="text-xs text-amber-700 mb-2" title={t('card.pendingSyncTitle')}>
+          {t('card.pendingSync')}
+        </p>
+      )}
       
       {task.description && (
         <p className="text-xs text-gray-600 mb-2">{task.description}</p>
       )}
       
       <div className="flex items-center justify-between text-xs text-gray-500 mb-2">
-        {task.room_number && <span>Room {task.room_number}</span>}
+        {task.room_number && <span>{t('card.room', { room: task.room_number })}</span>}
+        {task.recurrence_id && <span title={t('card.recurringTitle')}>{t('card.recurring')}</span>}
         {task.priority !== 'normal' && (
           <span className={`px-1 py-0.5 rounded ${
             task.priority === 'urgent' || task.priority === 'emergency' ? 'bg-red-100 text-red-600' : 'bg-gray-100 text-gray-600'
           }`}>
-            {task.priority}
+            <span aria-hidden="true">{PRIORITY_ICONS[task.priority]} </span>
+            {t(`priority.${task.priority}`)}
           </span>
         )}
       </div>
 
-      {task.assigned_user && (
-        <p className="text-xs text-gray-600 mb-2">
-          Assigned: {task.assigned_user.name}
-        </p>
+      <div className="flex items-center justify-between text-xs text-gray-600 mb-2">
+        <span>
+          {task.assigned_user ? t('card.assigned', { name: task.assigned_user.name }) : t('card.unassigned')}
+        </span>
+        {task.status !== 'completed' && (
+          <span className="inline-flex gap-2">
+            {task.assigned_user?.id !== user?.id && canReassign && (
+              <button
+                onClick={() => onAssign(task.id, user)}
+                className="text-blue-600 hover:text-blue-800"
+              >
+                {t('card.assignToMe')}
+              </button>
+            )}
+            <button
+              onClick={() => onReassign(task)}
+              disabled={!canReassign}
+              title={canReassign ? undefined : reasonFor(PERMISSIONS.REASSIGN_OTHERS_TASKS)}
+              className="text-blue-600 hover:text-blue-800 disabled:text-gray-400 disabled:cursor-not-allowed"
+            >
+              {task.assigned_user ? t('card.reassign') : t('card.assign')}
+            </button>
+          </span>
+        )}
+      </div>
+
+      {task.status === 'handoff' && pendingHandoff && (
+        <HandoffSummary handoff={pendingHandoff} />
+      )}
+
+      {task.handoffs?.length > 0 && (
+        <HandoffHistory handoffs={task.handoffs} />
       )}
 
       <div className="flex flex-wrap gap-1">
         {getStatusActions(task.status).map(action => (
           <button
             key={action.status}
-            onClick={() => onUpdateStatus(task.id, action.status)}
+            onClick={() => onMoveTask(task, action.status)}
             className={`${action.color} text-white text-xs px-2 py-1 rounded hover:opacity-80 transition-opacity`}
           >
-            {action.label}
+            {t(action.label)}
           </button>
         ))}
+
+        {task.status === 'handoff' && isHandoffReceiver && (
+          <>
+            <button
+              onClick={() => onRespondHandoff(task.id, true)}
+              className="bg-green-600 text-white text-xs px-2 py-1 rounded hover:opacity-80 transition-opacity"
+            >
+              {t('card.accept')}
+            </button>
+            {pendingHandoff.to_user && (
+              <button
+                onClick={() => onRejectHandoff(task)}
+                className="bg-red-600 text-white text-xs px-2 py-1 rounded hover:opacity-80 transition-opacity"
+              >
+                {t('card.reject')}
+              </button>
+            )}
+          </>
+        )}
+
+        {task.status === 'handoff' && pendingHandoff && !isHandoffReceiver && (
+          <span className="text-xs text-purple-700">
+            {t('card.awaiting', { name: getHandoffReceiverName(pendingHandoff, t, t('card.receiver')) })}
+          </span>
+        )}
       </div>
     </div>
   );
 };
 
-// Create Task Modal
-const CreateTaskModal = ({ onClose, onSubmit }) => {
+// Task Timer Component
+// Elapsed time against the estimate for in-progress work, and the due-by time
+const TaskTimer = ({ task }) => {
+  const now = useNow(1000);
+  const { t, formatDuration, formatTime } = useI18n();
+  const timer = getTaskTimer(task, now);
+  const dueAt = task.due_at && task.status !== 'completed' ? new Date(task.due_at) : null;
+
+  if (!timer && !dueAt) return null;
+
+  const timerColors = {
+    ok: 'text-gray-600',
+    warning: 'text-amber-600 font-medium',
+    overdue: 'text-red-700 font-semibold'
+  };
+
+  return (
+    <div className="text-xs mb-2 space-y-0.5">
+      {timer && (
+        <p className={timerColors[timer.state]}>
+          ⏱ {formatDuration(timer.elapsed)}
+          {timer.estimate && ` / ${formatDuration(timer.estimate)}`}
+          {timer.state === 'overdue' && ` · ${t('timer.overdueBy', { duration: formatDuration(timer.elapsed - timer.estimate) })}`}
+        </p>
+      )}
+      {dueAt && (
+        <p className={dueAt.getTime() < now ? timerColors.overdue : 'text-gray-600'}>
+          {t('timer.due', { time: formatTime(dueAt) })}
+          {dueAt.getTime() < now && ` · ${t('timer.overdueBy', { duration: formatDuration(now - dueAt.getTime()) })}`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// SBAR fields shared by the handoff form and summaries. Each has a label,
+// a one-letter abbreviation and a placeholder under sbar.<field>.
+const SBAR_FIELDS = ['situation', 'background', 'assessment', 'recommendation'];
+
+// Handoff Summary Component
+const HandoffSummary = ({ handoff }) => {
+  const { t } = useI18n();
+  return (
+    <div className="bg-purple-50 border border-purple-200 rounded p-2 mb-2 text-xs">
+      <p className="font-medium text-purple-900 mb-1">
+        {handoff.from_user?.name || t('handoff.unknown')} → {getHandoffReceiverName(handoff, t)}
+      </p>
+      {SBAR_FIELDS.map(field => handoff[field] && (
+        <p key={field} className="text-gray-700">
+          <span className="font-semibold">{t(`sbar.${field}.short`)}:</span> {handoff[field]}
+        </p>
+      ))}
+    </div>
+  );
+};
+
+// Handoff History Component
+const HandoffHistory = ({ handoffs }) => {
+  const { t, formatDateTime } = useI18n();
+  const [expanded, setExpanded] = useState(false);
+  const resolved = handoffs.filter(h => h.status !== 'pending');
+
+  if (resolved.length === 0) return null;
+
+  return (
+    <div className="mb-2 text-xs">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="text-purple-700 hover:text-purple-900"
+      >
+        {expanded ? t('handoff.hideHistory') : t('handoff.showHistory', { count: resolved.length })}
+      </button>
+
+      {expanded && (
+        <ul className="mt-1 space-y-1">
+          {resolved.map(handoff => (
+            <li key={handoff.id} className="text-gray-600">
+              {handoff.from_user?.name || t('handoff.unknown')} → {getHandoffReceiverName(handoff, t)}:{' '}
+              <span className={handoff.status === 'accepted' ? 'text-green-700' : 'text-red-700'}>
+                {t(`handoff.status.${handoff.status}`)}
+              </span>
+              {handoff.created_at && ` · ${formatDateTime(handoff.created_at)}`}
+              {handoff.rejection_reason && ` · "${handoff.rejection_reason}"`}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Handoff Modal
+const HandoffModal = ({ task, onClose, onSubmit }) => {
+  const { user } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t } = useI18n();
+  const dialogRef = useDialog(onClose);
+  const { staff: allStaff, loading: loadingStaff } = useStaff();
+  // Anyone but the outgoing nurse can receive the handoff
+  const staff = allStaff.filter(u => u.id !== user?.id);
   const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    priority: 'normal',
-    room_number: '',
-    estimated_duration: ''
+    to_user_id: '',
+    situation: '',
+    background: '',
+    assessment: '',
+    recommendation: ''
   });
+  const [sending, setSending] = useState(false);
+  // A ref as well as state so a second click before the re-render is refused
+  const sendingRef = useRef(false);
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!formData.title.trim()) {
+    if (sendingRef.current) return;
+    if (!formData.to_user_id) {
+      addNotification(t('handoff.receiverRequired'), 'error');
       return;
     }
-    
-    const taskData = {
-      ...formData,
-      estimated_duration: formData.estimated_duration ? parseInt(formData.estimated_duration) : undefined
-    };
-    
-    onSubmit(taskData);
+    if (!formData.situation.trim()) {
+      addNotification(t('handoff.situationRequired'), 'error');
+      return;
+    }
+
+    sendingRef.current = true;
+    setSending(true);
+    try {
+      await onSubmit(formData);
+    } finally {
+      sendingRef.current = false;
+      setSending(false);
+    }
   };
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-      <div className="bg-white rounded-lg max-w-md w-full">
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="handoff-modal-title"
+        tabIndex={-1}
+        className="bg-white rounded-lg max-w-lg w-full max-h-full overflow-y-auto">
         <div className="flex items-center justify-between p-6 border-b">
-          <h2 className="text-xl font-semibold">Create New Task</h2>
-          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+          <div>
+            <h2 id="handoff-modal-title" className="text-xl font-semibold">{t('handoff.title')}</h2>
+            <p className="text-sm text-gray-500">{task.title}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label={t('create.close')}>
             ×
           </button>
         </div>
 
         <form onSubmit={handleSubmit} className="p-6 space-y-4">
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Task Title *
+            <label htmlFor="handoff-receiver" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('handoff.receiver')} *
             </label>
-            <input
-              type="text"
+            <select
+              id="handoff-receiver"
               required
-              value={formData.title}
-              onChange={(e) => setFormData({...formData, title: e.target.value})}
+              value={formData.to_user_id}
+              onChange={(e) => setFormData({...formData, to_user_id: e.target.value})}
               className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              placeholder="Enter task title"
-            />
+              disabled={loadingStaff}
+            >
+              <option value="">{loadingStaff ? t('handoff.loadingStaff') : t('handoff.selectStaff')}</option>
+              {staff.map(member => (
+                <option key={member.id} value={member.id}>{member.name}</option>
+              ))}
+            </select>
           </div>
 
+          {SBAR_FIELDS.map(field => (
+            <div key={field}>
+              <label htmlFor={`handoff-${field}`} className="block text-sm font-medium text-gray-700 mb-1">
+                {t(`sbar.${field}`)}{field === 'situation' && ' *'}
+              </label>
+              <textarea
+                id={`handoff-${field}`}
+                required={field === 'situation'}
+                value={formData[field]}
+                onChange={(e) => setFormData({...formData, [field]: e.target.value})}
+                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                rows="2"
+                placeholder={t(`sbar.${field}.placeholder`)}
+              />
+            </div>
+          ))}
+
+          <div className="flex gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              {t('create.cancel')}
+            </button>
+            <button
+              type="submit"
+              disabled={sending}
+              className="flex-1 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:bg-purple-300 transition-colors"
+            >
+              {sending ? t('handoff.sending') : t('handoff.send')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// Reject Handoff Modal
+// The receiver turns a handoff down, optionally saying why
+const RejectHandoffModal = ({ task, onClose, onSubmit }) => {
+  const { t } = useI18n();
+  const dialogRef = useDialog(onClose);
+  const [reason, setReason] = useState('');
+  const [sending, setSending] = useState(false);
+  const sendingRef = useRef(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (sendingRef.current) return;
+
+    sendingRef.current = true;
+    setSending(true);
+    try {
+      await onSubmit(reason.trim());
+    } finally {
+      sendingRef.current = false;
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="reject-handoff-title"
+        tabIndex={-1}
+        className="bg-white rounded-lg max-w-md w-full">
+        <div className="flex items-center justify-between p-6 border-b">
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Description
+            <h2 id="reject-handoff-title" className="text-xl font-semibold">{t('reject.title')}</h2>
+            <p className="text-sm text-gray-500">{task.title}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label={t('create.close')}>
+            ×
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div>
+            <label htmlFor="reject-handoff-reason" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('card.rejectPrompt')}
             </label>
             <textarea
-              value={formData.description}
-              onChange={(e) => setFormData({...formData, description: e.target.value})}
+              id="reject-handoff-reason"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
               className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               rows="3"
-              placeholder="Enter task description"
             />
           </div>
 
-          <div className="grid grid-cols-2 gap-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Room Number
-              </label>
-              <input
-                type="text"
-                value={formData.room_number}
-                onChange={(e) => setFormData({...formData, room_number: e.target.value})}
-                className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                placeholder="e.g., 205A"
-              />
-            </div>
+          <div className="flex gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              {t('create.cancel')}
+            </button>
+            <button
+              type="submit"
+              disabled={sending}
+              className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:bg-red-300 transition-colors"
+            >
+              {sending ? t('reject.sending') : t('reject.submit')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// Assignee Picker Component
+const AssigneePicker = ({ value, onChange }) => {
+  const { user } = useAuth();
+  const { t } = useI18n();
+  const { staff, loading } = useStaff();
+  const [search, setSearch] = useState('');
+
+  const matches = staff.filter(member => {
+    const query = search.trim().toLowerCase();
+    return !query ||
+      member.name?.toLowerCase().includes(query) ||
+      member.email?.toLowerCase().includes(query);
+  });
 
+  return (
+    <div className="border border-gray-300 rounded-lg">
+      <div className="flex items-center p-2 border-b border-gray-200 gap-2">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="flex-1 px-2 py-1 text-sm border border-gray-200 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          placeholder={t('assign.search')}
+          aria-label={t('assign.search')}
+        />
+        <button
+          type="button"
+          onClick={() => onChange(user)}
+          className="text-xs text-blue-600 hover:text-blue-800 whitespace-nowrap"
+        >
+          {t('card.assignToMe')}
+        </button>
+      </div>
+
+      <ul className="max-h-40 overflow-y-auto text-sm">
+        <li>
+          <button
+            type="button"
+            onClick={() => onChange(null)}
+            aria-pressed={!value}
+            className={`w-full text-start px-3 py-1 hover:bg-gray-50 ${!value ? 'bg-blue-50 font-medium' : ''}`}
+          >
+            {t('card.unassigned')}
+          </button>
+        </li>
+        {loading && <li className="px-3 py-1 text-gray-400">{t('handoff.loadingStaff')}</li>}
+        {matches.map(member => (
+          <li key={member.id}>
+            <button
+              type="button"
+              onClick={() => onChange(member)}
+              aria-pressed={value?.id === member.id}
+              className={`w-full text-start px-3 py-1 hover:bg-gray-50 ${value?.id === member.id ? 'bg-blue-50 font-medium' : ''}`}
+            >
+              {member.id === user?.id ? t('assign.me', { name: member.name }) : member.name}
+              {member.email && <span className="ms-2 text-xs text-gray-400">{member.email}</span>}
+            </button>
+          </li>
+        ))}
+        {!loading && matches.length === 0 && (
+          <li className="px-3 py-1 text-gray-400">{t('assign.noMatch', { search })}</li>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+// Assign Task Modal
+const AssignTaskModal = ({ task, onClose, onSubmit }) => {
+  const { t } = useI18n();
+  const [assignee, setAssignee] = useState(task.assigned_user || null);
+  const dialogRef = useDialog(onClose);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(assignee);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="assign-modal-title"
+        tabIndex={-1}
+        className="bg-white rounded-lg max-w-md w-full">
+        <div className="flex items-center justify-between p-6 border-b">
+          <div>
+            <h2 id="assign-modal-title" className="text-xl font-semibold">{t('assign.title')}</h2>
+            <p className="text-sm text-gray-500">{task.title}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label={t('create.close')}>
+            ×
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <AssigneePicker value={assignee} onChange={setAssignee} />
+
+          <div className="flex gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              {t('create.cancel')}
+            </button>
+            <button
+              type="submit"
+              className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            >
+              {t('assign.save')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// Create Task Modal
+const CREATE_TASK_SCHEMA = {
+  title: [required('create.titleRequired'), maxLength(200)],
+  room_number: [maxLength(20)],
+  estimated_duration: [integerBetween(1, 24 * 60)],
+  due_at: [notInPast()]
+};
+
+const CreateTaskModal = ({ defaultRoom, onClose, onSubmit }) => {
+  const [assignee, setAssignee] = useState(null);
+  const [templateId, setTemplateId] = useState('');
+  const { templates } = useTemplates();
+  const { can, reasonFor } = usePermissions();
+  const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const dialogRef = useDialog(onClose);
+
+  const template = templates.find(item => String(item.id) === templateId);
+  const form = useForm({
+    initialValues: {
+      title: '',
+      description: '',
+      priority: 'normal',
+      room_number: defaultRoom || '',
+      estimated_duration: '',
+      due_at: ''
+    },
+    schema: CREATE_TASK_SCHEMA,
+    idPrefix: 'create-task',
+    onSubmit: async (values) => {
+      if (values.priority === 'emergency' && !can(PERMISSIONS.CREATE_EMERGENCY_TASK)) {
+        addNotification(reasonFor(PERMISSIONS.CREATE_EMERGENCY_TASK), 'error');
+        return;
+      }
+
+      const taskData = {
+        ...values,
+        title: values.title.trim(),
+        estimated_duration: values.estimated_duration ? parseInt(values.estimated_duration) : undefined,
+        due_at: values.due_at ? new Date(values.due_at).toISOString() : undefined,
+        assigned_to: assignee ? assignee.id : undefined,
+        template_id: template ? template.id : undefined
+      };
+
+      await onSubmit(taskData, assignee);
+    },
+    onError: (error) => addNotification(formatError(error), 'error')
+  });
+  const { errors } = form;
+  const templateRooms = template?.room_pattern ? expandRoomPattern(template.room_pattern) : null;
+
+  // Prefill from a template, keeping the due time and assignee already chosen
+  const applyTemplate = (id) => {
+    setTemplateId(id);
+    const selected = templates.find(item => String(item.id) === id);
+    if (selected) {
+      form.setFields(templateToTaskForm(selected));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="create-task-modal-title"
+        tabIndex={-1}
+        className="bg-white rounded-lg max-w-md w-full">
+        <div className="flex items-center justify-between p-6 border-b">
+          <h2 id="create-task-modal-title" className="text-xl font-semibold">{t('create.title')}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label={t('create.close')}>
+            ×
+          </button>
+        </div>
+
+        <form onSubmit={form.handleSubmit} noValidate className="p-6 space-y-4">
+          {templates.length > 0 && (
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">
-                Priority
+              <label htmlFor="create-task-template" className="block text-sm font-medium text-gray-700 mb-1">
+                {t('create.template')}
               </label>
               <select
-                value={formData.priority}
-                onChange={(e) => setFormData({...formData, priority: e.target.value})}
+                id="create-task-template"
+                value={templateId}
+                onChange={(e) => applyTemplate(e.target.value)}
                 className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               >
-                <option value="low">Low</option>
-                <option value="normal">Normal</option>
-                <option value="urgent">Urgent</option>
-                <option value="emergency">Emergency</option>
+                <option value="">{t('create.blankTask')}</option>
+                {templates.map(item => (
+                  <option key={item.id} value={String(item.id)}>{item.title}</option>
+                ))}
               </select>
             </div>
-          </div>
+          )}
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Estimated Duration (minutes)
-            </label>
+          <FormField id={form.fieldId('title')} label={t('create.taskTitle')} error={errors.title}>
             <input
-              type="number"
-              value={formData.estimated_duration}
-              onChange={(e) => setFormData({...formData, estimated_duration: e.target.value})}
-              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-              placeholder="15"
-              min="1"
+              type="text"
+              {...form.getFieldProps('title')}
+              className={getInputClass(errors.title)}
+              placeholder={t('create.taskTitlePlaceholder')}
             />
+          </FormField>
+
+          <FormField id={form.fieldId('description')} label={t('create.description')} error={errors.description}>
+            <textarea
+              {...form.getFieldProps('description')}
+              className={getInputClass(errors.description)}
+              rows="3"
+              placeholder={t('create.descriptionPlaceholder')}
+            />
+          </FormField>
+
+          <div className="grid grid-cols-2 gap-4">
+            <FormField id={form.fieldId('room_number')} label={t('create.room')} error={errors.room_number}>
+              <input
+                type="text"
+                {...form.getFieldProps('room_number')}
+                className={getInputClass(errors.room_number)}
+                placeholder={t('create.roomPlaceholder')}
+                list={templateRooms?.length > 1 ? 'template-rooms' : undefined}
+              />
+              {templateRooms?.length > 1 && (
+                <datalist id="template-rooms">
+                  {templateRooms.map(room => <option key={room} value={room} />)}
+                </datalist>
+              )}
+            </FormField>
+
+            <FormField id={form.fieldId('priority')} label={t('create.priority')} error={errors.priority}>
+              <select
+                {...form.getFieldProps('priority')}
+                className={getInputClass(errors.priority)}
+              >
+                <option value="low">{t('priority.low')}</option>
+                <option value="normal">{t('priority.normal')}</option>
+                <option value="urgent">{t('priority.urgent')}</option>
+                <RequirePermission
+                  permission={PERMISSIONS.CREATE_EMERGENCY_TASK}
+                  fallback={<option value="emergency" disabled>{t('create.emergencyRestricted')}</option>}
+                >
+                  <option value="emergency">{t('priority.emergency')}</option>
+                </RequirePermission>
+              </select>
+              {!can(PERMISSIONS.CREATE_EMERGENCY_TASK) && (
+                <p className="mt-1 text-xs text-gray-500">
+                  {reasonFor(PERMISSIONS.CREATE_EMERGENCY_TASK)}
+                </p>
+              )}
+            </FormField>
           </div>
 
-          <div className="flex space-x-3 pt-4">
+          <div className="grid grid-cols-2 gap-4">
+            <FormField id={form.fieldId('estimated_duration')} label={t('create.duration')} error={errors.estimated_duration}>
+              <input
+                type="number"
+                {...form.getFieldProps('estimated_duration')}
+                className={getInputClass(errors.estimated_duration)}
+                placeholder="15"
+                min="1"
+              />
+            </FormField>
+
+            <FormField id={form.fieldId('due_at')} label={t('create.dueBy')} error={errors.due_at}>
+              <input
+                type="datetime-local"
+                {...form.getFieldProps('due_at')}
+                className={getInputClass(errors.due_at)}
+              />
+            </FormField>
+          </div>
+
+          <div role="group" aria-labelledby="create-task-assignee">
+            <p id="create-task-assignee" className="block text-sm font-medium text-gray-700 mb-1">
+              {t('create.assignee')}
+            </p>
+            <AssigneePicker value={assignee} onChange={setAssignee} />
+          </div>
+
+          <div className="flex gap-3 pt-4">
             <button
               type="button"
               onClick={onClose}
               className="flex-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
             >
-              Cancel
+              {t('create.cancel')}
             </button>
             <button
               type="submit"
-              className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              disabled={form.submitting}
+              className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
             >
-              Create Task
+              {form.submitting ? t('create.submitting') : t('create.submit')}
             </button>
           </div>
         </form>
@@ -865,11 +2294,5 @@ const CreateTaskModal = ({ onClose, onSubmit }) => {
 
 // Main App Component
 export default function Home() {
-  return (
-    <AuthProvider>
-      <NotificationProvider>
-        <AppContent />
-      </NotificationProvider>
-    </AuthProvider>
-  );
+  return <AppContent />;
 }
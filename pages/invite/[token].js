@@ -0,0 +1,137 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { useAuth } from '../../components/AuthProvider';
+import { useNotifications } from '../../components/NotificationProvider';
+import { useI18n, LanguageSwitcher } from '../../components/I18nProvider';
+import PasswordRequirements from '../../components/PasswordRequirements';
+import FormField, { getInputClass } from '../../components/FormField';
+import { useForm } from '../../hooks/useForm';
+import { getUserRole } from '../../lib/permissions';
+import { required, maxLength, strongPassword, matchesField } from '../../lib/validation';
+
+// Invite Acceptance Page
+// Invited staff set their name and password and join the inviting organization
+export default function AcceptInvite() {
+  const router = useRouter();
+  const { token } = router.query;
+  const { api, acceptInvite } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const [invite, setInvite] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    if (!token) return;
+    api.get(`/invites/${encodeURIComponent(token)}`, { auth: false })
+      .then(data => setInvite(data.invite || data))
+      .catch(error => setLoadError(error.status === 404 || error.status === 410
+        ? t('invite.invalid')
+        : formatError(error)));
+  }, [api, token, t, formatError]);
+
+  const form = useForm({
+    initialValues: { name: '', password: '', confirmPassword: '' },
+    schema: {
+      name: [required(), maxLength(100)],
+      password: [required(), strongPassword(values => ({ name: values.name, email: invite?.email }))],
+      confirmPassword: [required(), matchesField('password')]
+    },
+    idPrefix: 'invite',
+    onSubmit: async (values) => {
+      await acceptInvite(token, { name: values.name.trim(), password: values.password });
+      addNotification(t('invite.welcome', { organization: invite?.organization_name || 'ShiftFlow' }), 'success');
+      router.replace('/');
+    },
+    onError: (error) => addNotification(formatError(error), 'error')
+  });
+  const { values, errors } = form;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-md">
+        <div className="flex justify-end mb-4">
+          <LanguageSwitcher />
+        </div>
+
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">{t('invite.title')}</h1>
+          {invite && (
+            <p className="text-gray-600">
+              {t(invite.role ? 'invite.introWithRole' : 'invite.intro', {
+                organization: invite.organization_name || t('invite.yourFacility'),
+                role: t(`role.${getUserRole(invite)}`)
+              })}
+            </p>
+          )}
+        </div>
+
+        {loadError ? (
+          <p className="text-center text-red-600 text-sm">{loadError}</p>
+        ) : !invite ? (
+          <div className="text-center py-4">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto mb-2"></div>
+            <p className="text-gray-600">{t('invite.loading')}</p>
+          </div>
+        ) : (
+          <form onSubmit={form.handleSubmit} noValidate className="space-y-4">
+            <div>
+              <label htmlFor="invite-email" className="block text-sm font-medium text-gray-700 mb-1">
+                {t('invite.email')}
+              </label>
+              <input
+                id="invite-email"
+                type="email"
+                value={invite.email || ''}
+                disabled
+                className="w-full px-3 py-2 border border-gray-200 rounded-lg bg-gray-50 text-gray-500"
+              />
+            </div>
+
+            <FormField id={form.fieldId('name')} label={t('invite.name')} error={errors.name}>
+              <input
+                type="text"
+                autoComplete="name"
+                {...form.getFieldProps('name')}
+                className={getInputClass(errors.name)}
+                placeholder={t('invite.namePlaceholder')}
+              />
+            </FormField>
+
+            <FormField id={form.fieldId('password')} label={t('invite.password')} error={errors.password}>
+              <input
+                type="password"
+                autoComplete="new-password"
+                {...form.getFieldProps('password', { describedBy: 'invite-password-rules' })}
+                className={getInputClass(errors.password)}
+                placeholder={t('invite.passwordPlaceholder')}
+              />
+              <PasswordRequirements
+                id="invite-password-rules"
+                password={values.password}
+                context={{ name: values.name, email: invite.email }}
+              />
+            </FormField>
+
+            <FormField id={form.fieldId('confirmPassword')} label={t('invite.confirm')} error={errors.confirmPassword}>
+              <input
+                type="password"
+                autoComplete="new-password"
+                {...form.getFieldProps('confirmPassword')}
+                className={getInputClass(errors.confirmPassword)}
+                placeholder={t('invite.confirmPlaceholder')}
+              />
+            </FormField>
+
+            <button
+              type="submit"
+              disabled={form.submitting}
+              className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+            >
+              {form.submitting ? t('invite.submitting') : t('invite.submit')}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
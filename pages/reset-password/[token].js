@@ -0,0 +1,115 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import { useAuth } from '../../components/AuthProvider';
+import { useNotifications } from '../../components/NotificationProvider';
+import { useI18n, LanguageSwitcher } from '../../components/I18nProvider';
+import PasswordRequirements from '../../components/PasswordRequirements';
+import FormField, { getInputClass } from '../../components/FormField';
+import { useForm } from '../../hooks/useForm';
+import { required, strongPassword, matchesField } from '../../lib/validation';
+
+const isLinkGone = (error) => error.status === 404 || error.status === 410;
+
+// Reset Password Page
+// Opened from the emailed link. Setting the password does not sign anyone
+// in; the user signs in with it afterwards, from whichever device they like.
+export default function ResetPassword() {
+  const router = useRouter();
+  const { token } = router.query;
+  const { api } = useAuth();
+  const { addNotification } = useNotifications();
+  const { t, formatError } = useI18n();
+  const [linkInvalid, setLinkInvalid] = useState(false);
+  // Name and email of the account, which the new password must not contain
+  const [account, setAccount] = useState({});
+
+  // Check the link up front. Other failures leave the form usable; the API
+  // checks the password against the account either way.
+  useEffect(() => {
+    if (!token) return;
+    let cancelled = false;
+    api.get(`/auth/reset-password/${encodeURIComponent(token)}`, { auth: false })
+      .then(data => {
+        if (!cancelled) setAccount({ name: data.name, email: data.email });
+      })
+      .catch(error => {
+        if (!cancelled && isLinkGone(error)) setLinkInvalid(true);
+      });
+    return () => { cancelled = true; };
+  }, [api, token]);
+
+  const form = useForm({
+    initialValues: { password: '', confirmPassword: '' },
+    schema: {
+      password: [required(), strongPassword(() => account)],
+      confirmPassword: [required(), matchesField('password')]
+    },
+    idPrefix: 'reset',
+    onSubmit: async (values) => {
+      await api.post('/auth/reset-password', { token, password: values.password }, { auth: false });
+      addNotification(t('reset.success'), 'success');
+      router.replace('/');
+    },
+    onError: (error) => {
+      if (isLinkGone(error)) {
+        setLinkInvalid(true);
+        return;
+      }
+      addNotification(formatError(error), 'error');
+    }
+  });
+  const { values, errors } = form;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-md">
+        <div className="flex justify-end mb-4">
+          <LanguageSwitcher />
+        </div>
+
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">{t('reset.title')}</h1>
+        </div>
+
+        {linkInvalid ? (
+          <div className="text-center space-y-4">
+            <p className="text-red-600 text-sm">{t('reset.invalid')}</p>
+            <Link href="/forgot-password" className="text-blue-600 hover:text-blue-800 text-sm">
+              {t('reset.requestNew')}
+            </Link>
+          </div>
+        ) : (
+          <form onSubmit={form.handleSubmit} noValidate className="space-y-4">
+            <FormField id={form.fieldId('password')} label={t('password.new')} error={errors.password}>
+              <input
+                type="password"
+                autoComplete="new-password"
+                {...form.getFieldProps('password', { describedBy: 'reset-password-rules' })}
+                className={getInputClass(errors.password)}
+              />
+              <PasswordRequirements id="reset-password-rules" password={values.password} context={account} />
+            </FormField>
+
+            <FormField id={form.fieldId('confirmPassword')} label={t('password.confirm')} error={errors.confirmPassword}>
+              <input
+                type="password"
+                autoComplete="new-password"
+                {...form.getFieldProps('confirmPassword')}
+                className={getInputClass(errors.confirmPassword)}
+              />
+            </FormField>
+
+            <button
+              type="submit"
+              disabled={form.submitting || !token}
+              className="w-full bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-blue-300 transition-colors"
+            >
+              {form.submitting ? t('reset.submitting') : t('reset.submit')}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import { useState, useEffect, useRef } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import { useAuth } from '../../components/AuthProvider';
+import { useI18n, LanguageSwitcher } from '../../components/I18nProvider';
+
+// Verify Email Page
+// Opened from the link sent after registering or changing address
+export default function VerifyEmail() {
+  const router = useRouter();
+  const { token } = router.query;
+  const { api, user, updateUser } = useAuth();
+  const { t, formatError } = useI18n();
+  const [result, setResult] = useState(null);
+  const [errorMessage, setErrorMessage] = useState(null);
+  // Links are single use, so a second run of the effect (strict mode, a
+  // user change) must not spend the token again
+  const sentRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || sentRef.current) return;
+    sentRef.current = true;
+    api.post('/auth/verify-email', { token }, { auth: false })
+      .then(() => setResult('verified'))
+      .catch(error => {
+        setResult('failed');
+        if (error.status !== 404 && error.status !== 410) setErrorMessage(formatError(error));
+      });
+  }, [api, token, formatError]);
+
+  // Clear the reminder banner for whoever is signed in on this browser
+  useEffect(() => {
+    if (result === 'verified' && user && !user.email_verified) updateUser({ email_verified: true });
+  }, [result, user, updateUser]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-md text-center">
+        <div className="flex justify-end mb-4">
+          <LanguageSwitcher />
+        </div>
+
+        {!result ? (
+          <div className="py-4">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mx-auto mb-2"></div>
+            <p className="text-gray-600">{t('verify.verifying')}</p>
+          </div>
+        ) : (
+          <div role="status" className="space-y-4">
+            <p className="text-4xl" aria-hidden="true">{result === 'verified' ? '✅' : '⚠️'}</p>
+            <p className={result === 'verified' ? 'text-gray-900' : 'text-red-600 text-sm'}>
+              {result === 'verified' ? t('verify.success') : errorMessage || t('verify.invalid')}
+            </p>
+          </div>
+        )}
+
+        <div className="mt-6">
+          <Link href="/" className="text-blue-600 hover:text-blue-800 text-sm">
+            {t('verify.continue')}
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
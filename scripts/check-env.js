@@ -0,0 +1,13 @@
+// Refuses to start the app without the settings it cannot run safely
+// without. Runs before `npm run dev` and `npm start`.
+
+const required = {
+  SHIFTFLOW_COOKIE_SECRET: 'signs the screen lock cookie; use a long random string, the same on every instance'
+};
+
+const missing = Object.keys(required).filter(name => !process.env[name]);
+
+if (missing.length > 0) {
+  missing.forEach(name => console.error(`${name} is not set: it ${required[name]}.`));
+  process.exit(1);
+}
@@ -0,0 +1,84 @@
+// Minimal local task event server for exercising live board updates.
+//
+//   node scripts/event-server.js [port]
+//   SHIFTFLOW_EVENTS_URL=http://localhost:4001/api/tasks/events npm run dev
+//
+// Browsers subscribe to GET /api/tasks/events (Server-Sent Events).
+// Publish an event to every subscriber with:
+//
+//   curl -X POST localhost:4001/events -d '{"type":"task.updated","task":{...}}'
+//
+// POST /drop closes all open streams to simulate a network blip.
+
+const http = require('http');
+
+const port = Number(process.argv[2] || process.env.PORT || 4001);
+const clients = new Set();
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url, `http://localhost:${port}`);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, cors);
+    res.end();
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/api/tasks/events') {
+    res.writeHead(200, {
+      ...cors,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write(': connected\n\n');
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+    console.log(`client connected (${clients.size} open)`);
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/events') {
+    const body = await readBody(req);
+    try {
+      JSON.parse(body);
+    } catch (error) {
+      res.writeHead(400, cors);
+      res.end('Body must be JSON\n');
+      return;
+    }
+    clients.forEach(client => client.write(`data: ${body.replace(/\n/g, '')}\n\n`));
+    res.writeHead(202, cors);
+    res.end(`Sent to ${clients.size} client(s)\n`);
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/drop') {
+    const count = clients.size;
+    clients.forEach(client => client.destroy());
+    clients.clear();
+    res.writeHead(200, cors);
+    res.end(`Dropped ${count} client(s)\n`);
+    return;
+  }
+
+  res.writeHead(404, cors);
+  res.end();
+});
+
+server.listen(port, () => {
+  console.log(`ShiftFlow event server listening on http://localhost:${port}`);
+});
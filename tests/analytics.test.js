@@ -0,0 +1,149 @@
+import {
+  median,
+  getCycleTimes,
+  wasOverdue,
+  getCycleTimesByPriority,
+  getHandoffRates,
+  getOverdueRates,
+  toAnalyticsRows,
+  toCsv
+} from '../lib/analytics';
+
+const at = (time) => `2026-10-19T${time}:00Z`;
+
+describe('median', () => {
+  it('handles odd, even and empty lists', () => {
+    expect(median([3, 1, 2])).toBe(2);
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+    expect(median([])).toBeNull();
+  });
+});
+
+describe('getCycleTimes', () => {
+  it('measures wait, work and total minutes', () => {
+    expect(getCycleTimes({ created_at: at('08:00'), started_at: at('08:10'), completed_at: at('08:40') }))
+      .toEqual({ wait: 10, work: 30, total: 40 });
+  });
+
+  it('leaves steps that have not happened as null', () => {
+    expect(getCycleTimes({ created_at: at('08:00') })).toEqual({ wait: null, work: null, total: null });
+  });
+});
+
+describe('wasOverdue', () => {
+  it('compares completion with the due time and the estimate', () => {
+    const base = { status: 'completed', created_at: at('08:00'), started_at: at('08:00') };
+    expect(wasOverdue({ ...base, completed_at: at('09:30'), due_at: at('09:00') })).toBe(true);
+    expect(wasOverdue({ ...base, completed_at: at('08:20'), estimated_duration: 15 })).toBe(true);
+    expect(wasOverdue({ ...base, completed_at: at('08:10'), estimated_duration: 15 })).toBe(false);
+  });
+
+  it('checks open tasks against now', () => {
+    const task = { status: 'todo', due_at: at('09:00') };
+    expect(wasOverdue(task, Date.parse(at('09:30')))).toBe(true);
+    expect(wasOverdue(task, Date.parse(at('08:30')))).toBe(false);
+  });
+});
+
+describe('getCycleTimesByPriority', () => {
+  it('treats tasks without a priority as normal', () => {
+    const rows = getCycleTimesByPriority([
+      { created_at: at('08:00'), started_at: at('08:04') },
+      { priority: 'normal', created_at: at('08:00'), started_at: at('08:08') }
+    ]);
+    expect(rows.find(row => row.priority === 'normal')).toMatchObject({ count: 2, wait: 6 });
+    expect(rows.find(row => row.priority === 'emergency')).toMatchObject({ count: 0, wait: null });
+  });
+});
+
+describe('getHandoffRates', () => {
+  const alice = { id: 1, name: 'Alice' };
+  const bob = { id: 2, name: 'Bob' };
+
+  it('counts handoffs sent against tasks worked', () => {
+    const rates = getHandoffRates([
+      { id: 10, assigned_user: bob, handoffs: [{ from_user: alice, status: 'accepted' }] },
+      { id: 11, assigned_user: alice, handoffs: [{ from_user: alice, status: 'rejected' }] },
+      { id: 12, assigned_user: alice }
+    ]);
+
+    expect(rates[0]).toMatchObject({ id: 1, worked: 3, sent: 2, rejected: 1, rate: 2 / 3 });
+    expect(rates[1]).toMatchObject({ id: 2, worked: 1, sent: 0, rate: 0 });
+  });
+
+  it('orders ties by name, with nameless staff not breaking the sort', () => {
+    const rates = getHandoffRates([
+      { id: 10, assigned_user: { id: 3 } },
+      { id: 11, assigned_user: { id: 4 } },
+      { id: 12, assigned_user: bob },
+      { id: 13, assigned_user: alice }
+    ]);
+
+    expect(rates.map(person => person.name)).toEqual([null, null, 'Alice', 'Bob']);
+  });
+});
+
+describe('getOverdueRates', () => {
+  it('reports the overall and per-priority share', () => {
+    const now = Date.parse(at('10:00'));
+    const rates = getOverdueRates([
+      { status: 'todo', priority: 'urgent', due_at: at('09:00') },
+      { status: 'todo', priority: 'urgent', due_at: at('11:00') },
+      { status: 'todo', priority: 'low' }
+    ], now);
+
+    expect(rates.overall).toEqual({ count: 3, overdue: 1, rate: 1 / 3 });
+    expect(rates.byPriority.find(row => row.priority === 'urgent')).toMatchObject({ count: 2, overdue: 1, rate: 0.5 });
+  });
+});
+
+describe('toCsv', () => {
+  const columns = [{ key: 'title', label: 'Title' }, { key: 'minutes', label: 'Minutes' }];
+
+  it('quotes commas, quotes and line breaks', () => {
+    expect(toCsv([{ title: 'Turn, reposition "bed 4"\nagain', minutes: 5 }], columns))
+      .toBe('Title,Minutes\r\n"Turn, reposition ""bed 4""\nagain",5');
+  });
+
+  it.each(['=HYPERLINK("http://x.test")', '+1 555', '-cmd', '@SUM(A1)', '\tTab', '\rReturn'])(
+    'keeps %j as text rather than a formula',
+    (title) => {
+      const cell = toCsv([{ title, minutes: 1 }], columns).split('\r\n')[1];
+      expect(cell.replace(/^"/, '').startsWith(`'${title.slice(0, 1)}`)).toBe(true);
+    }
+  );
+
+  it('leaves negative numbers alone', () => {
+    expect(toCsv([{ title: 'Drift', minutes: -3 }], columns)).toBe('Title,Minutes\r\nDrift,-3');
+  });
+
+  it('escapes the translated headers as well', () => {
+    expect(toCsv([], [{ key: 'title', label: '=Title' }])).toBe("'=Title");
+  });
+});
+
+describe('toAnalyticsRows', () => {
+  it('flattens a task for export', () => {
+    const [row] = toAnalyticsRows([{
+      id: 7,
+      title: 'Check vitals',
+      status: 'completed',
+      assigned_user: { id: 1, name: 'Alice' },
+      created_at: at('08:00'),
+      started_at: at('08:05'),
+      completed_at: at('08:20'),
+      handoffs: [{}]
+    }], Date.parse(at('09:00')));
+
+    expect(row).toMatchObject({
+      id: 7,
+      priority: 'normal',
+      assignee: 'Alice',
+      wait_minutes: 5,
+      work_minutes: 15,
+      total_minutes: 20,
+      handoffs: 1,
+      overdue: 'no'
+    });
+  });
+});
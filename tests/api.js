@@ -0,0 +1,30 @@
+// Call a Next.js API route handler directly, without a server.
+
+export const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status: (code) => { res.statusCode = code; return res; },
+    json: (body) => { res.body = body; return res; },
+    setHeader: (name, value) => { res.headers[name] = value; },
+    getHeader: (name) => res.headers[name],
+    end: (body) => { res.body = body; return res; }
+  };
+  return res;
+};
+
+// Cookies a response set, as the browser would send them back; cleared
+// ones come back as undefined
+export const cookiesFrom = (res, cookies = {}) =>
+  [].concat(res.getHeader('Set-Cookie') || []).reduce((jar, cookie) => {
+    const [pair] = cookie.split(';');
+    const name = pair.slice(0, pair.indexOf('='));
+    const value = decodeURIComponent(pair.slice(pair.indexOf('=') + 1));
+    return { ...jar, [name]: /Max-Age=0/.test(cookie) ? undefined : value };
+  }, cookies);
+
+export const jsonResponse = (status, body) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'content-type': 'application/json' }
+});
@@ -0,0 +1,105 @@
+import { act, fireEvent, waitFor } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import Home from '../pages/index';
+import ForgotPassword from '../pages/forgot-password';
+import ResetPassword from '../pages/reset-password/[token]';
+import VerifyEmail from '../pages/verify-email/[token]';
+import AcceptInvite from '../pages/invite/[token]';
+import { router } from './router';
+import { renderPage, screen, USER } from './render';
+
+const SIGNED_OUT = { 'GET /auth/me': 401 };
+
+describe('auth pages', () => {
+  afterEach(() => {
+    router.query = {};
+  });
+
+  it('sign-in form has no axe violations', async () => {
+    const { container } = renderPage(Home, SIGNED_OUT);
+    await screen.findByRole('button', { name: 'Sign In' });
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('two-step verification form has no axe violations', async () => {
+    const { container } = renderPage(Home, {
+      ...SIGNED_OUT,
+      'POST /auth/login': { mfa_required: true, remember_device_days: 30 }
+    });
+    fireEvent.change(await screen.findByLabelText('Email Address'), { target: { value: USER.email } });
+    fireEvent.change(screen.getByLabelText('Password'), { target: { value: 'correct horse' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Sign In' }));
+    await screen.findByRole('heading', { name: 'Two-step verification' });
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('registration form has no axe violations', async () => {
+    const { container } = renderPage(Home, SIGNED_OUT);
+    fireEvent.click(await screen.findByRole('button', { name: /Register your healthcare facility/ }));
+    await screen.findByRole('heading', { name: 'Join ShiftFlow' });
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('lock screen has no axe violations', async () => {
+    const { container } = renderPage(Home, { 'GET /auth/me': { user: USER, locked: true } });
+    await screen.findByRole('heading', { name: 'Screen locked' });
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('forgot password page has no axe violations', async () => {
+    const { container } = renderPage(ForgotPassword, SIGNED_OUT);
+    await screen.findByRole('heading', { name: 'Reset your password' });
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('reset password page has no axe violations', async () => {
+    router.query = { token: 'reset-token' };
+    const { container } = renderPage(ResetPassword, SIGNED_OUT);
+    await screen.findByRole('heading', { name: 'Choose a new password' });
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('reset password form checks the password against the account inline', async () => {
+    router.query = { token: 'reset-token' };
+    const lookup = jest.fn(() => ({ name: USER.name, email: USER.email }));
+    const reset = jest.fn(() => ({}));
+    const { container } = renderPage(ResetPassword, {
+      ...SIGNED_OUT,
+      'GET /auth/reset-password/reset-token': lookup,
+      'POST /auth/reset-password': reset
+    });
+    await screen.findByRole('heading', { name: 'Choose a new password' });
+    await waitFor(() => expect(lookup).toHaveBeenCalled());
+    // Let the account lookup land before typing
+    await act(async () => {});
+
+    fireEvent.change(screen.getByLabelText('New password'), { target: { value: 'DanaReyes2026!' } });
+    fireEvent.change(screen.getByLabelText('Confirm password'), { target: { value: 'DanaReyes2026' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Set password' }));
+
+    expect(screen.getByText('Choose a stronger password that meets every requirement')).toBeTruthy();
+    expect(screen.getByText('Passwords do not match')).toBeTruthy();
+    expect(screen.getByLabelText('New password').getAttribute('aria-invalid')).toBe('true');
+    expect(reset).not.toHaveBeenCalled();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('verify email page has no axe violations', async () => {
+    router.query = { token: 'verify-token' };
+    const { container } = renderPage(VerifyEmail, { ...SIGNED_OUT, 'POST /auth/verify-email': {} });
+    await screen.findByText('Your email address is verified.');
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('invite page has no axe violations', async () => {
+    router.query = { token: 'invite-token' };
+    const { container } = renderPage(AcceptInvite, {
+      ...SIGNED_OUT,
+      'GET /invites/invite-token': {
+        invite: { email: 'sam@example.org', role: 'nurse', organization_name: 'Mercy General' }
+      }
+    });
+    await screen.findByDisplayValue('sam@example.org');
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
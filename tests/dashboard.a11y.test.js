@@ -0,0 +1,106 @@
+import { fireEvent } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import Home from '../pages/index';
+import { renderPage, screen, USER } from './render';
+
+const COLLEAGUE = { id: 2, name: 'Sam Okafor', role: 'staff' };
+
+const TASKS = [
+  {
+    id: 101,
+    title: 'Check vitals',
+    status: 'in_progress',
+    priority: 'urgent',
+    room_number: '12',
+    assigned_user: USER,
+    created_at: '2026-10-19T08:00:00Z',
+    started_at: '2026-10-19T08:05:00Z',
+    estimated_duration: 15
+  },
+  {
+    id: 102,
+    title: 'Start IV',
+    status: 'handoff',
+    priority: 'normal',
+    assigned_user: COLLEAGUE,
+    created_at: '2026-10-19T07:30:00Z',
+    handoffs: [{
+      id: 7,
+      status: 'pending',
+      from_user: COLLEAGUE,
+      to_user: USER,
+      situation: 'IV access needed before antibiotics',
+      created_at: '2026-10-19T08:10:00Z'
+    }]
+  },
+  {
+    id: 103,
+    title: 'Restock supplies',
+    status: 'todo',
+    priority: 'low',
+    created_at: '2026-10-19T07:00:00Z'
+  }
+];
+
+const SIGNED_IN = {
+  'GET /auth/me': { user: USER },
+  'GET /tasks': { tasks: TASKS },
+  'GET /users': { users: [USER, COLLEAGUE] },
+  'GET /templates': { templates: [] }
+};
+
+const renderDashboard = async () => {
+  const view = renderPage(Home, SIGNED_IN);
+  await screen.findByRole('button', { name: 'Check vitals' });
+  return view;
+};
+
+const openDialog = async (button) => {
+  fireEvent.click(button);
+  return screen.findByRole('dialog');
+};
+
+describe('dashboard', () => {
+  it('task board has no axe violations', async () => {
+    const { container } = await renderDashboard();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
+
+describe('dialogs', () => {
+  it('New Task has no axe violations', async () => {
+    const { container } = await renderDashboard();
+    await openDialog(screen.getByRole('button', { name: '+ New Task' }));
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('Assign has no axe violations', async () => {
+    const { container } = await renderDashboard();
+    await openDialog(screen.getByRole('button', { name: 'Assign' }));
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('Hand Off has no axe violations', async () => {
+    const { container } = await renderDashboard();
+    await openDialog(screen.getByRole('button', { name: 'Handoff' }));
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('Reject Handoff has no axe violations', async () => {
+    const { container } = await renderDashboard();
+    await openDialog(screen.getByRole('button', { name: 'Reject' }));
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('End Shift has no axe violations', async () => {
+    const { container } = await renderDashboard();
+    await openDialog(screen.getByRole('button', { name: 'End Shift' }));
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('task details drawer has no axe violations', async () => {
+    const { container } = await renderDashboard();
+    await openDialog(screen.getByRole('button', { name: 'Check vitals' }));
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
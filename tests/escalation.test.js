@@ -0,0 +1,48 @@
+import {
+  DEFAULT_ESCALATION_MINUTES,
+  getEscalationMinutes,
+  getEscalationRemaining
+} from '../lib/escalation';
+
+const UNITS = [
+  { id: 1, name: '2 West', rooms: ['201', '202A'], escalation_minutes: 3 },
+  { id: 2, name: '3 East', rooms: ['301'] }
+];
+
+const created = Date.parse('2026-10-19T08:00:00Z');
+const emergency = (changes) => ({
+  id: 7,
+  priority: 'emergency',
+  status: 'todo',
+  created_at: new Date(created).toISOString(),
+  ...changes
+});
+
+describe('getEscalationMinutes', () => {
+  it('uses the limit of the unit the room belongs to', () => {
+    expect(getEscalationMinutes({ room_number: '202a ' }, UNITS)).toBe(3);
+  });
+
+  it('falls back to the facility default', () => {
+    expect(getEscalationMinutes({ room_number: '301' }, UNITS)).toBe(DEFAULT_ESCALATION_MINUTES);
+    expect(getEscalationMinutes({ room_number: '999' }, UNITS)).toBe(DEFAULT_ESCALATION_MINUTES);
+    expect(getEscalationMinutes({}, UNITS)).toBe(DEFAULT_ESCALATION_MINUTES);
+  });
+});
+
+describe('getEscalationRemaining', () => {
+  it('counts down from creation using the unit limit', () => {
+    expect(getEscalationRemaining(emergency({ room_number: '201' }), UNITS, created + 60000)).toBe(2 * 60000);
+    expect(getEscalationRemaining(emergency({ room_number: '301' }), UNITS, created + 60000)).toBe(4 * 60000);
+  });
+
+  it('stops once the task is started or escalated', () => {
+    expect(getEscalationRemaining(emergency({ status: 'in_progress' }), UNITS, created)).toBeNull();
+    expect(getEscalationRemaining(emergency({ escalated_at: '2026-10-19T08:05:00Z' }), UNITS, created)).toBeNull();
+    expect(getEscalationRemaining(emergency({ priority: 'urgent' }), UNITS, created)).toBeNull();
+  });
+
+  it('waits for a task created offline to sync', () => {
+    expect(getEscalationRemaining(emergency({ id: 'local-abc' }), UNITS, created)).toBeNull();
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * @jest-environment node
+ */
+import login from '../pages/api/auth/login';
+import verify from '../pages/api/auth/mfa/verify';
+import { MFA_CHALLENGE_COOKIE, SESSION_COOKIE, TRUSTED_DEVICE_COOKIE } from '../lib/session';
+import { createResponse, cookiesFrom, jsonResponse } from './api';
+
+const post = (url, body, cookies = {}) => ({
+  method: 'POST',
+  url,
+  headers: { host: 'shiftflow.test', origin: 'https://shiftflow.test', 'content-type': 'application/json' },
+  cookies,
+  body
+});
+
+// Answer every upstream call with `body` and run the handler
+const call = async (handler, req, body) => {
+  global.fetch = jest.fn(async () => jsonResponse(200, body));
+  const res = createResponse();
+  await handler(req, res);
+  return { res, cookies: cookiesFrom(res) };
+};
+
+const USER = { id: 1, name: 'Dana Reyes' };
+
+describe('sign-in routes', () => {
+  const signIn = (body) => call(login, post('/api/auth/login', { email: 'dana@example.org', password: 'secret' }), body);
+  const verifyCode = (body) =>
+    call(verify, post('/api/auth/mfa/verify', { code: '123456' }, { [MFA_CHALLENGE_COOKIE]: 'challenge-1' }), body);
+
+  it('keeps the session token in the cookie and passes on the user', async () => {
+    const { res, cookies } = await signIn({ token: 'token-1', user: USER });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ user: USER });
+    expect(cookies[SESSION_COOKIE]).toBe('token-1');
+  });
+
+  it('keeps the challenge in a cookie when a code is needed', async () => {
+    const { res, cookies } = await signIn({ mfa_required: true, mfa_token: 'challenge-1' });
+
+    expect(res.body).toEqual({ mfa_required: true, remember_device_days: 0 });
+    expect(cookies[MFA_CHALLENGE_COOKIE]).toBe('challenge-1');
+  });
+
+  it('refuses a sign-in answer without a token', async () => {
+    for (const body of [{ user: USER }, { mfa_required: true }]) {
+      const { res, cookies } = await signIn(body);
+      expect(res.statusCode).toBe(502);
+      expect(cookies).toEqual({});
+    }
+  });
+
+  it('starts the session and remembers the device after the code', async () => {
+    const { res, cookies } = await verifyCode({
+      token: 'token-1',
+      device_token: 'device-1',
+      remember_device_days: 30,
+      user: USER
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ user: USER });
+    expect(cookies[SESSION_COOKIE]).toBe('token-1');
+    expect(cookies[TRUSTED_DEVICE_COOKIE]).toBe('device-1');
+  });
+
+  it('refuses a verification answer without a token', async () => {
+    const { res, cookies } = await verifyCode({ user: USER });
+
+    expect(res.statusCode).toBe(502);
+    expect(cookies).toEqual({});
+  });
+});
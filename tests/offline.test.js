@@ -0,0 +1,172 @@
+import { act, fireEvent, waitFor } from '@testing-library/react';
+import Home from '../pages/index';
+import { renderPage, screen, USER } from './render';
+import {
+  enqueueMutation,
+  getQueuedMutations,
+  clearOfflineData,
+  applyQueuedMutations
+} from '../lib/offlineStore';
+
+const TASK = { id: 103, title: 'Restock supplies', status: 'todo', priority: 'low', created_at: '2026-10-19T07:00:00Z' };
+const CREATED = { id: 201, title: 'Turn patient', status: 'todo', priority: 'normal', created_at: '2026-10-19T08:00:00Z' };
+
+const SIGNED_IN = {
+  'GET /auth/me': { user: USER },
+  'GET /tasks': { tasks: [TASK] },
+  'GET /users': { users: [USER] },
+  'GET /templates': { templates: [] }
+};
+
+const queueCreate = () => enqueueMutation({
+  type: 'create',
+  userId: USER.id,
+  localId: 'local-abc',
+  data: { title: 'Turn patient', priority: 'normal' }
+});
+
+const queueUpdate = (taskId, data, title) => enqueueMutation({ type: 'update', userId: USER.id, taskId, title, data });
+
+const queueReorder = (taskIds) => enqueueMutation({
+  type: 'reorder',
+  userId: USER.id,
+  title: 'Restock supplies',
+  data: { status: 'todo', task_ids: taskIds }
+});
+
+// Method, path and idempotency key of every change sent to the API
+const changesSent = () => global.fetch.mock.calls
+  .filter(([, options = {}]) => options.method && options.method !== 'GET')
+  .map(([url, options]) => [
+    options.method,
+    String(url).replace(/^.*?\/api/, ''),
+    options.headers?.['Idempotency-Key']
+  ].filter(Boolean).join(' '));
+
+const queueIsEmpty = async () => {
+  await waitFor(async () => expect(await getQueuedMutations(USER.id)).toEqual([]));
+};
+
+beforeEach(() => clearOfflineData());
+afterEach(() => jest.restoreAllMocks());
+
+describe('offline queue', () => {
+  it('keeps mutations in the order they were queued, per user', async () => {
+    await queueUpdate(103, { status: 'in_progress' });
+    await enqueueMutation({ type: 'update', userId: 2, taskId: 103, data: {} });
+    await queueUpdate(103, { status: 'completed' });
+
+    const queued = await getQueuedMutations(USER.id);
+    expect(queued.map(m => m.data.status)).toEqual(['in_progress', 'completed']);
+  });
+
+  it('shows queued changes on top of the server list', () => {
+    const tasks = applyQueuedMutations([TASK], [
+      { type: 'create', localId: 'local-abc', data: { title: 'Turn patient' } },
+      { type: 'update', taskId: 103, data: { status: 'in_progress' } }
+    ]);
+
+    expect(tasks).toEqual([
+      { status: 'todo', title: 'Turn patient', id: 'local-abc', _pendingSync: true },
+      { ...TASK, status: 'in_progress', _pendingSync: true }
+    ]);
+  });
+
+  it('shows a queued reorder as new positions', () => {
+    const tasks = applyQueuedMutations([TASK, CREATED], [
+      { type: 'reorder', data: { status: 'todo', task_ids: [201, 103] } }
+    ]);
+
+    expect(tasks).toEqual([{ ...TASK, position: 1 }, { ...CREATED, position: 0 }]);
+  });
+
+  it('queues a reorder made without a network', async () => {
+    renderPage(Home, {
+      ...SIGNED_IN,
+      'GET /tasks': { tasks: [{ ...TASK, position: 0 }, { ...CREATED, position: 1 }] }
+    });
+    const handle = await screen.findByRole('button', { name: 'Move task: Turn patient' });
+    jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+
+    fireEvent.keyDown(handle, { key: ' ' });
+    fireEvent.keyDown(handle, { key: 'ArrowUp' });
+    fireEvent.keyDown(handle, { key: ' ' });
+
+    await waitFor(async () => expect(await getQueuedMutations(USER.id)).toEqual([
+      expect.objectContaining({ type: 'reorder', data: { status: 'todo', task_ids: [201, 103] } })
+    ]));
+    expect(changesSent()).toEqual([]);
+  });
+});
+
+describe('replaying the offline queue', () => {
+  it('sends changes oldest first, pointing later ones at the created task', async () => {
+    await queueCreate();
+    await queueUpdate('local-abc', { status: 'in_progress' });
+    await queueUpdate(103, { status: 'in_progress' });
+
+    renderPage(Home, {
+      ...SIGNED_IN,
+      'POST /tasks': CREATED,
+      'PUT /tasks/201': { ...CREATED, status: 'in_progress' },
+      'PUT /tasks/103': { ...TASK, status: 'in_progress' }
+    });
+    await queueIsEmpty();
+
+    expect(changesSent()).toEqual([
+      'POST /tasks local-abc',
+      'PUT /tasks/201',
+      'PUT /tasks/103'
+    ]);
+  });
+
+  it('sends a queued reorder with the server id of a task created offline', async () => {
+    await queueCreate();
+    await queueReorder(['local-abc', 103]);
+
+    renderPage(Home, {
+      ...SIGNED_IN,
+      'POST /tasks': CREATED,
+      'PUT /tasks/order': {}
+    });
+    await queueIsEmpty();
+
+    expect(changesSent()).toEqual(['POST /tasks local-abc', 'PUT /tasks/order']);
+    const [, order] = global.fetch.mock.calls.find(([url]) => String(url).endsWith('/tasks/order'));
+    expect(JSON.parse(order.body)).toEqual({ status: 'todo', task_ids: [201, 103] });
+  });
+
+  it('retries a create with the same idempotency key after a server error', async () => {
+    await queueCreate();
+    let attempts = 0;
+
+    renderPage(Home, {
+      ...SIGNED_IN,
+      'POST /tasks': () => (++attempts === 1 ? 503 : CREATED)
+    });
+    await waitFor(() => expect(attempts).toBe(1));
+    expect(await getQueuedMutations(USER.id)).toHaveLength(1);
+
+    await act(async () => {
+      window.dispatchEvent(new Event('online'));
+    });
+    await queueIsEmpty();
+
+    expect(changesSent()).toEqual(['POST /tasks local-abc', 'POST /tasks local-abc']);
+  });
+
+  it('drops a change the server rejects and carries on with the rest', async () => {
+    await queueUpdate(103, { status: 'completed' }, 'Restock supplies');
+    await queueCreate();
+
+    renderPage(Home, {
+      ...SIGNED_IN,
+      'PUT /tasks/103': 409,
+      'POST /tasks': CREATED
+    });
+    await queueIsEmpty();
+
+    expect(changesSent()).toEqual(['PUT /tasks/103', 'POST /tasks local-abc']);
+    expect(await screen.findByText(/Offline change to "Restock supplies" was rejected/)).toBeTruthy();
+  });
+});
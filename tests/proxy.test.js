@@ -0,0 +1,67 @@
+/**
+ * @jest-environment node
+ */
+import handler from '../pages/api/[...path]';
+import { isSameOrigin } from '../lib/session';
+import { createResponse, jsonResponse } from './api';
+
+const request = (path, overrides = {}) => ({
+  method: 'GET',
+  url: `/api/${path.join('/')}`,
+  query: { path },
+  headers: { host: 'shiftflow.test' },
+  cookies: { shiftflow_session: 'secret-token' },
+  ...overrides
+});
+
+describe('API proxy', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn(async () => jsonResponse(200, { tasks: [] }));
+  });
+
+  it('forwards known resources with the session token', async () => {
+    const res = createResponse();
+    await handler(request(['tasks', '42']), res);
+
+    expect(res.statusCode).toBe(200);
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toMatch(/\/tasks\/42$/);
+    expect(options.headers.Authorization).toBe('Bearer secret-token');
+  });
+
+  it.each([
+    [['..', 'admin']],
+    [['tasks', '..', '..', 'admin']],
+    [['tasks', '.', 'x']],
+    [['tasks', '', 'x']],
+    [['internal', 'metrics']]
+  ])('refuses %j without calling the API', async (path) => {
+    const res = createResponse();
+    await handler(request(path), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('isSameOrigin', () => {
+  const post = (headers) => ({ method: 'POST', headers: { host: 'shiftflow.test', ...headers } });
+
+  it('lets reads through', () => {
+    expect(isSameOrigin({ method: 'GET', headers: { host: 'shiftflow.test' } })).toBe(true);
+  });
+
+  it('accepts a matching Origin or Referer', () => {
+    expect(isSameOrigin(post({ origin: 'https://shiftflow.test' }))).toBe(true);
+    expect(isSameOrigin(post({ referer: 'https://shiftflow.test/settings' }))).toBe(true);
+  });
+
+  it('refuses another origin', () => {
+    expect(isSameOrigin(post({ origin: 'https://evil.test' }))).toBe(false);
+    expect(isSameOrigin(post({ referer: 'https://evil.test/form' }))).toBe(false);
+  });
+
+  it('refuses a change with neither header', () => {
+    expect(isSameOrigin(post({}))).toBe(false);
+  });
+});
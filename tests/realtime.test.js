@@ -0,0 +1,158 @@
+import {
+  CONNECTION_STATUS,
+  getStreamUrl,
+  createTaskStream,
+  applyTaskEvent
+} from '../lib/realtime';
+
+// Records every connection so a test can open, message or fail it
+class MockEventSource {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.closed = false;
+    MockEventSource.instances.push(this);
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+const latest = () => MockEventSource.instances[MockEventSource.instances.length - 1];
+
+const SetupEventSource = global.EventSource;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  MockEventSource.instances = [];
+  global.EventSource = MockEventSource;
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  global.EventSource = SetupEventSource;
+});
+
+const openStream = () => {
+  const handlers = { onEvent: jest.fn(), onStatusChange: jest.fn(), onResync: jest.fn() };
+  const stream = createTaskStream({ url: '/api/tasks/events', ...handlers });
+  return { stream, ...handlers };
+};
+
+describe('getStreamUrl', () => {
+  it('uses the events path under the API unless overridden', () => {
+    expect(getStreamUrl('/api')).toBe('/api/tasks/events');
+    expect(getStreamUrl('/api', 'http://localhost:4001/')).toBe('http://localhost:4001');
+  });
+});
+
+describe('createTaskStream', () => {
+  it('reports the connection going live and passes on valid events', () => {
+    const { onEvent, onStatusChange, onResync } = openStream();
+    expect(onStatusChange).toHaveBeenLastCalledWith(CONNECTION_STATUS.CONNECTING);
+
+    latest().onopen();
+    latest().onmessage({ data: JSON.stringify({ type: 'task.created', task: { id: 1 } }) });
+    latest().onmessage({ data: 'not json' });
+    latest().onmessage({ data: JSON.stringify({ task: { id: 2 } }) });
+
+    expect(onStatusChange).toHaveBeenLastCalledWith(CONNECTION_STATUS.LIVE);
+    expect(onEvent).toHaveBeenCalledTimes(1);
+    expect(onEvent).toHaveBeenCalledWith({ type: 'task.created', task: { id: 1 } });
+    expect(onResync).not.toHaveBeenCalled();
+  });
+
+  it('reconnects with doubling delays up to the limit', () => {
+    const { onStatusChange } = openStream();
+    const delays = [];
+
+    for (let i = 0; i < 7; i++) {
+      const failed = latest();
+      failed.onerror();
+      expect(failed.closed).toBe(true);
+      expect(onStatusChange).toHaveBeenLastCalledWith(CONNECTION_STATUS.RECONNECTING);
+
+      const count = MockEventSource.instances.length;
+      let waited = 0;
+      while (MockEventSource.instances.length === count) {
+        jest.advanceTimersByTime(500);
+        waited += 500;
+      }
+      delays.push(waited);
+    }
+
+    expect(delays).toEqual([1000, 2000, 4000, 8000, 16000, 30000, 30000]);
+  });
+
+  it('asks for a resync after reconnecting and starts the backoff over', () => {
+    const { onResync } = openStream();
+    latest().onopen();
+
+    latest().onerror();
+    jest.advanceTimersByTime(1000);
+    latest().onerror();
+    jest.advanceTimersByTime(2000);
+    expect(MockEventSource.instances).toHaveLength(3);
+
+    latest().onopen();
+    expect(onResync).toHaveBeenCalledTimes(1);
+
+    latest().onerror();
+    jest.advanceTimersByTime(1000);
+    expect(MockEventSource.instances).toHaveLength(4);
+  });
+
+  it('reports offline when the browser has no network', () => {
+    const { onStatusChange } = openStream();
+    jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+
+    latest().onerror();
+    expect(onStatusChange).toHaveBeenLastCalledWith(CONNECTION_STATUS.OFFLINE);
+  });
+
+  it('ignores errors from a replaced connection and stops after close', () => {
+    const { stream } = openStream();
+    const first = latest();
+    first.onerror();
+    jest.advanceTimersByTime(1000);
+
+    first.onerror();
+    jest.advanceTimersByTime(60000);
+    expect(MockEventSource.instances).toHaveLength(2);
+
+    latest().onerror();
+    stream.close();
+    jest.advanceTimersByTime(60000);
+    expect(MockEventSource.instances).toHaveLength(2);
+  });
+});
+
+describe('applyTaskEvent', () => {
+  const tasks = [{ id: 1, title: 'Check vitals' }, { id: 2, title: 'Start IV' }];
+
+  it('adds created tasks once', () => {
+    const created = { id: 3, title: 'Restock supplies' };
+    expect(applyTaskEvent(tasks, { type: 'task.created', task: created })).toEqual([created, ...tasks]);
+    expect(applyTaskEvent(tasks, { type: 'task.created', task: { id: 1 } })).toBe(tasks);
+  });
+
+  it('replaces updated tasks in place and adds ones it has not seen', () => {
+    expect(applyTaskEvent(tasks, { type: 'task.updated', task: { id: 2, title: 'Start IV now' } }))
+      .toEqual([tasks[0], { id: 2, title: 'Start IV now' }]);
+    expect(applyTaskEvent(tasks, { type: 'task.updated', task: { id: 4 } })).toEqual([{ id: 4 }, ...tasks]);
+  });
+
+  it('removes deleted tasks by task or id', () => {
+    expect(applyTaskEvent(tasks, { type: 'task.deleted', task: { id: 1 } })).toEqual([tasks[1]]);
+    expect(applyTaskEvent(tasks, { type: 'task.deleted', id: 2 })).toEqual([tasks[0]]);
+  });
+
+  it('leaves the list alone for unknown or empty events', () => {
+    expect(applyTaskEvent(tasks, { type: 'task.archived', task: { id: 1 } })).toBe(tasks);
+    expect(applyTaskEvent(tasks, { type: 'task.updated' })).toBe(tasks);
+  });
+});
@@ -0,0 +1,49 @@
+// Render a page inside the same providers as pages/_app.js, against a
+// fake API. `routes` maps "METHOD /path" (without the /api prefix) to the
+// JSON body to answer with, to a bare status code for a failure, or to a
+// function of the request options that returns either.
+// Unlisted reads answer with an empty object.
+import { render, screen } from '@testing-library/react';
+import { AuthProvider } from '../components/AuthProvider';
+import { I18nProvider } from '../components/I18nProvider';
+import { NotificationProvider } from '../components/NotificationProvider';
+
+export const USER = {
+  id: 1,
+  name: 'Dana Reyes',
+  email: 'dana@example.org',
+  role: 'charge_nurse',
+  email_verified: true
+};
+
+const respond = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: async () => JSON.stringify(body)
+});
+
+export const mockApi = (routes = {}) => {
+  global.fetch = jest.fn(async (url, options = {}) => {
+    const path = String(url).replace(/^.*?\/api/, '').split('?')[0];
+    const key = `${options.method || 'GET'} ${path}`;
+    if (!(key in routes)) return respond(key.startsWith('GET ') ? 200 : 404, {});
+    const route = typeof routes[key] === 'function' ? routes[key](options) : routes[key];
+    return typeof route === 'number' ? respond(route, {}) : respond(200, route);
+  });
+  return global.fetch;
+};
+
+export const renderPage = (Page, routes) => {
+  mockApi(routes);
+  return render(
+    <AuthProvider>
+      <I18nProvider>
+        <NotificationProvider>
+          <Page />
+        </NotificationProvider>
+      </I18nProvider>
+    </AuthProvider>
+  );
+};
+
+export { screen };
@@ -0,0 +1,11 @@
+// Stand-in for next/router. Tests set `router.query` for dynamic routes.
+export const router = {
+  pathname: '/',
+  query: {},
+  push: jest.fn(() => Promise.resolve(true)),
+  replace: jest.fn(() => Promise.resolve(true))
+};
+
+export const useRouter = () => router;
+
+export default router;
@@ -0,0 +1,26 @@
+import { serialize, deserialize } from 'v8';
+import { toHaveNoViolations } from 'jest-axe';
+// In-memory IndexedDB for the offline store, which jsdom lacks
+import 'fake-indexeddb/auto';
+
+// jsdom also lacks the structuredClone that IndexedDB copies values with
+if (typeof structuredClone === 'undefined') {
+  global.structuredClone = (value) => deserialize(serialize(value));
+}
+
+expect.extend(toHaveNoViolations);
+
+jest.mock('next/router', () => require('./router'));
+
+// jsdom has no Server-Sent Events; the board's live stream just never opens
+class EventSource {
+  close() {}
+}
+global.EventSource = EventSource;
+
+// API route suites run in the node environment, without storage
+afterEach(() => {
+  if (typeof window === 'undefined') return;
+  sessionStorage.clear();
+  localStorage.clear();
+});
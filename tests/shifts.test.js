@@ -0,0 +1,105 @@
+import {
+  DEFAULT_SHIFTS,
+  getShiftLength,
+  validateShifts,
+  getShiftInstance,
+  getNextShiftInstance,
+  getRecentShiftInstances,
+  isTaskInShift,
+  isTaskDueForRollover
+} from '../lib/shifts';
+
+// Local times, so the boundaries hold in any time zone
+const on = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes);
+
+const stamp = (instance) => ({ shift_id: instance.shift.id, shift_start: instance.start.toISOString() });
+
+// Day 08:00–16:00 and evening 17:00–23:00, leaving gaps around both
+const WITH_GAPS = [
+  { id: 'day', name: 'Day', start: '08:00', end: '16:00' },
+  { id: 'evening', name: 'Evening', start: '17:00', end: '23:00' }
+];
+
+describe('getShiftLength', () => {
+  it('runs past midnight when the end is before the start', () => {
+    expect(getShiftLength({ start: '07:00', end: '19:00' })).toBe(12 * 60);
+    expect(getShiftLength({ start: '19:00', end: '07:00' })).toBe(12 * 60);
+    expect(getShiftLength({ start: '23:30', end: '00:15' })).toBe(45);
+  });
+});
+
+describe('validateShifts', () => {
+  it('accepts gaps but not overlaps', () => {
+    expect(validateShifts(WITH_GAPS)).toBeNull();
+    expect(validateShifts([...DEFAULT_SHIFTS, { id: 'x', name: 'Late', start: '18:00', end: '20:00' }]))
+      .toEqual({ key: 'shifts.error.overlap', values: { first: 'Day', second: 'Late' } });
+  });
+});
+
+describe('getShiftInstance', () => {
+  it('finds a night shift from either side of midnight', () => {
+    const evening = getShiftInstance(DEFAULT_SHIFTS, on(19, 23));
+    const small = getShiftInstance(DEFAULT_SHIFTS, on(20, 3));
+
+    expect(evening.shift.id).toBe('night');
+    expect(small.key).toBe(evening.key);
+    expect(small.start).toEqual(on(19, 19));
+    expect(small.end).toEqual(on(20, 7));
+  });
+
+  it('treats the end as the start of the next shift', () => {
+    expect(getShiftInstance(DEFAULT_SHIFTS, on(20, 7)).shift.id).toBe('day');
+    expect(getShiftInstance(DEFAULT_SHIFTS, on(20, 6, 59)).shift.id).toBe('night');
+  });
+
+  it('returns null in a gap', () => {
+    expect(getShiftInstance(WITH_GAPS, on(19, 16, 30))).toBeNull();
+    expect(getShiftInstance(WITH_GAPS, on(19, 2))).toBeNull();
+  });
+});
+
+describe('getNextShiftInstance', () => {
+  it('crosses midnight and skips gaps', () => {
+    const night = getShiftInstance(DEFAULT_SHIFTS, on(19, 20));
+    expect(getNextShiftInstance(DEFAULT_SHIFTS, night).start).toEqual(on(20, 7));
+
+    const evening = getShiftInstance(WITH_GAPS, on(19, 18));
+    expect(getNextShiftInstance(WITH_GAPS, evening).start).toEqual(on(20, 8));
+  });
+});
+
+describe('getRecentShiftInstances', () => {
+  it('lists newest first, starting with the last shift to end when between shifts', () => {
+    const instances = getRecentShiftInstances(WITH_GAPS, 3, on(20, 2));
+    expect(instances.map(i => i.start)).toEqual([on(19, 17), on(19, 8), on(18, 17)]);
+  });
+});
+
+describe('isTaskDueForRollover', () => {
+  const night = getShiftInstance(DEFAULT_SHIFTS, on(19, 20));
+  const previousDay = getShiftInstance(DEFAULT_SHIFTS, on(19, 8));
+  const nextDay = getNextShiftInstance(DEFAULT_SHIFTS, night);
+
+  it('takes open work from the ending shift but leaves completed work', () => {
+    expect(isTaskDueForRollover({ status: 'todo', ...stamp(night) }, night)).toBe(true);
+    expect(isTaskDueForRollover({ status: 'completed', ...stamp(night) }, night)).toBe(false);
+  });
+
+  it('takes open tasks that were never stamped', () => {
+    expect(isTaskDueForRollover({ status: 'in_progress' }, night)).toBe(true);
+    expect(isTaskDueForRollover({ status: 'completed' }, night)).toBe(false);
+  });
+
+  it('takes open tasks left on an earlier shift but not a later one', () => {
+    expect(isTaskDueForRollover({ status: 'todo', ...stamp(previousDay) }, night)).toBe(true);
+    expect(isTaskDueForRollover({ status: 'todo', ...stamp(nextDay) }, night)).toBe(false);
+  });
+
+  it('takes open tasks stamped under definitions that have since changed', () => {
+    const task = { status: 'todo', ...stamp(getShiftInstance(DEFAULT_SHIFTS, on(19, 10))) };
+    const changedDay = getShiftInstance(WITH_GAPS, on(19, 10));
+
+    expect(isTaskInShift(task, changedDay.key)).toBe(false);
+    expect(isTaskDueForRollover(task, changedDay)).toBe(true);
+  });
+});
@@ -0,0 +1,153 @@
+import { act, cleanup, fireEvent } from '@testing-library/react';
+import TaskFilterBar from '../components/TaskFilterBar';
+import { renderPage, screen, USER } from './render';
+import {
+  DEFAULT_FILTERS,
+  UNASSIGNED,
+  parseFilters,
+  serializeFilters,
+  hasActiveFilters,
+  filterTasks,
+  loadSavedViews,
+  storeSavedViews
+} from '../lib/taskFilters';
+
+const COLLEAGUE = { id: 2, name: 'Sam Okafor' };
+
+const TASKS = [
+  { id: 1, title: 'Check vitals', priority: 'urgent', room_number: '12', assigned_user: USER },
+  { id: 2, title: 'Start IV', description: 'Left arm', priority: 'urgent', room_number: '205A', assigned_user: COLLEAGUE },
+  { id: 3, title: 'Restock supplies', priority: 'low', room_number: '14' },
+  { id: 4, title: 'Check drains', room_number: 'ICU' }
+];
+
+const ids = (tasks) => tasks.map(task => task.id);
+const filtered = (changes) => ids(filterTasks(TASKS, { ...DEFAULT_FILTERS, ...changes }, USER.id));
+
+describe('filterTasks', () => {
+  it('matches the search against title and description', () => {
+    expect(filtered({ q: 'check' })).toEqual([1, 4]);
+    expect(filtered({ q: 'LEFT' })).toEqual([2]);
+  });
+
+  it('treats tasks without a priority as normal', () => {
+    expect(filtered({ priority: ['normal', 'low'] })).toEqual([3, 4]);
+  });
+
+  it('filters by assignee, including unassigned tasks', () => {
+    expect(filtered({ assignee: [String(COLLEAGUE.id), UNASSIGNED] })).toEqual([2, 3, 4]);
+    expect(filtered({ mine: true })).toEqual([1]);
+  });
+
+  it('compares rooms by their leading number and leaves out rooms without one', () => {
+    expect(filtered({ roomFrom: '13' })).toEqual([2, 3]);
+    expect(filtered({ roomFrom: '10', roomTo: '14' })).toEqual([1, 3]);
+  });
+
+  it('requires every filter to match', () => {
+    expect(filtered({ q: 'check', priority: ['urgent'] })).toEqual([1]);
+    expect(filtered({ priority: ['urgent'], roomFrom: '100', assignee: [String(USER.id)] })).toEqual([]);
+    expect(filtered({ priority: ['urgent', 'low'], roomTo: '20', mine: false })).toEqual([1, 3]);
+  });
+});
+
+describe('query string', () => {
+  it('round-trips every filter through the URL', () => {
+    const filters = {
+      q: 'iv',
+      priority: ['urgent', 'low'],
+      assignee: ['2', UNASSIGNED],
+      roomFrom: '10',
+      roomTo: '20',
+      sort: 'priority',
+      mine: true,
+      overdue: true,
+      shift: 'day@2026-10-19T07:00:00.000Z'
+    };
+    expect(parseFilters(serializeFilters(filters))).toEqual(filters);
+  });
+
+  it('leaves defaults out and drops unknown values', () => {
+    expect(serializeFilters(DEFAULT_FILTERS)).toEqual({});
+    expect(parseFilters({ priority: 'high,urgent', sort: 'random' }))
+      .toEqual({ ...DEFAULT_FILTERS, priority: ['urgent'] });
+  });
+
+  it('does not count the sort or shift as active filters', () => {
+    expect(hasActiveFilters({ ...DEFAULT_FILTERS, sort: 'age', shift: 'day@x' })).toBe(false);
+    expect(hasActiveFilters({ ...DEFAULT_FILTERS, overdue: true })).toBe(true);
+  });
+});
+
+describe('saved views', () => {
+  it('are stored per user', () => {
+    storeSavedViews(USER.id, [{ name: 'Urgent', query: { priority: 'urgent' } }]);
+
+    expect(loadSavedViews(USER.id)).toEqual([{ name: 'Urgent', query: { priority: 'urgent' } }]);
+    expect(loadSavedViews(COLLEAGUE.id)).toEqual([]);
+  });
+
+  const renderBar = async (filters, userId = USER.id) => {
+    const onChange = jest.fn();
+    const Bar = () => <TaskFilterBar filters={filters} onChange={onChange} staff={[COLLEAGUE]} userId={userId} />;
+    renderPage(Bar, { 'GET /auth/me': { user: USER } });
+    // Let the providers finish restoring the session
+    await act(async () => {});
+    return onChange;
+  };
+
+  const saveAs = (name) => {
+    fireEvent.click(screen.getByRole('button', { name: 'Save current view' }));
+    fireEvent.change(screen.getByLabelText('View name'), { target: { value: name } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save view' }));
+  };
+
+  it('save the current filters, without the shift, and apply them again', async () => {
+    const shift = 'day@2026-10-19T07:00:00.000Z';
+    const filters = { ...DEFAULT_FILTERS, priority: ['urgent'], roomFrom: '10', mine: true, shift };
+    await renderBar(filters);
+    saveAs('  Urgent near me ');
+
+    expect(screen.queryByRole('dialog')).toBeNull();
+    expect(loadSavedViews(USER.id)).toEqual([
+      { name: 'Urgent near me', query: { priority: 'urgent', roomFrom: '10', mine: '1' } }
+    ]);
+
+    // The view survives a reload and keeps the shift picked in the header
+    cleanup();
+    const nightShift = 'night@2026-10-19T19:00:00.000Z';
+    const onChange = await renderBar({ ...DEFAULT_FILTERS, shift: nightShift });
+    fireEvent.change(screen.getByRole('combobox', { name: 'Saved views' }), { target: { value: 'Urgent near me' } });
+
+    expect(onChange).toHaveBeenCalledWith({ ...filters, shift: nightShift });
+  });
+
+  it('replace a view saved under the same name', async () => {
+    storeSavedViews(USER.id, [{ name: 'Mine', query: { mine: '1' } }]);
+    await renderBar({ ...DEFAULT_FILTERS, overdue: true });
+    saveAs('Mine');
+
+    expect(loadSavedViews(USER.id)).toEqual([{ name: 'Mine', query: { overdue: '1' } }]);
+  });
+
+  it('are deleted only once the dialog is confirmed', async () => {
+    storeSavedViews(USER.id, [{ name: 'Mine', query: { mine: '1' } }]);
+    await renderBar(DEFAULT_FILTERS);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+    expect(screen.getByRole('dialog', { name: 'Delete saved view' })).toBeTruthy();
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(loadSavedViews(USER.id)).toHaveLength(1);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+    fireEvent.click(screen.getAllByRole('button', { name: 'Delete' }).pop());
+    expect(loadSavedViews(USER.id)).toEqual([]);
+  });
+
+  it('are not stored before the user is known', async () => {
+    await renderBar(DEFAULT_FILTERS, undefined);
+    saveAs('Anyone');
+
+    expect(localStorage.getItem('shiftflow_views_undefined')).toBeNull();
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * @jest-environment node
+ */
+import lock from '../pages/api/auth/lock';
+import unlock from '../pages/api/auth/unlock';
+import { MAX_UNLOCK_ATTEMPTS } from '../lib/idleLock';
+import { LOCK_ID_COOKIE, LOCKED_COOKIE, SESSION_COOKIE } from '../lib/session';
+import { createResponse, cookiesFrom, jsonResponse } from './api';
+
+const post = (cookies, body) => ({
+  method: 'POST',
+  url: '/api/auth/lock',
+  headers: { host: 'shiftflow.test', origin: 'https://shiftflow.test', 'content-type': 'application/json' },
+  cookies,
+  body
+});
+
+// Lock a fresh session and return the browser's cookies afterwards
+const lockSession = async (token = 'token-1') => {
+  const res = createResponse();
+  await lock(post({ [SESSION_COOKIE]: token }), res);
+  return cookiesFrom(res, { [SESSION_COOKIE]: token });
+};
+
+const tryUnlock = async (cookies, pin) => {
+  const res = createResponse();
+  await unlock(post(cookies, { pin }), res);
+  return { res, cookies: cookiesFrom(res, cookies) };
+};
+
+const upstreamCalls = (path) => global.fetch.mock.calls.filter(([url]) => url.endsWith(path));
+
+describe('unlock attempt limit', () => {
+  beforeAll(() => {
+    process.env.SHIFTFLOW_COOKIE_SECRET = 'test-secret';
+  });
+
+  beforeEach(() => {
+    global.fetch = jest.fn(async (url, options) => {
+      if (url.endsWith('/auth/logout')) return new Response(null, { status: 204 });
+      return JSON.parse(options.body).pin === '1234'
+        ? jsonResponse(200, {})
+        : jsonResponse(403, { error: 'Incorrect PIN' });
+    });
+  });
+
+  it('parks the token under a signed lock id', async () => {
+    const cookies = await lockSession();
+
+    expect(cookies[SESSION_COOKIE]).toBeUndefined();
+    expect(cookies[LOCKED_COOKIE]).toBe('token-1');
+    expect(cookies[LOCK_ID_COOKIE]).toMatch(/^[\w-]+\.[\w-]+$/);
+  });
+
+  it('counts down wrong PINs and unlocks with the right one', async () => {
+    let cookies = await lockSession();
+
+    const first = await tryUnlock(cookies, '0000');
+    expect(first.res.statusCode).toBe(403);
+    expect(first.res.body.attempts_left).toBe(MAX_UNLOCK_ATTEMPTS - 1);
+
+    const second = await tryUnlock(first.cookies, '0000');
+    expect(second.res.body.attempts_left).toBe(MAX_UNLOCK_ATTEMPTS - 2);
+
+    const unlocked = await tryUnlock(second.cookies, '1234');
+    expect(unlocked.res.statusCode).toBe(204);
+    cookies = unlocked.cookies;
+    expect(cookies[SESSION_COOKIE]).toBe('token-1');
+    expect(cookies[LOCKED_COOKIE]).toBeUndefined();
+    expect(cookies[LOCK_ID_COOKIE]).toBeUndefined();
+  });
+
+  it('signs the session out at the limit, even for the right PIN afterwards', async () => {
+    let cookies = await lockSession();
+    let result;
+    for (let i = 0; i < MAX_UNLOCK_ATTEMPTS; i++) {
+      result = await tryUnlock(cookies, '0000');
+      cookies = result.cookies;
+    }
+
+    expect(result.res.statusCode).toBe(401);
+    expect(result.res.body.attempts_left).toBe(0);
+    expect(upstreamCalls('/auth/logout')).toHaveLength(1);
+    expect(cookies[LOCKED_COOKIE]).toBeUndefined();
+    expect(cookies[LOCK_ID_COOKIE]).toBeUndefined();
+  });
+
+  it('keeps counting when an earlier lock id cookie is replayed', async () => {
+    const cookies = await lockSession();
+    const { cookies: afterOne } = await tryUnlock(cookies, '0000');
+    // The browser sends back the cookie it held before any wrong entry
+    const replayed = await tryUnlock({ ...afterOne, [LOCK_ID_COOKIE]: cookies[LOCK_ID_COOKIE] }, '0000');
+
+    expect(replayed.res.body.attempts_left).toBe(MAX_UNLOCK_ATTEMPTS - 2);
+  });
+
+  it('refuses the lock id of a lock that has already ended', async () => {
+    const cookies = await lockSession();
+    await tryUnlock(cookies, '1234');
+    const relocked = await lockSession();
+
+    const result = await tryUnlock({ ...relocked, [LOCK_ID_COOKIE]: cookies[LOCK_ID_COOKIE] }, '1234');
+    expect(result.res.statusCode).toBe(401);
+    expect(upstreamCalls('/auth/unlock')).toHaveLength(1);
+  });
+
+  it.each([
+    ['missing', async () => undefined],
+    ['altered', async (value) => `other-lock.${value.split('.')[1]}`],
+    ['from another session', async () => (await lockSession('token-2'))[LOCK_ID_COOKIE]]
+  ])('signs out when the lock id cookie is %s', async (_, tamper) => {
+    const cookies = await lockSession();
+    const result = await tryUnlock({ ...cookies, [LOCK_ID_COOKIE]: await tamper(cookies[LOCK_ID_COOKIE]) }, '1234');
+
+    expect(result.res.statusCode).toBe(401);
+    expect(upstreamCalls('/auth/unlock')).toHaveLength(0);
+    expect(result.cookies[LOCKED_COOKIE]).toBeUndefined();
+  });
+});